@@ -0,0 +1,301 @@
+#!/usr/bin/env node
+/**
+ * gerar-relatorio.js - Geração do relatório de frequência pela linha de comando (Node 20 ou superior)
+ * Lê um ou mais arquivos CSV, aplica os filtros de empresa, turma, status e período com as mesmas
+ * regras da página e grava o mesmo Excel formatado (ver views/ReportExcelView.js), para processar o
+ * fechamento do mês em lote no servidor de arquivos, sem abrir o navegador.
+ *
+ * Requer as bibliotecas usadas pela página, nas versões de vendor/ (package.json): npm install
+ * Uso: node cli/gerar-relatorio.js <arquivo.csv> [outros.csv...] [opções] (ver --ajuda)
+ */
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+// DataModel e ReportExcelView são as classes da página, que usam Papa, XLSX, ReportBuilder e DataModel globais
+global.Papa = require('papaparse');
+global.XLSX = require('xlsx-js-style');
+global.ReportBuilder = require('../models/ReportBuilder.js');
+global.DataModel = require('../models/DataModel.js');
+const RuleProfileModel = require('../models/RuleProfileModel.js');
+const CourseWorkloadModel = require('../models/CourseWorkloadModel.js');
+const ReportExcelView = require('../views/ReportExcelView.js');
+
+const AJUDA = `Uso: node cli/gerar-relatorio.js <arquivo.csv> [outros.csv...] [opções]
+
+Os arquivos são mesclados como na página (duplicados entre arquivos: mantém o registro existente).
+
+Opções:
+  --empresa <CNPJ ou nome>   Empresa do relatório (repita para um grupo); padrão: todas as empresas
+  --turma <turma>            Turma do relatório (repita para várias); padrão: todas as turmas
+  --status <DESCRICAO>       Status incluído (repita para vários); padrão: todos os status
+  --mes <MM/AAAA>            Período de um mês inteiro
+  --inicio <DD/MM/AAAA>      Início do período (com --fim); padrão: primeira data dos arquivos
+  --fim <DD/MM/AAAA>         Fim do período (com --inicio); padrão: última data dos arquivos
+  --layout <colunas|abas>    Períodos de vários meses: uma coluna de horas por mês (padrão) ou uma aba por mês
+  --comparar <anterior|DD/MM/AAAA-DD/MM/AAAA>
+                             Acrescenta as abas de comparação com o período anterior ou com o período informado
+  --perfil <perfil.json>     Perfil de regras (horas por dia, rótulos de justificativa, atrasos, limites);
+                             padrão: perfil padrão da página
+  --calendario <cadastro.csv>
+                             Carga horária e calendário das turmas, no formato do "Exportar CSV" da página
+  --por-empresa              Grava um arquivo por empresa (CNPJ), como o ZIP da página
+  --saida <caminho>          Arquivo .xlsx ou pasta de destino; padrão: pasta atual
+  --ajuda                    Mostra esta ajuda
+
+Exemplo:
+  node cli/gerar-relatorio.js frequencia_set.csv --mes 09/2025 --comparar anterior --por-empresa --saida relatorios/`;
+
+/**
+ * Lê e valida as opções da linha de comando
+ * @param {Array<string>} argv - Argumentos (sem node e o nome do script)
+ * @returns {Object} - {arquivos, valores} (ver parseArgs)
+ */
+function lerOpcoes(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            empresa: { type: 'string', multiple: true },
+            turma: { type: 'string', multiple: true },
+            status: { type: 'string', multiple: true },
+            mes: { type: 'string' },
+            inicio: { type: 'string' },
+            fim: { type: 'string' },
+            layout: { type: 'string', default: 'colunas' },
+            comparar: { type: 'string' },
+            perfil: { type: 'string' },
+            calendario: { type: 'string' },
+            'por-empresa': { type: 'boolean', default: false },
+            saida: { type: 'string' },
+            ajuda: { type: 'boolean', default: false }
+        }
+    });
+
+    if (!values.ajuda && positionals.length === 0) {
+        throw new Error('informe ao menos um arquivo CSV.');
+    }
+    if (!['colunas', 'abas'].includes(values.layout)) {
+        throw new Error(`layout inválido: ${values.layout} (use colunas ou abas).`);
+    }
+    if (values.mes && (values.inicio || values.fim)) {
+        throw new Error('use --mes ou --inicio/--fim, não os dois.');
+    }
+    if (Boolean(values.inicio) !== Boolean(values.fim)) {
+        throw new Error('informe --inicio e --fim juntos.');
+    }
+    return { arquivos: positionals, valores: values };
+}
+
+/**
+ * Carrega os CSVs no DataModel, com a mesma leitura da página (inclusive o fallback de encoding)
+ * @param {DataModel} model - Model que recebe os registros
+ * @param {Array<string>} caminhos - Arquivos CSV
+ */
+async function carregarArquivos(model, caminhos) {
+    for (const caminho of caminhos) {
+        const file = new File([fs.readFileSync(caminho)], path.basename(caminho));
+        const { arquivo } = await model.loadCSV(file);
+        const avisos = arquivo.inconsistencias ? arquivo.inconsistencias.total : 0;
+        console.log(`✓ ${arquivo.nome}: ${arquivo.adicionados} registros adicionados` +
+            (avisos > 0 ? ` (${avisos} inconsistências; confira o arquivo na página)` : ''));
+    }
+}
+
+/**
+ * Empresas pedidas em --empresa: CNPJ (com ou sem pontuação) ou parte do nome, que deve indicar uma só empresa
+ * @returns {Array<Object>|null} - Empresas como em DataModel.getEmpresasAPR; null = todas
+ */
+function resolverEmpresas(model, termos) {
+    if (!termos || termos.length === 0) return null;
+    return termos.map(termo => {
+        const digitos = termo.replace(/\D/g, '');
+        const cnpj = digitos.length === 14 ? model.resolverCnpj(model.normalizeCNPJ(digitos)) : null;
+        const encontradas = cnpj
+            ? model.getEmpresasAPR().filter(e => e.cnpj === cnpj)
+            : model.buscarEmpresas(termo);
+        if (encontradas.length === 0) {
+            throw new Error(`empresa não encontrada nas turmas APR: ${termo}`);
+        }
+        const exata = encontradas.find(e => e.nome.toLowerCase() === termo.trim().toLowerCase());
+        if (encontradas.length > 1 && !exata) {
+            const nomes = encontradas.slice(0, 10).map(e => `${e.nome} (${e.cnpj})`).join('; ');
+            throw new Error(`"${termo}" indica mais de uma empresa: ${nomes}. Use o CNPJ.`);
+        }
+        return exata || encontradas[0];
+    });
+}
+
+/**
+ * Confere as turmas e os status pedidos com os encontrados nos arquivos
+ */
+function validarTurmasEStatus(model, turmas, statusList) {
+    const turmasDisponiveis = new Set(model.getTodasTurmasAPR().map(t => model.normalizeName(t)));
+    (turmas || []).forEach(turma => {
+        if (!turmasDisponiveis.has(model.normalizeName(turma))) {
+            throw new Error(`turma não encontrada nas turmas APR: ${turma}`);
+        }
+    });
+
+    const statusDisponiveis = model.getStatusDisponiveis();
+    (statusList || []).forEach(status => {
+        if (!statusDisponiveis.some(s => s.status === model.normalizeStatus(status))) {
+            throw new Error(`status não encontrado: ${status} (disponíveis: ${statusDisponiveis.map(s => s.rotulo).join(', ')})`);
+        }
+    });
+}
+
+/**
+ * Valida uma data DD/MM/AAAA
+ */
+function validarData(model, data, opcao) {
+    if (!model.isDataValida(data)) {
+        throw new Error(`data inválida em --${opcao}: ${data} (use DD/MM/AAAA).`);
+    }
+    return data;
+}
+
+/**
+ * Período do relatório a partir de --mes ou --inicio/--fim (padrão: todas as datas dos arquivos)
+ * @returns {Object} - {inicio, fim} em DD/MM/AAAA
+ */
+function resolverPeriodo(model, valores) {
+    if (valores.mes) {
+        const partes = valores.mes.split('/');
+        const mes = parseInt(partes[0]);
+        const ano = parseInt(partes[1]);
+        if (partes.length !== 2 || !(mes >= 1 && mes <= 12) || !(ano > 0)) {
+            throw new Error(`mês inválido em --mes: ${valores.mes} (use MM/AAAA).`);
+        }
+        return {
+            inicio: model.formatDate(new Date(ano, mes - 1, 1)),
+            fim: model.formatDate(new Date(ano, mes, 0))
+        };
+    }
+    if (valores.inicio) {
+        const periodo = { inicio: validarData(model, valores.inicio, 'inicio'), fim: validarData(model, valores.fim, 'fim') };
+        if (model.parseDate(periodo.inicio) > model.parseDate(periodo.fim)) {
+            throw new Error('--inicio deve ser anterior a --fim.');
+        }
+        return periodo;
+    }
+
+    const intervalo = model.getIntervaloDataset();
+    if (!intervalo.min) throw new Error('os arquivos não têm datas válidas.');
+    return { inicio: model.formatDate(intervalo.min), fim: model.formatDate(intervalo.max) };
+}
+
+/**
+ * Período de comparação a partir de --comparar
+ * @returns {Object|null} - {inicio, fim}; null sem comparação
+ */
+function resolverComparacao(model, valor, periodo) {
+    if (!valor) return null;
+    if (valor === 'anterior') return model.getPeriodoAnterior(periodo.inicio, periodo.fim);
+
+    const datas = valor.split('-');
+    if (datas.length !== 2) {
+        throw new Error(`período inválido em --comparar: ${valor} (use anterior ou DD/MM/AAAA-DD/MM/AAAA).`);
+    }
+    return { inicio: validarData(model, datas[0].trim(), 'comparar'), fim: validarData(model, datas[1].trim(), 'comparar') };
+}
+
+/**
+ * Perfil de regras de --perfil, validado como na página (ver RuleProfileModel.normalizarPerfil)
+ */
+function carregarPerfil(caminho) {
+    const perfis = new RuleProfileModel(null);
+    if (!caminho) return perfis.getPerfilPadrao();
+    return perfis.normalizarPerfil(Object.assign({ id: 'linha-de-comando' }, JSON.parse(fs.readFileSync(caminho, 'utf8'))));
+}
+
+/**
+ * Aplica o cadastro de carga horária e calendário de --calendario
+ */
+function carregarCalendarios(model, caminho) {
+    if (!caminho) return;
+    const cadastro = new CourseWorkloadModel(null);
+    const { importados, erros } = cadastro.importarCSV(fs.readFileSync(caminho, 'utf8'));
+    erros.forEach(erro => console.warn(`⚠️ ${path.basename(caminho)}: ${erro}`));
+    model.definirCalendarios(cadastro.getConfig());
+    console.log(`✓ ${importados} cadastros de carga horária e calendário aplicados`);
+}
+
+/**
+ * Caminho do arquivo gerado: --saida terminado em .xlsx é o próprio arquivo; caso contrário, uma pasta
+ */
+function caminhoSaida(saida, nomeArquivo) {
+    if (saida && saida.toLowerCase().endsWith('.xlsx')) return saida;
+    const pasta = saida || '.';
+    fs.mkdirSync(pasta, { recursive: true });
+    return path.join(pasta, nomeArquivo);
+}
+
+/**
+ * Gera e grava os relatórios pedidos
+ * @param {Array<string>} argv - Argumentos da linha de comando
+ */
+async function main(argv) {
+    const { arquivos, valores } = lerOpcoes(argv);
+    if (valores.ajuda) {
+        console.log(AJUDA);
+        return;
+    }
+
+    const perfil = carregarPerfil(valores.perfil);
+    const model = new DataModel();
+    // O perfil entra antes dos arquivos: as inconsistências de FALTAS e status dependem dele
+    model.definirPerfilValidacao(perfil);
+    await carregarArquivos(model, arquivos);
+    carregarCalendarios(model, valores.calendario);
+
+    const empresas = resolverEmpresas(model, valores.empresa);
+    validarTurmasEStatus(model, valores.turma, valores.status);
+    const periodo = resolverPeriodo(model, valores);
+    const periodoComparacao = resolverComparacao(model, valores.comparar, periodo);
+    const abasPorMes = valores.layout === 'abas';
+
+    const filtros = {
+        cnpj: empresas ? empresas.map(e => e.cnpj) : null,
+        turma: valores.turma || null,
+        dataInicio: periodo.inicio,
+        dataFim: periodo.fim,
+        statusList: valores.status || null
+    };
+    const excel = new ReportExcelView(model);
+    console.log(`Período: ${periodo.inicio} a ${periodo.fim}` +
+        (periodoComparacao ? ` (comparado a ${periodoComparacao.inicio} a ${periodoComparacao.fim})` : ''));
+
+    if (valores['por-empresa']) {
+        if (valores.saida && valores.saida.toLowerCase().endsWith('.xlsx')) {
+            throw new Error('com --por-empresa, --saida deve ser uma pasta.');
+        }
+        const relatorios = await model.gerarRelatoriosPorEmpresa(filtros, perfil, abasPorMes);
+        if (relatorios.length === 0) throw new Error('nenhum registro encontrado com os filtros informados.');
+        relatorios.forEach(({ cnpj, nome, resultado, relatoriosMensais, grade }) => {
+            const comparacao = periodoComparacao
+                ? model.compararPeriodos(resultado.relatorio, Object.assign({}, filtros, { cnpj }), periodoComparacao, perfil)
+                : null;
+            const destino = caminhoSaida(valores.saida,
+                `relatorio_frequencia_${excel.nomeParaArquivo(nome)}_${cnpj}_${excel.getPeriodoArquivo(resultado.meses)}.xlsx`);
+            XLSX.writeFile(excel.montarWorkbook(resultado, relatoriosMensais, grade, comparacao), destino);
+            console.log(`✓ ${destino}: ${resultado.totalAlunos} alunos, ${resultado.totalRegistros} registros`);
+        });
+        return;
+    }
+
+    const { resultado, relatoriosMensais, grade, comparacao } = await model.gerarRelatorioCompleto(filtros, perfil, abasPorMes, periodoComparacao);
+    if (!resultado) throw new Error('nenhum registro encontrado com os filtros informados.');
+
+    let nomeEmpresa = 'Todas_Empresas';
+    if (empresas) nomeEmpresa = empresas.length === 1 ? excel.nomeParaArquivo(empresas[0].nome) : `${empresas.length}_Empresas`;
+    const destino = caminhoSaida(valores.saida, `relatorio_frequencia_${nomeEmpresa}_${excel.getPeriodoArquivo(resultado.meses)}.xlsx`);
+    XLSX.writeFile(excel.montarWorkbook(resultado, relatoriosMensais, grade, comparacao), destino);
+    console.log(`✓ ${destino}: ${resultado.totalAlunos} alunos, ${resultado.totalRegistros} registros`);
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(`❌ Erro: ${error.message}`);
+    console.error('Use --ajuda para ver as opções.');
+    process.exitCode = 1;
+});
@@ -0,0 +1,114 @@
+/**
+ * AppUpdateController - Controller da instalação e atualização da aplicação (PWA)
+ * Responsável por: registrar o service worker (sw.js), que guarda a página e as bibliotecas para uso
+ * sem conexão, exibir a versão em execução no rodapé e avisar quando uma versão nova já foi baixada,
+ * aplicando-a (e recarregando a página) somente quando o usuário clicar em "Atualizar"
+ */
+class AppUpdateController {
+    /**
+     * @param {string} versao - Versão em execução (ver js/versao.js)
+     * @param {string} swUrl - Caminho do service worker
+     */
+    constructor(versao, swUrl = 'sw.js') {
+        this.versao = versao;
+        this.swUrl = swUrl;
+
+        // Elementos DOM
+        this.elements = {
+            versao: document.getElementById('versaoApp'),
+            aviso: document.getElementById('avisoAtualizacao'),
+            avisoTexto: document.getElementById('avisoAtualizacaoTexto'),
+            btnAtualizar: document.getElementById('btnAtualizarApp'),
+            btnDepois: document.getElementById('btnAtualizarDepois')
+        };
+
+        // Service worker da versão nova, aguardando a confirmação do usuário
+        this.novaVersao = null;
+        // A página só recarrega quando a troca de versão foi pedida pelo usuário
+        // (na primeira instalação o service worker também assume a página)
+        this.atualizando = false;
+
+        this.init();
+    }
+
+    /**
+     * Exibe a versão e registra o service worker
+     */
+    init() {
+        this.elements.versao.textContent = `Versão ${this.versao}`;
+        this.elements.btnAtualizar.addEventListener('click', () => this.atualizar());
+        this.elements.btnDepois.addEventListener('click', () => {
+            this.elements.aviso.style.display = 'none';
+        });
+
+        if (!('serviceWorker' in navigator)) {
+            console.warn('ℹ️ Service worker indisponível (página aberta via file:// ou sem HTTPS): sem uso offline.');
+            return;
+        }
+
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.atualizando) window.location.reload();
+        });
+        this.registrar();
+    }
+
+    /**
+     * Registra o service worker e acompanha as versões baixadas
+     */
+    async registrar() {
+        let registro;
+        try {
+            registro = await navigator.serviceWorker.register(this.swUrl);
+        } catch (error) {
+            console.warn('⚠️ Não foi possível registrar o service worker (sem uso offline):', error.message);
+            return;
+        }
+        console.log('✓ Service worker registrado: aplicação disponível sem conexão');
+
+        // Versão baixada em uma visita anterior e ainda não aplicada
+        if (registro.waiting && navigator.serviceWorker.controller) {
+            this.mostrarAviso(registro.waiting);
+        }
+
+        registro.addEventListener('updatefound', () => {
+            const instalando = registro.installing;
+            if (!instalando) return;
+            instalando.addEventListener('statechange', () => {
+                // Sem controller é a primeira instalação: não há versão anterior a substituir
+                if (instalando.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.mostrarAviso(instalando);
+                }
+            });
+        });
+    }
+
+    /**
+     * Mostra o aviso de versão nova, com o número informado pelo próprio service worker
+     * @param {ServiceWorker} worker - Service worker instalado e aguardando
+     */
+    mostrarAviso(worker) {
+        this.novaVersao = worker;
+        this.elements.avisoTexto.textContent = 'Uma nova versão da aplicação foi baixada.';
+        this.elements.btnAtualizar.disabled = false;
+        this.elements.aviso.style.display = 'flex';
+
+        const canal = new MessageChannel();
+        canal.port1.onmessage = (e) => {
+            if (this.novaVersao === worker && e.data) {
+                this.elements.avisoTexto.textContent = `A versão ${e.data} foi baixada (em uso: ${this.versao}).`;
+            }
+        };
+        worker.postMessage({ tipo: 'versao' }, [canal.port2]);
+    }
+
+    /**
+     * Ativa a versão nova; a página recarrega quando ela assumir (evento controllerchange)
+     */
+    atualizar() {
+        if (!this.novaVersao) return;
+        this.atualizando = true;
+        this.elements.btnAtualizar.disabled = true;
+        this.elements.avisoTexto.textContent = 'Atualizando...';
+        this.novaVersao.postMessage({ tipo: 'atualizar' });
+    }
+}
@@ -0,0 +1,173 @@
+/**
+ * ColumnMappingController - Controller do assistente de mapeamento de colunas
+ * Responsável por: após a leitura do CSV, pedir ao usuário o campo correspondente a cada
+ * cabeçalho desconhecido e devolver o mapeamento ao DataModel
+ */
+class ColumnMappingController {
+    constructor(columnMappingModel) {
+        this.model = columnMappingModel;
+
+        // Elementos DOM
+        this.elements = {
+            panel: document.getElementById('mapeamentoPanel'),
+            arquivo: document.getElementById('mapeamentoArquivo'),
+            faltantes: document.getElementById('mapeamentoFaltantes'),
+            lista: document.getElementById('mapeamentoLista'),
+            lembrar: document.getElementById('mapeamentoLembrar'),
+            status: document.getElementById('mapeamentoStatus'),
+            btnAplicar: document.getElementById('btnAplicarMapeamento'),
+            btnCancelar: document.getElementById('btnCancelarMapeamento'),
+            btnEsquecer: document.getElementById('btnEsquecerMapeamentos')
+        };
+
+        // Resolução pendente do assistente aberto
+        this.pendente = null;
+
+        this.init();
+    }
+
+    /**
+     * Inicializa os event listeners
+     */
+    init() {
+        this.elements.btnAplicar.addEventListener('click', () => this.aplicar());
+        this.elements.btnCancelar.addEventListener('click', () => this.fechar(null));
+        this.elements.btnEsquecer.addEventListener('click', () => {
+            this.model.limparMapeamentosSalvos();
+            this.showStatus('Mapeamentos salvos foram esquecidos. Os próximos uploads voltarão a perguntar.', 'info');
+        });
+    }
+
+    /**
+     * Resolve o mapeamento de colunas de um arquivo (usado como callback de DataModel.loadCSV)
+     * @param {Array<string>} headers - Cabeçalhos do arquivo
+     * @param {string} nomeArquivo - Nome do arquivo
+     * @param {Object} amostra - Primeiro registro do arquivo (exibe valores de exemplo)
+     * @returns {Promise<Object|null>} - header -> campo canônico; null se o usuário cancelar
+     */
+    resolver(headers, nomeArquivo, amostra = null) {
+        const analise = this.model.analisarCabecalhos(headers);
+
+        if (!this.model.precisaMapeamento(analise)) {
+            if (analise.obrigatoriosFaltantes.length > 0) {
+                return Promise.reject(new Error(`colunas obrigatórias ausentes: ${analise.obrigatoriosFaltantes.join(', ')}.`));
+            }
+            return Promise.resolve(analise.mapeamento);
+        }
+
+        return new Promise(resolve => {
+            this.pendente = { resolve, analise };
+            this.render(analise, nomeArquivo, amostra || {});
+        });
+    }
+
+    /**
+     * Monta o assistente: uma linha por cabeçalho desconhecido com a lista de campos ainda sem coluna
+     */
+    render(analise, nomeArquivo, amostra) {
+        this.elements.arquivo.textContent = nomeArquivo;
+        this.elements.faltantes.textContent = analise.faltantes
+            .map(campo => this.model.CAMPOS.find(c => c.campo === campo))
+            .map(def => def.obrigatorio ? `${def.campo}*` : def.campo)
+            .join(', ');
+        this.elements.lista.innerHTML = '';
+
+        analise.desconhecidos.forEach((header, idx) => {
+            const linha = document.createElement('div');
+            linha.className = 'mapping-row';
+
+            const label = document.createElement('label');
+            label.htmlFor = `mapeamento-${idx}`;
+            label.className = 'mapping-header';
+            label.textContent = header;
+            const exemplo = amostra[header];
+            if (exemplo !== undefined && exemplo !== null && String(exemplo).trim() !== '') {
+                const small = document.createElement('small');
+                small.textContent = `ex.: ${String(exemplo).slice(0, 40)}`;
+                label.appendChild(small);
+            }
+
+            const select = document.createElement('select');
+            select.id = `mapeamento-${idx}`;
+            select.className = 'form-select';
+            select.dataset.header = header;
+
+            const optIgnorar = document.createElement('option');
+            optIgnorar.value = this.model.IGNORAR;
+            optIgnorar.textContent = '(Ignorar coluna)';
+            select.appendChild(optIgnorar);
+
+            analise.faltantes.forEach(campo => {
+                const def = this.model.CAMPOS.find(c => c.campo === campo);
+                const option = document.createElement('option');
+                option.value = campo;
+                option.textContent = `${campo}${def.obrigatorio ? '*' : ''} — ${def.descricao}`;
+                select.appendChild(option);
+            });
+
+            linha.appendChild(label);
+            linha.appendChild(select);
+            this.elements.lista.appendChild(linha);
+        });
+
+        this.showStatus('', 'info');
+        this.elements.panel.style.display = 'block';
+        this.elements.panel.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+
+    /**
+     * Valida as escolhas e conclui o mapeamento
+     */
+    aplicar() {
+        if (!this.pendente) return;
+
+        const escolhas = {};
+        const usados = new Map();
+        const selects = Array.from(this.elements.lista.querySelectorAll('select'));
+        for (const select of selects) {
+            const header = select.dataset.header;
+            const campo = select.value;
+            if (campo && usados.has(campo)) {
+                this.showStatus(`O campo ${campo} foi escolhido para "${usados.get(campo)}" e "${header}".`, 'error');
+                return;
+            }
+            if (campo) usados.set(campo, header);
+            escolhas[header] = campo;
+        }
+
+        const mapeamento = Object.assign({}, this.pendente.analise.mapeamento, escolhas);
+        const obrigatorios = this.model.getObrigatoriosFaltantes(mapeamento);
+        if (obrigatorios.length > 0) {
+            this.showStatus(`Campos obrigatórios sem coluna: ${obrigatorios.join(', ')}.`, 'error');
+            return;
+        }
+
+        if (this.elements.lembrar.checked) {
+            this.model.salvarMapeamento(escolhas);
+        }
+        this.fechar(mapeamento);
+    }
+
+    /**
+     * Fecha o assistente e conclui a resolução pendente
+     * @param {Object|null} mapeamento - Resultado (null = cancelado)
+     */
+    fechar(mapeamento) {
+        this.elements.panel.style.display = 'none';
+        this.elements.lista.innerHTML = '';
+        const pendente = this.pendente;
+        this.pendente = null;
+        if (pendente) pendente.resolve(mapeamento);
+    }
+
+    /**
+     * Mostra mensagem no assistente
+     */
+    showStatus(message, type) {
+        this.elements.status.textContent = message;
+        this.elements.status.className = 'file-status';
+        if (message) {
+            this.elements.status.classList.add(type === 'error' ? 'error' : 'info');
+        }
+    }
+}
@@ -0,0 +1,203 @@
+/**
+ * CompanyIdentityController - Controller do painel de identidade das empresas
+ * Responsável por: listar CNPJs inválidos e conflitos de nome, e aplicar as decisões do usuário
+ * (unificar CNPJs, escolher o nome canônico ou manter como está) ao dataset
+ */
+class CompanyIdentityController {
+    /**
+     * @param {CompanyIdentityModel} identityModel - Decisões salvas e detecção de conflitos
+     * @param {DataModel} dataModel - Índices de empresas (thread principal)
+     * @param {DataService} dataService - Aplica as decisões ao dataset (Web Worker ou local)
+     */
+    constructor(identityModel, dataModel, dataService) {
+        this.model = identityModel;
+        this.dataModel = dataModel;
+        this.dataService = dataService;
+
+        // Chamado após aplicar uma decisão (o FrequencyController atualiza empresas e turmas)
+        this.onAlteracao = null;
+
+        // Quantidade máxima de conflitos exibidos de uma vez
+        this.LIMITE_EXIBIDOS = 20;
+
+        // Elementos DOM
+        this.elements = {
+            panel: document.getElementById('identidadePanel'),
+            total: document.getElementById('identidadeTotal'),
+            lista: document.getElementById('identidadeLista'),
+            status: document.getElementById('identidadeStatus'),
+            btnRestaurar: document.getElementById('btnRestaurarIdentidades')
+        };
+
+        this.init();
+    }
+
+    /**
+     * Inicializa os event listeners e envia as decisões salvas para o processamento
+     */
+    init() {
+        this.elements.btnRestaurar.addEventListener('click', () => {
+            if (!confirm('Desfazer todas as unificações de CNPJ e nomes escolhidos?')) return;
+            this.model.restaurar();
+            this.aplicar('Decisões desfeitas.');
+        });
+
+        this.dataService.definirIdentidadesEmpresas(this.model.getConfig()).catch(error => {
+            console.warn('Não foi possível aplicar a identidade das empresas:', error);
+        });
+    }
+
+    /**
+     * Envia as decisões ao dataset e atualiza a tela
+     * @param {string} mensagem - Mensagem exibida após aplicar
+     */
+    async aplicar(mensagem) {
+        try {
+            await this.dataService.definirIdentidadesEmpresas(this.model.getConfig());
+            if (this.onAlteracao) this.onAlteracao();
+            this.render();
+            this.showStatus(mensagem, 'success');
+        } catch (error) {
+            this.showStatus(`Erro ao aplicar: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Monta a lista de conflitos das empresas carregadas
+     */
+    render() {
+        const conflitos = this.dataModel.isDataLoaded()
+            ? this.model.detectarConflitos(this.dataModel.getEmpresasAPR())
+            : [];
+
+        this.elements.btnRestaurar.style.display = this.model.temAjustes() ? '' : 'none';
+        if (conflitos.length === 0) {
+            this.elements.lista.innerHTML = '';
+            this.elements.panel.style.display = this.model.temAjustes() && this.dataModel.isDataLoaded() ? 'flex' : 'none';
+            this.elements.total.textContent = 'nenhum conflito pendente';
+            return;
+        }
+
+        this.elements.total.textContent = `${conflitos.length} ${conflitos.length === 1 ? 'conflito' : 'conflitos'}`;
+        this.elements.lista.innerHTML = '';
+        conflitos.slice(0, this.LIMITE_EXIBIDOS).forEach(conflito => {
+            this.elements.lista.appendChild(this.criarItem(conflito));
+        });
+        if (conflitos.length > this.LIMITE_EXIBIDOS) {
+            const mais = document.createElement('small');
+            mais.className = 'form-help';
+            mais.textContent = `+ ${conflitos.length - this.LIMITE_EXIBIDOS} conflitos (exibidos após resolver os anteriores)`;
+            this.elements.lista.appendChild(mais);
+        }
+        this.elements.panel.style.display = 'flex';
+    }
+
+    /**
+     * Cria o item de um conflito com as ações disponíveis
+     */
+    criarItem(conflito) {
+        const item = document.createElement('div');
+        item.className = 'identity-item';
+        const descricao = document.createElement('p');
+        const acoes = document.createElement('div');
+        acoes.className = 'panel-actions';
+
+        if (conflito.tipo === this.model.NOME_COMPARTILHADO) {
+            descricao.textContent = `"${conflito.nome}" aparece em ${conflito.empresas.length} CNPJs. Unificar como:`;
+            const select = this.criarSelect(conflito.empresas.map(e => ({
+                valor: e.cnpj,
+                texto: this.descreverEmpresa(e)
+            })));
+            acoes.appendChild(select);
+            acoes.appendChild(this.criarBotao('Unificar', 'btn-primary', () => {
+                this.model.unificar(conflito.empresas.map(e => e.cnpj), select.value);
+                this.aplicar(`CNPJs unificados em ${this.formatCNPJ(select.value)}.`);
+            }));
+        } else if (conflito.tipo === this.model.CNPJ_INVALIDO) {
+            descricao.textContent = `CNPJ inválido (dígitos verificadores): ${this.descreverEmpresa(conflito.empresa)}.`;
+            if (conflito.candidatos.length > 0) {
+                const select = this.criarSelect(conflito.candidatos.map(e => ({
+                    valor: e.cnpj,
+                    texto: this.descreverEmpresa(e)
+                })));
+                acoes.appendChild(select);
+                acoes.appendChild(this.criarBotao('Unificar com este CNPJ', 'btn-primary', () => {
+                    this.model.unificar([conflito.empresa.cnpj], select.value);
+                    this.aplicar(`${this.formatCNPJ(conflito.empresa.cnpj)} unificado em ${this.formatCNPJ(select.value)}.`);
+                }));
+            }
+        } else if (conflito.tipo === this.model.NOMES_DIVERGENTES) {
+            descricao.textContent = `O CNPJ ${this.formatCNPJ(conflito.empresa.cnpj)} aparece com nomes muito diferentes. Nome a exibir:`;
+            const select = this.criarSelect(conflito.aliases.map(alias => ({ valor: alias, texto: alias })));
+            select.value = conflito.empresa.nome;
+            acoes.appendChild(select);
+            acoes.appendChild(this.criarBotao('Usar este nome', 'btn-primary', () => {
+                this.model.definirNome(conflito.empresa.cnpj, select.value);
+                this.aplicar(`Nome de ${this.formatCNPJ(conflito.empresa.cnpj)} definido como "${select.value}".`);
+            }));
+        }
+
+        acoes.appendChild(this.criarBotao('Manter como está', 'btn-secondary', () => {
+            this.model.ignorar(conflito.id);
+            this.render();
+        }));
+
+        item.appendChild(descricao);
+        item.appendChild(acoes);
+        return item;
+    }
+
+    /**
+     * Cria um select com as opções informadas
+     * @param {Array<Object>} opcoes - {valor, texto}
+     */
+    criarSelect(opcoes) {
+        const select = document.createElement('select');
+        select.className = 'form-select';
+        opcoes.forEach(({ valor, texto }) => {
+            const option = document.createElement('option');
+            option.value = valor;
+            option.textContent = texto;
+            select.appendChild(option);
+        });
+        return select;
+    }
+
+    /**
+     * Cria um botão de ação do painel
+     */
+    criarBotao(texto, classe, onClick) {
+        const botao = document.createElement('button');
+        botao.type = 'button';
+        botao.className = `btn ${classe} btn-sm`;
+        botao.textContent = texto;
+        botao.addEventListener('click', onClick);
+        return botao;
+    }
+
+    /**
+     * Texto de uma empresa: nome, CNPJ formatado e quantidade de registros
+     */
+    descreverEmpresa(empresa) {
+        return `${empresa.nome} - ${this.formatCNPJ(empresa.cnpj)} (${empresa.registros} registros)`;
+    }
+
+    /**
+     * Formata CNPJ (XX.XXX.XXX/XXXX-XX)
+     */
+    formatCNPJ(cnpj) {
+        if (!cnpj || cnpj.length !== 14) return cnpj;
+        return cnpj.replace(/^(\d{2})(\d{3})(\d{3})(\d{4})(\d{2})$/, '$1.$2.$3/$4-$5');
+    }
+
+    /**
+     * Mostra mensagem no painel
+     */
+    showStatus(message, type) {
+        this.elements.status.textContent = message;
+        this.elements.status.className = 'file-status';
+        if (message) {
+            this.elements.status.classList.add(type);
+        }
+    }
+}
@@ -0,0 +1,308 @@
+/**
+ * CourseWorkloadController - Controller do cadastro de carga horária e calendário de aulas
+ * Responsável por: listar, editar, importar e exportar os calendários por turma/curso e
+ * enviar o cadastro ao processamento (DataModel.definirCalendarios)
+ */
+class CourseWorkloadController {
+    /**
+     * @param {CourseWorkloadModel} workloadModel - Cadastro salvo localmente
+     * @param {DataModel} dataModel - Turmas carregadas (sugestões do campo de turma)
+     * @param {DataService} dataService - Aplica o cadastro ao processamento (Web Worker ou local)
+     */
+    constructor(workloadModel, dataModel, dataService) {
+        this.model = workloadModel;
+        this.dataModel = dataModel;
+        this.dataService = dataService;
+
+        // Chamado após alterar o cadastro (o relatório exibido fica desatualizado)
+        this.onAlteracao = null;
+
+        // Elementos DOM
+        this.elements = {
+            resumo: document.getElementById('calendarioResumo'),
+            btnGerenciar: document.getElementById('btnGerenciarCalendarios'),
+            btnImportar: document.getElementById('btnImportarCalendarios'),
+            btnExportar: document.getElementById('btnExportarCalendarios'),
+            arquivo: document.getElementById('calendarioArquivo'),
+            editor: document.getElementById('calendarioEditor'),
+            lista: document.getElementById('calendarioLista'),
+            formTitulo: document.getElementById('calendarioFormTitulo'),
+            tipo: document.getElementById('calendarioTipo'),
+            nome: document.getElementById('calendarioNome'),
+            turmas: document.getElementById('calendarioTurmas'),
+            cargaHoraria: document.getElementById('calendarioCargaHoraria'),
+            horasPorDia: document.getElementById('calendarioHorasDia'),
+            inicio: document.getElementById('calendarioInicio'),
+            fim: document.getElementById('calendarioFim'),
+            diasSemana: document.getElementById('calendarioDiasSemana'),
+            semAula: document.getElementById('calendarioSemAula'),
+            status: document.getElementById('calendarioStatus'),
+            btnSalvar: document.getElementById('btnSalvarCalendario'),
+            btnNovo: document.getElementById('btnNovoCalendario'),
+            btnFechar: document.getElementById('btnFecharCalendarios')
+        };
+
+        // Chave do cadastro em edição (null = novo cadastro)
+        this.editandoChave = null;
+
+        this.init();
+    }
+
+    /**
+     * Inicializa os event listeners e envia o cadastro salvo para o processamento
+     */
+    init() {
+        this.criarDiasSemana();
+        this.renderResumo();
+
+        this.elements.btnGerenciar.addEventListener('click', () => this.abrirEditor());
+        this.elements.btnFechar.addEventListener('click', () => this.fecharEditor());
+        this.elements.btnNovo.addEventListener('click', () => this.preencherFormulario(null));
+        this.elements.btnSalvar.addEventListener('click', () => this.salvar());
+        this.elements.btnExportar.addEventListener('click', () => this.exportar());
+        this.elements.btnImportar.addEventListener('click', () => this.elements.arquivo.click());
+        this.elements.arquivo.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.importar(file);
+        });
+        this.elements.nome.addEventListener('focus', () => this.renderSugestoesTurmas());
+
+        this.dataService.definirCalendarios(this.model.getConfig()).catch(error => {
+            console.warn('Não foi possível aplicar o cadastro de carga horária:', error);
+        });
+    }
+
+    /**
+     * Cria as caixas de seleção dos dias da semana
+     */
+    criarDiasSemana() {
+        const nomes = ['Domingo', 'Segunda', 'Terça', 'Quarta', 'Quinta', 'Sexta', 'Sábado'];
+        nomes.forEach((nome, dia) => {
+            const item = document.createElement('div');
+            item.className = 'checkbox-item';
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.id = `calendario-dia-${dia}`;
+            input.value = dia;
+            const label = document.createElement('label');
+            label.htmlFor = input.id;
+            label.textContent = nome;
+            item.appendChild(input);
+            item.appendChild(label);
+            this.elements.diasSemana.appendChild(item);
+        });
+    }
+
+    /**
+     * Envia o cadastro ao processamento e atualiza a tela
+     * @param {string} mensagem - Mensagem exibida após aplicar
+     */
+    async aplicar(mensagem) {
+        try {
+            await this.dataService.definirCalendarios(this.model.getConfig());
+            if (this.onAlteracao) this.onAlteracao();
+            this.renderResumo();
+            this.renderLista();
+            this.showStatus(mensagem, 'success');
+        } catch (error) {
+            this.showStatus(`Erro ao aplicar: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Quantidade de turmas/cursos cadastrados
+     */
+    renderResumo() {
+        const calendarios = this.model.getCalendarios();
+        const turmas = calendarios.filter(c => c.tipo === this.model.TIPO_TURMA).length;
+        const cursos = calendarios.length - turmas;
+        this.elements.resumo.textContent = calendarios.length === 0
+            ? 'Nenhuma turma ou curso cadastrado'
+            : [
+                turmas > 0 ? `${turmas} ${turmas === 1 ? 'turma' : 'turmas'}` : '',
+                cursos > 0 ? `${cursos} ${cursos === 1 ? 'curso' : 'cursos'}` : ''
+            ].filter(t => t).join(' e ') + ' com calendário';
+        this.elements.btnExportar.disabled = calendarios.length === 0;
+    }
+
+    /**
+     * Abre o painel com a lista de cadastros e o formulário vazio
+     */
+    abrirEditor() {
+        this.renderLista();
+        this.preencherFormulario(null);
+        this.showStatus('', 'info');
+        this.elements.editor.style.display = 'flex';
+    }
+
+    /**
+     * Fecha o painel
+     */
+    fecharEditor() {
+        this.elements.editor.style.display = 'none';
+        this.editandoChave = null;
+        this.showStatus('', 'info');
+    }
+
+    /**
+     * Lista os cadastros com as ações de editar e excluir
+     */
+    renderLista() {
+        this.elements.lista.innerHTML = '';
+        this.model.getCalendarios().forEach(calendario => {
+            const item = document.createElement('div');
+            item.className = 'identity-item';
+            const descricao = document.createElement('p');
+            descricao.textContent = this.descreverCalendario(calendario);
+            const acoes = document.createElement('div');
+            acoes.className = 'panel-actions';
+            acoes.appendChild(this.criarBotao('Editar', 'btn-secondary', () => this.preencherFormulario(calendario)));
+            acoes.appendChild(this.criarBotao('Excluir', 'btn-danger', () => {
+                if (!confirm(`Excluir o calendário de ${calendario.nome}?`)) return;
+                this.model.remover(this.model.getChave(calendario));
+                if (this.editandoChave === this.model.getChave(calendario)) this.preencherFormulario(null);
+                this.aplicar(`Calendário de ${calendario.nome} excluído.`);
+            }));
+            item.appendChild(descricao);
+            item.appendChild(acoes);
+            this.elements.lista.appendChild(item);
+        });
+    }
+
+    /**
+     * Texto de um cadastro: turma/curso, carga horária, horas por dia, dias, período e datas sem aula
+     */
+    descreverCalendario(c) {
+        return [
+            `${c.tipo === this.model.TIPO_TURMA ? 'Turma' : 'Curso'} ${c.nome}`,
+            c.cargaHoraria !== null ? `${c.cargaHoraria} h de curso` : '',
+            c.horasPorDia !== null ? `${c.horasPorDia} h por dia` : 'horas por dia do perfil',
+            this.model.diasSemanaParaTexto(c.diasSemana),
+            c.dataInicio || c.dataFim ? `${c.dataInicio || '...'} a ${c.dataFim || '...'}` : '',
+            c.datasSemAula.length > 0 ? `${c.datasSemAula.length} ${c.datasSemAula.length === 1 ? 'data' : 'datas'} sem aula` : ''
+        ].filter(t => t).join(' · ');
+    }
+
+    /**
+     * Preenche o formulário com um cadastro (null = novo cadastro)
+     */
+    preencherFormulario(calendario) {
+        const c = calendario || {
+            tipo: this.model.TIPO_TURMA,
+            nome: '',
+            cargaHoraria: null,
+            horasPorDia: null,
+            diasSemana: this.model.DIAS_SEMANA_PADRAO,
+            dataInicio: null,
+            dataFim: null,
+            datasSemAula: []
+        };
+        this.editandoChave = calendario ? this.model.getChave(calendario) : null;
+        this.elements.formTitulo.textContent = calendario ? `Editando ${calendario.nome}` : 'Novo cadastro';
+        this.elements.tipo.value = c.tipo;
+        this.elements.nome.value = c.nome;
+        this.elements.cargaHoraria.value = c.cargaHoraria === null ? '' : c.cargaHoraria;
+        this.elements.horasPorDia.value = c.horasPorDia === null ? '' : c.horasPorDia;
+        this.elements.inicio.value = c.dataInicio || '';
+        this.elements.fim.value = c.dataFim || '';
+        this.elements.semAula.value = c.datasSemAula.join('\n');
+        this.elements.diasSemana.querySelectorAll('input').forEach(input => {
+            input.checked = c.diasSemana.includes(Number(input.value));
+        });
+    }
+
+    /**
+     * Sugestões do campo de turma: turmas APR carregadas
+     */
+    renderSugestoesTurmas() {
+        this.elements.turmas.innerHTML = '';
+        if (!this.dataModel.isDataLoaded()) return;
+        this.dataModel.getTodasTurmasAPR().forEach(turma => {
+            const option = document.createElement('option');
+            option.value = turma;
+            this.elements.turmas.appendChild(option);
+        });
+    }
+
+    /**
+     * Lê o formulário e salva o cadastro
+     */
+    salvar() {
+        try {
+            const calendario = this.model.salvar({
+                tipo: this.elements.tipo.value,
+                nome: this.elements.nome.value,
+                cargaHoraria: this.elements.cargaHoraria.value,
+                horasPorDia: this.elements.horasPorDia.value,
+                diasSemana: Array.from(this.elements.diasSemana.querySelectorAll('input:checked')).map(i => Number(i.value)),
+                dataInicio: this.elements.inicio.value,
+                dataFim: this.elements.fim.value,
+                datasSemAula: this.model.textoParaDatas(this.elements.semAula.value)
+            }, this.editandoChave);
+            this.preencherFormulario(null);
+            this.aplicar(`Calendário de ${calendario.nome} salvo.`);
+        } catch (error) {
+            this.showStatus(error.message, 'error');
+        }
+    }
+
+    /**
+     * Importa cadastros de um arquivo CSV
+     */
+    async importar(file) {
+        try {
+            const { importados, erros } = this.model.importarCSV(await file.text());
+            if (this.elements.editor.style.display === 'none') this.abrirEditor();
+            if (importados === 0) {
+                this.showStatus(`Nenhum cadastro importado. ${erros.slice(0, 3).join(' ')}`, 'error');
+                return;
+            }
+            await this.aplicar(`${importados} ${importados === 1 ? 'cadastro importado' : 'cadastros importados'} de ${file.name}.`);
+            if (erros.length > 0) {
+                this.showStatus(`${importados} importados; ${erros.length} ${erros.length === 1 ? 'linha ignorada' : 'linhas ignoradas'}. ${erros.slice(0, 3).join(' ')}`, 'error');
+            }
+        } catch (error) {
+            this.showStatus(`Erro ao importar: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Baixa o cadastro em CSV (mesmo formato da importação)
+     */
+    exportar() {
+        // BOM para o Excel reconhecer os acentos
+        const blob = new Blob(['\uFEFF' + this.model.exportarCSV()], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'calendarios_turmas.csv';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Cria um botão de ação da lista
+     */
+    criarBotao(texto, classe, onClick) {
+        const botao = document.createElement('button');
+        botao.type = 'button';
+        botao.className = `btn ${classe} btn-sm`;
+        botao.textContent = texto;
+        botao.addEventListener('click', onClick);
+        return botao;
+    }
+
+    /**
+     * Mostra mensagem no painel
+     */
+    showStatus(message, type) {
+        this.elements.status.textContent = message;
+        this.elements.status.className = 'file-status';
+        if (message) {
+            this.elements.status.classList.add(type);
+        }
+    }
+}
@@ -0,0 +1,272 @@
+/**
+ * DatasetStorageController - Controller dos conjuntos de dados e do histórico de relatórios
+ * Responsável por: salvar no navegador o dataset carregado a cada alteração, reabrir um conjunto
+ * salvo sem novo upload e listar os relatórios gerados para gerá-los novamente
+ */
+class DatasetStorageController {
+    /**
+     * @param {DatasetStorageModel} storageModel - Conjuntos e histórico salvos (IndexedDB)
+     * @param {DataService} dataService - Exporta e substitui o dataset (Web Worker ou local)
+     */
+    constructor(storageModel, dataService) {
+        this.model = storageModel;
+        this.dataService = dataService;
+
+        // Chamado após reabrir um conjunto: (conjunto, resumo) => void (definido pelo FrequencyController)
+        this.onConjuntoAberto = null;
+        // Chamado para gerar novamente um relatório do histórico: (entrada) => Promise
+        this.onRegerar = null;
+
+        // Elementos DOM
+        this.elements = {
+            conjuntos: document.getElementById('conjuntosSalvos'),
+            conjuntoSelect: document.getElementById('conjuntoSelect'),
+            btnAbrir: document.getElementById('btnAbrirConjunto'),
+            btnExcluir: document.getElementById('btnExcluirConjunto'),
+            conjuntoStatus: document.getElementById('conjuntoStatus'),
+            historicoPanel: document.getElementById('historicoPanel'),
+            historicoLista: document.getElementById('historicoLista'),
+            historicoStatus: document.getElementById('historicoStatus'),
+            btnLimparHistorico: document.getElementById('btnLimparHistorico')
+        };
+
+        // Conjunto salvo que corresponde ao dataset carregado (null = nenhum)
+        this.conjuntoAtual = null;
+        // Gravações em sequência: uploads seguidos atualizam o mesmo conjunto
+        this.fila = Promise.resolve();
+
+        this.init();
+    }
+
+    /**
+     * Inicializa os event listeners e lista o que já está salvo
+     */
+    init() {
+        if (!this.model.disponivel()) {
+            console.warn('⚠️ IndexedDB indisponível: conjuntos de dados e histórico de relatórios não serão salvos.');
+            return;
+        }
+
+        this.elements.btnAbrir.addEventListener('click', () => {
+            // Erros já exibidos no status do conjunto
+            if (this.elements.conjuntoSelect.value) this.abrirConjunto(Number(this.elements.conjuntoSelect.value)).catch(() => {});
+        });
+        this.elements.btnExcluir.addEventListener('click', () => {
+            if (this.elements.conjuntoSelect.value) this.excluirConjunto(Number(this.elements.conjuntoSelect.value));
+        });
+        this.elements.btnLimparHistorico.addEventListener('click', () => {
+            if (!confirm('Apagar todo o histórico de relatórios?')) return;
+            this.enfileirar(async () => {
+                await this.model.limparHistorico();
+                await this.renderHistorico();
+            }, this.elements.historicoStatus);
+        });
+
+        this.enfileirar(() => Promise.all([this.renderConjuntos(), this.renderHistorico()]), this.elements.conjuntoStatus);
+    }
+
+    /**
+     * Executa uma tarefa depois das gravações pendentes; erros são exibidos no elemento informado
+     */
+    enfileirar(tarefa, elementoStatus) {
+        this.fila = this.fila.then(tarefa).catch(error => {
+            console.warn('Erro no armazenamento local:', error);
+            this.showStatus(elementoStatus, `Não foi possível acessar os dados salvos: ${error.message}`, 'error');
+        });
+        return this.fila;
+    }
+
+    /**
+     * Salva o dataset carregado (novo conjunto ou atualização do conjunto atual)
+     */
+    salvarDatasetAtual() {
+        if (!this.model.disponivel()) return Promise.resolve();
+        return this.enfileirar(async () => {
+            const dataset = await this.dataService.exportarDataset();
+            if (dataset.rawData.length === 0) {
+                // Todos os arquivos removidos: o conjunto salvo continua disponível para reabrir
+                this.conjuntoAtual = null;
+            } else {
+                this.conjuntoAtual = await this.model.salvarConjunto(dataset, this.conjuntoAtual ? this.conjuntoAtual.id : null);
+            }
+            await this.renderConjuntos();
+        }, this.elements.conjuntoStatus);
+    }
+
+    /**
+     * O dataset foi descartado ("Limpar dados"): o próximo upload cria um novo conjunto
+     */
+    descartarAtual() {
+        this.conjuntoAtual = null;
+        if (this.model.disponivel()) this.enfileirar(() => this.renderConjuntos(), this.elements.conjuntoStatus);
+    }
+
+    /**
+     * Substitui o dataset carregado por um conjunto salvo
+     * @param {number} id - Conjunto
+     */
+    async abrirConjunto(id) {
+        await this.fila;
+        const conjunto = (await this.model.listarConjuntos()).find(c => c.id === id);
+        if (!conjunto) throw new Error('conjunto de dados não encontrado (pode ter sido excluído).');
+
+        this.showStatus(this.elements.conjuntoStatus, `Abrindo ${conjunto.nome}...`, 'loading');
+        this.elements.btnAbrir.disabled = true;
+        try {
+            const resumo = await this.dataService.importarDataset(await this.model.carregarConjunto(id));
+            this.conjuntoAtual = conjunto;
+            this.showStatus(this.elements.conjuntoStatus, '', 'info');
+            if (this.onConjuntoAberto) this.onConjuntoAberto(conjunto, resumo);
+            await this.renderConjuntos();
+        } catch (error) {
+            this.showStatus(this.elements.conjuntoStatus, `Erro ao abrir o conjunto: ${error.message}`, 'error');
+            throw error;
+        } finally {
+            this.elements.btnAbrir.disabled = false;
+        }
+    }
+
+    /**
+     * Exclui um conjunto salvo (os dados carregados na tela continuam)
+     */
+    excluirConjunto(id) {
+        const opcao = this.elements.conjuntoSelect.querySelector(`option[value="${id}"]`);
+        if (!confirm(`Excluir o conjunto salvo "${opcao ? opcao.dataset.nome : id}"?`)) return Promise.resolve();
+        return this.enfileirar(async () => {
+            await this.model.removerConjunto(id);
+            if (this.conjuntoAtual && this.conjuntoAtual.id === id) this.conjuntoAtual = null;
+            await this.renderConjuntos();
+        }, this.elements.conjuntoStatus);
+    }
+
+    /**
+     * Acrescenta um relatório gerado ao histórico
+     * @param {Object} pedido - {empresa, turma, filtros, perfil, abasPorMes, periodoComparacao}
+     * @param {string} titulo - Título da prévia
+     * @param {number} totalAlunos - Alunos no relatório
+     */
+    registrarRelatorio(pedido, titulo, totalAlunos) {
+        if (!this.model.disponivel()) return Promise.resolve();
+        return this.enfileirar(async () => {
+            await this.model.adicionarHistorico({
+                geradoEm: new Date().toISOString(),
+                titulo,
+                conjuntoId: this.conjuntoAtual ? this.conjuntoAtual.id : null,
+                conjuntoNome: this.conjuntoAtual ? this.conjuntoAtual.nome : '',
+                empresa: pedido.empresa,
+                turma: pedido.turma,
+                filtros: pedido.filtros,
+                perfil: pedido.perfil,
+                abasPorMes: pedido.abasPorMes,
+                periodoComparacao: pedido.periodoComparacao || null,
+                totalAlunos
+            });
+            await this.renderHistorico();
+        }, this.elements.historicoStatus);
+    }
+
+    /**
+     * Gera novamente um relatório do histórico, reabrindo o conjunto de dados dele se outro estiver carregado
+     */
+    async regerar(entrada) {
+        try {
+            const outroConjunto = entrada.conjuntoId !== null && (!this.conjuntoAtual || this.conjuntoAtual.id !== entrada.conjuntoId);
+            if (outroConjunto) await this.abrirConjunto(entrada.conjuntoId);
+            this.showStatus(this.elements.historicoStatus, '', 'info');
+            if (this.onRegerar) await this.onRegerar(entrada);
+        } catch (error) {
+            this.showStatus(this.elements.historicoStatus, `Não foi possível gerar novamente: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Preenche a lista de conjuntos salvos
+     */
+    async renderConjuntos() {
+        const conjuntos = await this.model.listarConjuntos();
+        const select = this.elements.conjuntoSelect;
+        select.innerHTML = '';
+        conjuntos.forEach(conjunto => {
+            const option = document.createElement('option');
+            option.value = conjunto.id;
+            option.dataset.nome = conjunto.nome;
+            const atual = this.conjuntoAtual && this.conjuntoAtual.id === conjunto.id;
+            option.textContent = `${atual ? '● ' : ''}${conjunto.nome} — ${conjunto.registros} registros — enviado em ${this.formatarDataHora(conjunto.dataUpload)}`;
+            select.appendChild(option);
+        });
+        if (this.conjuntoAtual) select.value = this.conjuntoAtual.id;
+        this.elements.conjuntos.style.display = conjuntos.length > 0 ? '' : 'none';
+    }
+
+    /**
+     * Lista os relatórios gerados, com as ações de gerar novamente e excluir
+     */
+    async renderHistorico() {
+        const historico = await this.model.listarHistorico();
+        this.elements.historicoLista.innerHTML = '';
+        historico.forEach(entrada => {
+            const item = document.createElement('div');
+            item.className = 'identity-item';
+            const descricao = document.createElement('p');
+            descricao.textContent = this.descreverEntrada(entrada);
+            const acoes = document.createElement('div');
+            acoes.className = 'panel-actions';
+            acoes.appendChild(this.criarBotao('Gerar novamente', 'btn-primary', () => this.regerar(entrada)));
+            acoes.appendChild(this.criarBotao('Excluir', 'btn-danger', () => {
+                this.enfileirar(async () => {
+                    await this.model.removerHistorico(entrada.id);
+                    await this.renderHistorico();
+                }, this.elements.historicoStatus);
+            }));
+            item.appendChild(descricao);
+            item.appendChild(acoes);
+            this.elements.historicoLista.appendChild(item);
+        });
+        this.elements.historicoPanel.style.display = historico.length > 0 ? 'flex' : 'none';
+    }
+
+    /**
+     * Texto de uma entrada do histórico: título, status filtrados, alunos, perfil, conjunto e data
+     */
+    descreverEntrada(entrada) {
+        const status = Array.isArray(entrada.filtros.statusList) ? `status: ${entrada.filtros.statusList.join(', ') || 'nenhum'}` : '';
+        return [
+            entrada.titulo,
+            status,
+            `${entrada.totalAlunos} ${entrada.totalAlunos === 1 ? 'aluno' : 'alunos'}`,
+            entrada.perfil ? `perfil ${entrada.perfil.nome}` : '',
+            entrada.conjuntoNome ? `dados: ${entrada.conjuntoNome}` : '',
+            `gerado em ${this.formatarDataHora(entrada.geradoEm)}`
+        ].filter(t => t).join(' · ');
+    }
+
+    /**
+     * Data e hora (ISO) no padrão brasileiro
+     */
+    formatarDataHora(iso) {
+        return new Date(iso).toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' });
+    }
+
+    /**
+     * Cria um botão de ação da lista
+     */
+    criarBotao(texto, classe, onClick) {
+        const botao = document.createElement('button');
+        botao.type = 'button';
+        botao.className = `btn ${classe} btn-sm`;
+        botao.textContent = texto;
+        botao.addEventListener('click', onClick);
+        return botao;
+    }
+
+    /**
+     * Mostra mensagem em um dos elementos de status
+     */
+    showStatus(elemento, message, type) {
+        elemento.textContent = message;
+        elemento.className = 'file-status';
+        if (message) {
+            elemento.classList.add(type);
+        }
+    }
+}
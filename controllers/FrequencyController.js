@@ -3,31 +3,80 @@
  * Responsável por: gerenciar interações da UI, coordenar Model e View
  */
 class FrequencyController {
-    constructor(dataModel) {
+    /**
+     * @param {DataModel} dataModel - Model dos dados carregados
+     * @param {Object} colaboradores - {dataService, reportExcel}, controllers auxiliares opcionais {ruleProfiles, columnMapping, companyIdentity,
+     *        courseWorkload, datasetStorage, reportPresets, studentHistory}
+     *        e as views opcionais {reportPreview, reportPdf, attendanceGrid, dashboard}
+     */
+    constructor(dataModel, colaboradores = {}) {
         this.model = dataModel;
-        this.selectedEmpresa = null;
-        this.selectedTurma = null;
+        this.dataService = colaboradores.dataService;
+        this.reportExcel = colaboradores.reportExcel;
+        this.ruleProfiles = colaboradores.ruleProfiles || null;
+        this.columnMapping = colaboradores.columnMapping || null;
+        this.companyIdentity = colaboradores.companyIdentity || null;
+        this.courseWorkload = colaboradores.courseWorkload || null;
+        this.datasetStorage = colaboradores.datasetStorage || null;
+        this.reportPresets = colaboradores.reportPresets || null;
+        this.studentHistory = colaboradores.studentHistory || null;
+        this.reportPreview = colaboradores.reportPreview || null;
+        this.reportPdf = colaboradores.reportPdf || null;
+        this.attendanceGrid = colaboradores.attendanceGrid || null;
+        this.dashboard = colaboradores.dashboard || null;
+        // Último relatório gerado (exibido na prévia, aguardando download)
+        this.ultimoRelatorio = null;
+        // Empresas escolhidas no autocomplete (uma, um grupo ou [{cnpj: ALL_EMPRESAS}]) e turmas escolhidas
+        this.selectedEmpresas = [];
+        this.selectedTurmas = [];
         this.dateRange = null;
         this.flatpickrInstance = null;
+        // Período escolhido na opção "Outro período" da comparação
+        this.periodoComparacao = null;
+        this.flatpickrComparacao = null;
+        // Atualização do painel agendada (filtros alterados em sequência) e último cálculo pedido
+        this.timerPainel = null;
+        this.requisicaoPainel = 0;
         this.ALL_TURMAS = '__ALL__';
         this.ALL_EMPRESAS = '__ALL_EMPRESAS__';
+        this.LAYOUT_COLUNAS = 'colunas';
+        this.LAYOUT_ABAS = 'abas';
+        this.COMPARACAO_ANTERIOR = 'anterior';
+        this.COMPARACAO_PERSONALIZADA = 'personalizado';
+        this.FORMATO_EXCEL = 'xlsx';
+        this.FORMATO_PDF = 'pdf';
 
         // Elementos DOM
         this.elements = {
             fileInput: document.getElementById('csvFile'),
             fileLabel: document.querySelector('.file-name'),
             fileStatus: document.getElementById('fileStatus'),
+            conflitoSelect: document.getElementById('politicaConflito'),
+            arquivosList: document.getElementById('arquivosList'),
+            btnLimparArquivos: document.getElementById('btnLimparArquivos'),
+            qualidadePanel: document.getElementById('qualidadePanel'),
+            qualidadeTotal: document.getElementById('qualidadeTotal'),
+            qualidadeLista: document.getElementById('qualidadeLista'),
+            btnExportarInconsistencias: document.getElementById('btnExportarInconsistencias'),
             empresaInput: document.getElementById('empresa'),
             empresaDropdown: document.getElementById('empresaDropdown'),
+            empresaChips: document.getElementById('empresaChips'),
             turmaSelect: document.getElementById('turma'),
             statusGroup: document.getElementById('statusGroup'),
             statusCheckboxes: document.getElementById('statusCheckboxes'),
             statusSelectAll: document.getElementById('status-all'),
-            statusOptions: null, // será populado no init
+            statusOpcoes: document.getElementById('statusOpcoes'),
+            statusOptions: [], // criadas a partir dos status do dataset (ver renderStatusOptions)
             dataRangeInput: document.getElementById('dataRange'),
+            layoutSelect: document.getElementById('layoutRelatorio'),
+            comparacaoSelect: document.getElementById('comparacaoRelatorio'),
+            dataRangeComparacaoInput: document.getElementById('dataRangeComparacao'),
             btnProcessar: document.getElementById('btnProcessar'),
             statusPanel: document.getElementById('statusPanel'),
             statusMessage: document.getElementById('statusMessage'),
+            statusProgress: document.getElementById('statusProgress'),
+            statusProgressFill: document.getElementById('statusProgressFill'),
+            btnCancelarOperacao: document.getElementById('btnCancelarOperacao'),
             form: document.getElementById('frequencyForm')
         };
 
@@ -42,47 +91,320 @@ class FrequencyController {
         this.setupAutocomplete();
         this.setupTurmaSelect();
         this.setupStatusCheckboxes();
+        this.setupComparacao();
         this.setupFormSubmit();
+        this.setupCancelamento();
+
+        if (this.ruleProfiles) {
+            // FALTAS acima das horas do dia e status fora da lista dependem do perfil selecionado
+            this.ruleProfiles.onAlteracao = () => this.aplicarPerfilValidacao();
+            this.aplicarPerfilValidacao();
+        }
+        if (this.companyIdentity) {
+            // Unificar CNPJs ou trocar o nome de uma empresa altera empresas e turmas disponíveis
+            this.companyIdentity.onAlteracao = () => this.afterDatasetChange();
+        }
+        if (this.courseWorkload) {
+            // O relatório exibido foi calculado com o calendário anterior
+            this.courseWorkload.onAlteracao = () => this.limparPrevia();
+        }
+        if (this.datasetStorage) {
+            this.datasetStorage.onConjuntoAberto = (conjunto, resumo) => {
+                this.afterDatasetChange();
+                this.showFileStatus(`✓ ${conjunto.nome} reaberto: ${resumo.totalRegistros} registros, ${resumo.empresasAPR} empresas APR encontradas.`, 'success');
+            };
+            this.datasetStorage.onRegerar = entrada => this.executarRelatorio(entrada, false);
+        }
+        if (this.reportPresets) {
+            this.reportPresets.obterSelecao = () => this.getSelecaoModelo();
+            this.reportPresets.onAplicar = (modelo, periodo) => this.aplicarModelo(modelo, periodo);
+            this.reportPresets.onExecutar = itens => this.executarModelos(itens);
+        }
+        if (this.studentHistory) {
+            this.studentHistory.obterPerfil = () => this.getPerfilRegras();
+            this.studentHistory.cabecalho = ReportExcelView.CABECALHO_RELATORIO;
+        }
+        if (this.reportPreview) {
+            this.reportPreview.onDownload = formato => this.baixarRelatorio(formato);
+            this.reportPreview.onDownloadPorEmpresa = formato => this.baixarRelatoriosPorEmpresa(formato);
+            this.reportPreview.onExportarRisco = () => this.exportarAlunosEmRisco();
+        }
+        if (this.dashboard) {
+            this.dashboard.onAbrir = () => this.atualizarPainel();
+        }
+    }
+
+    /**
+     * Configura o botão de cancelamento do painel de status
+     */
+    setupCancelamento() {
+        this.elements.btnCancelarOperacao.addEventListener('click', () => {
+            this.dataService.cancelar();
+            // Fechar o assistente de colunas, se estiver aguardando resposta
+            if (this.columnMapping) this.columnMapping.fechar(null);
+        });
     }
 
     /**
-     * Configura o upload de arquivo CSV
+     * Configura o upload de arquivos CSV (um ou vários; cada seleção é mesclada ao dataset)
      */
     setupFileUpload() {
         this.elements.fileInput.addEventListener('change', async (e) => {
-            const file = e.target.files[0];
-            if (!file) return;
+            const files = Array.from(e.target.files || []);
+            if (files.length === 0) return;
+
+            const politica = this.elements.conflitoSelect ? this.elements.conflitoSelect.value : undefined;
+            const mensagens = [];
+            let erros = 0;
+
+            for (const file of files) {
+                // Validar tipo de arquivo (aceita .csv ou .CSV)
+                const fileName = file.name.toLowerCase();
+                if (!fileName.endsWith('.csv') && file.type !== 'text/csv' && file.type !== 'application/vnd.ms-excel') {
+                    mensagens.push(`${file.name}: não é um arquivo CSV válido.`);
+                    erros++;
+                    continue;
+                }
 
-            // Atualizar nome do arquivo
-            this.elements.fileLabel.textContent = file.name;
+                // Mostrar status de carregamento
+                this.showFileStatus(`Carregando ${file.name}...`, 'loading');
+                this.showStatus(`Lendo ${file.name}...`, 0, true);
 
-            // Validar tipo de arquivo (aceita .csv ou .CSV)
-            const fileName = file.name.toLowerCase();
-            if (!fileName.endsWith('.csv') && file.type !== 'text/csv' && file.type !== 'application/vnd.ms-excel') {
-                this.showFileStatus('Erro: Por favor, selecione um arquivo CSV válido.', 'error');
-                this.resetForm();
-                return;
+                try {
+                    // O assistente de mapeamento é aberto quando há colunas fora do padrão
+                    const resolverColunas = this.columnMapping
+                        ? (headers, nome, amostra) => this.columnMapping.resolver(headers, nome, amostra)
+                        : null;
+                    const result = await this.dataService.carregarCSV(file, politica, resolverColunas, (percentual, etapa) => {
+                        this.showStatus(etapa, percentual, true);
+                    });
+                    const a = result.arquivo;
+                    let msg = `✓ ${a.nome}: ${a.adicionados} registros adicionados`;
+                    if (a.duplicados > 0) {
+                        msg += ` (${a.duplicados} duplicados: ${a.substituidos} substituídos, ${a.ignorados} ignorados)`;
+                    }
+                    if (a.inconsistencias && a.inconsistencias.total > 0) {
+                        msg += ` — ⚠️ ${a.inconsistencias.total} inconsistências`;
+                    }
+                    mensagens.push(msg);
+                } catch (error) {
+                    if (error.cancelado) {
+                        // Cancelamento interrompe também os arquivos restantes da seleção
+                        mensagens.push(`${file.name}: importação cancelada.`);
+                        erros++;
+                        break;
+                    }
+                    mensagens.push(`${file.name}: ${error.message}`);
+                    erros++;
+                }
             }
 
-            // Mostrar status de carregamento
-            this.showFileStatus('Carregando arquivo...', 'loading');
+            this.hideStatus();
+            // Permitir selecionar novamente o mesmo arquivo
+            this.elements.fileInput.value = '';
+            this.afterDatasetChange();
+            // Guardar o dataset no navegador (reabrir sem novo upload)
+            if (this.datasetStorage && this.model.isDataLoaded()) this.datasetStorage.salvarDatasetAtual();
 
-            try {
-                const result = await this.model.loadCSV(file);
-                this.showFileStatus(
-                    `✓ Arquivo carregado com sucesso! ${result.totalRegistros} registros, ${result.empresasAPR} empresas APR encontradas.`,
-                    'success'
-                );
+            if (this.model.isDataLoaded()) {
+                const totais = `Total: ${this.model.getTotalRegistros()} registros, ${this.model.empresasAPR.size} empresas APR encontradas.`;
+                this.showFileStatus(`${mensagens.join('\n')}\n${totais}`, erros > 0 ? 'error' : 'success');
+            } else {
+                this.showFileStatus(`Erro ao carregar arquivo: ${mensagens.join('\n')}`, 'error');
+            }
+        });
 
-                // Habilitar campo de empresa
-                this.elements.empresaInput.disabled = false;
-                this.elements.empresaInput.focus();
+        if (this.elements.btnLimparArquivos) {
+            this.elements.btnLimparArquivos.addEventListener('click', async () => {
+                await this.resetForm();
+                this.renderArquivos();
+                this.showFileStatus('', 'info');
+                if (this.datasetStorage) this.datasetStorage.descartarAtual();
+            });
+        }
 
-            } catch (error) {
-                this.showFileStatus(`Erro ao carregar arquivo: ${error.message}`, 'error');
-                this.resetForm();
+        if (this.elements.btnExportarInconsistencias) {
+            this.elements.btnExportarInconsistencias.addEventListener('click', () => this.exportarInconsistencias());
+        }
+    }
+
+    /**
+     * Atualiza a UI após mudança no dataset (arquivo adicionado ou removido)
+     */
+    afterDatasetChange() {
+        this.resetSelecoes();
+        this.limparPrevia();
+        this.renderArquivos();
+        this.renderStatusOptions();
+        this.agendarAtualizacaoPainel();
+        if (this.studentHistory) this.studentHistory.atualizar();
+
+        if (this.model.isDataLoaded()) {
+            // Habilitar campo de empresa
+            this.elements.empresaInput.disabled = false;
+            this.elements.empresaInput.focus();
+        }
+    }
+
+    /**
+     * Refaz as verificações que dependem do perfil de regras e atualiza a lista de arquivos
+     */
+    async aplicarPerfilValidacao() {
+        try {
+            await this.dataService.definirPerfilValidacao(this.getPerfilRegras());
+            this.renderArquivos();
+        } catch (error) {
+            this.showFileStatus(`Erro ao aplicar o perfil de regras: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Lista os arquivos mesclados no dataset, com opção de remover cada um
+     */
+    renderArquivos() {
+        const lista = this.elements.arquivosList;
+        if (!lista) return;
+        const arquivos = this.model.getArquivos();
+        lista.innerHTML = '';
+
+        arquivos.forEach(arquivo => {
+            const item = document.createElement('li');
+            item.className = 'file-list-item';
+
+            const info = document.createElement('span');
+            info.textContent = `${arquivo.nome} — ${arquivo.registrosAtuais} registros`;
+            if (arquivo.duplicados > 0) {
+                info.textContent += ` (${arquivo.duplicados} duplicados)`;
+            }
+            if (arquivo.inconsistencias && arquivo.inconsistencias.total > 0) {
+                info.textContent += ` — ⚠️ ${arquivo.inconsistencias.total} inconsistências`;
             }
+
+            const btnRemover = document.createElement('button');
+            btnRemover.type = 'button';
+            btnRemover.className = 'file-list-remove';
+            btnRemover.title = 'Remover arquivo do conjunto de dados';
+            btnRemover.textContent = '×';
+            btnRemover.addEventListener('click', async () => {
+                try {
+                    await this.dataService.removerArquivo(arquivo.nome);
+                } catch (error) {
+                    this.showFileStatus(`Erro ao remover arquivo: ${error.message}`, 'error');
+                }
+                this.afterDatasetChange();
+                if (this.datasetStorage) this.datasetStorage.salvarDatasetAtual();
+                if (!this.model.isDataLoaded()) {
+                    await this.resetForm();
+                    this.renderArquivos();
+                    this.showFileStatus('', 'info');
+                }
+            });
+
+            item.appendChild(info);
+            item.appendChild(btnRemover);
+            lista.appendChild(item);
+        });
+
+        this.elements.fileLabel.textContent = arquivos.length === 0
+            ? 'Nenhum arquivo selecionado'
+            : arquivos.length === 1 ? arquivos[0].nome : `${arquivos.length} arquivos carregados`;
+        if (this.elements.btnLimparArquivos) {
+            this.elements.btnLimparArquivos.style.display = arquivos.length > 0 ? '' : 'none';
+        }
+        this.renderQualidade(arquivos);
+        if (this.companyIdentity) this.companyIdentity.render();
+    }
+
+    /**
+     * Mostra o resumo de qualidade dos dados (inconsistências por tipo, somando todos os arquivos)
+     * @param {Array} arquivos - Retorno de DataModel.getArquivos
+     */
+    renderQualidade(arquivos) {
+        const painel = this.elements.qualidadePanel;
+        if (!painel) return;
+
+        const porTipo = {};
+        let total = 0;
+        let arquivosComProblemas = 0;
+        arquivos.forEach(arquivo => {
+            const resumo = arquivo.inconsistencias;
+            if (!resumo || resumo.total === 0) return;
+            total += resumo.total;
+            arquivosComProblemas++;
+            Object.keys(resumo.porTipo).forEach(tipo => {
+                porTipo[tipo] = (porTipo[tipo] || 0) + resumo.porTipo[tipo];
+            });
         });
+
+        if (total === 0) {
+            painel.style.display = 'none';
+            return;
+        }
+
+        this.elements.qualidadeTotal.textContent =
+            `${total} inconsistências em ${arquivosComProblemas} ${arquivosComProblemas === 1 ? 'arquivo' : 'arquivos'}`;
+        this.elements.qualidadeLista.innerHTML = '';
+        Object.keys(DataModel.TIPOS_INCONSISTENCIA).forEach(tipo => {
+            if (!porTipo[tipo]) return;
+            const item = document.createElement('li');
+            item.textContent = `${DataModel.TIPOS_INCONSISTENCIA[tipo]}: ${porTipo[tipo]}`;
+            this.elements.qualidadeLista.appendChild(item);
+        });
+        painel.style.display = 'flex';
+    }
+
+    /**
+     * Exporta as inconsistências dos arquivos carregados para Excel (aba "Inconsistências")
+     */
+    async exportarInconsistencias() {
+        try {
+            const lista = await this.dataService.getInconsistencias();
+            if (lista.length === 0) {
+                this.showFileStatus('Nenhuma inconsistência encontrada nos arquivos carregados.', 'info');
+                return;
+            }
+
+            const linhas = lista.map(item => ({
+                'ARQUIVO': item.arquivo,
+                'LINHA': item.linha === null ? '' : item.linha,
+                'CAMPO': item.campo,
+                'VALOR': item.valor,
+                'PROBLEMA': DataModel.TIPOS_INCONSISTENCIA[item.tipo] || item.tipo,
+                'DETALHE': item.descricao
+            }));
+            const wb = XLSX.utils.book_new();
+            const ws = this.reportExcel.criarPlanilhaRelatorio(linhas, '', `Inconsistências dos arquivos carregados (${lista.length})`);
+            XLSX.utils.book_append_sheet(wb, ws, 'Inconsistências');
+            XLSX.writeFile(wb, `inconsistencias_frequencia_${Date.now()}.xlsx`);
+        } catch (error) {
+            this.showFileStatus(`Erro ao exportar inconsistências: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Exporta para Excel os alunos em risco ou em atenção do relatório exibido (acompanhamento)
+     */
+    exportarAlunosEmRisco() {
+        if (!this.ultimoRelatorio) return;
+        const { resultado } = this.ultimoRelatorio;
+        const lista = this.model.listarAlunosEmRisco(resultado.relatorio);
+        if (lista.length === 0) return;
+
+        try {
+            const rotuloPeriodo = this.reportExcel.getRotuloPeriodo(resultado.meses);
+            const wb = XLSX.utils.book_new();
+            const ws = this.reportExcel.criarPlanilhaRelatorio(
+                this.reportExcel.montarLinhasRisco(lista),
+                rotuloPeriodo,
+                `Alunos em Risco por Horas de Ausência - ${rotuloPeriodo}`
+            );
+            this.reportExcel.destacarSituacoes(ws, lista);
+            XLSX.utils.book_append_sheet(wb, ws, 'Alunos em Risco');
+            XLSX.writeFile(wb, `alunos_em_risco_${Date.now()}.xlsx`);
+        } catch (error) {
+            alert('Erro ao exportar alunos em risco: ' + error.message);
+            console.error(error);
+        }
     }
 
     /**
@@ -132,6 +454,9 @@ class FrequencyController {
                 }
             } else if (e.key === 'Escape') {
                 this.hideAutocomplete();
+            } else if (e.key === 'Backspace' && !e.target.value && this.selectedEmpresas.length > 0) {
+                // Campo vazio: remover a última empresa escolhida
+                this.removerEmpresa(this.selectedEmpresas[this.selectedEmpresas.length - 1].cnpj);
             }
         });
     }
@@ -140,7 +465,9 @@ class FrequencyController {
      * Mostra resultados do autocomplete
      */
     showAutocompleteResults(searchTerm) {
-        const empresas = this.model.buscarEmpresas(searchTerm);
+        // Empresas já escolhidas aparecem como chips, fora da lista
+        const escolhidas = new Set(this.selectedEmpresas.map(e => e.cnpj));
+        const empresas = this.model.buscarEmpresas(searchTerm).filter(e => !escolhidas.has(e.cnpj));
         this.elements.empresaDropdown.innerHTML = '';
 
         if (empresas.length === 0) {
@@ -167,14 +494,22 @@ class FrequencyController {
             item.dataset.cnpj = empresa.cnpj;
             item.dataset.nome = empresa.nome;
 
-            // Destacar termo de busca
-            const nomeHTML = this.highlightMatch(empresa.nome, searchTerm);
-            const cnpjHTML = this.highlightMatch(this.formatCNPJ(empresa.cnpj), searchTerm);
+            // Com vários arquivos carregados, indicar de quais arquivos vêm os registros da empresa
+            const origem = this.model.arquivos.size > 1 && empresa.arquivos.length > 0
+                ? ` · ${empresa.arquivos.join(', ')}`
+                : '';
+            const alerta = empresa.cnpjValido ? '' : ' · ⚠️ CNPJ inválido';
+
+            // Nome da empresa e dos arquivos vêm do CSV: montados como texto, com o termo de busca destacado
+            const nome = document.createElement('span');
+            nome.className = 'autocomplete-item-name';
+            nome.appendChild(this.highlightMatch(empresa.nome, searchTerm));
 
-            item.innerHTML = `
-                <span class="autocomplete-item-name">${nomeHTML}</span>
-                <span class="autocomplete-item-cnpj">CNPJ: ${cnpjHTML}</span>
-            `;
+            const cnpj = document.createElement('span');
+            cnpj.className = 'autocomplete-item-cnpj';
+            cnpj.append('CNPJ: ', this.highlightMatch(this.formatCNPJ(empresa.cnpj), searchTerm), `${alerta}${origem}`);
+
+            item.append(nome, cnpj);
 
             item.addEventListener('click', () => {
                 this.selectEmpresa(empresa);
@@ -188,11 +523,30 @@ class FrequencyController {
 
     /**
      * Destaca termo de busca no texto
+     * @returns {DocumentFragment} - Texto com as ocorrências do termo em <mark> (sem interpretar HTML)
      */
     highlightMatch(text, term) {
-        if (!term) return text;
-        const regex = new RegExp(`(${term})`, 'gi');
-        return text.replace(regex, '<mark>$1</mark>');
+        const fragmento = document.createDocumentFragment();
+        const texto = String(text || '');
+        if (!term) {
+            fragmento.append(texto);
+            return fragmento;
+        }
+        // Termo digitado tratado como texto (caracteres como "(" ou "." não são expressão regular)
+        const termoEscapado = String(term).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const regex = new RegExp(`(${termoEscapado})`, 'gi');
+        texto.split(regex).forEach((parte, idx) => {
+            if (!parte) return;
+            // split com grupo de captura: posições ímpares são as ocorrências do termo
+            if (idx % 2 === 1) {
+                const mark = document.createElement('mark');
+                mark.textContent = parte;
+                fragmento.appendChild(mark);
+            } else {
+                fragmento.append(parte);
+            }
+        });
+        return fragmento;
     }
 
     /**
@@ -204,30 +558,93 @@ class FrequencyController {
     }
 
     /**
-     * Seleciona "Todas as Empresas"
+     * Seleciona "Todas as Empresas" (substitui as empresas escolhidas)
      */
     selectTodasEmpresas() {
-        this.selectedEmpresa = {
+        this.selectedEmpresas = [{
             cnpj: this.ALL_EMPRESAS,
             nome: 'Todas as Empresas'
-        };
-        this.elements.empresaInput.value = '📊 Todas as Empresas';
-        this.hideAutocomplete();
-
-        // Carregar todas as turmas
-        this.loadTodasTurmas();
+        }];
+        this.atualizarEmpresas();
     }
 
     /**
-     * Seleciona uma empresa
+     * Acrescenta uma empresa às escolhidas (relatório de um grupo de empresas)
      */
     selectEmpresa(empresa) {
-        this.selectedEmpresa = empresa;
-        this.elements.empresaInput.value = `${empresa.nome} - ${this.formatCNPJ(empresa.cnpj)}`;
+        this.selectedEmpresas = this.selectedEmpresas
+            .filter(e => e.cnpj !== this.ALL_EMPRESAS && e.cnpj !== empresa.cnpj)
+            .concat([empresa]);
+        this.atualizarEmpresas();
+    }
+
+    /**
+     * Remove uma empresa das escolhidas
+     */
+    removerEmpresa(cnpj) {
+        this.selectedEmpresas = this.selectedEmpresas.filter(e => e.cnpj !== cnpj);
+        this.atualizarEmpresas();
+    }
+
+    /**
+     * Atualiza os chips e as turmas após mudar as empresas escolhidas
+     */
+    atualizarEmpresas() {
+        this.elements.empresaInput.value = '';
         this.hideAutocomplete();
+        this.renderEmpresaChips();
+        this.agendarAtualizacaoPainel();
+
+        if (this.selectedEmpresas.length === 0) {
+            this.elements.turmaSelect.innerHTML = '<option value="" disabled>Selecione uma empresa primeiro</option>';
+            this.elements.turmaSelect.disabled = true;
+            this.atualizarTurmas();
+            return;
+        }
+        // Carregar turmas das empresas
+        this.loadTurmas();
+    }
+
+    /**
+     * Mostra as empresas escolhidas como chips removíveis
+     */
+    renderEmpresaChips() {
+        const container = this.elements.empresaChips;
+        container.innerHTML = '';
+        this.selectedEmpresas.forEach(empresa => {
+            const chip = document.createElement('span');
+            chip.className = 'chip';
+            chip.textContent = empresa.cnpj === this.ALL_EMPRESAS
+                ? '📊 Todas as Empresas'
+                : `${empresa.nome} - ${this.formatCNPJ(empresa.cnpj)}`;
+            const remover = document.createElement('button');
+            remover.type = 'button';
+            remover.className = 'chip-remover';
+            remover.textContent = '×';
+            remover.setAttribute('aria-label', `Remover ${empresa.nome}`);
+            remover.addEventListener('click', () => this.removerEmpresa(empresa.cnpj));
+            chip.appendChild(remover);
+            container.appendChild(chip);
+        });
+        this.elements.empresaInput.placeholder = this.selectedEmpresas.length > 0
+            ? 'Acrescentar outra empresa...'
+            : 'Digite o CNPJ ou nome da empresa...';
+    }
 
-        // Carregar turmas da empresa
-        this.loadTurmas(empresa.cnpj);
+    /**
+     * Empresa do relatório a partir das empresas escolhidas
+     * @param {Array<Object>} lista - Empresas escolhidas (padrão: as do formulário)
+     * @returns {Object|null} - {cnpj, nome}: cnpj ALL_EMPRESAS (todas), um CNPJ ou, para um grupo,
+     *          a lista de CNPJs; null se nenhuma empresa foi escolhida
+     */
+    getEmpresaSelecionada(lista = this.selectedEmpresas) {
+        if (lista.length === 0) return null;
+        if (lista.length === 1) return { cnpj: lista[0].cnpj, nome: lista[0].nome };
+        const nomes = lista.map(e => e.nome);
+        return {
+            cnpj: lista.map(e => e.cnpj),
+            nome: nomes.length <= 3 ? nomes.join(', ') : `${nomes.slice(0, 2).join(', ')} e mais ${nomes.length - 2} empresas`
+        };
     }
 
     /**
@@ -256,62 +673,47 @@ class FrequencyController {
     }
 
     /**
-     * Carrega todas as turmas de todas as empresas APR
+     * Carrega as turmas das empresas escolhidas (todas as turmas APR com "Todas as Empresas"),
+     * mantendo selecionadas as turmas que continuam disponíveis
      */
-    loadTodasTurmas() {
-        const todasTurmas = this.model.getTodasTurmasAPR();
-        
+    loadTurmas() {
+        const todas = this.selectedEmpresas.some(e => e.cnpj === this.ALL_EMPRESAS);
+        const turmas = todas
+            ? this.model.getTodasTurmasAPR()
+            : Array.from(new Set([].concat(...this.selectedEmpresas.map(e => this.model.getTurmasPorEmpresa(e.cnpj))))).sort();
+        const anteriores = new Set(this.selectedTurmas);
+
         // Limpar select
-        this.elements.turmaSelect.innerHTML = '<option value="">Selecione uma turma</option>';
+        this.elements.turmaSelect.innerHTML = '';
 
         // Adicionar opção "Todas as turmas"
         const optAll = document.createElement('option');
         optAll.value = this.ALL_TURMAS;
         optAll.textContent = 'Todas as turmas';
+        optAll.selected = anteriores.has(this.ALL_TURMAS);
         this.elements.turmaSelect.appendChild(optAll);
 
-        // Adicionar turmas ordenadas
-        todasTurmas.forEach(turma => {
+        // Adicionar turmas
+        turmas.forEach(turma => {
             const option = document.createElement('option');
             option.value = turma;
             option.textContent = turma;
+            option.selected = anteriores.has(turma);
             this.elements.turmaSelect.appendChild(option);
         });
 
         // Habilitar select
         this.elements.turmaSelect.disabled = false;
-        
+        this.atualizarTurmas();
+
         // Habilitar grupo de status
         this.enableStatusCheckboxes();
     }
 
     /**
-     * Carrega turmas de uma empresa
+     * Habilita o grupo de status (após escolher a empresa)
      */
-    loadTurmas(cnpj) {
-        const turmas = this.model.getTurmasPorEmpresa(cnpj);
-        
-        // Limpar select
-        this.elements.turmaSelect.innerHTML = '<option value="">Selecione uma turma</option>';
-
-        // Adicionar opção "Todas as turmas"
-        const optAll = document.createElement('option');
-        optAll.value = this.ALL_TURMAS;
-        optAll.textContent = 'Todas as turmas';
-        this.elements.turmaSelect.appendChild(optAll);
-
-        // Adicionar turmas
-        turmas.forEach(turma => {
-            const option = document.createElement('option');
-            option.value = turma;
-            option.textContent = turma;
-            this.elements.turmaSelect.appendChild(option);
-        });
-
-        // Habilitar select
-        this.elements.turmaSelect.disabled = false;
-
-        // Habilitar grupo de status
+    enableStatusCheckboxes() {
         this.elements.statusGroup.setAttribute('aria-disabled', 'false');
         this.elements.statusCheckboxes.classList.remove('disabled');
     }
@@ -320,42 +722,100 @@ class FrequencyController {
      * Configura o select de turma
      */
     setupTurmaSelect() {
-        this.elements.turmaSelect.addEventListener('change', (e) => {
-            this.selectedTurma = e.target.value;
+        this.elements.turmaSelect.addEventListener('change', () => this.atualizarTurmas());
+    }
 
-            if (this.selectedTurma || this.selectedTurma === this.ALL_TURMAS) {
-                // Inicializar seletor de datas
-                this.initDatePicker();
-            } else {
-                // Desabilitar seletor de datas
-                this.destroyDatePicker();
-                this.elements.btnProcessar.disabled = true;
-            }
-        });
+    /**
+     * Lê as turmas escolhidas ("Todas as turmas" prevalece sobre as demais) e habilita o período
+     */
+    atualizarTurmas() {
+        const valores = Array.from(this.elements.turmaSelect.selectedOptions).map(o => o.value).filter(v => v);
+        this.selectedTurmas = valores.includes(this.ALL_TURMAS) ? [this.ALL_TURMAS] : valores;
+        this.agendarAtualizacaoPainel();
+
+        if (this.selectedTurmas.length > 0) {
+            // Inicializar seletor de datas (o período escolhido é mantido ao trocar as turmas)
+            if (!this.flatpickrInstance) this.initDatePicker();
+            this.elements.btnProcessar.disabled = !this.dateRange;
+        } else {
+            // Desabilitar seletor de datas
+            this.destroyDatePicker();
+            this.elements.btnProcessar.disabled = true;
+        }
+    }
+
+    /**
+     * Turma do relatório a partir das turmas escolhidas
+     * @param {Array<string>} lista - Turmas escolhidas (padrão: as do formulário)
+     * @returns {string|Array<string>|null} - ALL_TURMAS, uma turma ou a lista de turmas; null se nenhuma foi escolhida
+     */
+    getTurmaSelecionada(lista = this.selectedTurmas) {
+        if (lista.length === 0) return null;
+        return lista.length === 1 ? lista[0] : lista.slice();
     }
 
     /**
      * Configura checkboxes de Status (Selecionar Tudo + opções)
      */
     setupStatusCheckboxes() {
-        // Capturar opções dinâmicas (todas com classe .status-option)
-        this.elements.statusOptions = Array.from(document.querySelectorAll('.status-option'));
-
         // Selecionar Tudo
         this.elements.statusSelectAll.addEventListener('change', (e) => {
             const checked = e.target.checked;
             this.elements.statusOptions.forEach(opt => opt.checked = checked);
+            this.agendarAtualizacaoPainel();
         });
 
         // Desmarcar "Selecionar Tudo" quando alguma opção individual for alterada
-        this.elements.statusOptions.forEach(opt => {
-            opt.addEventListener('change', () => {
-                const allChecked = this.elements.statusOptions.every(o => o.checked);
-                this.elements.statusSelectAll.checked = allChecked;
-            });
+        // (as opções são recriadas a cada mudança no dataset)
+        this.elements.statusOpcoes.addEventListener('change', (e) => {
+            if (!e.target.classList.contains('status-option')) return;
+            const allChecked = this.elements.statusOptions.every(o => o.checked);
+            this.elements.statusSelectAll.checked = allChecked;
+            this.agendarAtualizacaoPainel();
         });
     }
 
+    /**
+     * Cria uma opção de status para cada DESCRICAO encontrada no dataset, com a quantidade de registros.
+     * Status desmarcados continuam desmarcados; os que surgem com novos arquivos entram marcados.
+     */
+    renderStatusOptions() {
+        const desmarcados = new Set(this.elements.statusOptions.filter(o => !o.checked).map(o => o.value));
+        const container = this.elements.statusOpcoes;
+        const status = this.model.getStatusDisponiveis();
+        container.innerHTML = '';
+
+        if (status.length === 0) {
+            container.innerHTML = '<small class="form-help">Os status aparecem após carregar um arquivo CSV</small>';
+        }
+        status.forEach((s, idx) => {
+            const item = document.createElement('div');
+            item.className = 'checkbox-item';
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.className = 'status-option';
+            input.id = `status-opcao-${idx}`;
+            input.value = s.status;
+            input.checked = !desmarcados.has(s.status);
+            const label = document.createElement('label');
+            label.htmlFor = input.id;
+            label.textContent = `${this.formatarRotuloStatus(s.rotulo)} (${s.registros.toLocaleString('pt-BR')})`;
+            item.appendChild(input);
+            item.appendChild(label);
+            container.appendChild(item);
+        });
+
+        this.elements.statusOptions = Array.from(container.querySelectorAll('.status-option'));
+        this.elements.statusSelectAll.checked = this.elements.statusOptions.every(o => o.checked);
+    }
+
+    /**
+     * Rótulo de um status com iniciais maiúsculas (ex.: PENDENTE ESTÁGIO -> Pendente Estágio)
+     */
+    formatarRotuloStatus(rotulo) {
+        return rotulo.toLowerCase().replace(/(^|\s)\S/g, letra => letra.toUpperCase());
+    }
+
     /**
      * Inicializa o seletor de datas
      */
@@ -374,34 +834,69 @@ class FrequencyController {
             maxDate: intervalo.max,
             onChange: (selectedDates) => {
                 if (selectedDates.length === 2) {
-                    // Garantir que as duas datas pertençam ao mesmo mês e ano
-                    const d1 = selectedDates[0];
-                    const d2 = selectedDates[1];
-
-                    if (d1.getMonth() !== d2.getMonth() || d1.getFullYear() !== d2.getFullYear()) {
-                        // Mensagem não bloqueante e limpar seleção
-                        this.showTimedAlert('Por favor selecione um período dentro do mesmo mês (ex: 01/08/2025 a 31/08/2025).', 5000);
-                        // limpar seleção no flatpickr e no input
-                        try { this.flatpickrInstance.clear(); } catch (e) {}
-                        this.elements.dataRangeInput.value = '';
-                        this.dateRange = null;
-                        this.elements.btnProcessar.disabled = true;
-                        return;
-                    }
-
+                    // Períodos de vários meses são aceitos (trimestre, semestre...);
+                    // o relatório traz o total do período e o detalhamento por mês
                     this.dateRange = {
-                        inicio: this.model.formatDate(d1),
-                        fim: this.model.formatDate(d2)
+                        inicio: this.model.formatDate(selectedDates[0]),
+                        fim: this.model.formatDate(selectedDates[1])
                     };
                     this.elements.btnProcessar.disabled = false;
                 } else {
                     this.dateRange = null;
                     this.elements.btnProcessar.disabled = true;
                 }
+                this.agendarAtualizacaoPainel();
             }
         });
 
         this.elements.dataRangeInput.disabled = false;
+        this.atualizarComparacao();
+    }
+
+    /**
+     * Configura a comparação com outro período (período anterior ou escolhido no calendário)
+     */
+    setupComparacao() {
+        this.elements.comparacaoSelect.addEventListener('change', () => this.atualizarComparacao());
+    }
+
+    /**
+     * Exibe o calendário do período de comparação quando "Outro período" está escolhido
+     */
+    atualizarComparacao() {
+        const personalizada = this.elements.comparacaoSelect.value === this.COMPARACAO_PERSONALIZADA;
+        this.elements.dataRangeComparacaoInput.style.display = personalizada ? '' : 'none';
+        if (!personalizada || this.flatpickrComparacao || !this.flatpickrInstance) return;
+
+        const intervalo = this.model.getIntervaloDataset();
+        this.flatpickrComparacao = flatpickr(this.elements.dataRangeComparacaoInput, {
+            mode: 'range',
+            dateFormat: 'd/m/Y',
+            locale: 'pt',
+            minDate: intervalo.min,
+            maxDate: intervalo.max,
+            onChange: (selectedDates) => {
+                this.periodoComparacao = selectedDates.length === 2
+                    ? { inicio: this.model.formatDate(selectedDates[0]), fim: this.model.formatDate(selectedDates[1]) }
+                    : null;
+            }
+        });
+        this.elements.dataRangeComparacaoInput.disabled = false;
+    }
+
+    /**
+     * Período comparado ao do relatório, conforme a opção escolhida no formulário
+     * @param {Object} periodo - {inicio, fim} do relatório
+     * @returns {Object|null} - {inicio, fim} em DD/MM/YYYY; null sem comparação
+     */
+    getPeriodoComparacao(periodo) {
+        const opcao = this.elements.comparacaoSelect.value;
+        if (opcao === this.COMPARACAO_ANTERIOR) return this.model.getPeriodoAnterior(periodo.inicio, periodo.fim);
+        if (opcao === this.COMPARACAO_PERSONALIZADA) {
+            if (!this.periodoComparacao) throw new Error('Selecione o período de comparação.');
+            return this.periodoComparacao;
+        }
+        return null;
     }
 
     /**
@@ -415,6 +910,15 @@ class FrequencyController {
         this.elements.dataRangeInput.disabled = true;
         this.elements.dataRangeInput.value = '';
         this.dateRange = null;
+
+        // O calendário da comparação usa o intervalo do dataset: recriado junto com o do período
+        if (this.flatpickrComparacao) {
+            this.flatpickrComparacao.destroy();
+            this.flatpickrComparacao = null;
+        }
+        this.elements.dataRangeComparacaoInput.disabled = true;
+        this.elements.dataRangeComparacaoInput.value = '';
+        this.periodoComparacao = null;
     }
 
     /**
@@ -431,249 +935,590 @@ class FrequencyController {
      * Processa os dados e gera relatório
      */
     async processarDados() {
-        if (!this.selectedEmpresa || !this.selectedTurma || !this.dateRange) {
+        const empresa = this.getEmpresaSelecionada();
+        const turma = this.getTurmaSelecionada();
+        if (!empresa || !turma || !this.dateRange) {
             alert('Por favor, preencha todos os campos obrigatórios.');
             return;
         }
 
+        let periodoComparacao;
+        try {
+            periodoComparacao = this.getPeriodoComparacao(this.dateRange);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
+        await this.executarRelatorio(this.montarPedido(
+            empresa,
+            turma,
+            this.dateRange,
+            this.getSelectedStatuses(),
+            this.getLayoutRelatorio(),
+            periodoComparacao
+        ));
+    }
+
+    /**
+     * Monta o pedido de relatório a partir das seleções
+     * @param {Object} empresa - {cnpj, nome}; cnpj ALL_EMPRESAS (todas), um CNPJ ou a lista de CNPJs de um grupo
+     * @param {string|Array<string>} turma - Turma, lista de turmas ou ALL_TURMAS
+     * @param {Object} periodo - {inicio, fim} em DD/MM/YYYY
+     * @param {Array|null} statusList - Status selecionados (null = todos)
+     * @param {string} layout - LAYOUT_COLUNAS ou LAYOUT_ABAS
+     * @param {Object|null} periodoComparacao - {inicio, fim} comparado ao período (ver DataModel.compararPeriodos)
+     * @returns {Object} - {empresa, turma, filtros, perfil, abasPorMes, periodoComparacao}
+     */
+    montarPedido(empresa, turma, periodo, statusList, layout, periodoComparacao = null) {
+        return {
+            empresa,
+            turma,
+            filtros: {
+                cnpj: empresa.cnpj === this.ALL_EMPRESAS ? null : empresa.cnpj,
+                turma: turma === this.ALL_TURMAS ? null : turma,
+                dataInicio: periodo.inicio,
+                dataFim: periodo.fim,
+                statusList
+            },
+            perfil: this.getPerfilRegras(),
+            abasPorMes: layout === this.LAYOUT_ABAS,
+            periodoComparacao
+        };
+    }
+
+    /**
+     * Gera o relatório de um pedido e exibe a prévia (ou baixa o arquivo, sem prévia)
+     * @param {Object} pedido - {empresa, turma, filtros, perfil, abasPorMes, periodoComparacao}; formulário atual ou entrada do histórico
+     * @param {boolean} registrarHistorico - Acrescenta o relatório ao histórico
+     */
+    async executarRelatorio(pedido, registrarHistorico = true) {
+        const { empresa, turma, filtros, perfil, abasPorMes } = pedido;
+        // Entradas do histórico anteriores à comparação não têm o campo
+        const periodoComparacao = pedido.periodoComparacao || null;
+
         // Mostrar painel de status
-        this.showStatus('Processando dados...');
+        this.showStatus('Processando dados...', 0, true);
 
         try {
-            // Simular delay para UX
-            await new Promise(resolve => setTimeout(resolve, 500));
-
-            // Filtrar dados
-            const filtros = {
-                cnpj: this.selectedEmpresa.cnpj === this.ALL_EMPRESAS ? null : this.selectedEmpresa.cnpj,
-                turma: this.selectedTurma === this.ALL_TURMAS ? null : this.selectedTurma,
-                dataInicio: this.dateRange.inicio,
-                dataFim: this.dateRange.fim,
-                statusList: this.getSelectedStatuses()
-            };
-
-            const dadosFiltrados = this.model.filtrarDados(filtros);
-            
-            if (dadosFiltrados.length === 0) {
+            // Filtrar dados e gerar relatório (no Web Worker, quando disponível)
+            const { resultado, relatoriosMensais, grade, comparacao } = await this.dataService.gerarRelatorio(
+                filtros,
+                perfil,
+                abasPorMes,
+                periodoComparacao,
+                (percentual, etapa) => this.showStatus(etapa, percentual, true)
+            );
+
+            if (!resultado) {
                 this.hideStatus();
                 alert('Nenhum registro encontrado com os filtros selecionados.');
                 return;
             }
 
-            // Gerar relatório
-            this.showStatus('Gerando relatório...');
-            await new Promise(resolve => setTimeout(resolve, 500));
-
-            const resultado = this.model.gerarRelatorio(dadosFiltrados, this.dateRange.inicio);
-
-            // Exportar para CSV
-            this.showStatus('Exportando arquivo...');
-            await new Promise(resolve => setTimeout(resolve, 500));
+            // Filtros e regras ficam guardados para a exportação de um arquivo por empresa
+            this.ultimoRelatorio = { resultado, relatoriosMensais, grade, comparacao, empresa, filtros, perfil, abasPorMes };
+            let titulo = this.getTituloPrevia(resultado.meses, empresa, turma);
+            if (comparacao) {
+                titulo += ` · comparado a ${this.reportExcel.getRotuloComparacao(comparacao.periodoComparacao)}`;
+            }
+            if (registrarHistorico && this.datasetStorage) {
+                this.datasetStorage.registrarRelatorio(pedido, titulo, resultado.totalAlunos);
+            }
 
-            this.exportarCSV(resultado.relatorio);
+            if (this.reportPreview) {
+                // Conferir na tela antes de baixar
+                this.hideStatus();
+                this.reportPreview.mostrar(resultado, titulo, {
+                    porEmpresa: (empresa.cnpj === this.ALL_EMPRESAS || Array.isArray(empresa.cnpj)) && typeof JSZip !== 'undefined',
+                    emRisco: this.model.listarAlunosEmRisco(resultado.relatorio)
+                });
+                if (this.attendanceGrid) this.attendanceGrid.mostrar(grade);
+                return;
+            }
 
-            this.hideStatus();
-            // Mostrar mensagem não bloqueante que fecha automaticamente após 5 segundos
-            this.showTimedAlert(`Relatório gerado com sucesso!\n\nTotal de alunos: ${resultado.totalAlunos}\nTotal de registros: ${resultado.totalRegistros}`, 5000);
+            await this.baixarRelatorio();
 
         } catch (error) {
             this.hideStatus();
+            if (error.cancelado) {
+                this.showTimedAlert('Geração do relatório cancelada.', 3000);
+                return;
+            }
             alert('Erro ao processar dados: ' + error.message);
             console.error(error);
         }
     }
 
     /**
-     * Retorna lista de status selecionados; se "Selecionar Tudo" está marcado, retorna null (sem filtro)
+     * Exporta o último relatório gerado
+     * @param {string} formato - FORMATO_EXCEL (padrão) ou FORMATO_PDF
      */
-    getSelectedStatuses() {
-        if (this.elements.statusSelectAll.checked) return null;
-        const list = this.elements.statusOptions
-            .filter(opt => opt.checked)
-            .map(opt => opt.value);
-        return list; // pode ser [], o Model tratará como conjunto vazio (sem resultados)
+    async baixarRelatorio(formato = this.FORMATO_EXCEL) {
+        if (!this.ultimoRelatorio) return;
+        const { resultado, relatoriosMensais, grade, comparacao, empresa, filtros } = this.ultimoRelatorio;
+
+        this.showStatus('Exportando arquivo...', 100);
+        // Ceder a vez para a tela exibir a etapa antes da geração do arquivo
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        try {
+            if (formato === this.FORMATO_PDF) {
+                this.exportarPDF(resultado, empresa, filtros);
+            } else {
+                this.exportarCSV(resultado, relatoriosMensais, empresa, grade, comparacao);
+            }
+        } catch (error) {
+            this.hideStatus();
+            alert('Erro ao exportar o relatório: ' + error.message);
+            console.error(error);
+            return;
+        }
+
+        this.hideStatus();
+        // Mostrar mensagem não bloqueante que fecha automaticamente após 5 segundos
+        this.showTimedAlert(`Relatório gerado com sucesso!\n\nTotal de alunos: ${resultado.totalAlunos}\nTotal de registros: ${resultado.totalRegistros}`, 5000);
     }
 
     /**
-     * Exporta dados para arquivo Excel (.xlsx)
+     * Gera um arquivo por empresa do último relatório ("Todas as Empresas") e baixa todos em um ZIP
+     * @param {string} formato - FORMATO_EXCEL (padrão) ou FORMATO_PDF
      */
-    exportarCSV(dados) {
-        // Utilitário: converte índice de coluna (1-based) para letra Excel
-        const colToLetter = (colNum) => {
-            let letter = '';
-            while (colNum > 0) {
-                const mod = (colNum - 1) % 26;
-                letter = String.fromCharCode(65 + mod) + letter;
-                colNum = Math.floor((colNum - mod) / 26);
-            }
-            return letter;
-        };
+    async baixarRelatoriosPorEmpresa(formato = this.FORMATO_EXCEL) {
+        if (!this.ultimoRelatorio) return;
+        const { resultado, filtros, perfil, abasPorMes } = this.ultimoRelatorio;
+        const pdf = formato === this.FORMATO_PDF;
+        if (typeof JSZip === 'undefined') {
+            alert('Erro: Arquivo vendor/jszip/jszip.min.js não foi carregado corretamente.');
+            return;
+        }
+        if (pdf && !this.isPdfDisponivel()) {
+            alert('A geração de PDF não está disponível: arquivos de vendor/jspdf não foram carregados.');
+            return;
+        }
 
-        // Preparar dados para export com a nova estrutura
-        const excelData = dados.map(aluno => ({
-            'TURMA': aluno.TURMA,
-            'ALUNO': aluno.ALUNO,
-            'STATUS': aluno.STATUS,
-            'EMPRESA': aluno.EMPRESA,
-            'CURSO': aluno.CURSO,
-            'MES': aluno.MES,
-            'ANO': aluno.ANO,
-            'FALTAS JUSTIFICADAS (DIAS)': aluno.FALTAS_JUSTIFICADAS_DIAS,
-            'Nº FALTAS JUSTIFICADAS': aluno.NUM_FALTAS_JUSTIFICADAS,
-            'FALTAS NÃO JUSTIFICADAS (DIAS)': aluno.FALTAS_NAO_JUSTIFICADAS_DIAS,
-            'Nº FALTAS NÃO JUSTIFICADAS': aluno.NUM_FALTAS_NAO_JUSTIFICADAS,
-            'ATRASOS (DIAS)': aluno.ATRASOS_DIAS,
-            'Nº HORAS DE ATRASO': aluno.NUM_HORAS_ATRASO,
-            'TOTAL HORAS DE AUSÊNCIA NO CURSO': aluno.TOTAL_HORAS_AUSENCIA
-        }));
-
-        const headers = excelData.length > 0 ? Object.keys(excelData[0]) : [];
-        const lastColLetter = colToLetter(headers.length || 12);
-
-        // Criar workbook e worksheet em branco
-        const wb = XLSX.utils.book_new();
-        const ws = XLSX.utils.aoa_to_sheet([]);
-
-        // Títulos (linhas 1 a 3)
-        const titulo1 = 'SENAI - MARACANÃ';
-        const titulo2 = 'PROGRAMA DE APRENDIZAGEM INDUSTRIAL';
-        // Extrair MÊS/ANO do período selecionado
-        let mesAno = '';
-        if (this.dateRange && this.dateRange.inicio) {
-            const parts = (this.dateRange.inicio || '').split('/'); // DD/MM/YYYY
-            if (parts.length === 3) mesAno = `${parts[1]}/${parts[2]}`;
-        } else {
-            // Fallback: tentar pegar do intervalo do dataset
-            const datas = this.model.getDatasDisponiveis();
-            if (datas && datas.length > 0) {
-                const p = (datas[0] || '').split('/');
-                if (p.length === 3) mesAno = `${p[1]}/${p[2]}`;
+        this.showStatus('Gerando relatórios por empresa...', 0, true);
+        try {
+            const relatorios = await this.dataService.gerarRelatoriosPorEmpresa(
+                filtros,
+                perfil,
+                // O PDF traz apenas o total do período
+                abasPorMes && !pdf,
+                (percentual, etapa) => this.showStatus(etapa, Math.round(percentual * 0.6), true)
+            );
+            if (relatorios.length === 0) {
+                this.hideStatus();
+                alert('Nenhum registro encontrado com os filtros selecionados.');
+                return;
             }
-        }
-        const titulo3 = `Relatório de Frequência - Aprendizes - ${mesAno}`;
-
-        // Escrever títulos
-        XLSX.utils.sheet_add_aoa(ws, [[titulo1]], { origin: 'A1' });
-        XLSX.utils.sheet_add_aoa(ws, [[titulo2]], { origin: 'A2' });
-        XLSX.utils.sheet_add_aoa(ws, [[titulo3]], { origin: 'A3' });
-
-        // Adicionar dados a partir da linha 5 (linha 5 = header)
-        XLSX.utils.sheet_add_json(ws, excelData, { origin: 'A5', skipHeader: false });
-
-        // Ajustar largura das colunas (balanceadas para caber os títulos sem excesso de espaço)
-        ws['!cols'] = [
-            { wch: 18 },  // TURMA
-            { wch: 38 },  // ALUNO
-            { wch: 14 },  // STATUS
-            { wch: 36 },  // EMPRESA
-            { wch: 32 },  // CURSO
-            { wch: 8 },   // MES
-            { wch: 8 },   // ANO
-            { wch: 26 },  // FALTAS JUSTIFICADAS (DIAS)
-            { wch: 20 },  // Nº FALTAS JUSTIFICADAS
-            { wch: 28 },  // FALTAS NÃO JUSTIFICADAS (DIAS)
-            { wch: 24 },  // Nº FALTAS NÃO JUSTIFICADAS
-            { wch: 18 },  // ATRASOS (DIAS)
-            { wch: 18 },  // Nº HORAS DE ATRASO
-            { wch: 34 }   // TOTAL HORAS DE AUSÊNCIA NO CURSO
-        ];
-
-        // Mesclar células para os títulos (A1:last, A2:last, A3:last)
-        ws['!merges'] = [
-            { s: { r: 0, c: 0 }, e: { r: 0, c: headers.length - 1 } },
-            { s: { r: 1, c: 0 }, e: { r: 1, c: headers.length - 1 } },
-            { s: { r: 2, c: 0 }, e: { r: 2, c: headers.length - 1 } }
-        ];
-
-        // Estilos (requer xlsx-js-style na página)
-    const centerBold = { alignment: { horizontal: 'center' }, font: { bold: true, sz: 12 } };
-    const centerBoldBig = { alignment: { horizontal: 'center' }, font: { bold: true, sz: 14 } };
-        const headerFill = { fill: { patternType: 'solid', fgColor: { rgb: 'FFE6F2FF' } }, font: { bold: true } };
-        const altFill = { fill: { patternType: 'solid', fgColor: { rgb: 'FFF5FAFF' } } };
-    const whiteFill = { fill: { patternType: 'solid', fgColor: { rgb: 'FFFFFFFF' } } };
-
-        // Aplicar estilos títulos
-        ['A1', 'A2', 'A3'].forEach((addr, idx) => {
-            if (!ws[addr]) return;
-            ws[addr].s = Object.assign({}, idx === 0 ? centerBoldBig : centerBold, whiteFill);
-        });
 
-        // Estilizar header (linha 5)
-        for (let c = 1; c <= headers.length; c++) {
-            const cell = `${colToLetter(c)}5`;
-            if (ws[cell]) {
-                ws[cell].s = Object.assign({ alignment: { horizontal: 'center', vertical: 'center' } }, headerFill);
+            const periodo = this.reportExcel.getPeriodoArquivo(resultado.meses);
+            const zip = new JSZip();
+            for (let idx = 0; idx < relatorios.length; idx++) {
+                const { cnpj, nome, resultado: resultadoEmpresa, relatoriosMensais, grade } = relatorios[idx];
+                this.showStatus(`Montando arquivo de ${nome} (${idx + 1} de ${relatorios.length})...`, 60 + Math.round((idx / relatorios.length) * 30));
+                // Ceder a vez para a tela exibir o progresso entre um arquivo e outro
+                await new Promise(resolve => setTimeout(resolve, 0));
+                const nomeArquivo = `relatorio_frequencia_${this.reportExcel.nomeParaArquivo(nome)}_${cnpj}_${periodo}.${formato}`;
+                const conteudo = pdf
+                    ? this.reportPdf.gerar(resultadoEmpresa, this.getInfoPdf(resultadoEmpresa, { cnpj, nome }, filtros)).output('arraybuffer')
+                    : XLSX.write(this.reportExcel.montarWorkbook(resultadoEmpresa, relatoriosMensais, grade), { bookType: 'xlsx', type: 'array' });
+                zip.file(nomeArquivo, conteudo);
             }
-        }
 
-        // Listras alternadas nas linhas de dados (a partir da linha 6)
-        const firstDataRow = 6;
-        const lastDataRow = 5 + excelData.length;
-        for (let r = firstDataRow; r <= lastDataRow; r++) {
-            const isAlt = (r - firstDataRow) % 2 === 0;
-            for (let c = 1; c <= headers.length; c++) {
-                const addr = `${colToLetter(c)}${r}`;
-                if (ws[addr]) {
-                    ws[addr].s = Object.assign({}, ws[addr].s || {}, isAlt ? altFill : whiteFill);
-                }
+            this.showStatus('Compactando arquivos...', 90);
+            const blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+            this.baixarArquivo(blob, `relatorios_frequencia_por_empresa_${periodo}.zip`);
+
+            this.hideStatus();
+            this.showTimedAlert(`${relatorios.length} ${relatorios.length === 1 ? 'relatório gerado' : 'relatórios gerados'} (um arquivo por empresa).`, 5000);
+        } catch (error) {
+            this.hideStatus();
+            if (error.cancelado) {
+                this.showTimedAlert('Geração dos relatórios cancelada.', 3000);
+                return;
             }
+            alert('Erro ao gerar os relatórios por empresa: ' + error.message);
+            console.error(error);
         }
+    }
 
-        // Aplicar bordas finas em toda a tabela (header + dados)
-        const thinBorder = {
-            border: {
-                top: { style: 'thin', color: { rgb: 'FFB3B3B3' } },
-                bottom: { style: 'thin', color: { rgb: 'FFB3B3B3' } },
-                left: { style: 'thin', color: { rgb: 'FFB3B3B3' } },
-                right: { style: 'thin', color: { rgb: 'FFB3B3B3' } }
-            }
+    /**
+     * Seleção atual do formulário, para salvar como modelo de relatório
+     * @returns {Object} - {empresas: [{cnpj, nome}], turmas, statusList, layout, dataInicio, dataFim}
+     *          (listas vazias = todas; datas null = período ainda não escolhido)
+     */
+    getSelecaoModelo() {
+        if (this.selectedEmpresas.length === 0 || this.selectedTurmas.length === 0) {
+            throw new Error('Escolha a empresa e a turma antes de salvar o modelo.');
+        }
+        return {
+            empresas: this.selectedEmpresas
+                .filter(e => e.cnpj !== this.ALL_EMPRESAS)
+                .map(e => ({ cnpj: e.cnpj, nome: e.nome })),
+            turmas: this.selectedTurmas.filter(t => t !== this.ALL_TURMAS),
+            statusList: this.getSelectedStatuses(),
+            layout: this.getLayoutRelatorio(),
+            dataInicio: this.dateRange ? this.dateRange.inicio : null,
+            dataFim: this.dateRange ? this.dateRange.fim : null
         };
-        for (let r = 5; r <= lastDataRow; r++) {
-            for (let c = 1; c <= headers.length; c++) {
-                const addr = `${colToLetter(c)}${r}`;
-                if (ws[addr]) {
-                    ws[addr].s = Object.assign({}, ws[addr].s || {}, thinBorder);
-                }
+    }
+
+    /**
+     * Empresas de um modelo nos dados carregados (seguindo as fusões de CNPJs)
+     * @returns {Array<Object>} - Empresas como no autocomplete, ou [{cnpj: ALL_EMPRESAS}] para todas
+     */
+    resolverEmpresasModelo(modelo) {
+        if (modelo.empresas.length === 0) return [{ cnpj: this.ALL_EMPRESAS, nome: 'Todas as Empresas' }];
+        const empresasAPR = this.model.getEmpresasAPR();
+        return modelo.empresas.map(salva => {
+            const cnpj = this.model.resolverCnpj(this.model.normalizeCNPJ(salva.cnpj));
+            const empresa = empresasAPR.find(e => e.cnpj === cnpj);
+            if (!empresa) {
+                throw new Error(`empresa ${salva.nome} (CNPJ ${this.formatCNPJ(salva.cnpj)}) não encontrada nos dados carregados.`);
             }
+            return empresa;
+        });
+    }
+
+    /**
+     * Turmas de um modelo, conferidas entre as turmas das empresas
+     * @returns {Array<string>} - Turmas, ou [ALL_TURMAS] para todas
+     */
+    resolverTurmasModelo(modelo, empresas) {
+        if (modelo.turmas.length === 0) return [this.ALL_TURMAS];
+        const disponiveis = new Set(empresas.some(e => e.cnpj === this.ALL_EMPRESAS)
+            ? this.model.getTodasTurmasAPR()
+            : [].concat(...empresas.map(e => this.model.getTurmasPorEmpresa(e.cnpj))));
+        const ausentes = modelo.turmas.filter(t => !disponiveis.has(t));
+        if (ausentes.length > 0) {
+            throw new Error(`${ausentes.length === 1 ? 'turma' : 'turmas'} ${ausentes.join(', ')} não ${ausentes.length === 1 ? 'encontrada' : 'encontradas'} para ${this.getEmpresaSelecionada(empresas).nome}.`);
         }
+        return modelo.turmas;
+    }
+
+    /**
+     * Limita o período de um modelo às datas do dataset (as mesmas aceitas pelo seletor de datas)
+     * @param {Object} periodo - {inicio, fim} em DD/MM/YYYY
+     * @returns {Object} - {inicio, fim} em DD/MM/YYYY
+     */
+    ajustarPeriodoAosDados(periodo) {
+        const intervalo = this.model.getIntervaloDataset();
+        const inicio = this.model.parseDate(periodo.inicio);
+        const fim = this.model.parseDate(periodo.fim);
+        const inicioAjustado = intervalo.min && inicio < intervalo.min ? intervalo.min : inicio;
+        const fimAjustado = intervalo.max && fim > intervalo.max ? intervalo.max : fim;
+        if (!intervalo.min || inicioAjustado > fimAjustado) {
+            throw new Error(`não há registros de ${periodo.inicio} a ${periodo.fim} nos dados carregados.`);
+        }
+        return { inicio: this.model.formatDate(inicioAjustado), fim: this.model.formatDate(fimAjustado) };
+    }
+
+    /**
+     * Preenche o formulário com um modelo de relatório
+     * @param {Object} modelo - Modelo salvo (ver ReportPresetModel.normalizarModelo)
+     * @param {Object} periodo - {inicio, fim} do modelo na data de hoje
+     */
+    aplicarModelo(modelo, periodo) {
+        if (!this.model.isDataLoaded()) {
+            throw new Error('carregue um arquivo CSV antes de aplicar o modelo.');
+        }
+        // Conferir tudo antes de alterar o formulário
+        const empresas = this.resolverEmpresasModelo(modelo);
+        const turmas = new Set(this.resolverTurmasModelo(modelo, empresas));
+        const periodoAjustado = this.ajustarPeriodoAosDados(periodo);
+
+        this.selectedEmpresas = empresas;
+        this.atualizarEmpresas();
+        Array.from(this.elements.turmaSelect.options).forEach(opt => { opt.selected = turmas.has(opt.value); });
+        // Atualiza as turmas selecionadas e inicializa o seletor de datas
+        this.atualizarTurmas();
+        this.definirStatusSelecionados(modelo.statusList);
+        if (this.elements.layoutSelect) this.elements.layoutSelect.value = modelo.layout;
+
+        if (this.flatpickrInstance) {
+            this.flatpickrInstance.setDate([periodoAjustado.inicio, periodoAjustado.fim], false, 'd/m/Y');
+        }
+        this.dateRange = periodoAjustado;
+        this.elements.btnProcessar.disabled = false;
+        this.agendarAtualizacaoPainel();
+    }
+
+    /**
+     * Marca os status de uma lista (null = todos)
+     */
+    definirStatusSelecionados(statusList) {
+        const selecionados = statusList === null ? null : new Set(statusList.map(s => this.model.normalizeStatus(s)));
+        this.elements.statusOptions.forEach(opt => {
+            opt.checked = selecionados === null || selecionados.has(opt.value);
+        });
+        this.elements.statusSelectAll.checked = this.elements.statusOptions.every(o => o.checked);
+        this.agendarAtualizacaoPainel();
+    }
 
-        // Desabilitar gridlines (exibição e impressão)
-        ws['!gridlines'] = false; // alguns apps respeitam esta flag
-        ws['!sheetViews'] = [{ showGridLines: false }]; // tentativa adicional para compatibilidade
-        ws['!printOptions'] = Object.assign({}, ws['!printOptions'] || {}, { gridLines: false });
+    /**
+     * Gera e baixa em Excel, um após o outro, os relatórios de vários modelos (sem alterar o formulário)
+     * @param {Array<Object>} itens - [{modelo, periodo}] (período na data de hoje)
+     * @returns {Promise<Object>} - {gerados, avisos: Array<string>}
+     */
+    async executarModelos(itens) {
+        if (!this.model.isDataLoaded()) {
+            throw new Error('carregue um arquivo CSV antes de executar os modelos.');
+        }
 
-        // Aplicar preenchimento branco em área estendida para ocultar gridlines também fora da tabela
-        const extendToCol = 13; // até coluna M
-        const extendToRow = Math.max(lastDataRow + 10, 30); // pelo menos 10 linhas após dados
-        for (let r = 1; r <= extendToRow; r++) {
-            for (let c = 1; c <= extendToCol; c++) {
-                const addr = `${colToLetter(c)}${r}`;
-                if (!ws[addr]) {
-                    ws[addr] = { t: 's', v: '' }; // célula vazia com string
+        let gerados = 0;
+        const avisos = [];
+        try {
+            for (let idx = 0; idx < itens.length; idx++) {
+                const { modelo, periodo } = itens[idx];
+                const etapa = `Modelo ${idx + 1} de ${itens.length} (${modelo.nome})`;
+                let pedido;
+                try {
+                    const empresas = this.resolverEmpresasModelo(modelo);
+                    pedido = this.montarPedido(
+                        this.getEmpresaSelecionada(empresas),
+                        this.getTurmaSelecionada(this.resolverTurmasModelo(modelo, empresas)),
+                        this.ajustarPeriodoAosDados(periodo),
+                        modelo.statusList,
+                        modelo.layout
+                    );
+                } catch (error) {
+                    avisos.push(`${modelo.nome}: ${error.message}`);
+                    continue;
                 }
-                if (!ws[addr].s) {
-                    ws[addr].s = {};
+
+                this.showStatus(`${etapa}: processando dados...`, 0, true);
+                const { resultado, relatoriosMensais, grade } = await this.dataService.gerarRelatorio(
+                    pedido.filtros,
+                    pedido.perfil,
+                    pedido.abasPorMes,
+                    null,
+                    (percentual, texto) => this.showStatus(`${etapa}: ${texto}`, percentual, true)
+                );
+                if (!resultado) {
+                    avisos.push(`${modelo.nome}: nenhum registro encontrado.`);
+                    continue;
                 }
-                // Se não tem fill definido, aplicar branco
-                if (!ws[addr].s.fill) {
-                    ws[addr].s.fill = { patternType: 'solid', fgColor: { rgb: 'FFFFFFFF' } };
+
+                this.showStatus(`${etapa}: exportando arquivo...`, 100);
+                // Ceder a vez para a tela exibir a etapa antes da geração do arquivo
+                await new Promise(resolve => setTimeout(resolve, 0));
+                this.exportarCSV(resultado, relatoriosMensais, pedido.empresa, grade);
+                if (this.datasetStorage) {
+                    this.datasetStorage.registrarRelatorio(pedido, this.getTituloPrevia(resultado.meses, pedido.empresa, pedido.turma), resultado.totalAlunos);
                 }
+                gerados++;
             }
+        } catch (error) {
+            if (!error.cancelado) throw error;
+            avisos.push('Execução cancelada.');
+        } finally {
+            this.hideStatus();
         }
+        return { gerados, avisos };
+    }
+
+    /**
+     * Descarta a prévia e o relatório aguardando download (filtros ou dataset mudaram)
+     */
+    limparPrevia() {
+        this.ultimoRelatorio = null;
+        if (this.reportPreview) this.reportPreview.limpar();
+        if (this.attendanceGrid) this.attendanceGrid.limpar();
+    }
+
+    /**
+     * Filtros do painel: os mesmos do formulário, aplicados conforme são escolhidos
+     * (sem empresa ou turma, considera todas; sem período, todo o dataset)
+     * @returns {Object} - {cnpj, turma, dataInicio, dataFim, statusList}
+     */
+    getFiltrosPainel() {
+        const empresa = this.getEmpresaSelecionada();
+        const turma = this.getTurmaSelecionada();
+        return {
+            cnpj: empresa && empresa.cnpj !== this.ALL_EMPRESAS ? empresa.cnpj : null,
+            turma: turma && turma !== this.ALL_TURMAS ? turma : null,
+            dataInicio: this.dateRange ? this.dateRange.inicio : null,
+            dataFim: this.dateRange ? this.dateRange.fim : null,
+            statusList: this.getSelectedStatuses()
+        };
+    }
+
+    /**
+     * Texto dos filtros do painel (empresa, turma e período)
+     */
+    getDescricaoFiltrosPainel(filtros) {
+        const empresa = filtros.cnpj ? this.getEmpresaSelecionada().nome : 'Todas as Empresas';
+        const turma = filtros.turma ? this.descreverTurma(filtros.turma) : 'todas as turmas';
+        const periodo = filtros.dataInicio ? `${filtros.dataInicio} a ${filtros.dataFim}` : 'todo o período';
+        return `${empresa} · ${turma} · ${periodo}`;
+    }
+
+    /**
+     * Agenda a atualização do painel (apenas com a aba aberta; alterações seguidas geram um só cálculo)
+     */
+    agendarAtualizacaoPainel() {
+        if (!this.dashboard || !this.dashboard.isAberto()) return;
+        clearTimeout(this.timerPainel);
+        this.timerPainel = setTimeout(() => this.atualizarPainel(), 250);
+    }
+
+    /**
+     * Recalcula e exibe o painel com os filtros atuais
+     */
+    async atualizarPainel() {
+        if (!this.dashboard) return;
+        clearTimeout(this.timerPainel);
+        if (!this.model.isDataLoaded()) {
+            this.dashboard.mostrarMensagem('Carregue um arquivo CSV para ver os indicadores.');
+            return;
+        }
+
+        const filtros = this.getFiltrosPainel();
+        const requisicao = ++this.requisicaoPainel;
+        try {
+            const painel = await this.dataService.gerarPainel(filtros, this.getPerfilRegras());
+            // Os filtros mudaram durante o cálculo: vale o pedido mais recente
+            if (requisicao !== this.requisicaoPainel) return;
+            this.dashboard.mostrar(painel, this.getDescricaoFiltrosPainel(filtros));
+        } catch (error) {
+            if (requisicao !== this.requisicaoPainel) return;
+            this.dashboard.mostrarMensagem(`Erro ao calcular o painel: ${error.message}`);
+            console.error(error);
+        }
+    }
+
+    /**
+     * Título da prévia: empresa, turma e período do relatório
+     * @param {Array<string>} meses - Meses do relatório (MM/YYYY)
+     * @param {Object} empresa - Empresa do relatório (padrão: a selecionada)
+     * @param {string|Array<string>} turma - Turma(s) do relatório (padrão: as selecionadas)
+     */
+    getTituloPrevia(meses, empresa = this.getEmpresaSelecionada(), turma = this.getTurmaSelecionada()) {
+        const nomeEmpresa = empresa.cnpj === this.ALL_EMPRESAS ? 'Todas as Empresas' : empresa.nome;
+        const nomeTurma = turma === this.ALL_TURMAS ? 'todas as turmas' : this.descreverTurma(turma);
+        return `${nomeEmpresa} · ${nomeTurma} · ${this.reportExcel.getRotuloPeriodo(meses)}`;
+    }
+
+    /**
+     * Texto de uma turma ou lista de turmas (ex.: "turma 2025A" ou "turmas 2025A, 2025B")
+     */
+    descreverTurma(turma) {
+        if (!Array.isArray(turma)) return `turma ${turma}`;
+        return turma.length === 1 ? `turma ${turma[0]}` : `turmas ${turma.join(', ')}`;
+    }
+
+    /**
+     * Retorna o layout escolhido para períodos de vários meses
+     */
+    getLayoutRelatorio() {
+        return this.elements.layoutSelect ? this.elements.layoutSelect.value : this.LAYOUT_COLUNAS;
+    }
+
+    /**
+     * Inicia o download de um arquivo gerado na página
+     * @param {Blob} blob - Conteúdo do arquivo
+     * @param {string} nomeArquivo - Nome sugerido para o download
+     */
+    baixarArquivo(blob, nomeArquivo) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = nomeArquivo;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Liberar a URL depois que o navegador iniciar o download
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Retorna o perfil de regras selecionado (null = regras padrão do Model)
+     */
+    getPerfilRegras() {
+        return this.ruleProfiles ? this.ruleProfiles.getPerfilSelecionado() : null;
+    }
+
+    /**
+     * Retorna lista de status selecionados; se "Selecionar Tudo" está marcado, retorna null (sem filtro)
+     */
+    getSelectedStatuses() {
+        if (this.elements.statusSelectAll.checked) return null;
+        const list = this.elements.statusOptions
+            .filter(opt => opt.checked)
+            .map(opt => opt.value);
+        return list; // pode ser [], o Model tratará como conjunto vazio (sem resultados)
+    }
+
+    /**
+     * Exporta o relatório para arquivo Excel (.xlsx)
+     * @param {Object} resultado - Retorno de gerarRelatorio
+     * @param {Array|null} relatoriosMensais - [{mesAno, relatorio}] para o layout "uma aba por mês"
+     * @param {Object} empresa - Empresa do relatório (nome do arquivo); padrão: a selecionada
+     * @param {Object|null} grade - Grade diária (ver DataModel.gerarGradeDiaria)
+     * @param {Object|null} comparacao - Comparação com outro período (ver DataModel.compararPeriodos)
+     */
+    exportarCSV(resultado, relatoriosMensais = null, empresa = this.getEmpresaSelecionada(), grade = null, comparacao = null) {
+        const wb = this.reportExcel.montarWorkbook(resultado, relatoriosMensais, grade, comparacao);
 
-        // Adicionar worksheet ao workbook
-        XLSX.utils.book_append_sheet(wb, ws, 'Relatório de Frequência');        
-        
         // Gerar nome do arquivo
-        const nomeEmpresa = this.selectedEmpresa.cnpj === this.ALL_EMPRESAS 
+        const nomeEmpresa = empresa.cnpj === this.ALL_EMPRESAS 
             ? 'Todas_Empresas' 
-            : this.selectedEmpresa.nome.replace(/[^a-z0-9]/gi, '_');
+            : empresa.nome.replace(/[^a-z0-9]/gi, '_');
         const filename = `relatorio_frequencia_${nomeEmpresa}_${Date.now()}.xlsx`;
 
         // Fazer download do arquivo Excel
         XLSX.writeFile(wb, filename);
     }
 
+    /**
+     * Exporta o relatório para PDF (impressão e arquivamento com assinatura)
+     * @param {Object} resultado - Retorno de gerarRelatorio
+     * @param {Object} empresa - Empresa do relatório (cabeçalho e nome do arquivo)
+     * @param {Object} filtros - Filtros usados na geração (turma e datas do cabeçalho)
+     */
+    exportarPDF(resultado, empresa, filtros) {
+        if (!this.isPdfDisponivel()) {
+            throw new Error('a geração de PDF não está disponível (arquivos de vendor/jspdf não foram carregados).');
+        }
+        const doc = this.reportPdf.gerar(resultado, this.getInfoPdf(resultado, empresa, filtros));
+
+        const nomeEmpresa = empresa.cnpj === this.ALL_EMPRESAS
+            ? 'Todas_Empresas'
+            : empresa.nome.replace(/[^a-z0-9]/gi, '_');
+        doc.save(`relatorio_frequencia_${nomeEmpresa}_${Date.now()}.pdf`);
+    }
+
+    /**
+     * Indica se a exportação em PDF pode ser usada
+     */
+    isPdfDisponivel() {
+        return Boolean(this.reportPdf && this.reportPdf.disponivel());
+    }
+
+    /**
+     * Dados do cabeçalho do PDF
+     * @param {Object} resultado - Retorno de gerarRelatorio
+     * @param {Object} empresa - {cnpj, nome} (cnpj pode ser a lista de CNPJs de um grupo)
+     * @param {Object} filtros - {turma, dataInicio, dataFim}
+     * @returns {Object} - {cabecalho, titulo, empresa, turma, periodo} (ver ReportPdfView.gerar)
+     */
+    getInfoPdf(resultado, empresa, filtros) {
+        let textoEmpresa = `${empresa.nome} - CNPJ ${this.formatCNPJ(empresa.cnpj)}`;
+        if (empresa.cnpj === this.ALL_EMPRESAS) {
+            textoEmpresa = 'Todas as Empresas';
+        } else if (Array.isArray(empresa.cnpj)) {
+            textoEmpresa = `${empresa.nome} - CNPJs ${empresa.cnpj.map(c => this.formatCNPJ(c)).join(', ')}`;
+        }
+        return {
+            cabecalho: ReportExcelView.CABECALHO_RELATORIO,
+            titulo: this.reportExcel.getTituloRelatorio(this.reportExcel.getRotuloPeriodo(resultado.meses)),
+            empresa: textoEmpresa,
+            turma: Array.isArray(filtros.turma) ? filtros.turma.join(', ') : (filtros.turma || 'Todas as turmas'),
+            periodo: `${filtros.dataInicio} a ${filtros.dataFim}`
+        };
+    }
+
     /**
      * Mostra status de arquivo
      */
@@ -685,14 +1530,23 @@ class FrequencyController {
             this.elements.fileStatus.classList.add('success');
         } else if (type === 'error') {
             this.elements.fileStatus.classList.add('error');
+        } else if (type === 'loading' || (type === 'info' && message)) {
+            this.elements.fileStatus.classList.add('info');
         }
     }
 
     /**
      * Mostra painel de status
+     * @param {string} message - Etapa atual
+     * @param {number|null} percentual - Progresso (0-100); null oculta a barra
+     * @param {boolean} cancelavel - Exibe o botão "Cancelar"
      */
-    showStatus(message) {
-        this.elements.statusMessage.textContent = message;
+    showStatus(message, percentual = null, cancelavel = false) {
+        const temProgresso = typeof percentual === 'number';
+        this.elements.statusMessage.textContent = temProgresso ? `${message} (${Math.round(percentual)}%)` : message;
+        this.elements.statusProgress.style.display = temProgresso ? 'block' : 'none';
+        this.elements.statusProgressFill.style.width = `${temProgresso ? Math.max(0, Math.min(100, percentual)) : 0}%`;
+        this.elements.btnCancelarOperacao.style.display = cancelavel ? '' : 'none';
         this.elements.statusPanel.style.display = 'block';
         this.elements.btnProcessar.disabled = true;
     }
@@ -702,7 +1556,8 @@ class FrequencyController {
      */
     hideStatus() {
         this.elements.statusPanel.style.display = 'none';
-        this.elements.btnProcessar.disabled = false;
+        this.elements.btnCancelarOperacao.style.display = 'none';
+        this.elements.btnProcessar.disabled = !this.dateRange;
     }
 
     /**
@@ -811,20 +1666,28 @@ class FrequencyController {
     }
 
     /**
-     * Reseta o formulário
+     * Limpa as seleções do formulário (empresa, turma, período), mantendo os dados carregados
      */
-    resetForm() {
-        this.selectedEmpresa = null;
-        this.selectedTurma = null;
+    resetSelecoes() {
+        this.selectedEmpresas = [];
+        this.selectedTurmas = [];
         this.dateRange = null;
 
         this.elements.empresaInput.value = '';
         this.elements.empresaInput.disabled = true;
-        this.elements.turmaSelect.innerHTML = '<option value="">Selecione uma empresa primeiro</option>';
+        this.renderEmpresaChips();
+        this.elements.turmaSelect.innerHTML = '<option value="" disabled>Selecione uma empresa primeiro</option>';
         this.elements.turmaSelect.disabled = true;
         this.destroyDatePicker();
         this.elements.btnProcessar.disabled = true;
-        
-        this.model.clear();
+    }
+
+    /**
+     * Reseta o formulário
+     */
+    resetForm() {
+        this.resetSelecoes();
+        this.limparPrevia();
+        return this.dataService.limpar().catch(error => console.error('Erro ao limpar dados:', error));
     }
 }
@@ -0,0 +1,293 @@
+/**
+ * ReportPresetController - Controller dos modelos de relatório
+ * Responsável por: salvar a seleção atual do formulário como modelo, aplicar um modelo ao formulário,
+ * executar vários modelos em sequência e importar/exportar os modelos em JSON
+ */
+class ReportPresetController {
+    /**
+     * @param {ReportPresetModel} presetModel - Modelos salvos localmente
+     */
+    constructor(presetModel) {
+        this.model = presetModel;
+
+        // Definidos pelo FrequencyController:
+        // seleção atual do formulário: () => {empresas, turmas, statusList, layout, dataInicio, dataFim} (lança erro se incompleta)
+        this.obterSelecao = null;
+        // preenche o formulário: (modelo, periodo) => void (lança erro se o modelo não se aplica aos dados)
+        this.onAplicar = null;
+        // gera e baixa os relatórios: (itens [{modelo, periodo}]) => Promise<{gerados, avisos}>
+        this.onExecutar = null;
+
+        // Elementos DOM
+        this.elements = {
+            select: document.getElementById('modeloSelect'),
+            btnAplicar: document.getElementById('btnAplicarModelo'),
+            btnGerenciar: document.getElementById('btnGerenciarModelos'),
+            btnImportar: document.getElementById('btnImportarModelos'),
+            btnExportar: document.getElementById('btnExportarModelos'),
+            arquivo: document.getElementById('modeloArquivo'),
+            status: document.getElementById('modeloStatus'),
+            editor: document.getElementById('modeloEditor'),
+            lista: document.getElementById('modeloLista'),
+            nome: document.getElementById('modeloNome'),
+            periodo: document.getElementById('modeloPeriodo'),
+            btnSalvar: document.getElementById('btnSalvarModelo'),
+            btnExecutar: document.getElementById('btnExecutarModelos'),
+            btnFechar: document.getElementById('btnFecharModelos')
+        };
+
+        this.init();
+    }
+
+    /**
+     * Inicializa os event listeners e lista os modelos salvos
+     */
+    init() {
+        this.renderSelect();
+
+        this.elements.btnAplicar.addEventListener('click', () => {
+            const modelo = this.model.getModelo(this.elements.select.value);
+            if (modelo) this.aplicar(modelo);
+        });
+        this.elements.btnGerenciar.addEventListener('click', () => this.abrirEditor());
+        this.elements.btnFechar.addEventListener('click', () => this.fecharEditor());
+        this.elements.btnSalvar.addEventListener('click', () => this.salvar());
+        this.elements.btnExecutar.addEventListener('click', () => this.executarSelecionados());
+        this.elements.btnExportar.addEventListener('click', () => this.exportar());
+        this.elements.btnImportar.addEventListener('click', () => this.elements.arquivo.click());
+        this.elements.arquivo.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.importar(file);
+        });
+    }
+
+    /**
+     * Preenche a lista de modelos para aplicar
+     */
+    renderSelect() {
+        const modelos = this.model.getModelos();
+        const anterior = this.elements.select.value;
+        this.elements.select.innerHTML = '';
+        if (modelos.length === 0) {
+            this.elements.select.innerHTML = '<option value="">Nenhum modelo salvo</option>';
+        }
+        modelos.forEach(modelo => {
+            const option = document.createElement('option');
+            option.value = modelo.nome;
+            option.textContent = modelo.nome;
+            this.elements.select.appendChild(option);
+        });
+        if (this.model.getModelo(anterior)) this.elements.select.value = this.model.getModelo(anterior).nome;
+        this.elements.select.disabled = modelos.length === 0;
+        this.elements.btnAplicar.disabled = modelos.length === 0;
+        this.elements.btnExportar.disabled = modelos.length === 0;
+    }
+
+    /**
+     * Abre o painel com a lista de modelos e o formulário de novo modelo
+     */
+    abrirEditor() {
+        this.renderLista();
+        this.elements.nome.value = '';
+        this.showStatus('', 'info');
+        this.elements.editor.style.display = 'flex';
+    }
+
+    /**
+     * Fecha o painel
+     */
+    fecharEditor() {
+        this.elements.editor.style.display = 'none';
+        this.showStatus('', 'info');
+    }
+
+    /**
+     * Lista os modelos com a marcação para execução em sequência e as ações de aplicar e excluir
+     */
+    renderLista() {
+        this.elements.lista.innerHTML = '';
+        const modelos = this.model.getModelos();
+        modelos.forEach((modelo, idx) => {
+            const item = document.createElement('div');
+            item.className = 'identity-item';
+
+            const marcacao = document.createElement('div');
+            marcacao.className = 'checkbox-item';
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.id = `modelo-executar-${idx}`;
+            input.value = modelo.nome;
+            input.checked = true;
+            const label = document.createElement('label');
+            label.htmlFor = input.id;
+            label.textContent = this.descreverModelo(modelo);
+            marcacao.appendChild(input);
+            marcacao.appendChild(label);
+
+            const acoes = document.createElement('div');
+            acoes.className = 'panel-actions';
+            acoes.appendChild(this.criarBotao('Aplicar', 'btn-secondary', () => this.aplicar(modelo)));
+            acoes.appendChild(this.criarBotao('Excluir', 'btn-danger', () => {
+                if (!confirm(`Excluir o modelo ${modelo.nome}?`)) return;
+                this.model.remover(modelo.nome);
+                this.renderSelect();
+                this.renderLista();
+                this.showStatus(`Modelo ${modelo.nome} excluído.`, 'success');
+            }));
+            item.appendChild(marcacao);
+            item.appendChild(acoes);
+            this.elements.lista.appendChild(item);
+        });
+        this.elements.btnExecutar.disabled = modelos.length === 0;
+    }
+
+    /**
+     * Texto de um modelo: nome, empresas, turmas, status e período
+     */
+    descreverModelo(modelo) {
+        let turmas = 'todas as turmas';
+        if (modelo.turmas.length > 0) {
+            turmas = `${modelo.turmas.length === 1 ? 'turma' : 'turmas'} ${modelo.turmas.join(', ')}`;
+        }
+        return [
+            modelo.nome,
+            modelo.empresas.length > 0 ? modelo.empresas.map(e => e.nome).join(', ') : 'Todas as Empresas',
+            turmas,
+            modelo.statusList ? `status: ${modelo.statusList.join(', ') || 'nenhum'}` : 'todos os status',
+            this.model.descreverPeriodo(modelo.periodo)
+        ].join(' · ');
+    }
+
+    /**
+     * Salva a seleção atual do formulário com o nome e o período informados
+     */
+    salvar() {
+        try {
+            const selecao = this.obterSelecao();
+            const tipo = this.elements.periodo.value;
+            if (tipo === this.model.PERIODO_FIXO && !selecao.dataInicio) {
+                throw new Error('Escolha o período no formulário para salvar um modelo com datas fixas.');
+            }
+            const nome = this.elements.nome.value;
+            const existente = this.model.getModelo(nome);
+            if (existente && !confirm(`Substituir o modelo ${existente.nome}?`)) return;
+
+            const modelo = this.model.salvar({
+                nome,
+                empresas: selecao.empresas,
+                turmas: selecao.turmas,
+                statusList: selecao.statusList,
+                periodo: { tipo, inicio: selecao.dataInicio, fim: selecao.dataFim },
+                layout: selecao.layout
+            });
+            this.elements.nome.value = '';
+            this.renderSelect();
+            this.elements.select.value = modelo.nome;
+            this.renderLista();
+            this.showStatus(`Modelo ${modelo.nome} salvo.`, 'success');
+        } catch (error) {
+            this.showStatus(error.message, 'error');
+        }
+    }
+
+    /**
+     * Preenche o formulário com um modelo (período relativo calculado na data de hoje)
+     */
+    aplicar(modelo) {
+        try {
+            const periodo = this.model.resolverPeriodo(modelo.periodo);
+            this.onAplicar(modelo, periodo);
+            this.showStatus(`Modelo ${modelo.nome} aplicado: ${periodo.inicio} a ${periodo.fim}.`, 'success');
+        } catch (error) {
+            this.showStatus(`Não foi possível aplicar o modelo ${modelo.nome}: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Gera e baixa, um após o outro, os relatórios dos modelos marcados na lista
+     */
+    async executarSelecionados() {
+        const itens = Array.from(this.elements.lista.querySelectorAll('input[type="checkbox"]:checked'))
+            .map(input => this.model.getModelo(input.value))
+            .filter(modelo => modelo)
+            .map(modelo => ({ modelo, periodo: this.model.resolverPeriodo(modelo.periodo) }));
+        if (itens.length === 0) {
+            this.showStatus('Marque ao menos um modelo para executar.', 'error');
+            return;
+        }
+
+        this.elements.btnExecutar.disabled = true;
+        this.showStatus(`Executando ${itens.length} ${itens.length === 1 ? 'modelo' : 'modelos'}...`, 'loading');
+        try {
+            const { gerados, avisos } = await this.onExecutar(itens);
+            const resumo = `${gerados} de ${itens.length} ${itens.length === 1 ? 'relatório gerado' : 'relatórios gerados'}.`;
+            this.showStatus([resumo].concat(avisos).join(' '), avisos.length > 0 ? 'error' : 'success');
+        } catch (error) {
+            this.showStatus(`Erro ao executar os modelos: ${error.message}`, 'error');
+        } finally {
+            this.elements.btnExecutar.disabled = false;
+        }
+    }
+
+    /**
+     * Importa modelos de um arquivo JSON
+     */
+    async importar(file) {
+        try {
+            const { importados, erros } = this.model.importarJSON(await file.text());
+            this.renderSelect();
+            if (this.elements.editor.style.display !== 'none') this.renderLista();
+            if (importados === 0) {
+                this.showStatus(`Nenhum modelo importado. ${erros.slice(0, 3).join(' ')}`, 'error');
+                return;
+            }
+            const resumo = `${importados} ${importados === 1 ? 'modelo importado' : 'modelos importados'} de ${file.name}.`;
+            if (erros.length > 0) {
+                this.showStatus(`${resumo} ${erros.length} ${erros.length === 1 ? 'ignorado' : 'ignorados'}. ${erros.slice(0, 3).join(' ')}`, 'error');
+                return;
+            }
+            this.showStatus(resumo, 'success');
+        } catch (error) {
+            this.showStatus(`Erro ao importar: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Baixa os modelos em JSON (mesmo formato da importação)
+     */
+    exportar() {
+        const blob = new Blob([this.model.exportarJSON()], { type: 'application/json;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'modelos_relatorio.json';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Cria um botão de ação da lista
+     */
+    criarBotao(texto, classe, onClick) {
+        const botao = document.createElement('button');
+        botao.type = 'button';
+        botao.className = `btn ${classe} btn-sm`;
+        botao.textContent = texto;
+        botao.addEventListener('click', onClick);
+        return botao;
+    }
+
+    /**
+     * Mostra mensagem abaixo do campo
+     */
+    showStatus(message, type) {
+        this.elements.status.textContent = message;
+        this.elements.status.className = 'file-status';
+        if (message) {
+            this.elements.status.classList.add(type);
+        }
+    }
+}
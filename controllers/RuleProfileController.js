@@ -0,0 +1,178 @@
+/**
+ * RuleProfileController - Controller dos perfis de regras de frequência
+ * Responsável por: listar perfis no formulário, editar/salvar/excluir perfis e informar o perfil selecionado
+ */
+class RuleProfileController {
+    constructor(ruleProfileModel) {
+        this.model = ruleProfileModel;
+
+        // Elementos DOM
+        this.elements = {
+            perfilSelect: document.getElementById('perfilRegras'),
+            btnEditar: document.getElementById('btnEditarPerfil'),
+            btnNovo: document.getElementById('btnNovoPerfil'),
+            editor: document.getElementById('perfilEditor'),
+            nome: document.getElementById('perfilNome'),
+            horasPorDia: document.getElementById('perfilHorasDia'),
+            faltaParcial: document.getElementById('perfilFaltaParcial'),
+            rotulos: document.getElementById('perfilRotulos'),
+            outrosRotulos: document.getElementById('perfilOutrosRotulos'),
+            statusAceitos: document.getElementById('perfilStatusAceitos'),
+            horasAtraso: document.getElementById('perfilHorasAtraso'),
+            limiteHoras: document.getElementById('perfilLimiteHoras'),
+            cargaHoraria: document.getElementById('perfilCargaHoraria'),
+            limitePercentual: document.getElementById('perfilLimitePercentual'),
+            percentualAtencao: document.getElementById('perfilPercentualAtencao'),
+            btnSalvar: document.getElementById('btnSalvarPerfil'),
+            btnExcluir: document.getElementById('btnExcluirPerfil'),
+            btnCancelar: document.getElementById('btnCancelarPerfil'),
+            editorStatus: document.getElementById('perfilEditorStatus')
+        };
+
+        // Id do perfil em edição (null = novo perfil)
+        this.editandoId = null;
+        // Chamado quando o perfil selecionado (ou as regras dele) muda
+        this.onAlteracao = null;
+
+        this.init();
+    }
+
+    /**
+     * Inicializa o controller e os event listeners
+     */
+    init() {
+        this.renderPerfis();
+
+        this.elements.btnEditar.addEventListener('click', () => {
+            this.abrirEditor(this.getPerfilSelecionado());
+        });
+        this.elements.btnNovo.addEventListener('click', () => {
+            // Novo perfil parte das regras do perfil selecionado
+            const base = Object.assign({}, this.getPerfilSelecionado(), { id: null, nome: '' });
+            this.abrirEditor(base);
+        });
+        this.elements.btnSalvar.addEventListener('click', () => this.salvar());
+        this.elements.btnExcluir.addEventListener('click', () => this.excluir());
+        this.elements.btnCancelar.addEventListener('click', () => this.fecharEditor());
+        this.elements.perfilSelect.addEventListener('change', () => {
+            this.fecharEditor();
+            if (this.onAlteracao) this.onAlteracao();
+        });
+    }
+
+    /**
+     * Popula o select de perfis
+     * @param {string} selecionadoId - Perfil a manter selecionado
+     */
+    renderPerfis(selecionadoId = null) {
+        const atual = selecionadoId || this.elements.perfilSelect.value || this.model.DEFAULT_ID;
+        this.elements.perfilSelect.innerHTML = '';
+
+        this.model.getPerfis().forEach(perfil => {
+            const option = document.createElement('option');
+            option.value = perfil.id;
+            option.textContent = perfil.nome;
+            this.elements.perfilSelect.appendChild(option);
+        });
+
+        this.elements.perfilSelect.value = this.model.perfis.has(atual) ? atual : this.model.DEFAULT_ID;
+    }
+
+    /**
+     * Retorna o perfil selecionado no formulário
+     * @returns {Object} - Perfil de regras
+     */
+    getPerfilSelecionado() {
+        return this.model.getPerfil(this.elements.perfilSelect.value);
+    }
+
+    /**
+     * Abre o editor preenchido com o perfil informado
+     */
+    abrirEditor(perfil) {
+        const isPadrao = perfil.id === this.model.DEFAULT_ID;
+        // O perfil padrão é somente leitura: salvar cria uma cópia
+        this.editandoId = isPadrao ? null : perfil.id;
+
+        this.elements.nome.value = isPadrao ? `${perfil.nome} (cópia)` : perfil.nome;
+        this.elements.horasPorDia.value = perfil.horasPorDia;
+        this.elements.faltaParcial.value = perfil.faltaParcial;
+        this.elements.rotulos.value = (perfil.rotulosJustificativa || []).join('\n');
+        this.elements.outrosRotulos.checked = Boolean(perfil.outrosRotulosNaoJustificada);
+        this.elements.statusAceitos.value = (perfil.statusAceitos || []).join('\n');
+        this.elements.horasAtraso.value = this.model.horasAtrasoParaTexto(perfil.horasAtraso);
+        const limites = perfil.limitesAusencia || {};
+        this.elements.limiteHoras.value = limites.horas || '';
+        this.elements.cargaHoraria.value = limites.cargaHoraria || '';
+        this.elements.limitePercentual.value = limites.percentual || '';
+        this.elements.percentualAtencao.value = limites.percentualAtencao || '';
+
+        this.elements.btnExcluir.style.display = this.editandoId ? '' : 'none';
+        this.showEditorStatus(isPadrao ? 'O perfil padrão não pode ser alterado; as mudanças serão salvas como um novo perfil.' : '', 'info');
+        this.elements.editor.style.display = 'block';
+        this.elements.nome.focus();
+    }
+
+    /**
+     * Fecha o editor sem salvar
+     */
+    fecharEditor() {
+        this.elements.editor.style.display = 'none';
+        this.editandoId = null;
+        this.showEditorStatus('', 'info');
+    }
+
+    /**
+     * Lê o formulário do editor e salva o perfil
+     */
+    salvar() {
+        try {
+            const perfil = this.model.salvarPerfil({
+                id: this.editandoId,
+                nome: this.elements.nome.value,
+                horasPorDia: this.elements.horasPorDia.value,
+                faltaParcial: this.elements.faltaParcial.value,
+                rotulosJustificativa: this.elements.rotulos.value.split(/\r?\n/),
+                outrosRotulosNaoJustificada: this.elements.outrosRotulos.checked,
+                statusAceitos: this.elements.statusAceitos.value.split(/\r?\n/),
+                horasAtraso: this.model.textoParaHorasAtraso(this.elements.horasAtraso.value),
+                limitesAusencia: {
+                    horas: this.elements.limiteHoras.value,
+                    cargaHoraria: this.elements.cargaHoraria.value,
+                    percentual: this.elements.limitePercentual.value,
+                    percentualAtencao: this.elements.percentualAtencao.value
+                }
+            });
+            this.renderPerfis(perfil.id);
+            this.fecharEditor();
+            if (this.onAlteracao) this.onAlteracao();
+        } catch (error) {
+            this.showEditorStatus(error.message, 'error');
+        }
+    }
+
+    /**
+     * Exclui o perfil em edição (após confirmação)
+     */
+    excluir() {
+        if (!this.editandoId) return;
+        const perfil = this.model.getPerfil(this.editandoId);
+        if (!confirm(`Excluir o perfil "${perfil.nome}"?`)) return;
+
+        this.model.removerPerfil(this.editandoId);
+        this.renderPerfis(this.model.DEFAULT_ID);
+        this.fecharEditor();
+        if (this.onAlteracao) this.onAlteracao();
+    }
+
+    /**
+     * Mostra mensagem no editor de perfis
+     */
+    showEditorStatus(message, type) {
+        this.elements.editorStatus.textContent = message;
+        this.elements.editorStatus.className = 'file-status';
+        if (message) {
+            this.elements.editorStatus.classList.add(type === 'error' ? 'error' : 'info');
+        }
+    }
+}
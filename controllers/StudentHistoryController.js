@@ -0,0 +1,301 @@
+/**
+ * StudentHistoryController - Controller da consulta de alunos
+ * Responsável por: buscar alunos por RA ou nome nos dados carregados, exibir o histórico do aluno
+ * (turmas, empresas, mudanças de status e faltas e atrasos mês a mês) e exportá-lo em uma página de PDF
+ */
+class StudentHistoryController {
+    /**
+     * @param {DataService} dataService - Busca e histórico (Web Worker ou local)
+     * @param {ReportPdfView} reportPdf - Exportação em PDF (opcional)
+     */
+    constructor(dataService, reportPdf = null) {
+        this.dataService = dataService;
+        this.reportPdf = reportPdf;
+
+        // Definidos pelo FrequencyController:
+        // perfil de regras selecionado: () => perfil | null
+        this.obterPerfil = null;
+        // linhas de cabeçalho do PDF (ver ReportExcelView.CABECALHO_RELATORIO)
+        this.cabecalho = [];
+
+        // Elementos DOM
+        this.elements = {
+            busca: document.getElementById('alunoBusca'),
+            resultados: document.getElementById('alunoResultados'),
+            status: document.getElementById('alunoStatus'),
+            detalhe: document.getElementById('alunoDetalhe'),
+            titulo: document.getElementById('alunoTitulo'),
+            resumo: document.getElementById('alunoResumo'),
+            turmas: document.getElementById('alunoTurmas'),
+            empresas: document.getElementById('alunoEmpresas'),
+            statusLista: document.getElementById('alunoStatusLista'),
+            meses: document.getElementById('alunoMeses'),
+            btnBaixar: document.getElementById('btnBaixarHistoricoAluno'),
+            btnFechar: document.getElementById('btnFecharHistoricoAluno')
+        };
+
+        // Histórico exibido (null = nenhum)
+        this.historico = null;
+        // Buscas seguidas: apenas a última é exibida
+        this.requisicao = 0;
+        this.timerBusca = null;
+
+        this.init();
+    }
+
+    /**
+     * Inicializa os event listeners
+     */
+    init() {
+        this.elements.busca.addEventListener('input', () => {
+            clearTimeout(this.timerBusca);
+            this.timerBusca = setTimeout(() => this.buscar(), 250);
+        });
+        this.elements.btnFechar.addEventListener('click', () => this.fecharHistorico());
+        this.elements.btnBaixar.addEventListener('click', () => this.exportarPDF());
+        if (!this.isPdfDisponivel()) {
+            this.elements.btnBaixar.disabled = true;
+            this.elements.btnBaixar.title = 'Exportação em PDF indisponível (arquivos de vendor/jspdf não foram carregados)';
+        }
+    }
+
+    /**
+     * O dataset mudou: refaz a busca digitada e fecha o histórico aberto
+     */
+    atualizar() {
+        this.fecharHistorico();
+        return this.buscar();
+    }
+
+    /**
+     * Busca alunos pelo termo digitado e lista os encontrados
+     */
+    async buscar() {
+        const termo = this.elements.busca.value.trim();
+        const requisicao = ++this.requisicao;
+        this.elements.resultados.innerHTML = '';
+        if (!termo) {
+            this.showStatus('', 'info');
+            return;
+        }
+
+        try {
+            const { alunos, total } = await this.dataService.buscarAlunos(termo);
+            if (requisicao !== this.requisicao) return;
+            if (total === 0) {
+                this.showStatus(`Nenhum aluno encontrado para "${termo}".`, 'error');
+                return;
+            }
+            this.showStatus(total > alunos.length
+                ? `${total} alunos encontrados; exibindo os ${alunos.length} primeiros (refine a busca).`
+                : `${total} ${total === 1 ? 'aluno encontrado' : 'alunos encontrados'}.`, 'success');
+            alunos.forEach(aluno => this.elements.resultados.appendChild(this.criarItemAluno(aluno)));
+        } catch (error) {
+            if (requisicao !== this.requisicao) return;
+            this.showStatus(`Erro na busca: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Item da lista de resultados: nome, RA, turmas e empresas, com a ação de abrir o histórico
+     */
+    criarItemAluno(aluno) {
+        const item = document.createElement('div');
+        item.className = 'identity-item';
+        const descricao = document.createElement('p');
+        const nome = document.createElement('strong');
+        nome.textContent = aluno.aluno || '(sem nome)';
+        descricao.appendChild(nome);
+        descricao.appendChild(document.createTextNode(
+            ` · RA ${aluno.ra} · ${aluno.turmas.join(', ')} · ${aluno.empresas.join(', ')} · ${aluno.registros} ${aluno.registros === 1 ? 'registro' : 'registros'}`));
+        const acoes = document.createElement('div');
+        acoes.className = 'panel-actions';
+        acoes.appendChild(this.criarBotao('Ver histórico', 'btn-primary', () => this.abrirHistorico(aluno.ra)));
+        item.appendChild(descricao);
+        item.appendChild(acoes);
+        return item;
+    }
+
+    /**
+     * Calcula e exibe o histórico de um aluno
+     * @param {string} ra - RA do aluno
+     */
+    async abrirHistorico(ra) {
+        try {
+            const historico = await this.dataService.gerarHistoricoAluno(ra, this.obterPerfil ? this.obterPerfil() : null);
+            if (!historico) {
+                throw new Error(`o RA ${ra} não está nos dados carregados.`);
+            }
+            this.historico = historico;
+            this.renderHistorico();
+        } catch (error) {
+            this.showStatus(`Não foi possível abrir o histórico: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Fecha o histórico (a lista de resultados continua)
+     */
+    fecharHistorico() {
+        this.historico = null;
+        this.elements.detalhe.style.display = 'none';
+    }
+
+    /**
+     * Exibe o histórico aberto
+     */
+    renderHistorico() {
+        const h = this.historico;
+        this.elements.titulo.textContent = `${h.aluno} · RA ${h.ra}`;
+        this.elements.resumo.textContent = this.getResumo(h).join(' · ');
+
+        this.renderTabela(this.elements.turmas, ['Turma', 'Curso', 'De', 'Até', 'Registros'],
+            h.turmas.map(t => [t.turma, t.curso, t.inicio, t.fim, t.registros]));
+        this.renderTabela(this.elements.empresas, ['Empresa', 'CNPJ', 'De', 'Até', 'Registros'],
+            h.empresas.map(e => [e.nome, this.formatCNPJ(e.cnpj), e.inicio, e.fim, e.registros]));
+
+        this.elements.statusLista.innerHTML = '';
+        h.status.forEach(periodo => {
+            const li = document.createElement('li');
+            li.textContent = this.descreverStatus(periodo);
+            this.elements.statusLista.appendChild(li);
+        });
+        if (h.status.length === 0) {
+            const li = document.createElement('li');
+            li.textContent = 'Sem status informado nos registros.';
+            this.elements.statusLista.appendChild(li);
+        }
+
+        this.renderTabela(this.elements.meses, ['Mês', 'Registros', 'Faltas just.', 'Faltas não just.', 'Horas de atraso', 'Total horas de ausência'],
+            h.meses.map(m => [m.mesAno, m.registros, m.NUM_FALTAS_JUSTIFICADAS, m.NUM_FALTAS_NAO_JUSTIFICADAS, m.NUM_HORAS_ATRASO, this.formatarNumero(m.TOTAL_HORAS_AUSENCIA)]),
+            ['Total', h.registros, h.totais.NUM_FALTAS_JUSTIFICADAS, h.totais.NUM_FALTAS_NAO_JUSTIFICADAS, h.totais.NUM_HORAS_ATRASO, this.formatarNumero(h.totais.TOTAL_HORAS_AUSENCIA)]);
+
+        this.elements.detalhe.style.display = 'flex';
+    }
+
+    /**
+     * Linhas de resumo do histórico: curso, período, total de ausência, frequência e limite do perfil
+     * @returns {Array<string>}
+     */
+    getResumo(h) {
+        const t = h.totais;
+        const resumo = [
+            h.curso,
+            h.periodo.inicio ? `${h.periodo.inicio} a ${h.periodo.fim}` : '',
+            `${this.formatarNumero(t.TOTAL_HORAS_AUSENCIA)} h de ausência`
+        ];
+        if (t.PERCENTUAL_FREQUENCIA !== null && t.PERCENTUAL_FREQUENCIA !== undefined) {
+            resumo.push(`frequência ${this.formatarNumero(t.PERCENTUAL_FREQUENCIA)}%`);
+        }
+        if (t.LIMITE_HORAS_AUSENCIA !== null && t.LIMITE_HORAS_AUSENCIA !== undefined) {
+            const situacao = { risco: ' (em risco)', atencao: ' (atenção)' }[t.SITUACAO_LIMITE] || '';
+            resumo.push(`${this.formatarNumero(t.PERCENTUAL_DO_LIMITE)}% do limite de ${this.formatarNumero(t.LIMITE_HORAS_AUSENCIA)} h${situacao}`);
+        }
+        return resumo.filter(texto => texto);
+    }
+
+    /**
+     * Texto de um período de status (ex.: "MATRICULADO de 03/02/2025 a 30/06/2025 (90 registros)")
+     */
+    descreverStatus(periodo) {
+        const datas = periodo.inicio === periodo.fim ? `em ${periodo.inicio}` : `de ${periodo.inicio} a ${periodo.fim}`;
+        return `${periodo.status} ${datas} (${periodo.registros} ${periodo.registros === 1 ? 'registro' : 'registros'})`;
+    }
+
+    /**
+     * Preenche uma tabela simples
+     * @param {HTMLTableElement} tabela
+     * @param {Array<string>} cabecalho - Títulos das colunas
+     * @param {Array<Array>} linhas - Valores de cada linha
+     * @param {Array|null} rodape - Linha de totais (opcional)
+     */
+    renderTabela(tabela, cabecalho, linhas, rodape = null) {
+        tabela.innerHTML = '';
+        const criarLinha = (valores, tag) => {
+            const tr = document.createElement('tr');
+            valores.forEach(valor => {
+                const celula = document.createElement(tag);
+                celula.textContent = valor === null || valor === undefined ? '' : valor;
+                tr.appendChild(celula);
+            });
+            return tr;
+        };
+        const thead = document.createElement('thead');
+        thead.appendChild(criarLinha(cabecalho, 'th'));
+        const tbody = document.createElement('tbody');
+        linhas.forEach(valores => tbody.appendChild(criarLinha(valores, 'td')));
+        tabela.appendChild(thead);
+        tabela.appendChild(tbody);
+        if (rodape) {
+            const tfoot = document.createElement('tfoot');
+            tfoot.appendChild(criarLinha(rodape, 'td'));
+            tabela.appendChild(tfoot);
+        }
+    }
+
+    /**
+     * Indica se a exportação em PDF pode ser usada
+     */
+    isPdfDisponivel() {
+        return Boolean(this.reportPdf && this.reportPdf.disponivel());
+    }
+
+    /**
+     * Baixa o histórico aberto em uma página de PDF (reuniões com a família ou a empresa)
+     */
+    exportarPDF() {
+        if (!this.historico) return;
+        try {
+            const h = this.historico;
+            const doc = this.reportPdf.gerarHistoricoAluno(h, {
+                cabecalho: this.cabecalho,
+                titulo: 'Histórico de Frequência do Aprendiz',
+                resumo: this.getResumo(h).join(' · '),
+                status: h.status.map(periodo => this.descreverStatus(periodo)),
+                formatarCNPJ: cnpj => this.formatCNPJ(cnpj)
+            });
+            const nome = h.aluno.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/gi, '_');
+            doc.save(`historico_aluno_${h.ra}_${nome}.pdf`);
+        } catch (error) {
+            this.showStatus(`Erro ao gerar o PDF: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Formata CNPJ (00.000.000/0000-00)
+     */
+    formatCNPJ(cnpj) {
+        if (!cnpj || cnpj.length !== 14) return cnpj;
+        return cnpj.replace(/^(\d{2})(\d{3})(\d{3})(\d{4})(\d{2})$/, '$1.$2.$3/$4-$5');
+    }
+
+    /**
+     * Formata número para exibição (pt-BR)
+     */
+    formatarNumero(valor) {
+        return (Number(valor) || 0).toLocaleString('pt-BR', { maximumFractionDigits: 2 });
+    }
+
+    /**
+     * Cria um botão de ação da lista
+     */
+    criarBotao(texto, classe, onClick) {
+        const botao = document.createElement('button');
+        botao.type = 'button';
+        botao.className = `btn ${classe} btn-sm`;
+        botao.textContent = texto;
+        botao.addEventListener('click', onClick);
+        return botao;
+    }
+
+    /**
+     * Mostra mensagem abaixo da busca
+     */
+    showStatus(message, type) {
+        this.elements.status.textContent = message;
+        this.elements.status.className = 'file-status';
+        if (message) {
+            this.elements.status.classList.add(type);
+        }
+    }
+}
@@ -7,29 +7,97 @@
 document.addEventListener('DOMContentLoaded', () => {
     console.log('🚀 Inicializando Sistema de Processamento de Frequência...');
 
-    // Verificar se as bibliotecas necessárias estão carregadas
+    // Versão, uso offline e aviso de atualização: antes das demais verificações, para que uma
+    // versão nova possa substituir arquivos que não carregaram
+    if (typeof AppUpdateController !== 'undefined' && typeof VERSAO_APP !== 'undefined') {
+        new AppUpdateController(VERSAO_APP);
+    } else {
+        console.warn('⚠️ Controle de versão não carregado: uso offline e aviso de atualização indisponíveis.');
+    }
+
+    // Verificar se as bibliotecas necessárias (incluídas em vendor/) estão carregadas
     if (typeof Papa === 'undefined') {
         console.error('❌ PapaParse não está carregado!');
-        alert('Erro: Biblioteca PapaParse não foi carregada. Verifique sua conexão com a internet.');
+        alert('Erro: Arquivo vendor/papaparse/papaparse.min.js não foi carregado corretamente.');
         return;
     }
 
     if (typeof flatpickr === 'undefined') {
         console.error('❌ Flatpickr não está carregado!');
-        alert('Erro: Biblioteca Flatpickr não foi carregada. Verifique sua conexão com a internet.');
+        alert('Erro: Arquivo vendor/flatpickr/flatpickr.min.js não foi carregado corretamente.');
         return;
     }
 
     if (typeof XLSX === 'undefined') {
         console.error('❌ SheetJS (XLSX) não está carregado!');
-        alert('Erro: Biblioteca SheetJS não foi carregada. Verifique sua conexão com a internet.');
+        alert('Erro: Arquivo vendor/xlsx-js-style/xlsx.min.js não foi carregado corretamente.');
         return;
     }
 
+    if (typeof JSZip === 'undefined') {
+        // Opcional: sem ela, apenas a exportação em lote (ZIP por empresa) fica indisponível
+        console.warn('⚠️ JSZip não está carregado: exportação de um arquivo por empresa indisponível.');
+    }
+
     // Verificar se as classes Model e Controller estão disponíveis
-    if (typeof DataModel === 'undefined') {
-        console.error('❌ DataModel não está definido!');
-        alert('Erro: Arquivo DataModel.js não foi carregado corretamente.');
+    if (typeof DataModel === 'undefined' || typeof ReportBuilder === 'undefined') {
+        console.error('❌ DataModel ou ReportBuilder não está definido!');
+        alert('Erro: Arquivos DataModel.js e ReportBuilder.js não foram carregados corretamente.');
+        return;
+    }
+
+    if (typeof DataService === 'undefined') {
+        console.error('❌ DataService não está definido!');
+        alert('Erro: Arquivo DataService.js não foi carregado corretamente.');
+        return;
+    }
+
+    if (typeof RuleProfileModel === 'undefined' || typeof RuleProfileController === 'undefined') {
+        console.error('❌ Perfis de regras não estão definidos!');
+        alert('Erro: Arquivos de perfis de regras não foram carregados corretamente.');
+        return;
+    }
+
+    if (typeof ColumnMappingModel === 'undefined' || typeof ColumnMappingController === 'undefined') {
+        console.error('❌ Mapeamento de colunas não está definido!');
+        alert('Erro: Arquivos de mapeamento de colunas não foram carregados corretamente.');
+        return;
+    }
+
+    if (typeof CompanyIdentityModel === 'undefined' || typeof CompanyIdentityController === 'undefined') {
+        console.error('❌ Identidade de empresas não está definida!');
+        alert('Erro: Arquivos de identidade de empresas não foram carregados corretamente.');
+        return;
+    }
+
+    if (typeof CourseWorkloadModel === 'undefined' || typeof CourseWorkloadController === 'undefined') {
+        console.error('❌ Cadastro de carga horária não está definido!');
+        alert('Erro: Arquivos do cadastro de carga horária não foram carregados corretamente.');
+        return;
+    }
+
+    if (typeof DatasetStorageModel === 'undefined' || typeof DatasetStorageController === 'undefined') {
+        console.error('❌ Armazenamento de conjuntos de dados não está definido!');
+        alert('Erro: Arquivos de conjuntos de dados e histórico não foram carregados corretamente.');
+        return;
+    }
+
+    if (typeof ReportPresetModel === 'undefined' || typeof ReportPresetController === 'undefined') {
+        console.error('❌ Modelos de relatório não estão definidos!');
+        alert('Erro: Arquivos de modelos de relatório não foram carregados corretamente.');
+        return;
+    }
+
+    if (typeof StudentHistoryController === 'undefined') {
+        console.error('❌ Consulta de aluno não está definida!');
+        alert('Erro: Arquivo da consulta de aluno não foi carregado corretamente.');
+        return;
+    }
+
+    if (typeof ReportPreviewView === 'undefined' || typeof ReportExcelView === 'undefined' || typeof ReportPdfView === 'undefined' ||
+        typeof AttendanceGridView === 'undefined' || typeof DashboardView === 'undefined') {
+        console.error('❌ Views de relatório não estão definidas!');
+        alert('Erro: Arquivos de views do relatório não foram carregados corretamente.');
         return;
     }
 
@@ -44,15 +112,91 @@ document.addEventListener('DOMContentLoaded', () => {
         const dataModel = new DataModel();
         console.log('✓ DataModel inicializado');
 
+        // Processamento de dados em Web Worker (ou na thread principal, se indisponível)
+        const dataService = new DataService(dataModel);
+        console.log('✓ DataService inicializado');
+
+        // Instanciar perfis de regras (padrão do README + perfis salvos localmente)
+        const ruleProfileModel = new RuleProfileModel();
+        const ruleProfileController = new RuleProfileController(ruleProfileModel);
+        console.log('✓ Perfis de regras inicializados');
+
+        // Instanciar assistente de mapeamento de colunas (lembra mapeamentos localmente)
+        const columnMappingModel = new ColumnMappingModel();
+        const columnMappingController = new ColumnMappingController(columnMappingModel);
+        console.log('✓ Mapeamento de colunas inicializado');
+
+        // Instanciar identidade das empresas (fusões de CNPJs e nomes canônicos salvos localmente)
+        const companyIdentityModel = new CompanyIdentityModel(dataModel);
+        const companyIdentityController = new CompanyIdentityController(companyIdentityModel, dataModel, dataService);
+        console.log('✓ Identidade de empresas inicializada');
+
+        // Instanciar cadastro de carga horária e calendário das turmas (salvo localmente)
+        const courseWorkloadModel = new CourseWorkloadModel();
+        const courseWorkloadController = new CourseWorkloadController(courseWorkloadModel, dataModel, dataService);
+        console.log('✓ Cadastro de carga horária inicializado');
+
+        // Conjuntos de dados e histórico de relatórios salvos no navegador (IndexedDB)
+        const datasetStorageModel = new DatasetStorageModel();
+        const datasetStorageController = new DatasetStorageController(datasetStorageModel, dataService);
+        console.log('✓ Conjuntos de dados salvos inicializados');
+
+        // Modelos de relatório (seleções do formulário salvas localmente e compartilhadas em JSON)
+        const reportPresetModel = new ReportPresetModel();
+        const reportPresetController = new ReportPresetController(reportPresetModel);
+        console.log('✓ Modelos de relatório inicializados');
+
+        // Prévia do relatório na página (conferência antes do download)
+        const reportPreviewView = new ReportPreviewView();
+        console.log('✓ Prévia do relatório inicializada');
+
+        // Grade diária de frequência (um código por aluno e dia de aula)
+        const attendanceGridView = new AttendanceGridView(dataModel);
+
+        // Painel de indicadores (gráficos em SVG, sem bibliotecas externas)
+        const dashboardView = new DashboardView();
+
+        // Relatório em Excel (mesma montagem usada pela linha de comando)
+        const reportExcelView = new ReportExcelView(dataModel);
+
+        // Relatório em PDF (bibliotecas em vendor/)
+        const reportPdfView = new ReportPdfView();
+        if (!reportPdfView.disponivel()) {
+            console.warn('⚠️ jsPDF não está carregado: exportação em PDF indisponível.');
+        }
+
+        // Consulta de aluno por RA ou nome (histórico em todo o período carregado)
+        const studentHistoryController = new StudentHistoryController(dataService, reportPdfView);
+
         // Instanciar o Controller passando o Model
-        const controller = new FrequencyController(dataModel);
+        const controller = new FrequencyController(dataModel, {
+            dataService,
+            reportExcel: reportExcelView,
+            ruleProfiles: ruleProfileController,
+            columnMapping: columnMappingController,
+            companyIdentity: companyIdentityController,
+            courseWorkload: courseWorkloadController,
+            datasetStorage: datasetStorageController,
+            reportPresets: reportPresetController,
+            studentHistory: studentHistoryController,
+            reportPreview: reportPreviewView,
+            reportPdf: reportPdfView,
+            attendanceGrid: attendanceGridView,
+            dashboard: dashboardView
+        });
         console.log('✓ FrequencyController inicializado');
 
         // Disponibilizar globalmente para debugging (apenas em desenvolvimento)
         if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
             window.app = {
                 model: dataModel,
-                controller: controller
+                dataService: dataService,
+                controller: controller,
+                ruleProfiles: ruleProfileModel,
+                companyIdentity: companyIdentityModel,
+                calendarios: courseWorkloadModel,
+                conjuntos: datasetStorageModel,
+                modelos: reportPresetModel
             };
             console.log('ℹ️ App disponível globalmente via window.app (modo desenvolvimento)');
         }
@@ -0,0 +1,120 @@
+/**
+ * dataWorker.js - Web Worker de processamento de dados
+ * Mantém o DataModel com os registros carregados e executa leitura, análise, indexação,
+ * filtragem e geração de relatórios fora da thread principal (ver models/DataService.js)
+ */
+importScripts(
+    '../vendor/papaparse/papaparse.min.js',
+    '../models/ReportBuilder.js',
+    '../models/DataModel.js'
+);
+
+const model = new DataModel();
+
+// Operações que alteram o dataset: só elas devolvem os índices (reconstruídos na thread principal)
+const OPERACOES_DATASET = new Set([
+    'loadCSV', 'removerArquivo', 'importarDataset', 'clear', 'definirIdentidadesEmpresas',
+    // Refaz as inconsistências que dependem do perfil: muda o resumo de cada arquivo
+    'definirPerfilValidacao'
+]);
+
+// Cancelamentos por id de requisição
+const cancelamentos = new Map();
+// Mapeamentos de colunas aguardando resposta da thread principal
+const colunasPendentes = new Map();
+
+/**
+ * Envia progresso de uma requisição
+ */
+function enviarProgresso(id, percentual, etapa) {
+    self.postMessage({ tipo: 'progresso', id, percentual, etapa });
+}
+
+/**
+ * Pede à thread principal o mapeamento de colunas (assistente de colunas)
+ */
+function solicitarColunas(id, headers, nomeArquivo, amostra) {
+    return new Promise((resolve, reject) => {
+        colunasPendentes.set(id, { resolve, reject });
+        self.postMessage({ tipo: 'colunas', id, headers, nomeArquivo, amostra });
+    });
+}
+
+/**
+ * Executa uma requisição e devolve o resultado
+ * Operações que alteram o dataset (OPERACOES_DATASET) devolvem também os índices atualizados
+ */
+async function executar(msg) {
+    const { id, operacao, args } = msg;
+    const cancelamento = { cancelado: false };
+    cancelamentos.set(id, cancelamento);
+    const progresso = (percentual, etapa) => enviarProgresso(id, percentual, etapa);
+
+    try {
+        let resultado;
+        switch (operacao) {
+            case 'loadCSV': {
+                const [file, politica, usarResolver] = args;
+                const resolver = usarResolver
+                    ? (headers, nome, amostra) => solicitarColunas(id, headers, nome, amostra)
+                    : null;
+                resultado = await model.loadCSV(file, politica, resolver, progresso, cancelamento);
+                break;
+            }
+            case 'gerarRelatorioCompleto': {
+                const [filtros, perfil, abasPorMes, periodoComparacao] = args;
+                resultado = await model.gerarRelatorioCompleto(filtros, perfil, abasPorMes, periodoComparacao, progresso, cancelamento);
+                break;
+            }
+            case 'gerarRelatoriosPorEmpresa': {
+                const [filtros, perfil, abasPorMes] = args;
+                resultado = await model.gerarRelatoriosPorEmpresa(filtros, perfil, abasPorMes, progresso, cancelamento);
+                break;
+            }
+            default:
+                if (typeof model[operacao] !== 'function') {
+                    throw new Error(`Operação desconhecida: ${operacao}`);
+                }
+                resultado = await model[operacao](...(args || []));
+        }
+
+        const indices = OPERACOES_DATASET.has(operacao) ? model.exportarIndices() : null;
+        self.postMessage({ tipo: 'resultado', id, resultado, indices });
+    } catch (error) {
+        self.postMessage({ tipo: 'erro', id, mensagem: error.message, cancelado: Boolean(error.cancelado) });
+    } finally {
+        cancelamentos.delete(id);
+    }
+}
+
+self.onmessage = (e) => {
+    const msg = e.data || {};
+    switch (msg.tipo) {
+        case 'executar':
+            executar(msg);
+            break;
+        case 'cancelar': {
+            const cancelamento = cancelamentos.get(msg.id);
+            if (cancelamento) cancelamento.cancelado = true;
+            const pendente = colunasPendentes.get(msg.id);
+            if (pendente) {
+                colunasPendentes.delete(msg.id);
+                pendente.resolve(null);
+            }
+            break;
+        }
+        case 'colunas-resposta': {
+            const pendente = colunasPendentes.get(msg.id);
+            if (pendente) {
+                colunasPendentes.delete(msg.id);
+                if (msg.erro) pendente.reject(new Error(msg.erro));
+                else pendente.resolve(msg.mapeamento);
+            }
+            break;
+        }
+        default:
+            break;
+    }
+};
+
+self.postMessage({ tipo: 'pronto' });
@@ -0,0 +1,7 @@
+/**
+ * versao.js - Versão da aplicação
+ * Exibida no rodapé da página e usada pelo service worker (sw.js) no nome do cache offline.
+ * Ao publicar qualquer alteração nos arquivos da aplicação, aumente a versão: é a mudança deste
+ * arquivo que faz os navegadores baixarem a nova versão e oferecerem a atualização.
+ */
+const VERSAO_APP = '5.0.0';
@@ -0,0 +1,150 @@
+/**
+ * ColumnMappingModel - Model para o mapeamento de colunas do CSV
+ * Responsável por: reconhecer cabeçalhos (nomes canônicos, variações conhecidas e mapeamentos salvos),
+ * apontar colunas desconhecidas/ausentes e lembrar os mapeamentos escolhidos pelo usuário
+ */
+class ColumnMappingModel {
+    constructor(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        this.storage = storage;
+        this.STORAGE_KEY = 'frequencia.mapeamentoColunas';
+        // Valor usado no mapeamento para "ignorar esta coluna"
+        this.IGNORAR = '';
+
+        // Campos canônicos do CSV (ver README). Variações conhecidas são reconhecidas automaticamente.
+        // Campos informativos não são usados nos cálculos: sua ausência não abre o assistente.
+        this.CAMPOS = [
+            { campo: 'CURSO', descricao: 'Nome do curso', obrigatorio: false, variacoes: [] },
+            { campo: 'TURMA', descricao: 'Código da turma', obrigatorio: true, variacoes: ['COD_TURMA', 'CODTURMA'] },
+            { campo: 'RA', descricao: 'Registro Acadêmico', obrigatorio: true, variacoes: ['MATRICULA'] },
+            { campo: 'ALUNO', descricao: 'Nome do aluno', obrigatorio: true, variacoes: ['NOME', 'NOME_ALUNO'] },
+            { campo: 'DESCRICAO', descricao: 'Status do aluno', obrigatorio: false, variacoes: ['STATUS', 'SITUACAO'] },
+            { campo: 'DTINICIO_TURMA', descricao: 'Data de início da turma', obrigatorio: false, informativo: true, variacoes: [] },
+            { campo: 'DATA', descricao: 'Data da aula (DD/MM/YYYY)', obrigatorio: true, variacoes: ['DATA_AULA', 'DT_AULA'] },
+            { campo: 'FALTAS', descricao: 'Faltas na aula', obrigatorio: false, variacoes: ['FALTA', 'FALT', 'FALT.'] },
+            { campo: 'FREQUENCIA', descricao: 'Presença na aula', obrigatorio: false, variacoes: ['FREQUENC', 'FREQ'] },
+            { campo: 'JUSTIFICADA', descricao: 'Justificativa da falta', obrigatorio: false, variacoes: ['JUSTIF', 'JUSTIFIC', 'JUSTIFICATIVA'] },
+            { campo: 'MES', descricao: 'Mês da aula', obrigatorio: false, informativo: true, variacoes: [] },
+            { campo: 'CNPJ_EMPRESA', descricao: 'CNPJ da empresa', obrigatorio: true, variacoes: ['CNPJ'] },
+            { campo: 'EMPRESA', descricao: 'Nome da empresa', obrigatorio: true, variacoes: ['NOME_EMPRESA', 'RAZAO_SOCIAL'] }
+        ];
+
+        this.mapeamentosSalvos = {};
+        this.load();
+    }
+
+    /**
+     * Carrega os mapeamentos lembrados de uploads anteriores
+     */
+    load() {
+        if (!this.storage) return;
+        try {
+            this.mapeamentosSalvos = JSON.parse(this.storage.getItem(this.STORAGE_KEY) || '{}') || {};
+        } catch (e) {
+            console.warn('Mapeamento de colunas salvo inválido, ignorando.', e);
+            this.mapeamentosSalvos = {};
+        }
+    }
+
+    /**
+     * Normaliza um cabeçalho para comparação (maiúsculas, sem acentos, espaços como "_")
+     */
+    normalizarCabecalho(header) {
+        return String(header || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toUpperCase()
+            .trim()
+            .replace(/\s+/g, '_');
+    }
+
+    /**
+     * Reconhece automaticamente um cabeçalho (nome canônico ou variação conhecida)
+     * @returns {string|null} - Campo canônico ou null
+     */
+    reconhecerCabecalho(header) {
+        const normalizado = this.normalizarCabecalho(header);
+        const def = this.CAMPOS.find(c => c.campo === normalizado || c.variacoes.includes(normalizado));
+        return def ? def.campo : null;
+    }
+
+    /**
+     * Analisa os cabeçalhos de um arquivo
+     * @param {Array<string>} headers - Cabeçalhos na ordem do arquivo
+     * @returns {Object} - {mapeamento: {header -> campo}, desconhecidos: [header], faltantes: [campo não informativo], obrigatoriosFaltantes: [campo]}
+     */
+    analisarCabecalhos(headers) {
+        const mapeamento = {};
+        const desconhecidos = [];
+        const usados = new Set();
+
+        (headers || []).forEach(header => {
+            if (header === undefined || header === null || String(header).trim() === '') return;
+            const normalizado = this.normalizarCabecalho(header);
+            let campo = this.reconhecerCabecalho(header);
+
+            // Mapeamento lembrado de uploads anteriores
+            if (!campo && Object.prototype.hasOwnProperty.call(this.mapeamentosSalvos, normalizado)) {
+                campo = this.mapeamentosSalvos[normalizado];
+                if (campo === this.IGNORAR) {
+                    mapeamento[header] = this.IGNORAR;
+                    return;
+                }
+            }
+
+            // Duas colunas para o mesmo campo: vale a primeira (ex.: FALTAS e FALT)
+            if (campo && !usados.has(campo)) {
+                mapeamento[header] = campo;
+                usados.add(campo);
+            } else if (!campo) {
+                desconhecidos.push(header);
+            }
+        });
+
+        const faltantes = this.CAMPOS.filter(c => !c.informativo && !usados.has(c.campo)).map(c => c.campo);
+        const obrigatoriosFaltantes = this.CAMPOS
+            .filter(c => c.obrigatorio && !usados.has(c.campo))
+            .map(c => c.campo);
+
+        return { mapeamento, desconhecidos, faltantes, obrigatoriosFaltantes };
+    }
+
+    /**
+     * Indica se a análise exige o assistente de mapeamento
+     * (há colunas desconhecidas e campos canônicos sem coluna correspondente)
+     */
+    precisaMapeamento(analise) {
+        return analise.desconhecidos.length > 0 && analise.faltantes.length > 0;
+    }
+
+    /**
+     * Retorna os campos obrigatórios que continuam sem coluna após o mapeamento
+     * @param {Object} mapeamento - header -> campo
+     */
+    getObrigatoriosFaltantes(mapeamento) {
+        const usados = new Set(Object.values(mapeamento || {}));
+        return this.CAMPOS.filter(c => c.obrigatorio && !usados.has(c.campo)).map(c => c.campo);
+    }
+
+    /**
+     * Lembra as escolhas do usuário para os próximos uploads
+     * @param {Object} escolhas - header original -> campo (ou IGNORAR)
+     */
+    salvarMapeamento(escolhas) {
+        Object.keys(escolhas || {}).forEach(header => {
+            // Cabeçalhos reconhecidos automaticamente não precisam ser lembrados
+            if (this.reconhecerCabecalho(header)) return;
+            this.mapeamentosSalvos[this.normalizarCabecalho(header)] = escolhas[header];
+        });
+        if (this.storage) {
+            this.storage.setItem(this.STORAGE_KEY, JSON.stringify(this.mapeamentosSalvos));
+        }
+    }
+
+    /**
+     * Esquece todos os mapeamentos lembrados
+     */
+    limparMapeamentosSalvos() {
+        this.mapeamentosSalvos = {};
+        if (this.storage) this.storage.removeItem(this.STORAGE_KEY);
+    }
+}
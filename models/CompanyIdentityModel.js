@@ -0,0 +1,219 @@
+/**
+ * CompanyIdentityModel - Model para a identidade das empresas (CNPJ x nome)
+ * Responsável por: apontar CNPJs inválidos, nomes repetidos em CNPJs diferentes e CNPJs com nomes
+ * muito diferentes entre si, e lembrar as decisões do usuário (fusões de CNPJs e nomes canônicos)
+ */
+class CompanyIdentityModel {
+    /**
+     * @param {DataModel} dataModel - Usado para validar CNPJs
+     * @param {Storage} storage - Armazenamento das decisões (localStorage)
+     */
+    constructor(dataModel, storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        this.dataModel = dataModel;
+        this.storage = storage;
+        this.STORAGE_KEY = 'frequencia.identidadeEmpresas';
+
+        // Tipos de conflito
+        this.CNPJ_INVALIDO = 'cnpj-invalido';
+        this.NOME_COMPARTILHADO = 'nome-compartilhado';
+        this.NOMES_DIVERGENTES = 'nomes-divergentes';
+
+        // Similaridade mínima (0 a 1) entre nomes de um mesmo CNPJ para não serem apontados como divergentes
+        this.SIMILARIDADE_MINIMA = 0.5;
+        // Palavras desconsideradas ao comparar nomes (natureza jurídica, preposições)
+        this.PALAVRAS_IGNORADAS = new Set(['LTDA', 'ME', 'EPP', 'EIRELI', 'SA', 'S', 'A', 'CIA', 'DE', 'DA', 'DO', 'DAS', 'DOS', 'E']);
+
+        this.fusoes = {}; // CNPJ -> CNPJ que o substitui
+        this.nomes = {}; // CNPJ -> nome canônico
+        this.ignorados = new Set(); // ids de conflitos que o usuário decidiu manter
+        this.load();
+    }
+
+    /**
+     * Carrega as decisões salvas no armazenamento local
+     */
+    load() {
+        if (!this.storage) return;
+        try {
+            const salvo = JSON.parse(this.storage.getItem(this.STORAGE_KEY) || '{}') || {};
+            this.fusoes = salvo.fusoes || {};
+            this.nomes = salvo.nomes || {};
+            this.ignorados = new Set(salvo.ignorados || []);
+        } catch (e) {
+            console.warn('Identidade de empresas salva inválida, ignorando.', e);
+        }
+    }
+
+    /**
+     * Persiste as decisões
+     */
+    persist() {
+        if (!this.storage) return;
+        this.storage.setItem(this.STORAGE_KEY, JSON.stringify({
+            fusoes: this.fusoes,
+            nomes: this.nomes,
+            ignorados: Array.from(this.ignorados)
+        }));
+    }
+
+    /**
+     * Configuração aplicada pelo DataModel (ver DataModel.definirIdentidadesEmpresas)
+     * @returns {Object} - {fusoes, nomes}
+     */
+    getConfig() {
+        return { fusoes: Object.assign({}, this.fusoes), nomes: Object.assign({}, this.nomes) };
+    }
+
+    /**
+     * Indica se há alguma decisão salva
+     */
+    temAjustes() {
+        return Object.keys(this.fusoes).length > 0 || Object.keys(this.nomes).length > 0 || this.ignorados.size > 0;
+    }
+
+    /**
+     * Unifica vários CNPJs em um só (os demais passam a ser tratados como o destino)
+     * @param {Array<string>} cnpjs - CNPJs normalizados a unificar
+     * @param {string} destino - CNPJ que representa a empresa
+     */
+    unificar(cnpjs, destino) {
+        if (!destino) throw new Error('Escolha o CNPJ que representa a empresa.');
+        const origens = cnpjs.filter(c => c && c !== destino);
+        origens.forEach(cnpj => {
+            this.fusoes[cnpj] = destino;
+            // O nome canônico escolhido para um CNPJ unificado passa para o destino
+            if (this.nomes[cnpj] && !this.nomes[destino]) this.nomes[destino] = this.nomes[cnpj];
+            delete this.nomes[cnpj];
+        });
+        // Fusões anteriores que apontavam para um dos CNPJs unificados passam a apontar para o destino
+        Object.keys(this.fusoes).forEach(cnpj => {
+            if (origens.includes(this.fusoes[cnpj])) this.fusoes[cnpj] = destino;
+        });
+        delete this.fusoes[destino];
+        this.persist();
+    }
+
+    /**
+     * Define o nome canônico de um CNPJ (exibido no autocomplete e no relatório)
+     */
+    definirNome(cnpj, nome) {
+        const limpo = String(nome || '').replace(/\s+/g, ' ').trim();
+        if (!limpo) throw new Error('Informe o nome da empresa.');
+        this.nomes[cnpj] = limpo;
+        this.persist();
+    }
+
+    /**
+     * Mantém um conflito como está (não volta a ser apontado)
+     * @param {string} id - Id do conflito (ver detectarConflitos)
+     */
+    ignorar(id) {
+        this.ignorados.add(id);
+        this.persist();
+    }
+
+    /**
+     * Desfaz todas as decisões
+     */
+    restaurar() {
+        this.fusoes = {};
+        this.nomes = {};
+        this.ignorados.clear();
+        this.persist();
+    }
+
+    /**
+     * Normaliza um nome para comparação (maiúsculas, sem acentos e pontuação)
+     */
+    normalizarNome(nome) {
+        return String(nome || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toUpperCase()
+            .replace(/[^A-Z0-9]+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Similaridade entre dois nomes (índice de Jaccard das palavras significativas, 0 a 1)
+     */
+    similaridadeNomes(a, b) {
+        const palavras = nome => new Set(this.normalizarNome(nome).split(' ').filter(p => p && !this.PALAVRAS_IGNORADAS.has(p)));
+        const pa = palavras(a);
+        const pb = palavras(b);
+        if (pa.size === 0 && pb.size === 0) return 1;
+        let comuns = 0;
+        pa.forEach(p => { if (pb.has(p)) comuns++; });
+        return comuns / (pa.size + pb.size - comuns);
+    }
+
+    /**
+     * Aponta os conflitos de identidade das empresas carregadas
+     * @param {Array} empresas - Retorno de DataModel.getEmpresasAPR (já com as decisões aplicadas)
+     * @returns {Array<Object>} - {id, tipo, ...}; conflitos ignorados pelo usuário não são retornados
+     */
+    detectarConflitos(empresas) {
+        const conflitos = [];
+        const resumo = e => ({ cnpj: e.cnpj, nome: e.nome, registros: e.registros });
+
+        // Mesmo nome (alias) em CNPJs diferentes
+        const porNome = new Map();
+        empresas.forEach(empresa => {
+            new Set(empresa.aliases.map(alias => this.normalizarNome(alias))).forEach(chave => {
+                if (!chave) return;
+                if (!porNome.has(chave)) porNome.set(chave, []);
+                porNome.get(chave).push(empresa);
+            });
+        });
+        const gruposVistos = new Set();
+        porNome.forEach((grupo, chave) => {
+            if (grupo.length < 2) return;
+            const cnpjs = grupo.map(e => e.cnpj).sort();
+            const id = `${this.NOME_COMPARTILHADO}:${cnpjs.join(',')}`;
+            if (gruposVistos.has(id)) return;
+            gruposVistos.add(id);
+            const alias = grupo[0].aliases.find(a => this.normalizarNome(a) === chave) || chave;
+            conflitos.push({
+                id,
+                tipo: this.NOME_COMPARTILHADO,
+                nome: alias,
+                // Sugestão de destino: CNPJ válido com mais registros
+                empresas: grupo
+                    .map(resumo)
+                    .sort((a, b) => (this.dataModel.isCNPJValido(b.cnpj) - this.dataModel.isCNPJValido(a.cnpj)) || (b.registros - a.registros))
+            });
+        });
+
+        empresas.forEach(empresa => {
+            // CNPJ com dígitos verificadores inválidos (provável erro de digitação)
+            if (!this.dataModel.isCNPJValido(empresa.cnpj)) {
+                const candidatos = empresas
+                    .filter(outra => outra.cnpj !== empresa.cnpj && this.dataModel.isCNPJValido(outra.cnpj))
+                    .filter(outra => outra.aliases.some(a => empresa.aliases.some(b => this.similaridadeNomes(a, b) >= this.SIMILARIDADE_MINIMA)))
+                    .map(resumo);
+                conflitos.push({
+                    id: `${this.CNPJ_INVALIDO}:${empresa.cnpj}`,
+                    tipo: this.CNPJ_INVALIDO,
+                    empresa: resumo(empresa),
+                    candidatos
+                });
+            }
+
+            // Nomes muito diferentes no mesmo CNPJ (sem nome canônico definido)
+            if (!this.nomes[empresa.cnpj] && empresa.aliases.length > 1) {
+                const divergentes = empresa.aliases.some((a, i) =>
+                    empresa.aliases.slice(i + 1).some(b => this.similaridadeNomes(a, b) < this.SIMILARIDADE_MINIMA));
+                if (divergentes) {
+                    conflitos.push({
+                        id: `${this.NOMES_DIVERGENTES}:${empresa.cnpj}:${empresa.aliases.length}`,
+                        tipo: this.NOMES_DIVERGENTES,
+                        empresa: resumo(empresa),
+                        aliases: empresa.aliases.slice().sort()
+                    });
+                }
+            }
+        });
+
+        return conflitos.filter(c => !this.ignorados.has(c.id));
+    }
+}
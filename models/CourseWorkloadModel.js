@@ -0,0 +1,293 @@
+/**
+ * CourseWorkloadModel - Model do cadastro de carga horária e calendário de aulas
+ * Responsável por: manter, por TURMA ou por CURSO, a carga horária do curso, as horas de aula por dia,
+ * os dias da semana com aula, o início/fim das aulas e as datas sem aula (feriados, recessos);
+ * validar, salvar localmente, importar e exportar o cadastro em CSV
+ */
+class CourseWorkloadModel {
+    constructor(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        this.storage = storage;
+        this.STORAGE_KEY = 'frequencia.calendarios';
+
+        // A que se refere cada cadastro (o de TURMA tem prioridade sobre o de CURSO)
+        this.TIPO_TURMA = 'turma';
+        this.TIPO_CURSO = 'curso';
+
+        // Dias da semana (0 = domingo, como Date.getDay) e as abreviações aceitas no CSV
+        this.DIAS_SEMANA = ['DOM', 'SEG', 'TER', 'QUA', 'QUI', 'SEX', 'SAB'];
+        this.DIAS_SEMANA_PADRAO = [1, 2, 3, 4, 5];
+
+        // Colunas do CSV de importação/exportação
+        this.COLUNAS_CSV = ['TURMA', 'CURSO', 'CARGA_HORARIA', 'HORAS_POR_DIA', 'DIAS_SEMANA', 'DATA_INICIO', 'DATA_FIM', 'DATAS_SEM_AULA'];
+
+        this.calendarios = new Map(); // "tipo:NOME" -> cadastro
+        this.load();
+    }
+
+    /**
+     * Carrega o cadastro salvo no armazenamento local
+     */
+    load() {
+        this.calendarios.clear();
+        if (!this.storage) return;
+        try {
+            const salvos = JSON.parse(this.storage.getItem(this.STORAGE_KEY) || '[]');
+            salvos.forEach(c => {
+                try {
+                    const calendario = this.normalizarCalendario(c);
+                    this.calendarios.set(this.getChave(calendario), calendario);
+                } catch (e) {
+                    console.warn('Calendário salvo inválido, ignorando:', c, e.message);
+                }
+            });
+        } catch (e) {
+            console.warn('Cadastro de carga horária inválido no armazenamento local, ignorando.', e);
+        }
+    }
+
+    /**
+     * Persiste o cadastro
+     */
+    persist() {
+        if (!this.storage) return;
+        this.storage.setItem(this.STORAGE_KEY, JSON.stringify(this.getCalendarios()));
+    }
+
+    /**
+     * Chave de um cadastro (tipo + nome)
+     */
+    getChave(calendario) {
+        return `${calendario.tipo}:${calendario.nome}`;
+    }
+
+    /**
+     * Retorna os cadastros (turmas primeiro, depois cursos, por nome)
+     * @returns {Array} - Cadastros normalizados
+     */
+    getCalendarios() {
+        return Array.from(this.calendarios.values()).sort((a, b) => {
+            if (a.tipo !== b.tipo) return a.tipo === this.TIPO_TURMA ? -1 : 1;
+            return a.nome.localeCompare(b.nome, 'pt-BR');
+        });
+    }
+
+    /**
+     * Configuração aplicada pelo DataModel (ver DataModel.definirCalendarios)
+     */
+    getConfig() {
+        return JSON.parse(JSON.stringify(this.getCalendarios()));
+    }
+
+    /**
+     * Normaliza e valida um cadastro
+     * @param {Object} calendario - {tipo, nome, cargaHoraria, horasPorDia, diasSemana, dataInicio, dataFim, datasSemAula}
+     * @returns {Object} - Cadastro normalizado (números ou null, datas DD/MM/YYYY)
+     */
+    normalizarCalendario(calendario) {
+        const tipo = calendario.tipo === this.TIPO_CURSO ? this.TIPO_CURSO : this.TIPO_TURMA;
+        const nome = String(calendario.nome || '').replace(/\s+/g, ' ').trim().toUpperCase();
+        if (!nome) throw new Error(`Informe ${tipo === this.TIPO_TURMA ? 'a turma' : 'o curso'}.`);
+
+        const numero = (valor, campo, maximo = null) => {
+            if (valor === null || valor === undefined || String(valor).trim() === '') return null;
+            const n = Number(String(valor).replace(',', '.'));
+            if (Number.isNaN(n) || n <= 0 || (maximo !== null && n > maximo)) {
+                throw new Error(`${campo} deve ser um número maior que zero${maximo !== null ? ` e até ${maximo}` : ''}.`);
+            }
+            return n;
+        };
+
+        const diasSemana = Array.from(new Set((calendario.diasSemana || [])
+            .map(d => parseInt(d))
+            .filter(d => d >= 0 && d <= 6)))
+            .sort((a, b) => a - b);
+        if (diasSemana.length === 0) throw new Error('Escolha ao menos um dia da semana com aula.');
+
+        const dataInicio = this.normalizarData(calendario.dataInicio, 'Data de início das aulas');
+        const dataFim = this.normalizarData(calendario.dataFim, 'Data de fim das aulas');
+        if (dataInicio && dataFim && this.paraDate(dataInicio) > this.paraDate(dataFim)) {
+            throw new Error('O início das aulas deve ser anterior ao fim.');
+        }
+
+        const datasSemAula = Array.from(new Set((calendario.datasSemAula || [])
+            .map(d => this.normalizarData(d, 'Data sem aula'))
+            .filter(d => d)))
+            .sort((a, b) => this.paraDate(a) - this.paraDate(b));
+
+        return {
+            tipo,
+            nome,
+            cargaHoraria: numero(calendario.cargaHoraria, 'Carga horária do curso'),
+            horasPorDia: numero(calendario.horasPorDia, 'Horas de aula por dia', 24),
+            diasSemana,
+            dataInicio,
+            dataFim,
+            datasSemAula
+        };
+    }
+
+    /**
+     * Valida uma data DD/MM/YYYY (vazia = null)
+     */
+    normalizarData(valor, campo) {
+        const texto = String(valor || '').trim();
+        if (!texto) return null;
+        const m = texto.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+        const data = m ? new Date(Number(m[3]), Number(m[2]) - 1, Number(m[1])) : null;
+        if (!data || data.getDate() !== Number(m[1]) || data.getMonth() !== Number(m[2]) - 1) {
+            throw new Error(`${campo} inválida: "${texto}" (use DD/MM/AAAA).`);
+        }
+        return `${m[1].padStart(2, '0')}/${m[2].padStart(2, '0')}/${m[3]}`;
+    }
+
+    /**
+     * Converte DD/MM/YYYY para Date
+     */
+    paraDate(dataStr) {
+        const [dia, mes, ano] = dataStr.split('/').map(Number);
+        return new Date(ano, mes - 1, dia);
+    }
+
+    /**
+     * Salva (cria ou substitui) um cadastro
+     * @param {Object} calendario - Cadastro informado (ex.: vindo do formulário)
+     * @param {string} chaveAnterior - Chave do cadastro em edição, se o tipo ou o nome mudaram
+     * @returns {Object} - Cadastro salvo
+     */
+    salvar(calendario, chaveAnterior = null) {
+        const normalizado = this.normalizarCalendario(calendario);
+        if (chaveAnterior) this.calendarios.delete(chaveAnterior);
+        this.calendarios.set(this.getChave(normalizado), normalizado);
+        this.persist();
+        return normalizado;
+    }
+
+    /**
+     * Remove um cadastro
+     */
+    remover(chave) {
+        this.calendarios.delete(chave);
+        this.persist();
+    }
+
+    /**
+     * Converte o texto de dias da semana (ex.: "SEG,QUA,SEX" ou "SEG-SEX") para números (0 = domingo)
+     * @returns {Array<number>}
+     */
+    textoParaDiasSemana(texto) {
+        const normalizado = String(texto || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toUpperCase();
+        const indice = token => this.DIAS_SEMANA.indexOf(token.trim().slice(0, 3));
+        const dias = [];
+
+        normalizado.split(/[,;\/\s]+/).filter(t => t).forEach(token => {
+            const intervalo = token.split('-');
+            const inicio = indice(intervalo[0]);
+            const fim = indice(intervalo[intervalo.length - 1]);
+            if (inicio < 0 || fim < 0) {
+                throw new Error(`Dia da semana inválido: "${token}" (use ${this.DIAS_SEMANA.join(', ')}).`);
+            }
+            for (let d = inicio; ; d = (d + 1) % 7) {
+                dias.push(d);
+                if (d === fim) break;
+            }
+        });
+        return dias;
+    }
+
+    /**
+     * Converte dias da semana para texto (ex.: "SEG-SEX" ou "SEG,QUA")
+     */
+    diasSemanaParaTexto(dias) {
+        const ordenados = Array.from(new Set(dias)).sort((a, b) => a - b);
+        const consecutivos = ordenados.length > 2 && ordenados.every((d, i) => i === 0 || d === ordenados[i - 1] + 1);
+        return consecutivos
+            ? `${this.DIAS_SEMANA[ordenados[0]]}-${this.DIAS_SEMANA[ordenados[ordenados.length - 1]]}`
+            : ordenados.map(d => this.DIAS_SEMANA[d]).join(',');
+    }
+
+    /**
+     * Converte a lista de datas sem aula (separadas por vírgula, ponto e vírgula ou linha;
+     * intervalos como "14/07/2025 a 25/07/2025") para datas DD/MM/YYYY
+     */
+    textoParaDatas(texto) {
+        const datas = [];
+        String(texto || '').split(/[,;\r\n]+/).map(t => t.trim()).filter(t => t).forEach(item => {
+            const partes = item.split(/\s+(?:a|até)\s+|\s*-\s*/i);
+            const inicio = this.normalizarData(partes[0], 'Data sem aula');
+            const fim = this.normalizarData(partes[partes.length - 1], 'Data sem aula');
+            const dataFim = this.paraDate(fim);
+            for (let d = this.paraDate(inicio); d <= dataFim; d.setDate(d.getDate() + 1)) {
+                datas.push(`${String(d.getDate()).padStart(2, '0')}/${String(d.getMonth() + 1).padStart(2, '0')}/${d.getFullYear()}`);
+            }
+        });
+        return datas;
+    }
+
+    /**
+     * Importa cadastros de um CSV (colunas de COLUNAS_CSV; TURMA ou CURSO preenchido em cada linha).
+     * Cadastros existentes com a mesma turma/curso são substituídos.
+     * @param {string} texto - Conteúdo do CSV
+     * @returns {Object} - {importados, erros: Array<string>}
+     */
+    importarCSV(texto) {
+        const { data } = Papa.parse(texto, {
+            header: true,
+            skipEmptyLines: 'greedy',
+            transformHeader: h => String(h).trim().toUpperCase()
+        });
+
+        let importados = 0;
+        const erros = [];
+        data.forEach((row, idx) => {
+            const linha = idx + 2; // linha 1 = cabeçalho
+            try {
+                const turma = String(row.TURMA || '').trim();
+                const calendario = this.normalizarCalendario({
+                    tipo: turma ? this.TIPO_TURMA : this.TIPO_CURSO,
+                    nome: turma || row.CURSO,
+                    cargaHoraria: row.CARGA_HORARIA,
+                    horasPorDia: row.HORAS_POR_DIA,
+                    diasSemana: String(row.DIAS_SEMANA || '').trim()
+                        ? this.textoParaDiasSemana(row.DIAS_SEMANA)
+                        : this.DIAS_SEMANA_PADRAO,
+                    dataInicio: row.DATA_INICIO,
+                    dataFim: row.DATA_FIM,
+                    datasSemAula: this.textoParaDatas(row.DATAS_SEM_AULA)
+                });
+                this.calendarios.set(this.getChave(calendario), calendario);
+                importados++;
+            } catch (error) {
+                erros.push(`Linha ${linha}: ${error.message}`);
+            }
+        });
+
+        if (importados > 0) this.persist();
+        return { importados, erros };
+    }
+
+    /**
+     * Exporta o cadastro no mesmo formato aceito pela importação
+     * @returns {string} - CSV separado por ponto e vírgula
+     */
+    exportarCSV() {
+        const linhas = this.getCalendarios().map(c => ({
+            'TURMA': c.tipo === this.TIPO_TURMA ? c.nome : '',
+            'CURSO': c.tipo === this.TIPO_CURSO ? c.nome : '',
+            'CARGA_HORARIA': c.cargaHoraria === null ? '' : c.cargaHoraria,
+            'HORAS_POR_DIA': c.horasPorDia === null ? '' : c.horasPorDia,
+            'DIAS_SEMANA': this.diasSemanaParaTexto(c.diasSemana),
+            'DATA_INICIO': c.dataInicio || '',
+            'DATA_FIM': c.dataFim || '',
+            'DATAS_SEM_AULA': c.datasSemAula.join(',')
+        }));
+        return Papa.unparse({ fields: this.COLUNAS_CSV, data: linhas.map(l => this.COLUNAS_CSV.map(col => l[col])) }, { delimiter: ';' });
+    }
+}
+
+// Node (linha de comando): exportar a classe; no navegador ela fica global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CourseWorkloadModel;
+}
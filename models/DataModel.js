@@ -9,6 +9,46 @@ class DataModel {
         this.empresasAPR = new Map();
         this.turmasPorEmpresa = new Map(); // Map para armazenar turmas por empresa
         this.datasDisponiveis = new Set(); // Set para armazenar datas únicas
+        // Status (DESCRICAO) das turmas APR: status normalizado -> { status, rotulo (como no arquivo), registros }
+        this.statusDisponiveis = new Map();
+        // Arquivos mesclados no dataset: nome -> { nome, registros, adicionados, duplicados, substituidos, ignorados, inconsistencias }
+        this.arquivos = new Map();
+        // Índice de chaves RA + TURMA + DATA -> posição em rawData (detecção de duplicados entre arquivos)
+        this.chavesRegistro = new Map();
+        // Registros por arquivo de origem (preenchido em processData)
+        this.registrosPorArquivo = new Map();
+        // Inconsistências encontradas na validação de cada arquivo: nome -> lista (ver validarRegistros)
+        this.inconsistencias = new Map();
+        // Inconsistências que dependem do perfil de regras (FALTAS e status): nome -> lista (ver validarPerfil)
+        this.inconsistenciasPerfil = new Map();
+        // Perfil de regras selecionado na página, usado em validarPerfil (null = regras padrão)
+        this.perfilValidacao = null;
+        // Total de registros quando os índices vêm de outro contexto (Web Worker); null = usar rawData
+        this.totalRegistrosImportados = null;
+
+        // Registros tipados (valores normalizados e convertidos uma única vez), na ordem de rawData
+        this.registros = [];
+        // Linha original -> registro tipado (gerarRelatorio reaproveita os valores convertidos)
+        this.registroPorLinha = new WeakMap();
+        // Índices de consulta das turmas APR: chave -> posições crescentes em rawData
+        this.posicoesAPR = [];
+        this.indicePorCnpj = new Map();
+        this.indicePorTurma = new Map();
+        this.indicePorMes = new Map(); // MM/YYYY -> posições
+        this.indicePorRA = new Map(); // RA -> posições (consulta do histórico do aluno)
+        this.posicoesSemData = []; // registros sem DATA (não são excluídos pelo filtro de período)
+        // Resultados de filtrarDados já calculados (descartados quando o dataset muda)
+        this.cacheFiltros = new Map();
+        // Identidade das empresas confirmada pelo usuário (ver CompanyIdentityModel):
+        // fusoes: CNPJ -> CNPJ que o substitui; nomes: CNPJ -> nome canônico
+        this.identidades = { fusoes: {}, nomes: {} };
+        // Carga horária e calendário de aulas por turma/curso (ver CourseWorkloadModel): "tipo:NOME" -> cadastro
+        this.calendarios = new Map();
+
+        // Políticas para registros duplicados (mesma chave RA + TURMA + DATA vinda de outro arquivo)
+        this.CONFLITO_MANTER_EXISTENTE = 'manter-existente';
+        this.CONFLITO_SUBSTITUIR = 'substituir';
+        this.CONFLITO_MANTER_AMBOS = 'manter-ambos';
     }
 
     /**
@@ -29,6 +69,108 @@ class DataModel {
         return cleaned;
     }
 
+    /**
+     * Valida os dígitos verificadores de um CNPJ
+     * @param {string} cnpj - CNPJ com ou sem máscara
+     * @returns {boolean}
+     */
+    isCNPJValido(cnpj) {
+        const digitos = this.normalizeCNPJ(cnpj);
+        if (digitos.length !== 14 || /^(\d)\1{13}$/.test(digitos)) return false;
+
+        const calcularDigito = (base) => {
+            // Pesos de 2 a 9, da direita para a esquerda
+            let soma = 0;
+            let peso = 2;
+            for (let i = base.length - 1; i >= 0; i--) {
+                soma += parseInt(base[i]) * peso;
+                peso = peso === 9 ? 2 : peso + 1;
+            }
+            const resto = soma % 11;
+            return resto < 2 ? 0 : 11 - resto;
+        };
+
+        const base = digitos.slice(0, 12);
+        const digito1 = calcularDigito(base);
+        const digito2 = calcularDigito(base + digito1);
+        return digitos === `${base}${digito1}${digito2}`;
+    }
+
+    /**
+     * Define as fusões de CNPJs e os nomes canônicos confirmados pelo usuário e reindexa o dataset
+     * @param {Object} config - {fusoes: {cnpj -> cnpjDestino}, nomes: {cnpj -> nome}}
+     */
+    definirIdentidadesEmpresas(config) {
+        this.identidades = {
+            fusoes: Object.assign({}, (config && config.fusoes) || {}),
+            nomes: Object.assign({}, (config && config.nomes) || {})
+        };
+        // Sem registros (ex.: thread principal no modo Worker) basta guardar a configuração
+        if (this.rawData.length > 0) {
+            this.processData();
+        }
+    }
+
+    /**
+     * Define o cadastro de carga horária e calendário de aulas (ver CourseWorkloadModel)
+     * @param {Array<Object>} calendarios - {tipo: 'turma'|'curso', nome, cargaHoraria, horasPorDia, diasSemana, dataInicio, dataFim, datasSemAula}
+     */
+    definirCalendarios(calendarios) {
+        this.calendarios = new Map((calendarios || []).map(c => [`${c.tipo}:${String(c.nome).toUpperCase()}`, c]));
+    }
+
+    /**
+     * Calendário de uma turma: o cadastro da TURMA ou, na falta dele, o do CURSO
+     * @returns {Object|null}
+     */
+    getCalendario(turma, curso) {
+        return this.calendarios.get(`turma:${this.normalizeName(turma || '').toUpperCase()}`) ||
+            this.calendarios.get(`curso:${this.normalizeName(curso || '').toUpperCase()}`) ||
+            null;
+    }
+
+    /**
+     * Conta os dias de aula de um calendário dentro de um intervalo (dias da semana com aula,
+     * entre o início e o fim das aulas, exceto as datas sem aula)
+     * @param {Object} calendario - Cadastro da turma/curso
+     * @param {Date} inicio - Início do intervalo (null = início das aulas)
+     * @param {Date} fim - Fim do intervalo (null = fim das aulas)
+     * @returns {number|null} - Dias de aula; null quando o intervalo não tem início ou fim
+     */
+    contarDiasDeAula(calendario, inicio, fim) {
+        const inicioAulas = this.parseDate(calendario.dataInicio);
+        const fimAulas = this.parseDate(calendario.dataFim);
+        const inicios = [inicio, inicioAulas].filter(d => d);
+        const fins = [fim, fimAulas].filter(d => d);
+        if (inicios.length === 0 || fins.length === 0) return null;
+        const de = new Date(Math.max(...inicios));
+        const ate = new Date(Math.min(...fins));
+
+        const diasSemana = new Set(calendario.diasSemana);
+        const semAula = new Set(calendario.datasSemAula);
+        let dias = 0;
+        for (const cursor = de; cursor <= ate; cursor.setDate(cursor.getDate() + 1)) {
+            if (diasSemana.has(cursor.getDay()) && !semAula.has(this.formatDate(cursor))) dias++;
+        }
+        return dias;
+    }
+
+    /**
+     * Retorna o CNPJ efetivo, seguindo as fusões confirmadas pelo usuário
+     * @param {string} cnpj - CNPJ normalizado
+     * @returns {string} - CNPJ que representa a empresa
+     */
+    resolverCnpj(cnpj) {
+        const fusoes = this.identidades.fusoes;
+        const visitados = new Set();
+        let atual = cnpj;
+        while (Object.prototype.hasOwnProperty.call(fusoes, atual) && !visitados.has(atual)) {
+            visitados.add(atual);
+            atual = fusoes[atual];
+        }
+        return atual;
+    }
+
     /**
      * Escolhe o melhor nome dentre aliases: regra simples pega o mais longo
      */
@@ -41,40 +183,454 @@ class DataModel {
     }
 
     /**
-     * Carrega e processa o arquivo CSV
+     * Carrega o arquivo CSV e mescla seus registros ao dataset atual
      * @param {File} file - Arquivo CSV selecionado
-     * @returns {Promise} - Promise com os dados processados
+     * @param {string} politicaConflito - Política para duplicados entre arquivos (CONFLITO_*)
+     * @param {Function} resolverColunas - async (headers, nomeArquivo, amostra) => mapeamento {header -> campo} | null;
+     *        permite renomear colunas fora do padrão antes da mesclagem (null = importação cancelada)
+     * @param {Function} onProgresso - (percentual, etapa) => void, chamado durante leitura, análise e indexação
+     * @param {Object} cancelamento - {cancelado: boolean}; verificado entre os blocos da análise
+     * @returns {Promise} - Promise com os dados processados e o resumo da mesclagem do arquivo
      */
-    async loadCSV(file) {
+    async loadCSV(file, politicaConflito = this.CONFLITO_MANTER_EXISTENTE, resolverColunas = null, onProgresso = null, cancelamento = null) {
+        const progresso = onProgresso || (() => {});
         try {
             // Decodificar com fallback de encoding para evitar problemas de acentuação (�)
+            progresso(0, `Lendo ${file.name}...`);
             const csvText = await this.decodeCSVFile(file);
+            this.verificarCancelamento(cancelamento);
 
-            const results = Papa.parse(csvText, {
-                header: true,
-                skipEmptyLines: true
-            });
+            // Análise em blocos: 5% a 75% do progresso
+            const results = await this.parseCSVText(csvText, (fracao) => {
+                progresso(5 + Math.round(fracao * 70), `Analisando ${file.name}...`);
+            }, cancelamento);
 
-            if (results.errors && results.errors.length > 0) {
+            // Erros de linhas isoladas entram no relatório de inconsistências; sem nenhum registro, o arquivo é inválido
+            if (results.errors && results.errors.length > 0 && results.data.length === 0) {
                 throw new Error('Erro ao processar o arquivo CSV: ' + results.errors[0].message);
             }
 
-            this.rawData = results.data;
+            if (resolverColunas) {
+                progresso(75, 'Verificando colunas...');
+                const mapeamento = await resolverColunas((results.meta && results.meta.fields) || [], file.name, results.data[0]);
+                this.verificarCancelamento(cancelamento);
+                if (!mapeamento) {
+                    throw new Error('importação cancelada pelo usuário.');
+                }
+                this.renomearColunas(results.data, mapeamento);
+            }
+            this.verificarCancelamento(cancelamento);
+
+            progresso(80, 'Mesclando registros...');
+            const resumoArquivo = this.mesclarRegistros(results.data, file.name, politicaConflito);
+            progresso(85, 'Validando registros...');
+            resumoArquivo.inconsistencias = this.validarRegistros(results.data, resumoArquivo.nome, results.errors);
+            progresso(90, 'Indexando empresas e turmas...');
             this.processData();
+            progresso(100, 'Arquivo carregado.');
             return {
                 totalRegistros: this.rawData.length,
                 empresasAPR: this.empresasAPR.size,
-                turmas: this.turmasPorEmpresa.size
+                turmas: this.turmasPorEmpresa.size,
+                arquivo: resumoArquivo
             };
         } catch (error) {
+            if (error.cancelado) throw error;
             throw new Error('Erro ao ler o arquivo: ' + error.message);
         }
     }
 
+    /**
+     * Analisa o texto CSV em blocos, cedendo a vez entre eles para que progresso e cancelamento
+     * sejam atendidos (no Web Worker ou na thread principal)
+     * @param {string} csvText - Conteúdo do arquivo já decodificado
+     * @param {Function} onFracao - (fracao 0..1) => void
+     * @param {Object} cancelamento - {cancelado: boolean}
+     * @returns {Promise<Object>} - {data, errors, meta} como no Papa.parse
+     */
+    parseCSVText(csvText, onFracao = null, cancelamento = null) {
+        return new Promise((resolve, reject) => {
+            const data = [];
+            const errors = [];
+            let meta = null;
+            const total = csvText.length || 1;
+
+            Papa.parse(csvText, {
+                header: true,
+                skipEmptyLines: true,
+                chunkSize: DataModel.TAMANHO_BLOCO_CSV,
+                chunk: (results, parser) => {
+                    for (let i = 0; i < results.data.length; i++) data.push(results.data[i]);
+                    errors.push(...results.errors);
+                    if (!meta) meta = results.meta; // cabeçalhos vêm no primeiro bloco
+                    if (onFracao) onFracao(Math.min(1, (results.meta.cursor || 0) / total));
+
+                    parser.pause();
+                    setTimeout(() => {
+                        if (cancelamento && cancelamento.cancelado) {
+                            parser.abort();
+                            return;
+                        }
+                        parser.resume();
+                    }, 0);
+                },
+                complete: () => {
+                    if (cancelamento && cancelamento.cancelado) {
+                        reject(this.criarErroCancelamento());
+                        return;
+                    }
+                    resolve({ data, errors, meta: meta || { fields: [] } });
+                },
+                error: (err) => reject(err)
+            });
+        });
+    }
+
+    /**
+     * Interrompe a operação se o cancelamento foi solicitado
+     */
+    verificarCancelamento(cancelamento) {
+        if (cancelamento && cancelamento.cancelado) {
+            throw this.criarErroCancelamento();
+        }
+    }
+
+    /**
+     * Cede a vez para que progresso e pedidos de cancelamento sejam atendidos e interrompe a operação
+     * se o cancelamento foi solicitado (geração de relatórios, entre blocos de registros, meses e empresas)
+     */
+    async cederVez(cancelamento) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+        this.verificarCancelamento(cancelamento);
+    }
+
+    /**
+     * Cria o erro usado para operações canceladas (error.cancelado = true)
+     */
+    criarErroCancelamento() {
+        const erro = new Error('Operação cancelada.');
+        erro.cancelado = true;
+        return erro;
+    }
+
+    /**
+     * Renomeia as colunas dos registros para os campos canônicos (in-place)
+     * @param {Array<Object>} rows - Registros do PapaParse
+     * @param {Object} mapeamento - header original -> campo canônico (vazio = mantém a coluna como está)
+     * @returns {Array<Object>} - Os mesmos registros
+     */
+    renomearColunas(rows, mapeamento) {
+        const renomear = Object.keys(mapeamento || {}).filter(h => mapeamento[h] && mapeamento[h] !== h);
+        if (renomear.length === 0) return rows;
+
+        rows.forEach(row => {
+            renomear.forEach(header => {
+                if (!Object.prototype.hasOwnProperty.call(row, header)) return;
+                row[mapeamento[header]] = row[header];
+                delete row[header];
+            });
+        });
+        return rows;
+    }
+
+    /**
+     * Monta a chave de duplicidade de um registro (RA + TURMA + DATA)
+     */
+    getChaveRegistro(row) {
+        return [
+            this.normalizeName(row.RA || ''),
+            this.normalizeName(row.TURMA || '').toUpperCase(),
+            this.normalizeName(row.DATA || '')
+        ].join('|');
+    }
+
+    /**
+     * Mescla os registros de um arquivo ao dataset, aplicando a política de conflito
+     * para chaves RA + TURMA + DATA já carregadas por outro arquivo.
+     * Duplicados dentro do próprio arquivo são mantidos (mesmo comportamento do carregamento único).
+     * @param {Array} rows - Registros do PapaParse
+     * @param {string} nomeArquivo - Nome do arquivo de origem
+     * @param {string} politicaConflito - CONFLITO_MANTER_EXISTENTE, CONFLITO_SUBSTITUIR ou CONFLITO_MANTER_AMBOS
+     * @returns {Object} - Resumo do arquivo {nome, registros, adicionados, duplicados, substituidos, ignorados}
+     */
+    mesclarRegistros(rows, nomeArquivo, politicaConflito = this.CONFLITO_MANTER_EXISTENTE) {
+        const nome = this.getNomeArquivoUnico(nomeArquivo);
+        const resumo = { nome, registros: rows.length, adicionados: 0, duplicados: 0, substituidos: 0, ignorados: 0 };
+        const chavesDoArquivo = new Map();
+
+        rows.forEach((row, idx) => {
+            // Origem do registro: arquivo e linha (linha 1 = cabeçalho)
+            row.__ARQUIVO = nome;
+            row.__LINHA = idx + 2;
+
+            const chave = this.getChaveRegistro(row);
+            const existente = this.chavesRegistro.get(chave);
+
+            if (existente !== undefined && !chavesDoArquivo.has(chave)) {
+                resumo.duplicados++;
+                if (politicaConflito === this.CONFLITO_SUBSTITUIR) {
+                    this.rawData[existente] = row;
+                    chavesDoArquivo.set(chave, existente);
+                    resumo.substituidos++;
+                    return;
+                }
+                if (politicaConflito !== this.CONFLITO_MANTER_AMBOS) {
+                    resumo.ignorados++;
+                    return;
+                }
+            }
+
+            this.rawData.push(row);
+            const posicao = this.rawData.length - 1;
+            if (existente === undefined) this.chavesRegistro.set(chave, posicao);
+            chavesDoArquivo.set(chave, posicao);
+            resumo.adicionados++;
+        });
+
+        this.arquivos.set(nome, resumo);
+        return resumo;
+    }
+
+    /**
+     * Valida os registros de um arquivo e guarda a lista de inconsistências com o número da linha:
+     * erros de leitura do CSV, datas inválidas, FALTAS/FREQUENCIA inválidas, status vazio,
+     * RA repetido na mesma data, CNPJ inválido e campos de identificação ausentes
+     * (as verificações que dependem do perfil de regras ficam em validarPerfil)
+     * @param {Array} rows - Registros do arquivo (com __LINHA)
+     * @param {string} nomeArquivo - Nome do arquivo no dataset
+     * @param {Array} errosCSV - Erros do PapaParse ({row, message})
+     * @returns {Object} - Resumo {total, porTipo: {tipo -> quantidade}}
+     */
+    validarRegistros(rows, nomeArquivo, errosCSV = []) {
+        const lista = [];
+        const registrar = (linha, campo, valor, tipo, descricao) => {
+            lista.push({
+                arquivo: nomeArquivo,
+                linha,
+                campo,
+                valor: valor === undefined || valor === null ? '' : String(valor),
+                tipo,
+                descricao
+            });
+        };
+
+        (errosCSV || []).forEach(erro => {
+            // erro.row = índice do registro (linha 1 = cabeçalho)
+            registrar(typeof erro.row === 'number' ? erro.row + 2 : null, '', '', 'csv', erro.message);
+        });
+
+        const primeiraOcorrencia = new Map(); // RA + TURMA + DATA -> linha
+        const cnpjsValidados = new Map(); // CNPJ -> válido (o mesmo CNPJ se repete em muitas linhas)
+
+        rows.forEach((row, idx) => {
+            const linha = row.__LINHA || idx + 2;
+
+            if (!this.normalizeName(row.RA || '')) {
+                registrar(linha, 'RA', row.RA, 'ra-ausente', 'RA vazio: registro não entra no relatório.');
+            }
+            const cnpj = this.normalizeCNPJ(row.CNPJ_EMPRESA || '');
+            if (!cnpj) {
+                registrar(linha, 'CNPJ_EMPRESA', row.CNPJ_EMPRESA, 'cnpj-ausente', 'CNPJ vazio: empresa não aparece na busca.');
+            } else {
+                if (!cnpjsValidados.has(cnpj)) cnpjsValidados.set(cnpj, this.isCNPJValido(cnpj));
+                if (!cnpjsValidados.get(cnpj)) {
+                    registrar(linha, 'CNPJ_EMPRESA', row.CNPJ_EMPRESA, 'cnpj-invalido', 'CNPJ com dígitos verificadores inválidos.');
+                }
+            }
+            if (!this.normalizeName(row.EMPRESA || '')) {
+                registrar(linha, 'EMPRESA', row.EMPRESA, 'empresa-ausente', 'Nome da empresa vazio: empresa não aparece na busca.');
+            }
+
+            const data = this.normalizeName(row.DATA || '');
+            if (!this.isDataValida(data)) {
+                registrar(linha, 'DATA', row.DATA, 'data-invalida', data
+                    ? 'Data inválida (esperado DD/MM/YYYY com dia existente no calendário).'
+                    : 'Data vazia.');
+            }
+
+            const faltas = String(this.getFirstField(row, ['FALTAS', 'FALTA', 'FALT', 'FALT.']) || '').trim();
+            // FALTAS acima das horas do dia depende do perfil de regras (ver validarPerfil)
+            if (faltas && !/^\d+$/.test(faltas)) {
+                registrar(linha, 'FALTAS', faltas, 'faltas-invalidas', 'FALTAS não numérico: considerado 0.');
+            }
+
+            const frequencia = String(this.getFirstField(row, ['FREQUENCIA', 'FREQUENC', 'FREQ']) || '').trim();
+            if (frequencia && !/^\d+$/.test(frequencia)) {
+                registrar(linha, 'FREQUENCIA', frequencia, 'frequencia-invalida', 'FREQUENCIA não numérica: considerada 0.');
+            }
+
+            // Status preenchido fora da lista do perfil (quando o perfil define uma) é apontado em validarPerfil
+            if (!this.normalizeStatus(row.DESCRICAO || '')) {
+                registrar(linha, 'DESCRICAO', row.DESCRICAO, 'status-vazio', 'Status vazio: registro é descartado pelo filtro de status.');
+            }
+
+            const chave = this.getChaveRegistro(row);
+            if (primeiraOcorrencia.has(chave)) {
+                registrar(linha, 'RA', row.RA, 'duplicado',
+                    `RA repetido na mesma turma e data (primeira ocorrência na linha ${primeiraOcorrencia.get(chave)}).`);
+            } else {
+                primeiraOcorrencia.set(chave, linha);
+            }
+        });
+
+        // Erros do CSV junto das demais inconsistências da mesma linha
+        lista.sort((a, b) => (a.linha || 0) - (b.linha || 0));
+        this.inconsistencias.set(nomeArquivo, lista);
+
+        const porTipo = {};
+        lista.forEach(item => {
+            porTipo[item.tipo] = (porTipo[item.tipo] || 0) + 1;
+        });
+        return { total: lista.length, porTipo };
+    }
+
+    /**
+     * Indica se a data está no formato DD/MM/YYYY e existe no calendário (ex.: 31/02 é inválida)
+     * @param {string} dataStr - Data no formato DD/MM/YYYY
+     * @returns {boolean}
+     */
+    isDataValida(dataStr) {
+        const match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(String(dataStr || '').trim());
+        if (!match) return false;
+        const data = this.parseDate(match[0]);
+        return data.getDate() === parseInt(match[1]) &&
+            data.getMonth() + 1 === parseInt(match[2]) &&
+            data.getFullYear() === parseInt(match[3]);
+    }
+
+    /**
+     * Define o perfil de regras usado nas verificações de FALTAS e status e refaz essas verificações
+     * @param {Object} perfil - Perfil de regras selecionado (null = regras padrão)
+     */
+    definirPerfilValidacao(perfil) {
+        this.perfilValidacao = perfil || null;
+        // Sem registros (ex.: thread principal no modo Worker) basta guardar o perfil
+        if (this.rawData.length > 0) {
+            this.validarPerfil();
+        }
+    }
+
+    /**
+     * Verificações que dependem do perfil de regras, refeitas sobre os registros do dataset sempre que ele
+     * ou o perfil mudam: FALTAS acima das horas por dia do perfil (falta não contabilizada) e, quando o
+     * perfil lista os status aceitos, DESCRICAO fora da lista. Atualiza o resumo de inconsistências dos arquivos.
+     */
+    validarPerfil() {
+        const regras = this.perfilValidacao || DataModel.PERFIL_PADRAO;
+        const statusAceitos = new Set((regras.statusAceitos || []).map(s => this.normalizeStatus(s)));
+        const nomePerfil = regras.nome ? ` "${regras.nome}"` : ' padrão';
+
+        this.inconsistenciasPerfil = new Map();
+        this.rawData.forEach(row => {
+            const registro = this.getRegistro(row);
+            const registrar = (campo, valor, tipo, descricao) => {
+                const arquivo = row.__ARQUIVO || '';
+                if (!this.inconsistenciasPerfil.has(arquivo)) this.inconsistenciasPerfil.set(arquivo, []);
+                this.inconsistenciasPerfil.get(arquivo).push({
+                    arquivo,
+                    linha: row.__LINHA || null,
+                    campo,
+                    valor: valor === undefined || valor === null ? '' : String(valor),
+                    tipo,
+                    descricao
+                });
+            };
+
+            if (registro.faltas > regras.horasPorDia) {
+                registrar('FALTAS', registro.faltas, 'faltas-acima-do-dia',
+                    `FALTAS acima das ${regras.horasPorDia} horas por dia do perfil${nomePerfil}: falta não contabilizada.`);
+            }
+            // Status vazio já é apontado em validarRegistros
+            if (statusAceitos.size > 0 && registro.status && !statusAceitos.has(registro.status)) {
+                registrar('DESCRICAO', registro.statusRaw, 'status-fora-do-perfil', `Status fora da lista do perfil${nomePerfil}.`);
+            }
+        });
+
+        this.arquivos.forEach((resumo, nome) => {
+            const porTipo = {};
+            const lista = this.getInconsistenciasArquivo(nome);
+            lista.forEach(item => {
+                porTipo[item.tipo] = (porTipo[item.tipo] || 0) + 1;
+            });
+            resumo.inconsistencias = { total: lista.length, porTipo };
+        });
+    }
+
+    /**
+     * Inconsistências de um arquivo (validação do arquivo e do perfil), na ordem das linhas
+     * @param {string} nome - Nome do arquivo no dataset
+     * @returns {Array<Object>} - {arquivo, linha, campo, valor, tipo, descricao}
+     */
+    getInconsistenciasArquivo(nome) {
+        return (this.inconsistencias.get(nome) || [])
+            .concat(this.inconsistenciasPerfil.get(nome) || [])
+            .sort((a, b) => (a.linha || 0) - (b.linha || 0));
+    }
+
+    /**
+     * Retorna as inconsistências dos arquivos carregados, na ordem dos arquivos e linhas
+     * @returns {Array<Object>} - {arquivo, linha, campo, valor, tipo, descricao}
+     */
+    getInconsistencias() {
+        const todas = [];
+        this.arquivos.forEach((resumo, nome) => {
+            this.getInconsistenciasArquivo(nome).forEach(item => todas.push(item));
+        });
+        return todas;
+    }
+
+    /**
+     * Gera um nome único para o arquivo (o mesmo arquivo pode ser carregado mais de uma vez)
+     */
+    getNomeArquivoUnico(nomeArquivo) {
+        const base = nomeArquivo || 'arquivo.csv';
+        if (!this.arquivos.has(base)) return base;
+        let n = 2;
+        while (this.arquivos.has(`${base} (${n})`)) n++;
+        return `${base} (${n})`;
+    }
+
+    /**
+     * Remove do dataset os registros de um arquivo e reprocessa os índices
+     * @param {string} nome - Nome do arquivo (como retornado em getArquivos)
+     */
+    removerArquivo(nome) {
+        if (!this.arquivos.has(nome)) return;
+        this.arquivos.delete(nome);
+        this.inconsistencias.delete(nome);
+        this.rawData = this.rawData.filter(row => row.__ARQUIVO !== nome);
+        this.reindexarChaves();
+        this.processData();
+    }
+
+    /**
+     * Reconstrói o índice de chaves RA + TURMA + DATA a partir de rawData
+     */
+    reindexarChaves() {
+        this.chavesRegistro.clear();
+        this.rawData.forEach((row, posicao) => {
+            const chave = this.getChaveRegistro(row);
+            if (!this.chavesRegistro.has(chave)) this.chavesRegistro.set(chave, posicao);
+        });
+    }
+
+    /**
+     * Retorna os arquivos carregados, com o resumo da mesclagem e os registros atuais de cada um
+     * @returns {Array} - Array de {nome, registros, adicionados, duplicados, substituidos, ignorados, registrosAtuais}
+     */
+    getArquivos() {
+        return Array.from(this.arquivos.values()).map(a => Object.assign({}, a, {
+            registrosAtuais: this.registrosPorArquivo.get(a.nome) || 0
+        }));
+    }
+
     /**
      * Lê arquivo como ArrayBuffer
      */
     readFileAsArrayBuffer(file) {
+        if (typeof file.arrayBuffer === 'function') {
+            return file.arrayBuffer();
+        }
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
             reader.onload = () => resolve(reader.result);
@@ -125,31 +681,72 @@ class DataModel {
      * Processa os dados brutos e organiza em estruturas otimizadas
      */
     processData() {
+        this.totalRegistrosImportados = null;
         this.empresasAPR.clear();
         this.turmasPorEmpresa.clear();
         this.datasDisponiveis.clear();
+        this.statusDisponiveis.clear();
+        this.registrosPorArquivo.clear();
+        this.limparIndicesConsulta();
+        this.registros = new Array(this.rawData.length);
 
-        this.rawData.forEach(row => {
-            const turma = this.normalizeName(row.TURMA || '');
-            const cnpjRaw = row.CNPJ_EMPRESA || '';
-            const cnpj = this.normalizeCNPJ(cnpjRaw);
-            const empresa = this.normalizeName(row.EMPRESA || '');
-            const data = this.normalizeName(row.DATA || '');
+        this.rawData.forEach((row, posicao) => {
+            const arquivo = row.__ARQUIVO || '';
+            this.registrosPorArquivo.set(arquivo, (this.registrosPorArquivo.get(arquivo) || 0) + 1);
+
+            const registro = this.criarRegistro(row);
+            this.registros[posicao] = registro;
+            this.registroPorLinha.set(row, registro);
+
+            const { turma, cnpj, cnpjOriginal, empresa, data } = registro;
+
+            // Índices de consulta (filtrarDados considera apenas turmas APR)
+            if (registro.apr) {
+                this.posicoesAPR.push(posicao);
+                this.adicionarAoIndice(this.indicePorCnpj, cnpj, posicao);
+                this.adicionarAoIndice(this.indicePorTurma, turma, posicao);
+                if (row.RA) this.adicionarAoIndice(this.indicePorRA, String(row.RA).trim(), posicao);
+                if (registro.semData) {
+                    this.posicoesSemData.push(posicao);
+                } else if (registro.tempo !== null) {
+                    this.adicionarAoIndice(this.indicePorMes, this.getMesAno(this.formatDate(new Date(registro.tempo))), posicao);
+                }
+
+                // Status encontrados (opções do filtro de status); vazio é descartado por qualquer filtro de status
+                if (registro.status) {
+                    const entry = this.statusDisponiveis.get(registro.status);
+                    if (entry) {
+                        entry.registros++;
+                    } else {
+                        this.statusDisponiveis.set(registro.status, {
+                            status: registro.status,
+                            rotulo: registro.statusRaw.replace(/\s+/g, ' ').toUpperCase(),
+                            registros: 1
+                        });
+                    }
+                }
+            }
 
             // Filtrar apenas empresas do Projeto Jovem Aprendiz (turma começa com APR)
-            if (turma.toUpperCase().startsWith('APR') && cnpj && empresa) {
+            if (registro.apr && cnpj && empresa) {
                 // Registrar empresa por CNPJ com aliases de nomes
                 if (!this.empresasAPR.has(cnpj)) {
                     this.empresasAPR.set(cnpj, {
                         cnpj,
-                        nome: empresa,
-                        aliases: new Set([empresa])
+                        nome: this.identidades.nomes[cnpj] || empresa,
+                        aliases: new Set([empresa]),
+                        arquivos: new Set([arquivo]), // arquivos de origem dos registros da empresa
+                        cnpjsOrigem: new Set([cnpjOriginal]), // CNPJs do arquivo unificados neste
+                        registros: 1
                     });
                 } else {
                     const entry = this.empresasAPR.get(cnpj);
                     entry.aliases.add(empresa);
-                    // Escolher melhor nome (o mais completo/mais longo)
-                    const best = this.chooseBestName(entry.aliases);
+                    entry.arquivos.add(arquivo);
+                    entry.cnpjsOrigem.add(cnpjOriginal);
+                    entry.registros++;
+                    // Escolher melhor nome (o canônico definido pelo usuário ou o mais completo/mais longo)
+                    const best = this.identidades.nomes[cnpj] || this.chooseBestName(entry.aliases);
                     entry.nome = best || entry.nome;
                 }
 
@@ -165,6 +762,78 @@ class DataModel {
                 }
             }
         });
+
+        this.validarPerfil();
+    }
+
+    /**
+     * Converte uma linha do CSV em registro tipado (valores normalizados e convertidos uma única vez)
+     * @param {Object} row - Linha do CSV
+     * @returns {Object} - {turma, apr, cnpjOriginal, cnpj, empresa, data, semData, tempo, status, statusRaw, faltas, frequencia, justificada}
+     */
+    criarRegistro(row) {
+        const turma = this.normalizeName(row.TURMA || '');
+        const data = this.normalizeName(row.DATA || '');
+        const dataRegistro = this.parseDate(data);
+        const statusRaw = (row.DESCRICAO || '').toString().trim();
+        // Aceitar variações de nomes de colunas (algumas planilhas vêm truncadas)
+        const faltasRaw = this.getFirstField(row, ['FALTAS', 'FALTA', 'FALT', 'FALT.']);
+        const frequenciaRaw = this.getFirstField(row, ['FREQUENCIA', 'FREQUENC', 'FREQ']);
+        const justificadaRaw = this.getFirstField(row, ['JUSTIFICADA', 'JUSTIF', 'JUSTIFIC']);
+
+        const cnpjOriginal = this.normalizeCNPJ(row.CNPJ_EMPRESA || '');
+
+        return {
+            turma,
+            apr: turma.toUpperCase().startsWith('APR'),
+            cnpjOriginal,
+            // CNPJ efetivo, após as fusões confirmadas pelo usuário
+            cnpj: this.resolverCnpj(cnpjOriginal),
+            empresa: this.normalizeName(row.EMPRESA || ''),
+            data,
+            semData: !row.DATA,
+            // Timestamp da DATA; null quando inválida
+            tempo: dataRegistro && !isNaN(dataRegistro.getTime()) ? dataRegistro.getTime() : null,
+            statusRaw,
+            status: this.normalizeStatus(statusRaw),
+            faltas: parseInt(faltasRaw) || 0,
+            frequencia: parseInt(frequenciaRaw) || 0,
+            justificada: (justificadaRaw || '').toString().trim().toUpperCase()
+        };
+    }
+
+    /**
+     * Retorna o registro tipado de uma linha (convertendo na hora se ela não pertence ao dataset)
+     * @param {Object} row - Linha do CSV
+     * @returns {Object} - Registro tipado (ver criarRegistro)
+     */
+    getRegistro(row) {
+        return this.registroPorLinha.get(row) || this.criarRegistro(row);
+    }
+
+    /**
+     * Acrescenta uma posição à lista de uma chave do índice
+     */
+    adicionarAoIndice(indice, chave, posicao) {
+        if (!indice.has(chave)) {
+            indice.set(chave, []);
+        }
+        indice.get(chave).push(posicao);
+    }
+
+    /**
+     * Descarta registros tipados, índices de consulta e resultados em cache
+     */
+    limparIndicesConsulta() {
+        this.registros = [];
+        this.registroPorLinha = new WeakMap();
+        this.posicoesAPR = [];
+        this.indicePorCnpj.clear();
+        this.indicePorTurma.clear();
+        this.indicePorMes.clear();
+        this.indicePorRA.clear();
+        this.posicoesSemData = [];
+        this.cacheFiltros.clear();
     }
 
     /**
@@ -176,7 +845,11 @@ class DataModel {
         const list = Array.from(this.empresasAPR.values()).map(e => ({
             cnpj: e.cnpj,
             nome: e.nome || this.chooseBestName(e.aliases),
-            aliases: Array.from(e.aliases || [])
+            aliases: Array.from(e.aliases || []),
+            arquivos: Array.from(e.arquivos || []).filter(a => a),
+            cnpjsOrigem: Array.from(e.cnpjsOrigem || []),
+            cnpjValido: this.isCNPJValido(e.cnpj),
+            registros: e.registros || 0
         }));
         return list.sort((a, b) => a.nome.localeCompare(b.nome));
     }
@@ -200,11 +873,24 @@ class DataModel {
             const nomeMatch = empresa.nome.toLowerCase().includes(termoLower) ||
                 (empresa.aliases || []).some(alias => alias.toLowerCase().includes(termoLower));
             // Match por CNPJ (apenas dígitos)
-            const cnpjMatch = termoDigits ? empresa.cnpj.includes(termoDigits) : false;
+            // (inclui CNPJs unificados nesta empresa)
+            const cnpjMatch = termoDigits
+                ? empresa.cnpj.includes(termoDigits) || empresa.cnpjsOrigem.some(c => c.includes(termoDigits))
+                : false;
             return nomeMatch || cnpjMatch;
         });
     }
 
+    /**
+     * Retorna os status (DESCRICAO) encontrados nas turmas APR, com a quantidade de registros de cada um
+     * @returns {Array<Object>} - {status (normalizado, valor do filtro), rotulo, registros}, ordenados pelo rótulo
+     */
+    getStatusDisponiveis() {
+        return Array.from(this.statusDisponiveis.values())
+            .map(s => ({ status: s.status, rotulo: s.rotulo, registros: s.registros }))
+            .sort((a, b) => a.rotulo.localeCompare(b.rotulo, 'pt-BR'));
+    }
+
     /**
      * Retorna as turmas de uma empresa específica
      * @param {string} cnpj - CNPJ da empresa
@@ -285,8 +971,11 @@ class DataModel {
 
     /**
      * Filtra dados com base nos critérios selecionados
-     * @param {Object} filtros - Objeto com filtros {cnpj, turma, dataInicio, dataFim, statusList}
-     * @returns {Array} - Array de registros filtrados
+     * Usa os índices montados em processData: parte da menor lista de candidatos (CNPJs, turmas ou
+     * meses do período) e compara os valores já convertidos. Resultados repetidos vêm do cache.
+     * @param {Object} filtros - Objeto com filtros {cnpj, turma, dataInicio, dataFim, statusList};
+     *        cnpj e turma aceitam um valor ou uma lista de valores (vazio ou null = todos)
+     * @returns {Array} - Array de registros filtrados (linhas originais, na ordem do dataset)
      */
     filtrarDados(filtros) {
         const { cnpj, turma, dataInicio, dataFim, statusList } = filtros;
@@ -301,51 +990,110 @@ class DataModel {
             }
         }
 
-        return this.rawData.filter(row => {
-            // Garantir que apenas turmas APR sejam incluídas
-            const turmaRow = this.normalizeName(row.TURMA || '');
-            if (!turmaRow.toUpperCase().startsWith('APR')) {
-                return false;
-            }
+        // Índices desatualizados (rawData alterado sem processData)
+        if (this.registros.length !== this.rawData.length) {
+            this.processData();
+        }
 
-            // Filtro por CNPJ
-            if (cnpj) {
-                const rowCnpj = this.normalizeCNPJ(row.CNPJ_EMPRESA || '');
-                const filtroCnpj = this.normalizeCNPJ(cnpj);
-                if (rowCnpj !== filtroCnpj) {
-                    return false;
-                }
-            }
-            // Se cnpj for null, aceita todas as empresas APR
+        const filtroCnpjs = this.listaFiltro(cnpj, c => this.resolverCnpj(this.normalizeCNPJ(c)));
+        const filtroTurmas = this.listaFiltro(turma, t => this.normalizeName(t));
+        const filtrarPeriodo = Boolean(dataInicio && dataFim);
 
-            // Filtro por Turma
-            if (turma && row.TURMA !== turma) {
-                return false;
-            }
+        const chaveCache = JSON.stringify([
+            filtroCnpjs ? Array.from(filtroCnpjs).sort() : null,
+            filtroTurmas ? Array.from(filtroTurmas).sort() : null,
+            filtrarPeriodo ? [dataInicio, dataFim] : null,
+            statusSet ? Array.from(statusSet).sort() : null
+        ]);
+        if (this.cacheFiltros.has(chaveCache)) {
+            return this.cacheFiltros.get(chaveCache).slice();
+        }
 
-            // Filtro por período de datas
-            if (dataInicio && dataFim && row.DATA) {
-                const dataRegistro = this.parseDate(row.DATA);
-                if (!dataRegistro) return false;
+        // Candidatos: a menor lista entre os índices aplicáveis
+        const candidatos = [this.posicoesAPR];
+        if (filtroCnpjs) candidatos.push(this.getPosicoesDoIndice(this.indicePorCnpj, filtroCnpjs));
+        if (filtroTurmas) candidatos.push(this.getPosicoesDoIndice(this.indicePorTurma, filtroTurmas));
+        if (filtrarPeriodo) candidatos.push(this.getPosicoesDoPeriodo(dataInicio, dataFim));
+        const posicoes = candidatos.reduce((menor, lista) => (lista.length < menor.length ? lista : menor));
 
-                const inicio = this.parseDate(dataInicio);
-                const fim = this.parseDate(dataFim);
+        const inicio = filtrarPeriodo ? this.parseDate(dataInicio) : null;
+        const fim = filtrarPeriodo ? this.parseDate(dataFim) : null;
+        const inicioTempo = inicio ? inicio.getTime() : NaN;
+        const fimTempo = fim ? fim.getTime() : NaN;
 
-                if (dataRegistro < inicio || dataRegistro > fim) {
-                    return false;
-                }
+        const resultado = [];
+        posicoes.forEach(posicao => {
+            const registro = this.registros[posicao];
+
+            // Garantir que apenas turmas APR sejam incluídas
+            if (!registro.apr) return;
+
+            // Filtro por CNPJ (sem CNPJ, aceita todas as empresas APR)
+            if (filtroCnpjs && !filtroCnpjs.has(registro.cnpj)) return;
+
+            // Filtro por Turma
+            if (filtroTurmas && !filtroTurmas.has(registro.turma)) return;
+
+            // Filtro por período de datas (registros sem DATA não são excluídos)
+            if (filtrarPeriodo && !registro.semData) {
+                if (registro.tempo === null || !(registro.tempo >= inicioTempo && registro.tempo <= fimTempo)) return;
             }
 
             // Filtro por Status (DESCRICAO)
-            if (statusSet) {
-                const rowStatus = this.normalizeStatus(row.DESCRICAO || '');
-                if (!statusSet.has(rowStatus)) {
-                    return false;
-                }
-            }
+            if (statusSet && !statusSet.has(registro.status)) return;
 
-            return true;
+            resultado.push(this.rawData[posicao]);
         });
+
+        if (this.cacheFiltros.size >= DataModel.LIMITE_CACHE_FILTROS) {
+            // Descartar o resultado mais antigo
+            this.cacheFiltros.delete(this.cacheFiltros.keys().next().value);
+        }
+        this.cacheFiltros.set(chaveCache, resultado);
+        return resultado.slice();
+    }
+
+    /**
+     * Converte o filtro de CNPJ ou turma (um valor ou uma lista) em conjunto de valores normalizados
+     * @param {string|Array<string>|null} valor - Valor ou lista do filtro
+     * @param {Function} normalizar - Normalização de cada valor
+     * @returns {Set<string>|null} - null = sem filtro
+     */
+    listaFiltro(valor, normalizar) {
+        const valores = (Array.isArray(valor) ? valor : [valor])
+            .filter(v => v)
+            .map(normalizar)
+            .filter(v => v);
+        return valores.length > 0 ? new Set(valores) : null;
+    }
+
+    /**
+     * Retorna as posições (crescentes) dos registros de várias chaves de um índice
+     * @param {Map} indice - Índice chave -> posições
+     * @param {Set<string>} chaves - Chaves procuradas
+     * @returns {Array<number>} - Posições em rawData
+     */
+    getPosicoesDoIndice(indice, chaves) {
+        const listas = Array.from(chaves).map(chave => indice.get(chave) || []);
+        if (listas.length === 1) return listas[0];
+        return [].concat(...listas).sort((a, b) => a - b);
+    }
+
+    /**
+     * Retorna as posições (crescentes) dos registros APR candidatos a um período:
+     * os dos meses cobertos pelo período e os sem DATA
+     * @param {string} dataInicio - Data inicial (DD/MM/YYYY)
+     * @param {string} dataFim - Data final (DD/MM/YYYY)
+     * @returns {Array<number>} - Posições em rawData
+     */
+    getPosicoesDoPeriodo(dataInicio, dataFim) {
+        const listas = this.getMesesDoPeriodo(dataInicio, dataFim)
+            .map(mesAno => this.indicePorMes.get(mesAno))
+            .filter(lista => lista);
+        listas.push(this.posicoesSemData);
+        if (listas.length === 1) return listas[0];
+        // Arquivos mesclados podem intercalar meses: reordenar pela posição no dataset
+        return [].concat(...listas).sort((a, b) => a - b);
     }
 
     /**
@@ -360,12 +1108,41 @@ class DataModel {
     }
 
     /**
-     * Gera relatório consolidado dos dados filtrados
+     * Gera relatório consolidado dos dados filtrados (regras de contagem em ReportBuilder)
      * @param {Array} dadosFiltrados - Array de dados já filtrados
      * @param {string} dataInicio - Data de início do período filtrado (DD/MM/YYYY)
-     * @returns {Object} - Objeto com estatísticas e relatório
+     * @param {Object} perfil - Perfil de regras (ver RuleProfileModel); se omitido, usa as regras padrão do README
+     * @param {string} dataFim - Data final do período filtrado (DD/MM/YYYY); define os meses do detalhamento mensal
+     * @returns {Object} - Objeto com estatísticas, meses do período e relatório
+     */
+    gerarRelatorio(dadosFiltrados, dataInicio = null, perfil = null, dataFim = null) {
+        const montagem = this.iniciarRelatorio(dadosFiltrados, dataInicio, perfil, dataFim);
+        this.consolidarRegistros(montagem, dadosFiltrados);
+        return this.concluirRelatorio(montagem);
+    }
+
+    /**
+     * Mesmo resultado de gerarRelatorio, consolidando os registros em blocos e cedendo a vez entre eles
+     * para que progresso e cancelamento sejam atendidos (relatório principal de gerarRelatorioCompleto)
+     * @param {Object} cancelamento - {cancelado: boolean}
+     * @returns {Promise<Object>} - Mesmo retorno de gerarRelatorio
+     */
+    async gerarRelatorioEmBlocos(dadosFiltrados, dataInicio = null, perfil = null, dataFim = null, cancelamento = null) {
+        const montagem = this.iniciarRelatorio(dadosFiltrados, dataInicio, perfil, dataFim);
+        for (let i = 0; i < dadosFiltrados.length; i += DataModel.TAMANHO_BLOCO_RELATORIO) {
+            await this.cederVez(cancelamento);
+            this.consolidarRegistros(montagem, dadosFiltrados.slice(i, i + DataModel.TAMANHO_BLOCO_RELATORIO));
+        }
+        return this.concluirRelatorio(montagem);
+    }
+
+    /**
+     * Prepara a montagem do relatório: mês/ano do título, meses do período e o ReportBuilder com as regras
+     * @returns {Object} - {regras, construtor, mes, ano, meses, dataInicio, dataFim, totalRegistros, ultimoTempo}
      */
-    gerarRelatorio(dadosFiltrados, dataInicio = null) {
+    iniciarRelatorio(dadosFiltrados, dataInicio, perfil, dataFim) {
+        const regras = perfil || DataModel.PERFIL_PADRAO;
+
         // Extrair MÊS e ANO da data de início do filtro
         let mes = '';
         let ano = '';
@@ -388,160 +1165,380 @@ class DataModel {
             }
         }
 
-        const alunosPorRA = new Map();
-
-        // Consolidar dados por aluno
-        dadosFiltrados.forEach(row => {
-            const ra = row.RA;
-            if (!ra) return;
+        // Meses cobertos pelo período (MM/YYYY). Sem dataFim, considera os meses presentes nos dados.
+        let meses = this.getMesesDoPeriodo(dataInicio, dataFim);
+        if (meses.length === 0) {
+            meses = this.ordenarMeses(new Set(dadosFiltrados.map(row => this.getMesAno(row.DATA)).filter(m => m)));
+        }
+        if (meses.length > 1) {
+            // No layout de período, MES/ANO dão lugar à coluna PERÍODO
+            mes = '';
+            ano = '';
+        }
 
-            if (!alunosPorRA.has(ra)) {
-                alunosPorRA.set(ra, {
-                    RA: ra,
-                    ALUNO: row.ALUNO,
-                    EMPRESA: row.EMPRESA,
-                    CURSO: row.CURSO,
-                    TURMA: row.TURMA,
-                    faltasJustificadas: [], // Array de objetos {dia, valor}
-                    faltasNaoJustificadas: [], // Array de objetos {dia, valor}
-                    atrasosDias: [], // Array de dias (string) com atraso
-                    horasAtraso: 0, // Total de horas de atraso
-                    totalHorasAusencia: 0, // Total de horas de ausência (implementação futura)
-                    statusCounts: new Map() // contagem por DESCRICAO
-                });
+        return {
+            regras,
+            construtor: new ReportBuilder(regras, meses),
+            mes,
+            ano,
+            meses,
+            dataInicio,
+            dataFim,
+            totalRegistros: dadosFiltrados.length,
+            // Última data com registros (as aulas previstas não passam dela)
+            ultimoTempo: null
+        };
+    }
+
+    /**
+     * Consolida registros por aluno, com os valores já convertidos em processData (ver criarRegistro)
+     * @param {Object} montagem - Retorno de iniciarRelatorio
+     * @param {Array} rows - Registros (todos ou um bloco)
+     */
+    consolidarRegistros(montagem, rows) {
+        rows.forEach(row => {
+            if (!row.RA) return;
+            const registro = this.getRegistro(row);
+            if (registro.tempo !== null && (montagem.ultimoTempo === null || registro.tempo > montagem.ultimoTempo)) {
+                montagem.ultimoTempo = registro.tempo;
             }
 
-            const aluno = alunosPorRA.get(ra);
-            // Aceitar variações de nomes de colunas (algumas planilhas vêm truncadas)
-            const faltasRaw = this.getFirstField(row, ['FALTAS', 'FALTA', 'FALT', 'FALT.']);
-            const frequenciaRaw = this.getFirstField(row, ['FREQUENCIA', 'FREQUENC', 'FREQ']);
-            const justificadaRaw = this.getFirstField(row, ['JUSTIFICADA', 'JUSTIF', 'JUSTIFIC']);
-
-            const faltasValor = parseInt(faltasRaw) || 0;
-            const frequenciaValor = parseInt(frequenciaRaw) || 0;
-            const justificadaStr = (justificadaRaw || '').toString().trim().toUpperCase();
-            const dataStr = row.DATA || '';
-            const statusRowRaw = (row.DESCRICAO || '').toString().trim();
-            const statusKey = this.normalizeStatus(statusRowRaw);
-
-            // Contabilizar status
-            if (statusKey) {
-                const prev = aluno.statusCounts.get(statusRowRaw) || 0;
-                aluno.statusCounts.set(statusRowRaw, prev + 1);
-            }
-
-            // Extrair apenas o dia da data (DD/MM/YYYY -> DD)
-            const dia = dataStr.split('/')[0] || '';
-
-            // Verificar se FALTAS está entre 1 e 4
-            if (faltasValor >= 1 && faltasValor <= 4) {
-                // Verificar se é FALTA JUSTIFICADA
-                if (justificadaStr === 'FALTA JUSTIFICADA') {
-                    // Regra atualizada:
-                    // - "Nº FALTAS JUSTIFICADAS": somar 1 SOMENTE quando FALTAS == 4 e JUSTIFICADA == 'FALTA JUSTIFICADA'.
-                    // - "FALTAS JUSTIFICADAS (DIAS)": listar apenas os dias que atendem a FALTAS == 4 e JUSTIFICADA.
-                    if (faltasValor === 4) {
-                        aluno.faltasJustificadas.push({
-                            dia: dia,
-                            valor: 1
-                        });
-                    }
-                    // Se JUSTIFICADA mas FALTAS != 4, não contamos e não listamos o dia
-                } else {
-                    // FALTAS NÃO JUSTIFICADAS
-                    // Nova regra:
-                    // - Contabilizar e listar SOMENTE quando FALTAS == 4 E o campo JUSTIFICADA estiver vazio (sem informação).
-                    // - Nesse caso, somar valor 1 por dia e listar o dia em "FALTAS NÃO JUSTIFICADAS (DIAS)".
-                    // - Caso haja qualquer informação diferente de vazio em JUSTIFICADA, não contar como não justificada aqui.
-                    if (faltasValor === 4 && justificadaStr === '') {
-                        aluno.faltasNaoJustificadas.push({
-                            dia: dia,
-                            valor: 1
-                        });
-                    }
-                }
+            montagem.construtor.adicionar({
+                ra: row.RA,
+                aluno: row.ALUNO,
+                // Nome canônico escolhido pelo usuário, se houver
+                empresa: this.identidades.nomes[registro.cnpj] || row.EMPRESA,
+                curso: row.CURSO,
+                turma: row.TURMA,
+                data: row.DATA,
+                mesAno: this.getMesAno(row.DATA),
+                status: registro.status ? registro.statusRaw : '',
+                faltas: registro.faltas,
+                frequencia: registro.frequencia,
+                justificada: registro.justificada
+            });
+        });
+    }
+
+    /**
+     * Linhas do relatório e avaliação de frequência e limites de ausência no período
+     * @param {Object} montagem - Retorno de iniciarRelatorio, com os registros consolidados
+     * @returns {Object} - Mesmo retorno de gerarRelatorio
+     */
+    concluirRelatorio(montagem) {
+        const { regras, meses, dataInicio, dataFim, ultimoTempo } = montagem;
+        const relatorio = montagem.construtor.getLinhas(montagem.mes, montagem.ano);
+
+        // Intervalo do relatório: período do filtro (ou meses dos dados), até a última data com registros
+        const inicioPeriodo = this.parseDate(dataInicio) || (meses.length > 0 ? this.parseDate(`01/${meses[0]}`) : null);
+        const fimMeses = meses.length > 0 ? this.parseDate(`01/${meses[meses.length - 1]}`) : null;
+        let fimPeriodo = this.parseDate(dataFim) || (fimMeses ? new Date(fimMeses.getFullYear(), fimMeses.getMonth() + 1, 0) : null);
+        if (ultimoTempo !== null && (!fimPeriodo || ultimoTempo < fimPeriodo.getTime())) {
+            fimPeriodo = new Date(ultimoTempo);
+        }
+
+        return {
+            totalAlunos: relatorio.length,
+            totalRegistros: montagem.totalRegistros,
+            frequencia: this.avaliarFrequencia(relatorio, regras, inicioPeriodo, fimPeriodo),
+            limiteAusencia: this.avaliarLimitesAusencia(relatorio, regras),
+            meses,
+            relatorio
+        };
+    }
+
+    /**
+     * Calcula aulas e horas previstas, presenças e percentual de frequência de cada aluno pelo calendário
+     * da turma/curso (ver getCalendario). Acrescenta às linhas AULAS_NO_PERIODO, PRESENCAS, HORAS_PREVISTAS,
+     * HORAS_PRESENTES e PERCENTUAL_FREQUENCIA (null quando a turma não tem calendário cadastrado).
+     * @param {Array} relatorio - Linhas de gerarRelatorio
+     * @param {Object} regras - Perfil de regras (horas por dia quando o calendário não define)
+     * @param {Date} inicio - Início do período do relatório
+     * @param {Date} fim - Fim do período do relatório
+     * @returns {Object} - {comCalendario: nº de alunos, turmasSemCalendario: Array<string>}
+     */
+    avaliarFrequencia(relatorio, regras, inicio, fim) {
+        const diasPorTurma = new Map(); // TURMA -> dias de aula no período (null = sem calendário)
+        const turmasSemCalendario = new Set();
+        let comCalendario = 0;
+
+        relatorio.forEach(linha => {
+            const calendario = this.getCalendario(linha.TURMA, linha.CURSO);
+            if (!diasPorTurma.has(linha.TURMA)) {
+                diasPorTurma.set(linha.TURMA, calendario ? this.contarDiasDeAula(calendario, inicio, fim) : null);
             }
+            const dias = diasPorTurma.get(linha.TURMA);
 
-            // Lógica de atrasos: FREQUENCIA = 1, 2 ou 3
-            if (frequenciaValor === 1 || frequenciaValor === 2 || frequenciaValor === 3) {
-                if (dia) aluno.atrasosDias.push(dia);
-                if (frequenciaValor === 1) aluno.horasAtraso += 3;
-                else if (frequenciaValor === 2) aluno.horasAtraso += 2;
-                else if (frequenciaValor === 3) aluno.horasAtraso += 1;
-            }
-        });
-
-        // Processar e formatar os dados consolidados
-        const relatorio = Array.from(alunosPorRA.values()).map(aluno => {
-            // Formatar FALTAS JUSTIFICADAS (DIAS) - dias separados por vírgula e espaço
-            const diasFaltasJustificadas = aluno.faltasJustificadas
-                .map(f => f.dia)
-                .filter(dia => dia) // Remover dias vazios
-                .join(', ');
-
-            // Calcular Nº FALTAS JUSTIFICADAS - soma dos valores
-            const numFaltasJustificadas = aluno.faltasJustificadas
-                .reduce((sum, f) => sum + f.valor, 0);
-
-            // Formatar FALTAS NÃO JUSTIFICADAS (DIAS) - dias separados por vírgula e espaço
-            const diasFaltasNaoJustificadas = aluno.faltasNaoJustificadas
-                .map(f => f.dia)
-                .filter(dia => dia) // Remover dias vazios
-                .join(', ');
-
-            // Calcular Nº FALTAS NÃO JUSTIFICADAS - soma dos valores
-            const numFaltasNaoJustificadas = aluno.faltasNaoJustificadas
-                .reduce((sum, f) => sum + f.valor, 0);
-
-            // Determinar STATUS mais frequente (modo). Se empate, pega o primeiro inserido.
-            let statusFinal = '';
-            let maxCount = -1;
-            aluno.statusCounts.forEach((count, label) => {
-                if (count > maxCount) {
-                    maxCount = count;
-                    statusFinal = label;
-                }
+            if (dias === null) {
+                turmasSemCalendario.add(linha.TURMA);
+                Object.assign(linha, { AULAS_NO_PERIODO: null, PRESENCAS: null, HORAS_PREVISTAS: null, HORAS_PRESENTES: null, PERCENTUAL_FREQUENCIA: null });
+                return;
+            }
+
+            const horasPrevistas = dias * (calendario.horasPorDia || regras.horasPorDia);
+            const horasPresentes = Math.max(0, horasPrevistas - linha.TOTAL_HORAS_AUSENCIA);
+            Object.assign(linha, {
+                AULAS_NO_PERIODO: dias,
+                PRESENCAS: Math.max(0, dias - linha.NUM_FALTAS_JUSTIFICADAS - linha.NUM_FALTAS_NAO_JUSTIFICADAS),
+                HORAS_PREVISTAS: this.arredondar(horasPrevistas),
+                HORAS_PRESENTES: this.arredondar(horasPresentes),
+                PERCENTUAL_FREQUENCIA: horasPrevistas > 0 ? this.arredondar((horasPresentes / horasPrevistas) * 100) : null
             });
+            comCalendario++;
+        });
 
-            // Formatar ATRASOS (DIAS) - dias separados por vírgula e espaço
-            const atrasosDiasStr = aluno.atrasosDias.filter(d => d).join(', ');
+        return { comCalendario, turmasSemCalendario: Array.from(turmasSemCalendario).sort() };
+    }
 
-            // Nº HORAS DE ATRASO - soma total
-            const numHorasAtraso = aluno.horasAtraso;
+    /**
+     * Limite de horas de ausência do perfil: o menor entre o limite em horas e o percentual da carga horária
+     * @param {Object} regras - Perfil de regras
+     * @param {number|null} cargaHorariaCurso - Carga horária do cadastro da turma/curso, usada quando o perfil não informa
+     * @returns {number|null} - Horas; null quando o perfil não define limite
+     */
+    getLimiteAusencia(regras, cargaHorariaCurso = null) {
+        const limites = regras.limitesAusencia || {};
+        const cargaHoraria = Number(limites.cargaHoraria) || Number(cargaHorariaCurso);
+        const candidatos = [];
+        if (Number(limites.horas) > 0) candidatos.push(Number(limites.horas));
+        if (Number(limites.percentual) > 0 && cargaHoraria > 0) {
+            candidatos.push(cargaHoraria * Number(limites.percentual) / 100);
+        }
+        return candidatos.length > 0 ? this.arredondar(Math.min(...candidatos)) : null;
+    }
 
-            // TOTAL HORAS DE AUSÊNCIA NO CURSO = (Nº FALTAS JUSTIFICADAS x 4) + (Nº FALTAS NÃO JUSTIFICADAS x 4) + (Nº HORAS DE ATRASO)
-            const totalHorasAusencia = (numFaltasJustificadas * 4) + (numFaltasNaoJustificadas * 4) + (numHorasAtraso || 0);
+    /**
+     * Compara o total de horas de ausência de cada aluno com o limite do perfil (calculado por turma
+     * quando a carga horária vem do cadastro de calendários). Acrescenta às linhas LIMITE_HORAS_AUSENCIA,
+     * SITUACAO_LIMITE ('risco', 'atencao' ou '') e PERCENTUAL_DO_LIMITE (null sem limite).
+     * @param {Array} relatorio - Linhas de gerarRelatorio
+     * @param {Object} regras - Perfil de regras
+     * @returns {Object} - {ativo, limite, limiteAtencao, emRisco, emAtencao}; ativo = algum aluno tem limite;
+     *          limite/limiteAtencao = null quando não há limite ou ele varia entre as turmas
+     */
+    avaliarLimitesAusencia(relatorio, regras) {
+        const percentualAtencao = Number((regras.limitesAusencia || {}).percentualAtencao) || 100;
+        const limitesUsados = new Set();
+        let emRisco = 0;
+        let emAtencao = 0;
 
-            return {
-                TURMA: aluno.TURMA,
-                ALUNO: aluno.ALUNO,
-                STATUS: statusFinal,
-                EMPRESA: aluno.EMPRESA,
-                CURSO: aluno.CURSO,
-                MES: mes,
-                ANO: ano,
-                FALTAS_JUSTIFICADAS_DIAS: diasFaltasJustificadas,
-                NUM_FALTAS_JUSTIFICADAS: numFaltasJustificadas,
-                FALTAS_NAO_JUSTIFICADAS_DIAS: diasFaltasNaoJustificadas,
-                NUM_FALTAS_NAO_JUSTIFICADAS: numFaltasNaoJustificadas,
-                ATRASOS_DIAS: atrasosDiasStr,
-                NUM_HORAS_ATRASO: numHorasAtraso,
-                TOTAL_HORAS_AUSENCIA: totalHorasAusencia
-            };
+        relatorio.forEach(linha => {
+            const calendario = this.getCalendario(linha.TURMA, linha.CURSO);
+            const limite = this.getLimiteAusencia(regras, calendario ? calendario.cargaHoraria : null);
+            linha.LIMITE_HORAS_AUSENCIA = limite;
+            linha.SITUACAO_LIMITE = '';
+            linha.PERCENTUAL_DO_LIMITE = null;
+            if (limite === null) return;
+
+            limitesUsados.add(limite);
+            linha.PERCENTUAL_DO_LIMITE = this.arredondar((linha.TOTAL_HORAS_AUSENCIA / limite) * 100);
+            if (linha.TOTAL_HORAS_AUSENCIA >= limite) {
+                linha.SITUACAO_LIMITE = 'risco';
+                emRisco++;
+            } else if (linha.TOTAL_HORAS_AUSENCIA >= limite * percentualAtencao / 100) {
+                linha.SITUACAO_LIMITE = 'atencao';
+                emAtencao++;
+            }
         });
 
+        const limite = limitesUsados.size === 1 ? Array.from(limitesUsados)[0] : null;
         return {
-            totalAlunos: relatorio.length,
-            totalRegistros: dadosFiltrados.length,
-            relatorio: relatorio.sort((a, b) => {
-                // Ordenar primeiro por TURMA
-                const turmaCompare = a.TURMA.localeCompare(b.TURMA);
-                if (turmaCompare !== 0) return turmaCompare;
-                
-                // Se TURMA for igual, ordenar por EMPRESA
-                return a.EMPRESA.localeCompare(b.EMPRESA);
-            })
+            ativo: limitesUsados.size > 0,
+            limite,
+            limiteAtencao: limite !== null ? this.arredondar(limite * percentualAtencao / 100) : null,
+            emRisco,
+            emAtencao
+        };
+    }
+
+    /**
+     * Alunos em risco ou em atenção, do mais próximo do limite (ou acima dele) para o menos
+     * @param {Array} relatorio - Linhas de gerarRelatorio (já avaliadas por avaliarLimitesAusencia)
+     * @returns {Array} - Linhas do relatório
+     */
+    listarAlunosEmRisco(relatorio) {
+        return relatorio
+            .filter(linha => linha.SITUACAO_LIMITE)
+            .sort((a, b) => b.PERCENTUAL_DO_LIMITE - a.PERCENTUAL_DO_LIMITE ||
+                String(a.ALUNO || '').localeCompare(String(b.ALUNO || ''), 'pt-BR'));
+    }
+
+    /**
+     * Extrai MM/YYYY de uma data DD/MM/YYYY
+     * @param {string} dataStr - Data no formato DD/MM/YYYY
+     * @returns {string} - Mês no formato MM/YYYY (vazio se inválida)
+     */
+    getMesAno(dataStr) {
+        const parts = String(dataStr || '').trim().split('/');
+        if (parts.length !== 3) return '';
+        return `${parts[1].padStart(2, '0')}/${parts[2]}`;
+    }
+
+    /**
+     * Ordena meses no formato MM/YYYY cronologicamente
+     * @param {Iterable<string>} meses - Meses MM/YYYY
+     * @returns {Array<string>} - Meses ordenados
+     */
+    ordenarMeses(meses) {
+        const chave = m => m.split('/').reverse().join('');
+        return Array.from(meses).sort((a, b) => chave(a).localeCompare(chave(b)));
+    }
+
+    /**
+     * Lista os meses (MM/YYYY) cobertos por um período
+     * @param {string} dataInicio - Data inicial (DD/MM/YYYY)
+     * @param {string} dataFim - Data final (DD/MM/YYYY)
+     * @returns {Array<string>} - Meses em ordem cronológica (vazio se o período for inválido)
+     */
+    getMesesDoPeriodo(dataInicio, dataFim) {
+        const inicio = this.parseDate(dataInicio);
+        const fim = this.parseDate(dataFim);
+        if (!inicio || !fim || inicio > fim) return [];
+
+        const meses = [];
+        const cursor = new Date(inicio.getFullYear(), inicio.getMonth(), 1);
+        while (cursor <= fim) {
+            meses.push(this.getMesAno(this.formatDate(cursor)));
+            cursor.setMonth(cursor.getMonth() + 1);
+        }
+        return meses;
+    }
+
+    /**
+     * Separa registros por mês (MM/YYYY), preservando a ordem original
+     * @param {Array} dados - Registros (ex.: retorno de filtrarDados)
+     * @returns {Map<string, Array>} - Mês -> registros do mês
+     */
+    separarPorMes(dados) {
+        const porMes = new Map();
+        dados.forEach(row => {
+            const mesAno = this.getMesAno(row.DATA);
+            if (!mesAno) return;
+            if (!porMes.has(mesAno)) porMes.set(mesAno, []);
+            porMes.get(mesAno).push(row);
+        });
+        return porMes;
+    }
+
+    /**
+     * Grade diária de frequência: uma linha por aluno e uma coluna por dia de aula
+     * @param {Array} dadosFiltrados - Linhas de filtrarDados
+     * @param {Object} perfil - Perfil de regras (mesma classificação de gerarRelatorio)
+     * @returns {Object} - {dias: Array<string> (DD/MM/YYYY, em ordem), linhas: [{RA, TURMA, ALUNO, EMPRESA, codigos: {data: código}}]}
+     *          Dias sem registro do aluno ficam fora de codigos (ver DataModel.CODIGOS_GRADE)
+     */
+    gerarGradeDiaria(dadosFiltrados, perfil = null) {
+        const construtor = new ReportBuilder(perfil || DataModel.PERFIL_PADRAO);
+        const prioridade = codigo => {
+            const tipo = this.getTipoCodigoGrade(codigo);
+            return DataModel.CODIGOS_GRADE.length - DataModel.CODIGOS_GRADE.findIndex(c => c.codigo === tipo);
         };
+
+        const dias = new Map(); // DD/MM/YYYY -> timestamp
+        const alunos = new Map();
+        dadosFiltrados.forEach(row => {
+            const registro = this.getRegistro(row);
+            if (!row.RA || registro.tempo === null) return;
+            dias.set(row.DATA, registro.tempo);
+
+            if (!alunos.has(row.RA)) {
+                alunos.set(row.RA, {
+                    RA: row.RA,
+                    TURMA: row.TURMA,
+                    ALUNO: row.ALUNO,
+                    EMPRESA: this.identidades.nomes[registro.cnpj] || row.EMPRESA,
+                    codigos: {}
+                });
+            }
+
+            // Mais de um registro no mesmo dia: prevalece o de maior gravidade
+            const codigos = alunos.get(row.RA).codigos;
+            const codigo = construtor.getCodigoGrade(registro);
+            if (!codigos[row.DATA] || prioridade(codigo) > prioridade(codigos[row.DATA])) {
+                codigos[row.DATA] = codigo;
+            }
+        });
+
+        return {
+            dias: Array.from(dias.keys()).sort((a, b) => dias.get(a) - dias.get(b)),
+            linhas: Array.from(alunos.values()).sort((a, b) =>
+                a.TURMA.localeCompare(b.TURMA) || String(a.ALUNO || '').localeCompare(String(b.ALUNO || ''), 'pt-BR'))
+        };
+    }
+
+    /**
+     * Tipo de um código da grade, sem as horas (FP2 -> FP, A1 -> A)
+     */
+    getTipoCodigoGrade(codigo) {
+        return String(codigo || '').replace(/[\d.,]+$/, '');
+    }
+
+    /**
+     * Resume as linhas do relatório por turma
+     * @param {Array} relatorio - Linhas de gerarRelatorio
+     * @returns {Array<Object>} - {turma, alunos, totalHorasAusencia, mediaPorAluno}, em ordem de turma
+     */
+    resumirPorTurma(relatorio) {
+        const porTurma = new Map();
+        relatorio.forEach(linha => {
+            if (!porTurma.has(linha.TURMA)) porTurma.set(linha.TURMA, { turma: linha.TURMA, alunos: 0, totalHorasAusencia: 0 });
+            const resumo = porTurma.get(linha.TURMA);
+            resumo.alunos++;
+            resumo.totalHorasAusencia += Number(linha.TOTAL_HORAS_AUSENCIA) || 0;
+        });
+
+        return Array.from(porTurma.values())
+            .sort((a, b) => a.turma.localeCompare(b.turma))
+            .map(resumo => Object.assign(resumo, {
+                totalHorasAusencia: this.arredondar(resumo.totalHorasAusencia),
+                mediaPorAluno: this.arredondar(resumo.totalHorasAusencia / resumo.alunos)
+            }));
+    }
+
+    /**
+     * Cruza empresas × turmas com o total de horas de ausência de cada combinação
+     * @param {Array} relatorio - Linhas de gerarRelatorio
+     * @returns {Object} - {turmas, linhas: [{empresa, porTurma: {turma: horas}, total}], totaisPorTurma, total}
+     */
+    cruzarEmpresasTurmas(relatorio) {
+        const turmas = new Set();
+        const porEmpresa = new Map();
+        relatorio.forEach(linha => {
+            turmas.add(linha.TURMA);
+            if (!porEmpresa.has(linha.EMPRESA)) porEmpresa.set(linha.EMPRESA, { empresa: linha.EMPRESA, porTurma: {}, total: 0 });
+            const item = porEmpresa.get(linha.EMPRESA);
+            const horas = Number(linha.TOTAL_HORAS_AUSENCIA) || 0;
+            item.porTurma[linha.TURMA] = (item.porTurma[linha.TURMA] || 0) + horas;
+            item.total += horas;
+        });
+
+        const turmasOrdenadas = Array.from(turmas).sort((a, b) => a.localeCompare(b));
+        const totaisPorTurma = {};
+        turmasOrdenadas.forEach(turma => { totaisPorTurma[turma] = 0; });
+        const linhas = Array.from(porEmpresa.values())
+            .sort((a, b) => a.empresa.localeCompare(b.empresa, 'pt-BR'))
+            .map(item => {
+                Object.keys(item.porTurma).forEach(turma => {
+                    totaisPorTurma[turma] += item.porTurma[turma];
+                    item.porTurma[turma] = this.arredondar(item.porTurma[turma]);
+                });
+                return Object.assign(item, { total: this.arredondar(item.total) });
+            });
+
+        let total = 0;
+        turmasOrdenadas.forEach(turma => {
+            total += totaisPorTurma[turma];
+            totaisPorTurma[turma] = this.arredondar(totaisPorTurma[turma]);
+        });
+
+        return { turmas: turmasOrdenadas, linhas, totaisPorTurma, total: this.arredondar(total) };
+    }
+
+    /**
+     * Arredonda horas para duas casas decimais (faltas parciais geram frações)
+     */
+    arredondar(valor) {
+        return Math.round(valor * 100) / 100;
     }
 
     /**
@@ -558,12 +1555,568 @@ class DataModel {
         };
     }
 
+    /**
+     * Retorna o total de registros do dataset
+     * @returns {number}
+     */
+    getTotalRegistros() {
+        return this.totalRegistrosImportados !== null ? this.totalRegistrosImportados : this.rawData.length;
+    }
+
     /**
      * Valida se os dados foram carregados
      * @returns {boolean}
      */
     isDataLoaded() {
-        return this.rawData.length > 0;
+        return this.getTotalRegistros() > 0;
+    }
+
+    /**
+     * Exporta os índices (empresas, turmas, datas, arquivos) em formato serializável,
+     * para que a thread principal os use sem manter os registros
+     * @returns {Object} - Snapshot dos índices
+     */
+    exportarIndices() {
+        return {
+            totalRegistros: this.rawData.length,
+            empresasAPR: Array.from(this.empresasAPR.values()).map(e => ({
+                cnpj: e.cnpj,
+                nome: e.nome,
+                aliases: Array.from(e.aliases),
+                arquivos: Array.from(e.arquivos),
+                cnpjsOrigem: Array.from(e.cnpjsOrigem),
+                registros: e.registros
+            })),
+            turmasPorEmpresa: Array.from(this.turmasPorEmpresa.entries()).map(([cnpj, turmas]) => [cnpj, Array.from(turmas)]),
+            datasDisponiveis: Array.from(this.datasDisponiveis),
+            statusDisponiveis: this.getStatusDisponiveis(),
+            arquivos: Array.from(this.arquivos.values()),
+            registrosPorArquivo: Array.from(this.registrosPorArquivo.entries())
+        };
+    }
+
+    /**
+     * Substitui os índices por um snapshot de exportarIndices (rawData permanece no outro contexto)
+     * @param {Object} indices - Snapshot dos índices
+     */
+    importarIndices(indices) {
+        this.clear();
+        this.totalRegistrosImportados = indices.totalRegistros;
+        indices.empresasAPR.forEach(e => {
+            this.empresasAPR.set(e.cnpj, {
+                cnpj: e.cnpj,
+                nome: e.nome,
+                aliases: new Set(e.aliases),
+                arquivos: new Set(e.arquivos),
+                cnpjsOrigem: new Set(e.cnpjsOrigem),
+                registros: e.registros
+            });
+        });
+        indices.turmasPorEmpresa.forEach(([cnpj, turmas]) => this.turmasPorEmpresa.set(cnpj, new Set(turmas)));
+        indices.datasDisponiveis.forEach(d => this.datasDisponiveis.add(d));
+        indices.statusDisponiveis.forEach(s => this.statusDisponiveis.set(s.status, s));
+        indices.arquivos.forEach(a => this.arquivos.set(a.nome, a));
+        indices.registrosPorArquivo.forEach(([nome, total]) => this.registrosPorArquivo.set(nome, total));
+    }
+
+    /**
+     * Exporta os registros carregados e o resumo de cada arquivo (para salvar o conjunto de dados no navegador)
+     * @returns {Object} - {rawData, arquivos, inconsistencias}
+     */
+    exportarDataset() {
+        return {
+            rawData: this.rawData,
+            arquivos: Array.from(this.arquivos.values()),
+            inconsistencias: Array.from(this.inconsistencias.entries())
+        };
+    }
+
+    /**
+     * Substitui o dataset por um conjunto exportado por exportarDataset e reprocessa os índices
+     * @param {Object} dataset - {rawData, arquivos, inconsistencias}
+     * @returns {Object} - {totalRegistros, empresasAPR, turmas}
+     */
+    importarDataset(dataset) {
+        this.clear();
+        this.rawData = dataset.rawData.slice();
+        dataset.arquivos.forEach(a => this.arquivos.set(a.nome, a));
+        (dataset.inconsistencias || []).forEach(([nome, lista]) => this.inconsistencias.set(nome, lista));
+        this.reindexarChaves();
+        this.processData();
+        return {
+            totalRegistros: this.rawData.length,
+            empresasAPR: this.empresasAPR.size,
+            turmas: this.turmasPorEmpresa.size
+        };
+    }
+
+    /**
+     * Filtra os dados e gera o relatório completo (usado pelo Web Worker ou pela thread principal)
+     * @param {Object} filtros - {cnpj, turma, dataInicio, dataFim, statusList} (ver filtrarDados)
+     * @param {Object} perfil - Perfil de regras
+     * @param {boolean} abasPorMes - Em períodos de vários meses, gera também o relatório de cada mês
+     * @param {Object|null} periodoComparacao - {inicio, fim} (DD/MM/YYYY) comparado ao período do filtro (ver compararPeriodos)
+     * @param {Function} onProgresso - (percentual, etapa) => void
+     * @param {Object} cancelamento - {cancelado: boolean}; verificado entre blocos de registros e entre meses
+     * @returns {Promise<Object>} - {resultado, relatoriosMensais, grade, comparacao}; resultado = null quando nada foi encontrado
+     */
+    async gerarRelatorioCompleto(filtros, perfil = null, abasPorMes = false, periodoComparacao = null, onProgresso = null, cancelamento = null) {
+        const progresso = onProgresso || (() => {});
+
+        progresso(5, 'Filtrando dados...');
+        const dadosFiltrados = this.filtrarDados(filtros);
+        if (dadosFiltrados.length === 0) {
+            return { resultado: null, relatoriosMensais: null, grade: null, comparacao: null };
+        }
+
+        progresso(40, 'Gerando relatório...');
+        const resultado = await this.gerarRelatorioEmBlocos(dadosFiltrados, filtros.dataInicio, perfil, filtros.dataFim, cancelamento);
+
+        // Layout "uma aba por mês": relatório de cada mês no layout mensal
+        const relatoriosMensais = abasPorMes
+            ? await this.gerarRelatoriosMensais(dadosFiltrados, resultado.meses, perfil, (idx, mesAno) => {
+                progresso(60 + Math.round((idx / resultado.meses.length) * 35), `Gerando relatório de ${mesAno}...`);
+            }, cancelamento)
+            : null;
+
+        await this.cederVez(cancelamento);
+        progresso(96, 'Montando grade diária...');
+        const grade = this.gerarGradeDiaria(dadosFiltrados, perfil);
+
+        let comparacao = null;
+        if (periodoComparacao) {
+            progresso(98, `Comparando com ${periodoComparacao.inicio} a ${periodoComparacao.fim}...`);
+            comparacao = this.compararPeriodos(resultado.relatorio, filtros, periodoComparacao, perfil);
+        }
+
+        progresso(100, 'Relatório gerado.');
+        return { resultado, relatoriosMensais, grade, comparacao };
+    }
+
+    /**
+     * Relatório de cada mês (layout mensal), para o layout "uma aba por mês"
+     * @param {Array} dadosFiltrados - Linhas já filtradas
+     * @param {Array<string>} meses - Meses do relatório (MM/YYYY)
+     * @param {Object} perfil - Perfil de regras
+     * @param {Function} onMes - (indice, mesAno) => void, chamado antes de cada mês
+     * @param {Object} cancelamento - {cancelado: boolean}; verificado antes de cada mês
+     * @returns {Promise<Array|null>} - [{mesAno, relatorio}]; null quando o período tem um só mês
+     */
+    async gerarRelatoriosMensais(dadosFiltrados, meses, perfil = null, onMes = null, cancelamento = null) {
+        if (meses.length <= 1) return null;
+        const porMes = this.separarPorMes(dadosFiltrados);
+        const relatorios = [];
+        for (let idx = 0; idx < meses.length; idx++) {
+            const mesAno = meses[idx];
+            await this.cederVez(cancelamento);
+            if (onMes) onMes(idx, mesAno);
+            relatorios.push({
+                mesAno,
+                relatorio: this.gerarRelatorio(porMes.get(mesAno) || [], `01/${mesAno}`, perfil).relatorio
+            });
+        }
+        return relatorios;
+    }
+
+    /**
+     * Compara o relatório do período do filtro com outro período (mesmos filtros de empresa, turma e status):
+     * variação das horas de ausência de cada aluno e de cada empresa, alunos que passaram a ficar em risco
+     * e alunos que melhoraram
+     * @param {Array} relatorioAtual - Linhas de gerarRelatorio do período do filtro
+     * @param {Object} filtros - {cnpj, turma, dataInicio, dataFim, statusList} (ver filtrarDados)
+     * @param {Object} periodoComparacao - {inicio, fim} em DD/MM/YYYY
+     * @param {Object} perfil - Perfil de regras
+     * @returns {Object} - {periodoAtual, periodoComparacao, comLimite, alunos, empresas, totais}; alunos pela
+     *          mudança (ver DataModel.MUDANCAS_COMPARACAO) e empresas da maior piora para a maior melhora;
+     *          comLimite = o perfil define limite de ausência
+     */
+    compararPeriodos(relatorioAtual, filtros, periodoComparacao, perfil = null) {
+        const dadosAnteriores = this.filtrarDados(Object.assign({}, filtros, {
+            dataInicio: periodoComparacao.inicio,
+            dataFim: periodoComparacao.fim
+        }));
+        const relatorioAnterior = this.gerarRelatorio(dadosAnteriores, periodoComparacao.inicio, perfil, periodoComparacao.fim).relatorio;
+
+        const anteriores = new Map(relatorioAnterior.map(linha => [linha.RA, linha]));
+        const atuais = new Map(relatorioAtual.map(linha => [linha.RA, linha]));
+        const ras = new Set(Array.from(atuais.keys()).concat(Array.from(anteriores.keys())));
+
+        const alunos = Array.from(ras).map(ra => {
+            const atual = atuais.get(ra) || null;
+            const anterior = anteriores.get(ra) || null;
+            const base = atual || anterior;
+            const horasAtual = atual ? atual.TOTAL_HORAS_AUSENCIA : null;
+            const horasAnterior = anterior ? anterior.TOTAL_HORAS_AUSENCIA : null;
+            const variacao = atual && anterior ? this.arredondar(horasAtual - horasAnterior) : null;
+
+            let mudanca;
+            if (atual && atual.SITUACAO_LIMITE === 'risco' && (!anterior || anterior.SITUACAO_LIMITE !== 'risco')) {
+                mudanca = 'novo-risco';
+            } else if (!anterior) {
+                mudanca = 'so-atual';
+            } else if (!atual) {
+                mudanca = 'so-anterior';
+            } else if (variacao > 0) {
+                mudanca = 'piorou';
+            } else if (variacao < 0) {
+                mudanca = 'melhorou';
+            } else {
+                mudanca = 'estavel';
+            }
+
+            return {
+                RA: ra,
+                TURMA: base.TURMA,
+                ALUNO: base.ALUNO,
+                EMPRESA: base.EMPRESA,
+                HORAS_ANTERIOR: horasAnterior,
+                HORAS_ATUAL: horasAtual,
+                VARIACAO: variacao,
+                SITUACAO_ANTERIOR: anterior ? anterior.SITUACAO_LIMITE : '',
+                SITUACAO_ATUAL: atual ? atual.SITUACAO_LIMITE : '',
+                MUDANCA: mudanca
+            };
+        });
+
+        const ordem = Object.keys(DataModel.MUDANCAS_COMPARACAO);
+        alunos.sort((a, b) => ordem.indexOf(a.MUDANCA) - ordem.indexOf(b.MUDANCA) ||
+            Math.abs(b.VARIACAO || 0) - Math.abs(a.VARIACAO || 0) ||
+            String(a.ALUNO || '').localeCompare(String(b.ALUNO || ''), 'pt-BR'));
+
+        // Totais por empresa: cada período soma os alunos da empresa naquele período
+        const porEmpresa = new Map();
+        const getEmpresa = nome => {
+            if (!porEmpresa.has(nome)) {
+                porEmpresa.set(nome, {
+                    EMPRESA: nome, ALUNOS_ANTERIOR: 0, ALUNOS_ATUAL: 0, HORAS_ANTERIOR: 0, HORAS_ATUAL: 0,
+                    NOVOS_EM_RISCO: 0, PIORARAM: 0, MELHORARAM: 0
+                });
+            }
+            return porEmpresa.get(nome);
+        };
+        relatorioAnterior.forEach(linha => {
+            const empresa = getEmpresa(linha.EMPRESA);
+            empresa.ALUNOS_ANTERIOR++;
+            empresa.HORAS_ANTERIOR += linha.TOTAL_HORAS_AUSENCIA;
+        });
+        relatorioAtual.forEach(linha => {
+            const empresa = getEmpresa(linha.EMPRESA);
+            empresa.ALUNOS_ATUAL++;
+            empresa.HORAS_ATUAL += linha.TOTAL_HORAS_AUSENCIA;
+        });
+        alunos.forEach(aluno => {
+            const empresa = getEmpresa(aluno.EMPRESA);
+            if (aluno.MUDANCA === 'novo-risco') empresa.NOVOS_EM_RISCO++;
+            if (aluno.MUDANCA === 'piorou') empresa.PIORARAM++;
+            if (aluno.MUDANCA === 'melhorou') empresa.MELHORARAM++;
+        });
+
+        const totais = { EMPRESA: 'TOTAL', ALUNOS_ANTERIOR: 0, ALUNOS_ATUAL: 0, HORAS_ANTERIOR: 0, HORAS_ATUAL: 0, NOVOS_EM_RISCO: 0, PIORARAM: 0, MELHORARAM: 0 };
+        const fecharVariacao = item => {
+            item.HORAS_ANTERIOR = this.arredondar(item.HORAS_ANTERIOR);
+            item.HORAS_ATUAL = this.arredondar(item.HORAS_ATUAL);
+            item.VARIACAO = this.arredondar(item.HORAS_ATUAL - item.HORAS_ANTERIOR);
+            // Sem horas no período de comparação não há base para o percentual
+            item.VARIACAO_PERCENTUAL = item.HORAS_ANTERIOR > 0 ? this.arredondar((item.VARIACAO / item.HORAS_ANTERIOR) * 100) : null;
+            return item;
+        };
+        const empresas = Array.from(porEmpresa.values()).map(empresa => {
+            Object.keys(totais).forEach(campo => {
+                if (campo !== 'EMPRESA') totais[campo] += empresa[campo];
+            });
+            return fecharVariacao(empresa);
+        }).sort((a, b) => b.VARIACAO - a.VARIACAO || a.EMPRESA.localeCompare(b.EMPRESA, 'pt-BR'));
+
+        return {
+            periodoAtual: { inicio: filtros.dataInicio, fim: filtros.dataFim },
+            periodoComparacao: { inicio: periodoComparacao.inicio, fim: periodoComparacao.fim },
+            comLimite: relatorioAtual.concat(relatorioAnterior).some(linha => linha.PERCENTUAL_DO_LIMITE !== null),
+            alunos,
+            empresas,
+            totais: fecharVariacao(totais)
+        };
+    }
+
+    /**
+     * Período imediatamente anterior, com a mesma duração: meses inteiros voltam o mesmo número de meses
+     * (setembro -> agosto; 3º trimestre -> 2º trimestre); outros intervalos voltam o mesmo número de dias
+     * @param {string} dataInicio - Data inicial (DD/MM/YYYY)
+     * @param {string} dataFim - Data final (DD/MM/YYYY)
+     * @returns {Object|null} - {inicio, fim} em DD/MM/YYYY; null se o período for inválido
+     */
+    getPeriodoAnterior(dataInicio, dataFim) {
+        const inicio = this.parseDate(dataInicio);
+        const fim = this.parseDate(dataFim);
+        if (!inicio || !fim || inicio > fim) return null;
+
+        const ultimoDiaDoMes = new Date(fim.getFullYear(), fim.getMonth() + 1, 0).getDate();
+        if (inicio.getDate() === 1 && fim.getDate() === ultimoDiaDoMes) {
+            const meses = (fim.getFullYear() - inicio.getFullYear()) * 12 + fim.getMonth() - inicio.getMonth() + 1;
+            return {
+                inicio: this.formatDate(new Date(inicio.getFullYear(), inicio.getMonth() - meses, 1)),
+                fim: this.formatDate(new Date(inicio.getFullYear(), inicio.getMonth(), 0))
+            };
+        }
+
+        const dias = Math.round((fim - inicio) / 86400000) + 1;
+        return {
+            inicio: this.formatDate(new Date(inicio.getFullYear(), inicio.getMonth(), inicio.getDate() - dias)),
+            fim: this.formatDate(new Date(inicio.getFullYear(), inicio.getMonth(), inicio.getDate() - 1))
+        };
+    }
+
+    /**
+     * Filtra os dados e gera um relatório por empresa (exportação em lote, um arquivo por CNPJ)
+     * @param {Object} filtros - {cnpj, turma, dataInicio, dataFim, statusList} (ver filtrarDados)
+     * @param {Object} perfil - Perfil de regras
+     * @param {boolean} abasPorMes - Em períodos de vários meses, gera também o relatório de cada mês
+     * @param {Function} onProgresso - (percentual, etapa) => void
+     * @param {Object} cancelamento - {cancelado: boolean}; verificado entre empresas e entre blocos de registros
+     * @returns {Promise<Array<Object>>} - [{cnpj, nome, resultado, relatoriosMensais, grade}], em ordem de nome; vazio quando nada foi encontrado
+     */
+    async gerarRelatoriosPorEmpresa(filtros, perfil = null, abasPorMes = false, onProgresso = null, cancelamento = null) {
+        const progresso = onProgresso || (() => {});
+
+        progresso(5, 'Filtrando dados...');
+        const porEmpresa = new Map();
+        this.filtrarDados(filtros).forEach(row => {
+            const cnpj = this.getRegistro(row).cnpj;
+            if (!porEmpresa.has(cnpj)) porEmpresa.set(cnpj, []);
+            porEmpresa.get(cnpj).push(row);
+        });
+
+        const empresas = Array.from(porEmpresa.keys())
+            .map(cnpj => ({ cnpj, nome: this.empresasAPR.has(cnpj) ? this.empresasAPR.get(cnpj).nome : cnpj }))
+            .sort((a, b) => a.nome.localeCompare(b.nome, 'pt-BR') || a.cnpj.localeCompare(b.cnpj));
+
+        const relatorios = [];
+        for (let idx = 0; idx < empresas.length; idx++) {
+            const { cnpj, nome } = empresas[idx];
+            await this.cederVez(cancelamento);
+            progresso(10 + Math.round((idx / empresas.length) * 85), `Gerando relatório de ${nome} (${idx + 1} de ${empresas.length})...`);
+            const dados = porEmpresa.get(cnpj);
+            const resultado = await this.gerarRelatorioEmBlocos(dados, filtros.dataInicio, perfil, filtros.dataFim, cancelamento);
+            relatorios.push({
+                cnpj,
+                nome,
+                resultado,
+                relatoriosMensais: abasPorMes ? await this.gerarRelatoriosMensais(dados, resultado.meses, perfil, null, cancelamento) : null,
+                grade: this.gerarGradeDiaria(dados, perfil)
+            });
+        }
+
+        progresso(100, 'Relatórios gerados.');
+        return relatorios;
+    }
+
+    /**
+     * Filtra os dados e calcula os indicadores do painel: horas de ausência por mês e por turma,
+     * ranking das empresas pela taxa de ausência e distribuição dos atrasos
+     * @param {Object} filtros - {cnpj, turma, dataInicio, dataFim, statusList} (ver filtrarDados)
+     * @param {Object} perfil - Perfil de regras
+     * @returns {Object} - {registros, alunos, horasAusencia, porMes, porTurma, rankingEmpresas, atrasos}
+     */
+    gerarPainel(filtros, perfil = null) {
+        const regras = perfil || DataModel.PERFIL_PADRAO;
+        const construtor = new ReportBuilder(regras);
+
+        const porMes = new Map(); // MM/YYYY -> {horasFaltas, horasAtraso}
+        const porTurma = new Map(); // TURMA -> {horasAusencia, alunos}
+        const porEmpresa = new Map(); // CNPJ efetivo -> {registros, horasAusencia}
+        const atrasos = new Map(); // horas de atraso -> ocorrências
+        const alunos = new Set();
+        let registros = 0;
+        let horasAusencia = 0;
+
+        this.filtrarDados(filtros).forEach(row => {
+            const registro = this.getRegistro(row);
+            registros++;
+            if (row.RA) alunos.add(row.RA);
+
+            // Mesmas regras do TOTAL HORAS DE AUSÊNCIA do relatório
+            const { horasFaltas, horasAtraso } = construtor.getHorasAusencia(registro);
+            const horas = horasFaltas + horasAtraso;
+            horasAusencia += horas;
+
+            const mesAno = this.getMesAno(row.DATA);
+            if (mesAno) {
+                if (!porMes.has(mesAno)) porMes.set(mesAno, { horasFaltas: 0, horasAtraso: 0 });
+                porMes.get(mesAno).horasFaltas += horasFaltas;
+                porMes.get(mesAno).horasAtraso += horasAtraso;
+            }
+
+            if (!porTurma.has(registro.turma)) porTurma.set(registro.turma, { horasAusencia: 0, alunos: new Set() });
+            porTurma.get(registro.turma).horasAusencia += horas;
+            if (row.RA) porTurma.get(registro.turma).alunos.add(row.RA);
+
+            if (!porEmpresa.has(registro.cnpj)) porEmpresa.set(registro.cnpj, { registros: 0, horasAusencia: 0 });
+            porEmpresa.get(registro.cnpj).registros++;
+            porEmpresa.get(registro.cnpj).horasAusencia += horas;
+
+            if (horasAtraso > 0) atrasos.set(horasAtraso, (atrasos.get(horasAtraso) || 0) + 1);
+        });
+
+        return {
+            registros,
+            alunos: alunos.size,
+            horasAusencia: this.arredondar(horasAusencia),
+            porMes: this.ordenarMeses(new Set(porMes.keys())).map(mesAno => ({
+                mesAno,
+                horasFaltas: this.arredondar(porMes.get(mesAno).horasFaltas),
+                horasAtraso: this.arredondar(porMes.get(mesAno).horasAtraso)
+            })),
+            porTurma: Array.from(porTurma.entries())
+                .map(([turma, t]) => ({
+                    turma,
+                    alunos: t.alunos.size,
+                    horasAusencia: this.arredondar(t.horasAusencia),
+                    mediaPorAluno: t.alunos.size > 0 ? this.arredondar(t.horasAusencia / t.alunos.size) : 0
+                }))
+                .sort((a, b) => b.horasAusencia - a.horasAusencia || a.turma.localeCompare(b.turma)),
+            // Taxa de ausência: horas de ausência sobre as horas dos dias registrados (registros x horas por dia)
+            rankingEmpresas: Array.from(porEmpresa.entries())
+                .map(([cnpj, e]) => ({
+                    cnpj,
+                    nome: this.identidades.nomes[cnpj] || (this.empresasAPR.has(cnpj) ? this.empresasAPR.get(cnpj).nome : cnpj),
+                    registros: e.registros,
+                    horasAusencia: this.arredondar(e.horasAusencia),
+                    taxaAusencia: this.arredondar((e.horasAusencia / (e.registros * regras.horasPorDia)) * 100)
+                }))
+                .sort((a, b) => b.taxaAusencia - a.taxaAusencia || a.nome.localeCompare(b.nome, 'pt-BR')),
+            atrasos: Array.from(atrasos.entries())
+                .map(([horas, ocorrencias]) => ({ horas, ocorrencias }))
+                .sort((a, b) => a.horas - b.horas)
+        };
+    }
+
+    /**
+     * Texto para comparação nas buscas: sem acentos, em maiúsculas e com espaços simples
+     */
+    normalizarBusca(texto) {
+        return this.normalizeStatus(texto).replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Busca alunos das turmas APR por RA ou nome (sem diferenciar maiúsculas e acentos;
+     * todas as palavras do termo precisam aparecer no nome)
+     * @param {string} termo - RA (ou parte dele) ou nome
+     * @param {number} limite - Alunos devolvidos no máximo
+     * @returns {Object} - {alunos: [{ra, aluno, turmas, empresas, registros}], total}
+     */
+    buscarAlunos(termo, limite = DataModel.LIMITE_BUSCA_ALUNOS) {
+        const texto = this.normalizarBusca(termo || '');
+        if (!texto) return { alunos: [], total: 0 };
+        const palavras = texto.split(' ');
+        const encontrados = [];
+
+        this.indicePorRA.forEach((posicoes, ra) => {
+            const ultima = this.rawData[posicoes[posicoes.length - 1]];
+            const nome = this.normalizeName(ultima.ALUNO || '');
+            const raConfere = this.normalizarBusca(ra).includes(texto);
+            if (!raConfere && !palavras.every(p => this.normalizarBusca(nome).includes(p))) return;
+
+            const turmas = new Set();
+            const empresas = new Set();
+            posicoes.forEach(posicao => {
+                const registro = this.registros[posicao];
+                turmas.add(registro.turma);
+                empresas.add(this.getNomeEmpresa(registro.cnpj, registro.empresa));
+            });
+            encontrados.push({
+                ra,
+                aluno: nome,
+                turmas: Array.from(turmas).sort(),
+                empresas: Array.from(empresas).sort((a, b) => a.localeCompare(b, 'pt-BR')),
+                registros: posicoes.length
+            });
+        });
+
+        // RA idêntico ao termo vem primeiro; depois, ordem alfabética
+        const exato = aluno => Number(aluno.ra.toUpperCase() === texto);
+        encontrados.sort((a, b) => exato(b) - exato(a) || a.aluno.localeCompare(b.aluno, 'pt-BR') || a.ra.localeCompare(b.ra));
+        return { alunos: encontrados.slice(0, limite), total: encontrados.length };
+    }
+
+    /**
+     * Nome exibido de uma empresa: o canônico, o escolhido entre os nomes do arquivo ou o do registro
+     */
+    getNomeEmpresa(cnpj, nomeRegistro = '') {
+        return this.identidades.nomes[cnpj] || (this.empresasAPR.has(cnpj) ? this.empresasAPR.get(cnpj).nome : nomeRegistro || cnpj);
+    }
+
+    /**
+     * Histórico de um aluno em todo o dataset: turmas e empresas (com o intervalo de datas de cada uma),
+     * mudanças de status e totais de faltas e atrasos mês a mês, com as mesmas regras de gerarRelatorio
+     * @param {string} ra - RA do aluno
+     * @param {Object} perfil - Perfil de regras
+     * @returns {Object|null} - {ra, aluno, curso, periodo: {inicio, fim}, registros, turmas, empresas, status, meses, totais}
+     *          (null se o RA não estiver nos dados); totais = linha de gerarRelatorio do aluno
+     */
+    gerarHistoricoAluno(ra, perfil = null) {
+        const posicoes = this.indicePorRA.get(String(ra || '').trim());
+        if (!posicoes) return null;
+
+        // Ordem cronológica (registros sem data ao final)
+        const ordenadas = posicoes.slice().sort((a, b) => {
+            const ta = this.registros[a].tempo;
+            const tb = this.registros[b].tempo;
+            if (ta === null || tb === null) return (ta === null) - (tb === null) || a - b;
+            return ta - tb || a - b;
+        });
+        const linhas = ordenadas.map(posicao => this.rawData[posicao]);
+        const resultado = this.gerarRelatorio(linhas, null, perfil);
+        const totais = resultado.relatorio[0];
+
+        const turmas = new Map(); // TURMA -> {turma, curso, inicio, fim, registros}
+        const empresas = new Map(); // CNPJ efetivo -> {cnpj, nome, inicio, fim, registros}
+        const registrosPorMes = new Map();
+        const status = []; // períodos consecutivos com o mesmo status
+        const acumular = (mapa, chave, novo, data) => {
+            if (!mapa.has(chave)) mapa.set(chave, Object.assign(novo, { inicio: data, fim: data, registros: 0 }));
+            const item = mapa.get(chave);
+            if (data) {
+                if (!item.inicio) item.inicio = data;
+                item.fim = data;
+            }
+            item.registros++;
+        };
+
+        ordenadas.forEach((posicao, idx) => {
+            const registro = this.registros[posicao];
+            const row = linhas[idx];
+            const data = registro.tempo !== null ? registro.data : '';
+            acumular(turmas, registro.turma, { turma: registro.turma, curso: this.normalizeName(row.CURSO || '') }, data);
+            acumular(empresas, registro.cnpj, { cnpj: registro.cnpj, nome: this.getNomeEmpresa(registro.cnpj, registro.empresa) }, data);
+
+            const mesAno = this.getMesAno(data);
+            if (mesAno) registrosPorMes.set(mesAno, (registrosPorMes.get(mesAno) || 0) + 1);
+
+            if (!registro.status || !data) return;
+            const atual = status[status.length - 1];
+            if (atual && atual.chave === registro.status) {
+                atual.fim = data;
+                atual.registros++;
+            } else {
+                status.push({ chave: registro.status, status: registro.statusRaw.replace(/\s+/g, ' ').toUpperCase(), inicio: data, fim: data, registros: 1 });
+            }
+        });
+
+        const datas = ordenadas.map(posicao => this.registros[posicao]).filter(r => r.tempo !== null);
+        return {
+            ra: String(ra).trim(),
+            aluno: this.normalizeName(linhas[linhas.length - 1].ALUNO || ''),
+            curso: totais.CURSO || '',
+            periodo: {
+                inicio: datas.length > 0 ? datas[0].data : '',
+                fim: datas.length > 0 ? datas[datas.length - 1].data : ''
+            },
+            registros: linhas.length,
+            turmas: Array.from(turmas.values()),
+            empresas: Array.from(empresas.values()),
+            status: status.map(p => ({ status: p.status, inicio: p.inicio, fim: p.fim, registros: p.registros })),
+            meses: resultado.meses.map(mesAno => Object.assign({ mesAno, registros: registrosPorMes.get(mesAno) || 0 }, totais.POR_MES[mesAno])),
+            totais
+        };
     }
 
     /**
@@ -574,5 +2127,107 @@ class DataModel {
         this.empresasAPR.clear();
         this.turmasPorEmpresa.clear();
         this.datasDisponiveis.clear();
+        this.statusDisponiveis.clear();
+        this.arquivos.clear();
+        this.chavesRegistro.clear();
+        this.registrosPorArquivo.clear();
+        this.inconsistencias.clear();
+        this.inconsistenciasPerfil.clear();
+        this.limparIndicesConsulta();
+        this.totalRegistrosImportados = null;
     }
 }
+
+/**
+ * Tamanho (caracteres) de cada bloco analisado pelo PapaParse antes de ceder a vez
+ */
+DataModel.TAMANHO_BLOCO_CSV = 512 * 1024;
+
+/**
+ * Registros consolidados por bloco na geração de relatórios antes de ceder a vez (ver gerarRelatorioEmBlocos)
+ */
+DataModel.TAMANHO_BLOCO_RELATORIO = 20000;
+
+/**
+ * Quantidade de resultados de filtrarDados mantidos em cache
+ */
+DataModel.LIMITE_CACHE_FILTROS = 20;
+
+/**
+ * Alunos devolvidos no máximo pela busca por RA ou nome
+ */
+DataModel.LIMITE_BUSCA_ALUNOS = 30;
+
+/**
+ * Códigos da grade diária, do mais grave ao menos grave (ver gerarGradeDiaria)
+ */
+DataModel.CODIGOS_GRADE = [
+    { codigo: 'F', descricao: 'Falta não justificada' },
+    { codigo: 'FJ', descricao: 'Falta justificada' },
+    { codigo: 'FP', descricao: 'Falta parcial (FP2 = 2 horas)' },
+    { codigo: 'A', descricao: 'Atraso (A1 = 1 hora)' },
+    { codigo: '?', descricao: 'Falta não contabilizada pelo perfil' },
+    { codigo: 'P', descricao: 'Presente' }
+];
+
+/**
+ * Rótulos dos tipos de inconsistência (ver validarRegistros)
+ */
+DataModel.TIPOS_INCONSISTENCIA = {
+    'csv': 'Erro de leitura do CSV',
+    'data-invalida': 'Data inválida',
+    'faltas-invalidas': 'FALTAS inválido',
+    'frequencia-invalida': 'FREQUENCIA inválida',
+    'faltas-acima-do-dia': 'FALTAS acima das horas do dia',
+    'status-vazio': 'Status vazio',
+    'status-fora-do-perfil': 'Status fora do perfil',
+    'duplicado': 'RA/data duplicado',
+    'ra-ausente': 'RA ausente',
+    'cnpj-ausente': 'CNPJ ausente',
+    'cnpj-invalido': 'CNPJ inválido',
+    'empresa-ausente': 'Empresa ausente'
+};
+
+/**
+ * Regras padrão (README), usadas quando nenhum perfil é informado a gerarRelatorio
+ * - faltaParcial: 'ignorar' | 'horas' (soma FALTAS como horas) | 'dia' (conta como dia de falta)
+ * - outrosRotulosNaoJustificada: JUSTIFICADA com rótulo fora da lista conta como não justificada
+ * - horasAtraso: FREQUENCIA -> horas de atraso
+ * - limitesAusencia: limite de horas de ausência (horas e/ou percentual da carga horária do curso) e
+ *   percentual do limite a partir do qual o aluno fica em atenção (ver avaliarLimitesAusencia)
+ * - statusAceitos: status (DESCRICAO) esperados nos arquivos; vazio = qualquer status (ver validarPerfil)
+ */
+DataModel.PERFIL_PADRAO = {
+    horasPorDia: 4,
+    faltaParcial: 'ignorar',
+    rotulosJustificativa: ['FALTA JUSTIFICADA'],
+    outrosRotulosNaoJustificada: false,
+    horasAtraso: { 1: 3, 2: 2, 3: 1 },
+    limitesAusencia: { horas: null, cargaHoraria: null, percentual: 25, percentualAtencao: 80 },
+    statusAceitos: []
+};
+
+/**
+ * Situação de um aluno em relação ao limite de horas de ausência (ver avaliarLimitesAusencia)
+ */
+DataModel.SITUACOES_LIMITE = {
+    'risco': 'RISCO',
+    'atencao': 'ATENÇÃO'
+};
+
+/**
+ * Mudanças de um aluno entre os períodos comparados (ver compararPeriodos), na ordem da planilha
+ */
+DataModel.MUDANCAS_COMPARACAO = {
+    'novo-risco': 'NOVO EM RISCO',
+    'piorou': 'PIOROU',
+    'melhorou': 'MELHOROU',
+    'estavel': 'SEM ALTERAÇÃO',
+    'so-atual': 'SÓ NO PERÍODO ATUAL',
+    'so-anterior': 'SÓ NO PERÍODO DE COMPARAÇÃO'
+};
+
+// Node (linha de comando): exportar a classe; no navegador e no Worker ela fica global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataModel;
+}
@@ -0,0 +1,348 @@
+/**
+ * DataService - Ponte entre os controllers e o processamento de dados
+ * Responsável por: executar leitura, análise, indexação, filtragem e relatórios no Web Worker
+ * (js/dataWorker.js), repassar progresso/cancelamento e manter os índices do DataModel da
+ * thread principal sincronizados. Sem suporte a Worker (ex.: página aberta via file://),
+ * executa as mesmas operações na thread principal.
+ */
+class DataService {
+    /**
+     * @param {DataModel} dataModel - Model da thread principal (índices; dataset completo no modo local)
+     * @param {string} workerUrl - Caminho do script do Worker
+     */
+    constructor(dataModel, workerUrl = 'js/dataWorker.js') {
+        this.model = dataModel;
+        this.workerUrl = workerUrl;
+        this.worker = null;
+        this.pronto = Promise.resolve(false);
+
+        this.proximoId = 1;
+        this.pendentes = new Map(); // id -> {resolve, reject, onProgresso, resolverColunas, cancelado}
+        this.idEmAndamento = null; // operação cancelável atual (modo Worker)
+        this.cancelamentoLocal = null; // operação cancelável atual (modo local)
+
+        this.iniciarWorker();
+    }
+
+    /**
+     * Cria o Worker e aguarda a confirmação de que os scripts foram carregados
+     */
+    iniciarWorker() {
+        if (typeof Worker === 'undefined') return;
+
+        try {
+            this.worker = new Worker(this.workerUrl);
+        } catch (error) {
+            console.warn('ℹ️ Web Worker indisponível, processando na thread principal:', error.message);
+            this.worker = null;
+            return;
+        }
+
+        this.worker.addEventListener('message', (e) => this.onMensagem(e.data || {}));
+
+        this.pronto = new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this.desativarWorker('tempo esgotado ao iniciar');
+                resolve(false);
+            }, DataService.TEMPO_LIMITE_WORKER);
+
+            this.worker.addEventListener('message', (e) => {
+                if (e.data && e.data.tipo === 'pronto') {
+                    clearTimeout(timer);
+                    console.log('✓ Processamento de dados em Web Worker');
+                    resolve(true);
+                }
+            });
+            this.worker.addEventListener('error', (e) => {
+                clearTimeout(timer);
+                this.desativarWorker(e.message || 'erro ao carregar o script');
+                resolve(false);
+            });
+        });
+    }
+
+    /**
+     * Encerra o Worker; operações pendentes falham e as próximas rodam na thread principal
+     */
+    desativarWorker(motivo) {
+        if (!this.worker) return;
+        console.warn('ℹ️ Web Worker desativado, processando na thread principal:', motivo);
+        try { this.worker.terminate(); } catch (e) {}
+        this.worker = null;
+        this.pronto = Promise.resolve(false);
+
+        if (this.pendentes.size > 0) {
+            // O dataset estava no Worker: os índices da thread principal deixam de valer
+            this.model.clear();
+            this.pendentes.forEach(p => p.reject(new Error('O processamento em segundo plano foi interrompido. Carregue os arquivos novamente.')));
+            this.pendentes.clear();
+        }
+    }
+
+    /**
+     * Indica se as operações estão rodando no Worker
+     * @returns {Promise<boolean>}
+     */
+    async usandoWorker() {
+        return (await this.pronto) && this.worker !== null;
+    }
+
+    /**
+     * Carrega um arquivo CSV e mescla ao dataset
+     * @param {File} file - Arquivo selecionado
+     * @param {string} politicaConflito - Política para duplicados (ver DataModel.CONFLITO_*)
+     * @param {Function} resolverColunas - async (headers, nomeArquivo, amostra) => mapeamento | null
+     * @param {Function} onProgresso - (percentual, etapa) => void
+     * @returns {Promise<Object>} - Mesmo retorno de DataModel.loadCSV
+     */
+    carregarCSV(file, politicaConflito, resolverColunas = null, onProgresso = null) {
+        return this.executar('loadCSV', [file, politicaConflito], { resolverColunas, onProgresso });
+    }
+
+    /**
+     * Remove do dataset os registros de um arquivo
+     */
+    removerArquivo(nome) {
+        return this.executar('removerArquivo', [nome]);
+    }
+
+    /**
+     * Registros carregados e resumo dos arquivos, para salvar o conjunto de dados no navegador
+     * @returns {Promise<Object>} - Mesmo retorno de DataModel.exportarDataset
+     */
+    exportarDataset() {
+        return this.executar('exportarDataset', []);
+    }
+
+    /**
+     * Substitui o dataset por um conjunto salvo
+     * @returns {Promise<Object>} - Mesmo retorno de DataModel.importarDataset
+     */
+    importarDataset(dataset) {
+        return this.executar('importarDataset', [dataset]);
+    }
+
+    /**
+     * Lista as inconsistências encontradas na validação dos arquivos carregados
+     * @returns {Promise<Array>} - Mesmo retorno de DataModel.getInconsistencias
+     */
+    getInconsistencias() {
+        return this.executar('getInconsistencias', []);
+    }
+
+    /**
+     * Aplica as fusões de CNPJs e os nomes canônicos das empresas (ver DataModel.definirIdentidadesEmpresas)
+     * @param {Object} config - {fusoes, nomes}
+     */
+    async definirIdentidadesEmpresas(config) {
+        if (await this.usandoWorker()) {
+            // Guardar também na thread principal, caso o processamento volte para ela
+            this.model.definirIdentidadesEmpresas(config);
+        }
+        return this.executar('definirIdentidadesEmpresas', [config]);
+    }
+
+    /**
+     * Aplica o cadastro de carga horária e calendário de aulas (ver DataModel.definirCalendarios)
+     * @param {Array<Object>} calendarios - Retorno de CourseWorkloadModel.getConfig
+     */
+    async definirCalendarios(calendarios) {
+        if (await this.usandoWorker()) {
+            // Guardar também na thread principal, caso o processamento volte para ela
+            this.model.definirCalendarios(calendarios);
+        }
+        return this.executar('definirCalendarios', [calendarios]);
+    }
+
+    /**
+     * Define o perfil de regras das verificações de FALTAS e status (ver DataModel.definirPerfilValidacao)
+     * @param {Object} perfil - Perfil de regras selecionado
+     */
+    async definirPerfilValidacao(perfil) {
+        if (await this.usandoWorker()) {
+            // Guardar também na thread principal, caso o processamento volte para ela
+            this.model.definirPerfilValidacao(perfil);
+        }
+        return this.executar('definirPerfilValidacao', [perfil]);
+    }
+
+    /**
+     * Descarta todo o dataset
+     */
+    limpar() {
+        return this.executar('clear', []);
+    }
+
+    /**
+     * Filtra e gera o relatório completo
+     * @returns {Promise<Object>} - Mesmo retorno de DataModel.gerarRelatorioCompleto
+     */
+    gerarRelatorio(filtros, perfil, abasPorMes, periodoComparacao = null, onProgresso = null) {
+        return this.executar('gerarRelatorioCompleto', [filtros, perfil, abasPorMes, periodoComparacao], { onProgresso });
+    }
+
+    /**
+     * Filtra e gera um relatório por empresa (exportação em lote)
+     * @returns {Promise<Array>} - Mesmo retorno de DataModel.gerarRelatoriosPorEmpresa
+     */
+    gerarRelatoriosPorEmpresa(filtros, perfil, abasPorMes, onProgresso = null) {
+        return this.executar('gerarRelatoriosPorEmpresa', [filtros, perfil, abasPorMes], { onProgresso });
+    }
+
+    /**
+     * Filtra e calcula os indicadores do painel
+     * @returns {Promise<Object>} - Mesmo retorno de DataModel.gerarPainel
+     */
+    gerarPainel(filtros, perfil) {
+        return this.executar('gerarPainel', [filtros, perfil]);
+    }
+
+    /**
+     * Busca alunos por RA ou nome
+     * @returns {Promise<Object>} - Mesmo retorno de DataModel.buscarAlunos
+     */
+    buscarAlunos(termo) {
+        return this.executar('buscarAlunos', [termo]);
+    }
+
+    /**
+     * Monta o histórico de um aluno
+     * @returns {Promise<Object|null>} - Mesmo retorno de DataModel.gerarHistoricoAluno
+     */
+    gerarHistoricoAluno(ra, perfil) {
+        return this.executar('gerarHistoricoAluno', [ra, perfil]);
+    }
+
+    /**
+     * Executa uma operação do DataModel no Worker (ou localmente)
+     * @param {string} operacao - Nome do método do DataModel
+     * @param {Array} args - Argumentos serializáveis
+     * @param {Object} opcoes - {onProgresso, resolverColunas}
+     */
+    async executar(operacao, args = [], opcoes = {}) {
+        if (await this.usandoWorker()) {
+            return this.executarNoWorker(operacao, args, opcoes);
+        }
+        return this.executarLocal(operacao, args, opcoes);
+    }
+
+    /**
+     * Envia a operação ao Worker
+     */
+    executarNoWorker(operacao, args, { onProgresso = null, resolverColunas = null } = {}) {
+        const id = this.proximoId++;
+        // Funções não atravessam o postMessage: o Worker pede as colunas por mensagem
+        const argsWorker = operacao === 'loadCSV' ? [args[0], args[1], Boolean(resolverColunas)] : args;
+
+        return new Promise((resolve, reject) => {
+            this.pendentes.set(id, { resolve, reject, onProgresso, resolverColunas, cancelado: false });
+            // Consultas rápidas (painel, busca de alunos) enviadas durante uma carga ou relatório não tomam o lugar dele
+            if (DataService.OPERACOES_CANCELAVEIS.includes(operacao)) this.idEmAndamento = id;
+            this.worker.postMessage({ tipo: 'executar', id, operacao, args: argsWorker });
+        });
+    }
+
+    /**
+     * Executa a operação na thread principal, com o mesmo contrato do Worker
+     */
+    async executarLocal(operacao, args, { onProgresso = null, resolverColunas = null } = {}) {
+        const cancelamento = { cancelado: false };
+        if (DataService.OPERACOES_CANCELAVEIS.includes(operacao)) this.cancelamentoLocal = cancelamento;
+        try {
+            switch (operacao) {
+                case 'loadCSV':
+                    return await this.model.loadCSV(args[0], args[1], resolverColunas, onProgresso, cancelamento);
+                case 'gerarRelatorioCompleto':
+                    // Ceder a vez para a tela exibir o painel de status antes do processamento
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                    return await this.model.gerarRelatorioCompleto(args[0], args[1], args[2], args[3], onProgresso, cancelamento);
+                case 'gerarRelatoriosPorEmpresa':
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                    return await this.model.gerarRelatoriosPorEmpresa(args[0], args[1], args[2], onProgresso, cancelamento);
+                default:
+                    return await this.model[operacao](...args);
+            }
+        } finally {
+            if (this.cancelamentoLocal === cancelamento) this.cancelamentoLocal = null;
+        }
+    }
+
+    /**
+     * Trata as mensagens do Worker
+     */
+    onMensagem(msg) {
+        const pendente = this.pendentes.get(msg.id);
+        if (!pendente) return;
+
+        switch (msg.tipo) {
+            case 'progresso':
+                if (!pendente.cancelado && pendente.onProgresso) pendente.onProgresso(msg.percentual, msg.etapa);
+                break;
+            case 'colunas':
+                Promise.resolve()
+                    .then(() => pendente.resolverColunas(msg.headers, msg.nomeArquivo, msg.amostra))
+                    .then(
+                        mapeamento => this.worker.postMessage({ tipo: 'colunas-resposta', id: msg.id, mapeamento }),
+                        erro => this.worker.postMessage({ tipo: 'colunas-resposta', id: msg.id, erro: erro.message })
+                    );
+                break;
+            case 'resultado':
+                this.finalizar(msg.id);
+                // Índices vêm só das operações que alteram o dataset; mesmo canceladas, elas podem tê-lo alterado
+                if (msg.indices) this.model.importarIndices(msg.indices);
+                if (!pendente.cancelado) pendente.resolve(msg.resultado);
+                break;
+            case 'erro': {
+                this.finalizar(msg.id);
+                if (pendente.cancelado) break;
+                const erro = new Error(msg.mensagem);
+                erro.cancelado = Boolean(msg.cancelado);
+                pendente.reject(erro);
+                break;
+            }
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Remove a operação concluída da lista de pendentes
+     */
+    finalizar(id) {
+        this.pendentes.delete(id);
+        if (this.idEmAndamento === id) this.idEmAndamento = null;
+    }
+
+    /**
+     * Cancela a operação em andamento. A promessa é rejeitada imediatamente (error.cancelado = true);
+     * a análise do CSV e a geração de relatórios são interrompidas no próximo bloco de registros.
+     */
+    cancelar() {
+        if (this.cancelamentoLocal) {
+            this.cancelamentoLocal.cancelado = true;
+        }
+
+        const id = this.idEmAndamento;
+        const pendente = id !== null ? this.pendentes.get(id) : null;
+        if (pendente && !pendente.cancelado) {
+            pendente.cancelado = true;
+            this.worker.postMessage({ tipo: 'cancelar', id });
+            pendente.reject(this.model.criarErroCancelamento());
+        }
+    }
+}
+
+/**
+ * Tempo máximo (ms) para o Worker carregar seus scripts antes de usar a thread principal
+ */
+DataService.TEMPO_LIMITE_WORKER = 10000;
+
+/**
+ * Operações interrompidas pelo botão Cancelar do painel de status (ver cancelar)
+ */
+DataService.OPERACOES_CANCELAVEIS = ['loadCSV', 'gerarRelatorioCompleto', 'gerarRelatoriosPorEmpresa'];
+
+// Node (testes): exportar a classe; no navegador ela fica global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataService;
+}
@@ -0,0 +1,200 @@
+/**
+ * DatasetStorageModel - Model dos conjuntos de dados e do histórico de relatórios salvos no navegador
+ * Responsável por: guardar no IndexedDB os registros carregados (para reabrir sem novo upload)
+ * e os relatórios gerados com seus filtros e regras (para gerar novamente)
+ */
+class DatasetStorageModel {
+    /**
+     * @param {IDBFactory} banco - Fábrica do IndexedDB; null = armazenamento indisponível
+     */
+    constructor(banco = (typeof indexedDB !== 'undefined' ? indexedDB : null)) {
+        this.fabrica = banco;
+        this.NOME_BANCO = 'frequencia';
+        this.VERSAO_BANCO = 1;
+
+        // Metadados dos conjuntos: {id, nome, arquivos, dataUpload, atualizadoEm, registros}
+        this.STORE_CONJUNTOS = 'conjuntos';
+        // Registros de cada conjunto: {id, dataset} (separados para listar sem ler os registros)
+        this.STORE_DADOS = 'conjuntosDados';
+        // Relatórios gerados: {id, geradoEm, titulo, conjuntoId, conjuntoNome, empresa, turma, filtros, perfil, abasPorMes, periodoComparacao, totalAlunos}
+        this.STORE_HISTORICO = 'historico';
+
+        // Itens mantidos no máximo (os mais antigos são descartados)
+        this.LIMITE_CONJUNTOS = 10;
+        this.LIMITE_HISTORICO = 50;
+
+        this.conexao = null; // Promise<IDBDatabase>
+    }
+
+    /**
+     * Indica se o navegador permite salvar no IndexedDB
+     */
+    disponivel() {
+        return this.fabrica !== null;
+    }
+
+    /**
+     * Abre (ou cria) o banco
+     * @returns {Promise<IDBDatabase>}
+     */
+    abrir() {
+        if (!this.conexao) {
+            this.conexao = new Promise((resolve, reject) => {
+                if (!this.disponivel()) {
+                    reject(new Error('este navegador não permite salvar dados localmente.'));
+                    return;
+                }
+                const pedido = this.fabrica.open(this.NOME_BANCO, this.VERSAO_BANCO);
+                pedido.onupgradeneeded = () => {
+                    const db = pedido.result;
+                    if (!db.objectStoreNames.contains(this.STORE_CONJUNTOS)) {
+                        db.createObjectStore(this.STORE_CONJUNTOS, { keyPath: 'id', autoIncrement: true });
+                    }
+                    if (!db.objectStoreNames.contains(this.STORE_DADOS)) {
+                        db.createObjectStore(this.STORE_DADOS, { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains(this.STORE_HISTORICO)) {
+                        db.createObjectStore(this.STORE_HISTORICO, { keyPath: 'id', autoIncrement: true });
+                    }
+                };
+                pedido.onsuccess = () => resolve(pedido.result);
+                pedido.onerror = () => reject(pedido.error);
+            });
+            // Permitir nova tentativa se a abertura falhar
+            this.conexao.catch(() => { this.conexao = null; });
+        }
+        return this.conexao;
+    }
+
+    /**
+     * Executa uma transação
+     * @param {Array<string>} stores - Object stores usados
+     * @param {string} modo - 'readonly' ou 'readwrite'
+     * @param {Function} operacao - (transacao) => IDBRequest cujo resultado é devolvido (opcional)
+     * @returns {Promise<*>} - Resultado do pedido, quando a transação termina
+     */
+    async transacao(stores, modo, operacao) {
+        const db = await this.abrir();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(stores, modo);
+            const pedido = operacao(tx);
+            tx.oncomplete = () => resolve(pedido ? pedido.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('gravação interrompida.'));
+        });
+    }
+
+    /**
+     * Lista os conjuntos salvos, do mais recente ao mais antigo (sem os registros)
+     * @returns {Promise<Array<Object>>}
+     */
+    async listarConjuntos() {
+        const conjuntos = await this.transacao([this.STORE_CONJUNTOS], 'readonly',
+            tx => tx.objectStore(this.STORE_CONJUNTOS).getAll());
+        return conjuntos.sort((a, b) => b.atualizadoEm.localeCompare(a.atualizadoEm));
+    }
+
+    /**
+     * Salva o dataset como um novo conjunto ou substitui um conjunto existente
+     * @param {Object} dataset - Retorno de DataModel.exportarDataset
+     * @param {number|null} id - Conjunto a substituir (o dataset carregado mudou); null = novo conjunto
+     * @returns {Promise<Object>} - Metadados salvos
+     */
+    async salvarConjunto(dataset, id = null) {
+        const anterior = id !== null
+            ? await this.transacao([this.STORE_CONJUNTOS], 'readonly', tx => tx.objectStore(this.STORE_CONJUNTOS).get(id))
+            : null;
+        const agora = new Date().toISOString();
+        const arquivos = dataset.arquivos.map(a => a.nome);
+        const conjunto = {
+            nome: arquivos.join(', ') || 'Conjunto sem arquivos',
+            arquivos,
+            dataUpload: anterior ? anterior.dataUpload : agora,
+            atualizadoEm: agora,
+            registros: dataset.rawData.length
+        };
+        if (anterior) conjunto.id = anterior.id;
+
+        conjunto.id = await this.transacao([this.STORE_CONJUNTOS, this.STORE_DADOS], 'readwrite', tx => {
+            const pedido = tx.objectStore(this.STORE_CONJUNTOS).put(conjunto);
+            pedido.onsuccess = () => tx.objectStore(this.STORE_DADOS).put({ id: pedido.result, dataset });
+            return pedido;
+        });
+
+        // Descartar os conjuntos mais antigos além do limite
+        const excedentes = (await this.listarConjuntos()).slice(this.LIMITE_CONJUNTOS);
+        for (const antigo of excedentes) {
+            await this.removerConjunto(antigo.id);
+        }
+        return conjunto;
+    }
+
+    /**
+     * Lê os registros de um conjunto salvo
+     * @param {number} id - Conjunto
+     * @returns {Promise<Object>} - Dataset no formato de DataModel.exportarDataset
+     */
+    async carregarConjunto(id) {
+        const salvo = await this.transacao([this.STORE_DADOS], 'readonly', tx => tx.objectStore(this.STORE_DADOS).get(id));
+        if (!salvo) {
+            throw new Error('conjunto de dados não encontrado (pode ter sido excluído).');
+        }
+        return salvo.dataset;
+    }
+
+    /**
+     * Exclui um conjunto salvo (o histórico de relatórios é mantido)
+     */
+    removerConjunto(id) {
+        return this.transacao([this.STORE_CONJUNTOS, this.STORE_DADOS], 'readwrite', tx => {
+            tx.objectStore(this.STORE_CONJUNTOS).delete(id);
+            tx.objectStore(this.STORE_DADOS).delete(id);
+        });
+    }
+
+    /**
+     * Lista o histórico de relatórios, do mais recente ao mais antigo
+     * @returns {Promise<Array<Object>>}
+     */
+    async listarHistorico() {
+        const historico = await this.transacao([this.STORE_HISTORICO], 'readonly',
+            tx => tx.objectStore(this.STORE_HISTORICO).getAll());
+        return historico.sort((a, b) => b.id - a.id);
+    }
+
+    /**
+     * Acrescenta um relatório ao histórico
+     * @param {Object} entrada - {geradoEm, titulo, conjuntoId, conjuntoNome, empresa, turma, filtros, perfil, abasPorMes, periodoComparacao, totalAlunos}
+     * @returns {Promise<number>} - Id da entrada
+     */
+    async adicionarHistorico(entrada) {
+        const id = await this.transacao([this.STORE_HISTORICO], 'readwrite',
+            tx => tx.objectStore(this.STORE_HISTORICO).add(entrada));
+
+        const excedentes = (await this.listarHistorico()).slice(this.LIMITE_HISTORICO);
+        if (excedentes.length > 0) {
+            await this.transacao([this.STORE_HISTORICO], 'readwrite', tx => {
+                excedentes.forEach(antiga => tx.objectStore(this.STORE_HISTORICO).delete(antiga.id));
+            });
+        }
+        return id;
+    }
+
+    /**
+     * Remove um relatório do histórico
+     */
+    removerHistorico(id) {
+        return this.transacao([this.STORE_HISTORICO], 'readwrite', tx => {
+            tx.objectStore(this.STORE_HISTORICO).delete(id);
+        });
+    }
+
+    /**
+     * Apaga todo o histórico de relatórios
+     */
+    limparHistorico() {
+        return this.transacao([this.STORE_HISTORICO], 'readwrite', tx => {
+            tx.objectStore(this.STORE_HISTORICO).clear();
+        });
+    }
+}
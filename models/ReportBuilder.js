@@ -0,0 +1,232 @@
+/**
+ * ReportBuilder - Regras de contagem do relatório de frequência
+ * Responsável por: classificar as faltas de cada dia (justificada, não justificada, parcial), converter FREQUENCIA
+ * em horas de atraso, consolidar os registros por aluno e calcular os totais do período e de cada mês.
+ * Não depende do navegador nem do dataset: recebe registros já convertidos (ver DataModel.gerarRelatorio),
+ * o que permite usá-lo no Worker, na linha de comando e nos testes (tests/ReportBuilder.test.js).
+ */
+class ReportBuilder {
+    /**
+     * @param {Object} regras - Perfil de regras (ver DataModel.PERFIL_PADRAO e RuleProfileModel)
+     * @param {Array<string>} meses - Meses do relatório (MM/YYYY), em ordem; com mais de um, os dias saem como DD/MM
+     */
+    constructor(regras, meses = []) {
+        this.regras = regras;
+        this.meses = meses;
+        this.multiMes = meses.length > 1;
+        // Rótulos de justificativa do perfil, em maiúsculas
+        this.rotulos = new Set((regras.rotulosJustificativa || []).map(r => String(r).trim().toUpperCase()));
+        this.alunos = new Map(); // RA -> totais do aluno (ver adicionar)
+    }
+
+    /**
+     * Classifica a falta de um dia conforme o perfil de regras
+     * @param {number} faltasValor - Valor do campo FALTAS
+     * @param {string} justificadaStr - Campo JUSTIFICADA já em maiúsculas e sem espaços nas pontas
+     * @returns {string|null} - 'justificada', 'nao-justificada', 'parcial' ou null (não contabiliza)
+     */
+    classificarFalta(faltasValor, justificadaStr) {
+        if (faltasValor < 1 || faltasValor > this.regras.horasPorDia) return null;
+
+        const diaInteiro = faltasValor === this.regras.horasPorDia;
+        if (!diaInteiro) {
+            if (this.regras.faltaParcial === 'horas') return 'parcial';
+            if (this.regras.faltaParcial !== 'dia') return null;
+        }
+
+        if (this.rotulos.has(justificadaStr)) return 'justificada';
+        if (justificadaStr === '' || this.regras.outrosRotulosNaoJustificada) return 'nao-justificada';
+        // JUSTIFICADA preenchida com rótulo desconhecido: não contabiliza
+        return null;
+    }
+
+    /**
+     * Converte o valor de FREQUENCIA em horas de atraso conforme o perfil
+     * @param {number} frequenciaValor - Valor do campo FREQUENCIA
+     * @returns {number} - Horas de atraso (0 quando não há atraso)
+     */
+    horasAtrasoPorFrequencia(frequenciaValor) {
+        const mapa = this.regras.horasAtraso || {};
+        return Number(mapa[frequenciaValor]) || 0;
+    }
+
+    /**
+     * Horas de ausência de um registro (mesmas regras do TOTAL HORAS DE AUSÊNCIA do relatório)
+     * @param {Object} registro - {faltas, frequencia, justificada}
+     * @returns {Object} - {horasFaltas, horasAtraso}
+     */
+    getHorasAusencia(registro) {
+        const tipoFalta = this.classificarFalta(registro.faltas, registro.justificada);
+        return {
+            horasFaltas: tipoFalta === 'parcial' ? registro.faltas : (tipoFalta ? this.regras.horasPorDia : 0),
+            horasAtraso: this.horasAtrasoPorFrequencia(registro.frequencia)
+        };
+    }
+
+    /**
+     * Código de um dia na grade diária
+     * @param {Object} registro - {faltas, frequencia, justificada}
+     * @returns {string} - P, F, FJ, FP<horas>, A<horas> ou ?
+     */
+    getCodigoGrade(registro) {
+        const tipoFalta = this.classificarFalta(registro.faltas, registro.justificada);
+        if (tipoFalta === 'justificada') return 'FJ';
+        if (tipoFalta === 'nao-justificada') return 'F';
+        // Falta de parte do dia: exibida mesmo quando o perfil não a contabiliza
+        if (registro.faltas >= 1 && registro.faltas < this.regras.horasPorDia) return `FP${registro.faltas}`;
+
+        const horasAtraso = this.horasAtrasoPorFrequencia(registro.frequencia);
+        if (horasAtraso > 0) return `A${horasAtraso}`;
+        // Falta registrada que o perfil não contabiliza (justificativa desconhecida, valor fora do limite)
+        if (registro.faltas > 0) return '?';
+        return 'P';
+    }
+
+    /**
+     * Soma um registro aos totais do aluno
+     * @param {Object} registro - {ra, aluno, empresa, curso, turma (como exibidos no relatório), data (DD/MM/YYYY),
+     *   mesAno (MM/YYYY), status (rótulo da DESCRICAO; vazio não conta), faltas, frequencia, justificada (maiúsculas)}
+     */
+    adicionar(registro) {
+        if (!registro.ra) return;
+
+        if (!this.alunos.has(registro.ra)) {
+            this.alunos.set(registro.ra, {
+                RA: registro.ra,
+                ALUNO: registro.aluno,
+                EMPRESA: registro.empresa,
+                CURSO: registro.curso,
+                TURMA: registro.turma,
+                faltasJustificadas: [], // Array de objetos {dia, valor}
+                faltasNaoJustificadas: [], // Array de objetos {dia, valor}
+                atrasosDias: [], // Array de dias (string) com atraso
+                horasAtraso: 0, // Total de horas de atraso
+                horasFaltasParciais: 0, // Horas de faltas parciais (perfil com faltaParcial = 'horas')
+                statusCounts: new Map(), // contagem por DESCRICAO
+                porMes: new Map() // MM/YYYY -> totais do mês
+            });
+        }
+
+        const aluno = this.alunos.get(registro.ra);
+        const dataStr = registro.data || '';
+
+        // Contabilizar status
+        if (registro.status) {
+            aluno.statusCounts.set(registro.status, (aluno.statusCounts.get(registro.status) || 0) + 1);
+        }
+
+        // Extrair apenas o dia da data (DD/MM/YYYY -> DD); em períodos de vários meses, DD/MM
+        const dia = this.multiMes ? dataStr.split('/').slice(0, 2).join('/') : (dataStr.split('/')[0] || '');
+        const totaisMes = this.getTotaisMes(aluno, registro.mesAno || '');
+
+        // Classificar a falta do dia conforme o perfil:
+        // - Dia inteiro: FALTAS == horas por dia (ou parcial, quando o perfil trata parcial como dia)
+        // - Justificada: JUSTIFICADA contém um dos rótulos do perfil
+        // - Não justificada: JUSTIFICADA vazia (ou qualquer outro rótulo, se o perfil assim definir)
+        const tipoFalta = this.classificarFalta(registro.faltas, registro.justificada);
+        if (tipoFalta === 'justificada') {
+            aluno.faltasJustificadas.push({ dia: dia, valor: 1 });
+            totaisMes.faltasJustificadas++;
+        } else if (tipoFalta === 'nao-justificada') {
+            aluno.faltasNaoJustificadas.push({ dia: dia, valor: 1 });
+            totaisMes.faltasNaoJustificadas++;
+        } else if (tipoFalta === 'parcial') {
+            aluno.horasFaltasParciais += registro.faltas;
+            totaisMes.horasFaltasParciais += registro.faltas;
+        }
+
+        // Lógica de atrasos: FREQUENCIA mapeada para horas de atraso pelo perfil
+        const horasAtraso = this.horasAtrasoPorFrequencia(registro.frequencia);
+        if (horasAtraso > 0) {
+            if (dia) aluno.atrasosDias.push(dia);
+            aluno.horasAtraso += horasAtraso;
+            totaisMes.horasAtraso += horasAtraso;
+        }
+    }
+
+    /**
+     * Totais de um mês do aluno (criados na primeira ocorrência)
+     */
+    getTotaisMes(aluno, mesAno) {
+        if (!aluno.porMes.has(mesAno)) {
+            aluno.porMes.set(mesAno, { faltasJustificadas: 0, faltasNaoJustificadas: 0, horasAtraso: 0, horasFaltasParciais: 0 });
+        }
+        return aluno.porMes.get(mesAno);
+    }
+
+    /**
+     * Linhas do relatório, uma por aluno, ordenadas por TURMA e EMPRESA
+     * @param {string} mes - Coluna MES (MM; vazia em períodos de vários meses)
+     * @param {string} ano - Coluna ANO (YYYY; vazia em períodos de vários meses)
+     * @returns {Array<Object>} - Linhas no formato de DataModel.gerarRelatorio
+     */
+    getLinhas(mes = '', ano = '') {
+        const horasPorDia = this.regras.horasPorDia;
+
+        const relatorio = Array.from(this.alunos.values()).map(aluno => {
+            // Dias separados por vírgula e espaço; cada falta vale 1
+            const diasFaltasJustificadas = aluno.faltasJustificadas.map(f => f.dia).filter(dia => dia).join(', ');
+            const numFaltasJustificadas = aluno.faltasJustificadas.reduce((sum, f) => sum + f.valor, 0);
+            const diasFaltasNaoJustificadas = aluno.faltasNaoJustificadas.map(f => f.dia).filter(dia => dia).join(', ');
+            const numFaltasNaoJustificadas = aluno.faltasNaoJustificadas.reduce((sum, f) => sum + f.valor, 0);
+
+            // Determinar STATUS mais frequente (modo). Se empate, pega o primeiro inserido.
+            let statusFinal = '';
+            let maxCount = -1;
+            aluno.statusCounts.forEach((count, label) => {
+                if (count > maxCount) {
+                    maxCount = count;
+                    statusFinal = label;
+                }
+            });
+
+            // TOTAL HORAS DE AUSÊNCIA NO CURSO = (Nº FALTAS JUSTIFICADAS x horas/dia) + (Nº FALTAS NÃO JUSTIFICADAS x horas/dia)
+            //                                   + (Nº HORAS DE ATRASO) + (horas de faltas parciais, se o perfil as contabiliza)
+            const totalHorasAusencia = (numFaltasJustificadas * horasPorDia) +
+                (numFaltasNaoJustificadas * horasPorDia) +
+                (aluno.horasAtraso || 0) +
+                aluno.horasFaltasParciais;
+
+            // Detalhamento mensal: total de horas de ausência de cada mês do período
+            const porMes = {};
+            this.meses.forEach(mesAno => {
+                const t = aluno.porMes.get(mesAno);
+                porMes[mesAno] = {
+                    NUM_FALTAS_JUSTIFICADAS: t ? t.faltasJustificadas : 0,
+                    NUM_FALTAS_NAO_JUSTIFICADAS: t ? t.faltasNaoJustificadas : 0,
+                    NUM_HORAS_ATRASO: t ? t.horasAtraso : 0,
+                    TOTAL_HORAS_AUSENCIA: t
+                        ? ((t.faltasJustificadas + t.faltasNaoJustificadas) * horasPorDia) + t.horasAtraso + t.horasFaltasParciais
+                        : 0
+                };
+            });
+
+            return {
+                RA: aluno.RA,
+                TURMA: aluno.TURMA,
+                ALUNO: aluno.ALUNO,
+                STATUS: statusFinal,
+                EMPRESA: aluno.EMPRESA,
+                CURSO: aluno.CURSO,
+                MES: mes,
+                ANO: ano,
+                FALTAS_JUSTIFICADAS_DIAS: diasFaltasJustificadas,
+                NUM_FALTAS_JUSTIFICADAS: numFaltasJustificadas,
+                FALTAS_NAO_JUSTIFICADAS_DIAS: diasFaltasNaoJustificadas,
+                NUM_FALTAS_NAO_JUSTIFICADAS: numFaltasNaoJustificadas,
+                ATRASOS_DIAS: aluno.atrasosDias.filter(d => d).join(', '),
+                NUM_HORAS_ATRASO: aluno.horasAtraso,
+                TOTAL_HORAS_AUSENCIA: totalHorasAusencia,
+                POR_MES: porMes
+            };
+        });
+
+        // Ordenar por TURMA e, na mesma turma, por EMPRESA
+        return relatorio.sort((a, b) => a.TURMA.localeCompare(b.TURMA) || a.EMPRESA.localeCompare(b.EMPRESA));
+    }
+}
+
+// Node (linha de comando e testes): exportar a classe; no navegador e no Worker ela fica global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReportBuilder;
+}
@@ -0,0 +1,260 @@
+/**
+ * ReportPresetModel - Model dos modelos de relatório (seleções salvas do formulário)
+ * Responsável por: guardar com um nome as empresas, as turmas, os status e o período escolhidos
+ * (datas fixas ou relativas: mês atual, mês anterior), validar, salvar localmente e
+ * importar/exportar em JSON para compartilhar com a equipe
+ */
+class ReportPresetModel {
+    constructor(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        this.storage = storage;
+        this.STORAGE_KEY = 'frequencia.modelosRelatorio';
+
+        // Tipos de período: relativos à data em que o modelo é aplicado ou datas fixas
+        this.PERIODO_MES_ATUAL = 'mes-atual';
+        this.PERIODO_MES_ANTERIOR = 'mes-anterior';
+        this.PERIODO_FIXO = 'fixo';
+
+        // Layouts para períodos de vários meses (ver FrequencyController.LAYOUT_*)
+        this.LAYOUTS = ['colunas', 'abas'];
+
+        // Identificação do arquivo JSON de importação/exportação
+        this.FORMATO_ARQUIVO = 'frequencia.modelosRelatorio';
+        this.VERSAO_ARQUIVO = 1;
+
+        this.modelos = new Map(); // NOME EM MAIÚSCULAS -> modelo
+        this.load();
+    }
+
+    /**
+     * Carrega os modelos salvos no armazenamento local
+     */
+    load() {
+        this.modelos.clear();
+        if (!this.storage) return;
+        try {
+            const salvos = JSON.parse(this.storage.getItem(this.STORAGE_KEY) || '[]');
+            salvos.forEach(m => {
+                try {
+                    const modelo = this.normalizarModelo(m);
+                    this.modelos.set(this.getChave(modelo.nome), modelo);
+                } catch (e) {
+                    console.warn('Modelo de relatório salvo inválido, ignorando:', m, e.message);
+                }
+            });
+        } catch (e) {
+            console.warn('Modelos de relatório inválidos no armazenamento local, ignorando.', e);
+        }
+    }
+
+    /**
+     * Persiste os modelos
+     */
+    persist() {
+        if (!this.storage) return;
+        this.storage.setItem(this.STORAGE_KEY, JSON.stringify(this.getModelos()));
+    }
+
+    /**
+     * Chave de um modelo (nomes iguais, sem diferenciar maiúsculas, são o mesmo modelo)
+     */
+    getChave(nome) {
+        return String(nome || '').replace(/\s+/g, ' ').trim().toUpperCase();
+    }
+
+    /**
+     * Retorna os modelos ordenados por nome
+     * @returns {Array} - Modelos normalizados
+     */
+    getModelos() {
+        return Array.from(this.modelos.values()).sort((a, b) => a.nome.localeCompare(b.nome, 'pt-BR'));
+    }
+
+    /**
+     * Retorna um modelo pelo nome (null se não existir)
+     */
+    getModelo(nome) {
+        return this.modelos.get(this.getChave(nome)) || null;
+    }
+
+    /**
+     * Normaliza e valida um modelo
+     * @param {Object} modelo - {nome, empresas: [{cnpj, nome}], turmas: [string], statusList, periodo: {tipo, inicio, fim}, layout}
+     *        (empresas ou turmas vazias = todas; statusList null = todos os status). Os campos
+     *        empresa e turma de modelos salvos antes da seleção múltipla são aceitos.
+     * @returns {Object} - Modelo normalizado
+     */
+    normalizarModelo(modelo) {
+        if (!modelo || typeof modelo !== 'object') throw new Error('Modelo inválido.');
+
+        const nome = String(modelo.nome || '').replace(/\s+/g, ' ').trim();
+        if (!nome) throw new Error('Informe o nome do modelo.');
+
+        const empresasInformadas = Array.isArray(modelo.empresas) ? modelo.empresas : (modelo.empresa ? [modelo.empresa] : []);
+        const empresas = [];
+        empresasInformadas.forEach(e => {
+            const cnpj = String((e && e.cnpj) || '').replace(/\D/g, '');
+            if (!cnpj) throw new Error(`CNPJ inválido no modelo ${nome}.`);
+            if (empresas.some(existente => existente.cnpj === cnpj)) return;
+            empresas.push({ cnpj, nome: String(e.nome || '').trim() || cnpj });
+        });
+
+        const turmasInformadas = Array.isArray(modelo.turmas) ? modelo.turmas : [modelo.turma];
+        const turmas = Array.from(new Set(turmasInformadas.map(t => String(t || '').trim()).filter(t => t)));
+
+        const statusList = Array.isArray(modelo.statusList)
+            ? Array.from(new Set(modelo.statusList.map(s => String(s).trim().toUpperCase()).filter(s => s)))
+            : null;
+
+        return {
+            nome,
+            empresas,
+            turmas,
+            statusList,
+            periodo: this.normalizarPeriodo(modelo.periodo, nome),
+            layout: this.LAYOUTS.includes(modelo.layout) ? modelo.layout : this.LAYOUTS[0]
+        };
+    }
+
+    /**
+     * Valida o período de um modelo (datas apenas no período fixo)
+     * @returns {Object} - {tipo, inicio, fim}
+     */
+    normalizarPeriodo(periodo, nome) {
+        const tipo = periodo && periodo.tipo;
+        if (tipo === this.PERIODO_MES_ATUAL || tipo === this.PERIODO_MES_ANTERIOR) {
+            return { tipo, inicio: null, fim: null };
+        }
+        if (tipo !== this.PERIODO_FIXO) {
+            throw new Error(`Período inválido no modelo ${nome} (use ${this.PERIODO_MES_ATUAL}, ${this.PERIODO_MES_ANTERIOR} ou ${this.PERIODO_FIXO}).`);
+        }
+
+        const inicio = this.normalizarData(periodo.inicio, 'Data inicial');
+        const fim = this.normalizarData(periodo.fim, 'Data final');
+        if (!inicio || !fim) throw new Error(`Informe as datas do período fixo do modelo ${nome}.`);
+        if (this.paraDate(inicio) > this.paraDate(fim)) {
+            throw new Error(`A data inicial do modelo ${nome} deve ser anterior à final.`);
+        }
+        return { tipo, inicio, fim };
+    }
+
+    /**
+     * Valida uma data DD/MM/YYYY (vazia = null)
+     */
+    normalizarData(valor, campo) {
+        const texto = String(valor || '').trim();
+        if (!texto) return null;
+        const m = texto.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+        const data = m ? new Date(Number(m[3]), Number(m[2]) - 1, Number(m[1])) : null;
+        if (!data || data.getDate() !== Number(m[1]) || data.getMonth() !== Number(m[2]) - 1) {
+            throw new Error(`${campo} inválida: "${texto}" (use DD/MM/AAAA).`);
+        }
+        return `${m[1].padStart(2, '0')}/${m[2].padStart(2, '0')}/${m[3]}`;
+    }
+
+    /**
+     * Converte DD/MM/YYYY para Date
+     */
+    paraDate(dataStr) {
+        const [dia, mes, ano] = dataStr.split('/').map(Number);
+        return new Date(ano, mes - 1, dia);
+    }
+
+    /**
+     * Converte Date para DD/MM/YYYY
+     */
+    paraTexto(data) {
+        return `${String(data.getDate()).padStart(2, '0')}/${String(data.getMonth() + 1).padStart(2, '0')}/${data.getFullYear()}`;
+    }
+
+    /**
+     * Datas do período de um modelo na data de hoje
+     * @param {Object} periodo - {tipo, inicio, fim}
+     * @param {Date} hoje - Referência dos períodos relativos
+     * @returns {Object} - {inicio, fim} em DD/MM/YYYY (mês atual e anterior: do dia 1 ao último dia do mês)
+     */
+    resolverPeriodo(periodo, hoje = new Date()) {
+        if (periodo.tipo === this.PERIODO_FIXO) {
+            return { inicio: periodo.inicio, fim: periodo.fim };
+        }
+        const deslocamento = periodo.tipo === this.PERIODO_MES_ANTERIOR ? -1 : 0;
+        const inicio = new Date(hoje.getFullYear(), hoje.getMonth() + deslocamento, 1);
+        const fim = new Date(inicio.getFullYear(), inicio.getMonth() + 1, 0);
+        return { inicio: this.paraTexto(inicio), fim: this.paraTexto(fim) };
+    }
+
+    /**
+     * Texto do período de um modelo (ex.: "mês anterior" ou "01/03/2025 a 31/03/2025")
+     */
+    descreverPeriodo(periodo) {
+        if (periodo.tipo === this.PERIODO_MES_ATUAL) return 'mês atual';
+        if (periodo.tipo === this.PERIODO_MES_ANTERIOR) return 'mês anterior';
+        return `${periodo.inicio} a ${periodo.fim}`;
+    }
+
+    /**
+     * Salva (cria ou substitui, pelo nome) um modelo
+     * @param {Object} modelo - Modelo informado (ex.: seleção atual do formulário)
+     * @returns {Object} - Modelo salvo
+     */
+    salvar(modelo) {
+        const normalizado = this.normalizarModelo(modelo);
+        this.modelos.set(this.getChave(normalizado.nome), normalizado);
+        this.persist();
+        return normalizado;
+    }
+
+    /**
+     * Remove um modelo
+     */
+    remover(nome) {
+        this.modelos.delete(this.getChave(nome));
+        this.persist();
+    }
+
+    /**
+     * Importa modelos de um JSON exportado (ou de uma lista de modelos).
+     * Modelos existentes com o mesmo nome são substituídos.
+     * @param {string} texto - Conteúdo do arquivo
+     * @returns {Object} - {importados, erros: Array<string>}
+     */
+    importarJSON(texto) {
+        let dados;
+        try {
+            dados = JSON.parse(texto);
+        } catch (e) {
+            throw new Error('o arquivo não é um JSON válido.');
+        }
+        const lista = Array.isArray(dados) ? dados : (dados && dados.modelos);
+        if (!Array.isArray(lista)) {
+            throw new Error('o arquivo não contém modelos de relatório.');
+        }
+
+        let importados = 0;
+        const erros = [];
+        lista.forEach((m, idx) => {
+            try {
+                const modelo = this.normalizarModelo(m);
+                this.modelos.set(this.getChave(modelo.nome), modelo);
+                importados++;
+            } catch (error) {
+                erros.push(`Modelo ${idx + 1}: ${error.message}`);
+            }
+        });
+
+        if (importados > 0) this.persist();
+        return { importados, erros };
+    }
+
+    /**
+     * Exporta os modelos no mesmo formato aceito pela importação
+     * @returns {string} - JSON
+     */
+    exportarJSON() {
+        return JSON.stringify({
+            formato: this.FORMATO_ARQUIVO,
+            versao: this.VERSAO_ARQUIVO,
+            exportadoEm: new Date().toISOString(),
+            modelos: this.getModelos()
+        }, null, 2);
+    }
+}
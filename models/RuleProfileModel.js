@@ -0,0 +1,218 @@
+/**
+ * RuleProfileModel - Model para os perfis de regras de frequência
+ * Responsável por: manter o perfil padrão, validar, salvar e carregar perfis personalizados
+ */
+class RuleProfileModel {
+    constructor(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        this.storage = storage;
+        this.STORAGE_KEY = 'frequencia.perfisRegras';
+        this.DEFAULT_ID = 'padrao';
+
+        // Tratamento de faltas parciais (FALTAS maior que 0 e menor que as horas do dia)
+        this.PARCIAL_IGNORAR = 'ignorar';
+        this.PARCIAL_HORAS = 'horas';
+        this.PARCIAL_DIA = 'dia';
+
+        this.perfis = new Map();
+        this.load();
+    }
+
+    /**
+     * Perfil padrão: reproduz as regras descritas no README
+     * @returns {Object} - Perfil de regras
+     */
+    getPerfilPadrao() {
+        const regras = JSON.parse(JSON.stringify(DataModel.PERFIL_PADRAO));
+        return Object.assign({ id: this.DEFAULT_ID, nome: 'Padrão (4h por dia)' }, regras);
+    }
+
+    /**
+     * Carrega os perfis salvos no armazenamento local (o padrão está sempre disponível)
+     */
+    load() {
+        this.perfis.clear();
+        const padrao = this.getPerfilPadrao();
+        this.perfis.set(padrao.id, padrao);
+
+        if (!this.storage) return;
+        try {
+            const salvos = JSON.parse(this.storage.getItem(this.STORAGE_KEY) || '[]');
+            salvos.forEach(p => {
+                if (!p || !p.id || p.id === this.DEFAULT_ID) return;
+                this.perfis.set(p.id, this.normalizarPerfil(p));
+            });
+        } catch (e) {
+            console.warn('Perfis de regras inválidos no armazenamento local, usando apenas o padrão.', e);
+        }
+    }
+
+    /**
+     * Persiste os perfis personalizados
+     */
+    persist() {
+        if (!this.storage) return;
+        const personalizados = Array.from(this.perfis.values()).filter(p => p.id !== this.DEFAULT_ID);
+        this.storage.setItem(this.STORAGE_KEY, JSON.stringify(personalizados));
+    }
+
+    /**
+     * Retorna todos os perfis (padrão primeiro, demais por nome)
+     * @returns {Array} - Array de perfis
+     */
+    getPerfis() {
+        const lista = Array.from(this.perfis.values());
+        return lista.sort((a, b) => {
+            if (a.id === this.DEFAULT_ID) return -1;
+            if (b.id === this.DEFAULT_ID) return 1;
+            return a.nome.localeCompare(b.nome);
+        });
+    }
+
+    /**
+     * Retorna um perfil pelo id (ou o padrão, se não existir)
+     * @param {string} id - Identificador do perfil
+     * @returns {Object} - Perfil de regras
+     */
+    getPerfil(id) {
+        return this.perfis.get(id) || this.perfis.get(this.DEFAULT_ID);
+    }
+
+    /**
+     * Normaliza e valida os campos de um perfil
+     * @param {Object} perfil - Perfil informado (ex.: vindo do formulário)
+     * @returns {Object} - Perfil normalizado
+     */
+    normalizarPerfil(perfil) {
+        const horasPorDia = parseInt(perfil.horasPorDia);
+        if (!horasPorDia || horasPorDia < 1 || horasPorDia > 24) {
+            throw new Error('Horas por dia deve ser um número entre 1 e 24.');
+        }
+
+        const parciais = [this.PARCIAL_IGNORAR, this.PARCIAL_HORAS, this.PARCIAL_DIA];
+        const faltaParcial = parciais.includes(perfil.faltaParcial) ? perfil.faltaParcial : this.PARCIAL_IGNORAR;
+
+        const rotulos = (perfil.rotulosJustificativa || [])
+            .map(r => String(r).trim().toUpperCase())
+            .filter(r => r);
+        if (rotulos.length === 0) {
+            throw new Error('Informe ao menos um rótulo de falta justificada.');
+        }
+
+        const horasAtraso = {};
+        Object.keys(perfil.horasAtraso || {}).forEach(freq => {
+            const f = parseInt(freq);
+            const horas = Number(perfil.horasAtraso[freq]);
+            if (Number.isNaN(f) || Number.isNaN(horas) || horas < 0) {
+                throw new Error(`Mapeamento de atraso inválido: ${freq}=${perfil.horasAtraso[freq]}`);
+            }
+            horasAtraso[f] = horas;
+        });
+
+        return {
+            id: perfil.id,
+            nome: this.normalizarNome(perfil.nome),
+            horasPorDia,
+            faltaParcial,
+            rotulosJustificativa: Array.from(new Set(rotulos)),
+            outrosRotulosNaoJustificada: Boolean(perfil.outrosRotulosNaoJustificada),
+            horasAtraso,
+            // Perfis salvos antes dos alertas de ausência recebem os limites do padrão
+            limitesAusencia: this.normalizarLimites(perfil.limitesAusencia || DataModel.PERFIL_PADRAO.limitesAusencia),
+            // Vazio (e perfis salvos antes da lista) = qualquer status
+            statusAceitos: Array.from(new Set((perfil.statusAceitos || [])
+                .map(s => String(s).replace(/\s+/g, ' ').trim().toUpperCase())
+                .filter(s => s)))
+        };
+    }
+
+    /**
+     * Normaliza os limites de horas de ausência (campo vazio = não usar aquele limite)
+     * @param {Object} limites - {horas, cargaHoraria, percentual, percentualAtencao}
+     * @returns {Object} - Limites com números ou null
+     */
+    normalizarLimites(limites) {
+        const numero = (valor, campo, maximo = null) => {
+            if (valor === null || valor === undefined || String(valor).trim() === '') return null;
+            const n = Number(String(valor).replace(',', '.'));
+            if (Number.isNaN(n) || n <= 0 || (maximo !== null && n > maximo)) {
+                throw new Error(`${campo} deve ser um número maior que zero${maximo !== null ? ` e até ${maximo}` : ''}.`);
+            }
+            return n;
+        };
+
+        return {
+            horas: numero(limites.horas, 'Limite de horas de ausência'),
+            cargaHoraria: numero(limites.cargaHoraria, 'Carga horária do curso'),
+            percentual: numero(limites.percentual, 'Limite em % da carga horária', 100),
+            percentualAtencao: numero(limites.percentualAtencao, 'Alertar a partir de (% do limite)', 100) ||
+                DataModel.PERFIL_PADRAO.limitesAusencia.percentualAtencao
+        };
+    }
+
+    /**
+     * Normaliza o nome do perfil
+     */
+    normalizarNome(nome) {
+        const limpo = String(nome || '').replace(/\s+/g, ' ').trim();
+        if (!limpo) throw new Error('Informe um nome para o perfil.');
+        return limpo;
+    }
+
+    /**
+     * Salva (cria ou atualiza) um perfil personalizado
+     * @param {Object} perfil - Perfil a salvar; sem id cria um novo
+     * @returns {Object} - Perfil salvo
+     */
+    salvarPerfil(perfil) {
+        if (perfil.id === this.DEFAULT_ID) {
+            throw new Error('O perfil padrão não pode ser alterado. Salve como um novo perfil.');
+        }
+        const id = perfil.id || `perfil_${Date.now()}`;
+        const normalizado = this.normalizarPerfil(Object.assign({}, perfil, { id }));
+        this.perfis.set(id, normalizado);
+        this.persist();
+        return normalizado;
+    }
+
+    /**
+     * Remove um perfil personalizado
+     * @param {string} id - Identificador do perfil
+     */
+    removerPerfil(id) {
+        if (id === this.DEFAULT_ID) return;
+        this.perfis.delete(id);
+        this.persist();
+    }
+
+    /**
+     * Converte o mapeamento de atraso para texto editável (ex.: "1=3, 2=2, 3=1")
+     */
+    horasAtrasoParaTexto(horasAtraso) {
+        return Object.keys(horasAtraso || {})
+            .sort((a, b) => a - b)
+            .map(freq => `${freq}=${horasAtraso[freq]}`)
+            .join(', ');
+    }
+
+    /**
+     * Interpreta o texto de mapeamento de atraso (ex.: "1=4, 2=3, 3=2, 4=1")
+     */
+    textoParaHorasAtraso(texto) {
+        const mapa = {};
+        String(texto || '').split(/[,;]/).forEach(par => {
+            const limpo = par.trim();
+            if (!limpo) return;
+            const [freq, horas] = limpo.split('=').map(s => (s || '').trim());
+            if (freq === '' || horas === undefined || horas === '') {
+                throw new Error(`Mapeamento de atraso inválido: "${limpo}" (use FREQUENCIA=HORAS)`);
+            }
+            mapa[freq] = horas;
+        });
+        return mapa;
+    }
+}
+
+// Node (linha de comando): exportar a classe; no navegador ela fica global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RuleProfileModel;
+}
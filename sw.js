@@ -0,0 +1,108 @@
+/**
+ * sw.js - Service worker da aplicação instalável (PWA)
+ * Guarda no navegador todos os arquivos da página, inclusive as bibliotecas de vendor/, para que ela abra e
+ * processe os arquivos sem conexão. Cada versão (js/versao.js) tem o próprio cache; a versão nova fica
+ * aguardando até o usuário clicar em "Atualizar" (ver AppUpdateController) e, ao ser ativada, apaga os
+ * caches das versões anteriores.
+ */
+importScripts('js/versao.js');
+
+const PREFIXO_CACHE = 'frequencia-';
+const CACHE = `${PREFIXO_CACHE}${VERSAO_APP}`;
+
+// Arquivos da aplicação (caminhos relativos a este script)
+const ARQUIVOS = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'assets/icone.svg',
+    'css/style.css',
+    'js/versao.js',
+    'js/app.js',
+    'js/dataWorker.js',
+    'models/ReportBuilder.js',
+    'models/DataModel.js',
+    'models/DataService.js',
+    'models/RuleProfileModel.js',
+    'models/ColumnMappingModel.js',
+    'models/CompanyIdentityModel.js',
+    'models/CourseWorkloadModel.js',
+    'models/DatasetStorageModel.js',
+    'models/ReportPresetModel.js',
+    'views/ReportPreviewView.js',
+    'views/ReportExcelView.js',
+    'views/ReportPdfView.js',
+    'views/AttendanceGridView.js',
+    'views/DashboardView.js',
+    'controllers/AppUpdateController.js',
+    'controllers/RuleProfileController.js',
+    'controllers/ColumnMappingController.js',
+    'controllers/CompanyIdentityController.js',
+    'controllers/CourseWorkloadController.js',
+    'controllers/DatasetStorageController.js',
+    'controllers/ReportPresetController.js',
+    'controllers/StudentHistoryController.js',
+    'controllers/FrequencyController.js',
+    'vendor/papaparse/papaparse.min.js',
+    'vendor/flatpickr/flatpickr.min.js',
+    'vendor/flatpickr/flatpickr.min.css',
+    'vendor/flatpickr/l10n/pt.js',
+    'vendor/xlsx-js-style/xlsx.min.js',
+    'vendor/jszip/jszip.min.js',
+    'vendor/jspdf/jspdf.umd.min.js',
+    'vendor/jspdf-autotable/jspdf.plugin.autotable.min.js'
+];
+
+/**
+ * Baixa todos os arquivos da versão, ignorando o cache HTTP (uma versão nunca mistura arquivos antigos)
+ */
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE).then(cache => cache.addAll(ARQUIVOS.map(url => new Request(url, { cache: 'reload' }))))
+    );
+});
+
+/**
+ * Ao ativar, apaga os caches das versões anteriores e assume as páginas abertas
+ */
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(nomes => Promise.all(nomes
+                .filter(nome => nome.startsWith(PREFIXO_CACHE) && nome !== CACHE)
+                .map(nome => caches.delete(nome))))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Mensagens da página: {tipo: 'versao'} responde a versão deste worker; {tipo: 'atualizar'} ativa a versão nova
+ */
+self.addEventListener('message', (event) => {
+    const msg = event.data || {};
+    if (msg.tipo === 'versao' && event.ports[0]) {
+        event.ports[0].postMessage(VERSAO_APP);
+    } else if (msg.tipo === 'atualizar') {
+        self.skipWaiting();
+    }
+});
+
+/**
+ * Arquivos da aplicação vêm do cache (sem consultar a rede); navegações sem arquivo correspondente abrem a página
+ */
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(
+        caches.open(CACHE).then(async cache => {
+            const resposta = await cache.match(request, { ignoreSearch: true });
+            if (resposta) return resposta;
+            if (request.mode === 'navigate') {
+                const pagina = await cache.match('index.html');
+                if (pagina) return pagina;
+            }
+            return fetch(request);
+        })
+    );
+});
@@ -0,0 +1,208 @@
+/**
+ * Leitura dos CSVs (fallback de encoding), combinações de filtros e relatório gerado a partir das
+ * fixtures (tests/fixtures), com o DataModel da página
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { carregarFixtures, linhaDoAluno } = require('./apoio.js');
+
+const SETEMBRO = { dataInicio: '01/09/2025', dataFim: '30/09/2025' };
+const ras = linhas => linhas.map(linha => String(linha.RA)).sort();
+
+test('arquivo UTF-8: acentos preservados', async () => {
+    const model = await carregarFixtures('frequencia_ago_set.csv');
+    const beta = model.getEmpresasAPR().find(e => e.cnpj === '99888777000100');
+    assert.equal(beta.nome, 'BETA SERVIÇOS LTDA');
+    assert.ok(model.getStatusDisponiveis().some(s => s.rotulo === 'PENDENTE ESTÁGIO'));
+});
+
+test('arquivo windows-1252: decodificado pelo fallback, sem caracteres trocados', async () => {
+    const model = await carregarFixtures('frequencia_windows1252.csv');
+    const [empresa] = model.getEmpresasAPR();
+    assert.equal(empresa.nome, 'PADARIA SÃO JOSÉ');
+
+    const { relatorio } = model.gerarRelatorio(model.filtrarDados(SETEMBRO), SETEMBRO.dataInicio, null, SETEMBRO.dataFim);
+    assert.deepEqual(relatorio.map(l => l.ALUNO).sort(), ['JOÃO CONCEIÇÃO', 'MÁRCIA ARAÚJO']);
+    assert.equal(linhaDoAluno(relatorio, 2001).STATUS, 'PENDENTE ESTÁGIO');
+});
+
+test('decodeCSVFile: UTF-8 lido direto; bytes windows-1252 passam para o fallback', async () => {
+    const model = new DataModel();
+    const utf8 = Buffer.from('ALUNO\nJOSÉ\n', 'utf8');
+    const latin1 = Buffer.from([0x41, 0x4c, 0x55, 0x4e, 0x4f, 0x0a, 0x4a, 0x4f, 0x53, 0xc9, 0x0a]); // ALUNO\nJOSÉ\n
+    assert.equal(await model.decodeCSVFile(new File([utf8], 'a.csv')), 'ALUNO\nJOSÉ\n');
+    assert.equal(await model.decodeCSVFile(new File([latin1], 'b.csv')), 'ALUNO\nJOSÉ\n');
+    assert.equal(model.looksMojibaked('JOSÃ‰'), true);
+    assert.equal(model.looksMojibaked('JOSÉ'), false);
+});
+
+test('validarPerfil: FALTAS acima das horas por dia do perfil selecionado; valor não numérico sempre', () => {
+    const model = new DataModel();
+    const linha = (ra, faltas) => ({
+        TURMA: 'APR-1', CNPJ_EMPRESA: '11222333000181', EMPRESA: 'ACME', RA: ra, ALUNO: 'ANA',
+        DATA: '01/09/2025', DESCRICAO: 'MATRICULADO', FALTAS: faltas, FREQUENCIA: '0'
+    });
+    const rows = [linha('1', '4'), linha('2', '5'), linha('3', 'X')];
+    const resumo = model.mesclarRegistros(rows, 'a.csv');
+    model.validarRegistros(rows, resumo.nome);
+    model.processData();
+
+    // Perfil padrão: 4 horas por dia
+    assert.deepEqual(model.getArquivos()[0].inconsistencias.porTipo, { 'faltas-acima-do-dia': 1, 'faltas-invalidas': 1 });
+    const acima = model.getInconsistencias().find(item => item.tipo === 'faltas-acima-do-dia');
+    assert.equal(acima.linha, 3);
+    assert.equal(acima.valor, '5');
+
+    // Perfil de 5 horas por dia: o dia inteiro de falta deixa de ser apontado
+    model.definirPerfilValidacao(Object.assign({}, DataModel.PERFIL_PADRAO, { nome: 'Unidade 5h', horasPorDia: 5 }));
+    assert.deepEqual(model.getArquivos()[0].inconsistencias.porTipo, { 'faltas-invalidas': 1 });
+    assert.deepEqual(model.getInconsistencias().map(item => item.valor), ['X']);
+});
+
+test('validarRegistros: status fora da lista antiga (TRANCADO) é aceito; status vazio é inconsistência', async () => {
+    const model = await carregarFixtures('frequencia_ago_set.csv');
+    assert.ok(model.getStatusDisponiveis().some(s => s.status === 'TRANCADO'));
+    assert.deepEqual(model.getInconsistencias(), []);
+
+    const resumo = model.validarRegistros([{
+        TURMA: 'APR-1', CNPJ_EMPRESA: '11222333000181', EMPRESA: 'ACME', RA: '1', ALUNO: 'ANA',
+        DATA: '01/09/2025', DESCRICAO: ' ', FALTAS: '0', FREQUENCIA: '0'
+    }], 'b.csv');
+    assert.deepEqual(resumo.porTipo, { 'status-vazio': 1 });
+});
+
+test('validarPerfil: com status aceitos no perfil, os demais são apontados', async () => {
+    const model = await carregarFixtures('frequencia_ago_set.csv');
+    model.definirPerfilValidacao(Object.assign({}, DataModel.PERFIL_PADRAO, { statusAceitos: ['Matriculado', 'PENDENTE ESTAGIO'] }));
+    const lista = model.getInconsistencias();
+    assert.deepEqual(lista.map(item => [item.tipo, item.valor]), [['status-fora-do-perfil', 'TRANCADO']]);
+    assert.equal(model.getArquivos()[0].inconsistencias.total, 1);
+
+    model.definirPerfilValidacao(null);
+    assert.deepEqual(model.getInconsistencias(), []);
+});
+
+test('filtrarDados: sem filtros, apenas turmas APR', async () => {
+    const model = await carregarFixtures('frequencia_ago_set.csv');
+    const linhas = model.filtrarDados({});
+    assert.equal(linhas.length, 12);
+    assert.ok(linhas.every(l => l.TURMA.startsWith('APR')));
+});
+
+test('filtrarDados: empresa (com ou sem pontuação), grupo de empresas e turma', async () => {
+    const model = await carregarFixtures('frequencia_ago_set.csv');
+    assert.deepEqual(ras(model.filtrarDados({ cnpj: '11.222.333/0001-81' })), ras(model.filtrarDados({ cnpj: '11222333000181' })));
+    assert.equal(model.filtrarDados({ cnpj: '11222333000181' }).length, 10);
+    assert.equal(model.filtrarDados({ cnpj: ['11222333000181', '99888777000100'] }).length, 12);
+    assert.equal(model.filtrarDados({ turma: 'APR-2025-02' }).length, 2);
+    assert.equal(model.filtrarDados({ turma: ['APR-2025-01', 'APR-2025-02'] }).length, 12);
+    // Empresa e turma sem registros em comum
+    assert.equal(model.filtrarDados({ cnpj: '11222333000181', turma: 'APR-2025-02' }).length, 0);
+});
+
+test('filtrarDados: período e status, isolados e combinados', async () => {
+    const model = await carregarFixtures('frequencia_ago_set.csv');
+    assert.equal(model.filtrarDados(SETEMBRO).length, 10);
+    assert.equal(model.filtrarDados({ dataInicio: '01/08/2025', dataFim: '31/08/2025' }).length, 2);
+
+    // Status sem diferenciar acentos e maiúsculas
+    assert.deepEqual(ras(model.filtrarDados({ statusList: ['pendente estagio'] })), ['1005']);
+    assert.equal(model.filtrarDados({ statusList: ['MATRICULADO', 'TRANCADO'] }).length, 11);
+    // Lista de status vazia: nenhum status selecionado
+    assert.equal(model.filtrarDados({ statusList: [] }).length, 0);
+
+    const combinados = model.filtrarDados(Object.assign({ cnpj: '11222333000181', turma: 'APR-2025-01', statusList: ['MATRICULADO'] }, SETEMBRO));
+    assert.equal(combinados.length, 8);
+    assert.deepEqual(Array.from(new Set(ras(combinados))), ['1001', '1002']);
+});
+
+test('filtrarDados: resultado em cache não é alterado por quem o recebe', async () => {
+    const model = await carregarFixtures('frequencia_ago_set.csv');
+    model.filtrarDados(SETEMBRO).pop();
+    assert.equal(model.filtrarDados(SETEMBRO).length, 10);
+});
+
+test('gerarRelatorio: justificadas, não justificadas, atrasos e rótulo desconhecido no perfil padrão', async () => {
+    const model = await carregarFixtures('frequencia_ago_set.csv');
+    const resultado = model.gerarRelatorio(model.filtrarDados(SETEMBRO), SETEMBRO.dataInicio, null, SETEMBRO.dataFim);
+    assert.equal(resultado.totalAlunos, 4);
+    assert.equal(resultado.totalRegistros, 10);
+    assert.deepEqual(resultado.meses, ['09/2025']);
+
+    const ana = linhaDoAluno(resultado.relatorio, 1001);
+    assert.equal(ana.MES, '09');
+    assert.equal(ana.ANO, '2025');
+    assert.equal(ana.FALTAS_JUSTIFICADAS_DIAS, '01');
+    assert.equal(ana.FALTAS_NAO_JUSTIFICADAS_DIAS, '02');
+    assert.equal(ana.ATRASOS_DIAS, '03');
+    // Falta parcial (04) ignorada e ATESTADO (05) fora dos rótulos: 4 + 4 + 3
+    assert.equal(ana.TOTAL_HORAS_AUSENCIA, 11);
+
+    const bruno = linhaDoAluno(resultado.relatorio, 1002);
+    assert.equal(bruno.NUM_HORAS_ATRASO, 3);
+    assert.equal(bruno.TOTAL_HORAS_AUSENCIA, 3);
+
+    // JUSTIFICADA em minúsculas e com espaços
+    const carla = linhaDoAluno(resultado.relatorio, 1003);
+    assert.equal(carla.NUM_FALTAS_JUSTIFICADAS, 1);
+    assert.equal(carla.STATUS, 'TRANCADO');
+    assert.equal(linhaDoAluno(resultado.relatorio, 1004), undefined);
+});
+
+test('gerarRelatorio: perfil com faltas parciais em horas e outros rótulos como não justificada', async () => {
+    const model = await carregarFixtures('frequencia_ago_set.csv');
+    const perfil = Object.assign({}, DataModel.PERFIL_PADRAO, { faltaParcial: 'horas', outrosRotulosNaoJustificada: true });
+    const { relatorio } = model.gerarRelatorio(model.filtrarDados(SETEMBRO), SETEMBRO.dataInicio, perfil, SETEMBRO.dataFim);
+
+    const ana = linhaDoAluno(relatorio, 1001);
+    assert.equal(ana.FALTAS_NAO_JUSTIFICADAS_DIAS, '02, 05');
+    // 4 (just.) + 2 x 4 (não just.) + 3 (atraso) + 2 (parcial)
+    assert.equal(ana.TOTAL_HORAS_AUSENCIA, 17);
+});
+
+test('gerarRelatorio: período de dois meses com coluna por mês', async () => {
+    const model = await carregarFixtures('frequencia_ago_set.csv');
+    const filtros = { cnpj: '11222333000181', dataInicio: '01/08/2025', dataFim: '30/09/2025' };
+    const resultado = model.gerarRelatorio(model.filtrarDados(filtros), filtros.dataInicio, null, filtros.dataFim);
+    assert.deepEqual(resultado.meses, ['08/2025', '09/2025']);
+
+    const bruno = linhaDoAluno(resultado.relatorio, 1002);
+    assert.equal(bruno.MES, '');
+    assert.equal(bruno.FALTAS_NAO_JUSTIFICADAS_DIAS, '28/08');
+    assert.equal(bruno.TOTAL_HORAS_AUSENCIA, 7);
+    assert.equal(bruno.POR_MES['08/2025'].TOTAL_HORAS_AUSENCIA, 4);
+    assert.equal(bruno.POR_MES['09/2025'].TOTAL_HORAS_AUSENCIA, 3);
+});
+
+test('gerarGradeDiaria e gerarPainel usam as mesmas regras do relatório', async () => {
+    const model = await carregarFixtures('frequencia_ago_set.csv');
+    const filtros = Object.assign({ cnpj: '11222333000181' }, SETEMBRO);
+    const grade = model.gerarGradeDiaria(model.filtrarDados(filtros));
+    const ana = grade.linhas.find(l => String(l.RA) === '1001');
+    assert.deepEqual(ana.codigos, { '01/09/2025': 'FJ', '02/09/2025': 'F', '03/09/2025': 'A3', '04/09/2025': 'FP2', '05/09/2025': '?' });
+
+    const { relatorio } = model.gerarRelatorio(model.filtrarDados(filtros), SETEMBRO.dataInicio, null, SETEMBRO.dataFim);
+    const totalRelatorio = relatorio.reduce((soma, l) => soma + l.TOTAL_HORAS_AUSENCIA, 0);
+    assert.equal(model.gerarPainel(filtros).horasAusencia, totalRelatorio);
+});
+
+test('gerarRelatorioCompleto: em blocos, mesmo relatório de gerarRelatorio; cancelamento interrompe entre blocos', async (t) => {
+    const model = await carregarFixtures('frequencia_ago_set.csv');
+    const tamanhoOriginal = DataModel.TAMANHO_BLOCO_RELATORIO;
+    t.after(() => { DataModel.TAMANHO_BLOCO_RELATORIO = tamanhoOriginal; });
+    DataModel.TAMANHO_BLOCO_RELATORIO = 2;
+
+    const { resultado } = await model.gerarRelatorioCompleto(SETEMBRO);
+    assert.deepEqual(resultado, model.gerarRelatorio(model.filtrarDados(SETEMBRO), SETEMBRO.dataInicio, null, SETEMBRO.dataFim));
+
+    const cancelamento = { cancelado: false };
+    const etapas = [];
+    const completo = model.gerarRelatorioCompleto(SETEMBRO, null, false, null, (p, etapa) => etapas.push(etapa), cancelamento);
+    cancelamento.cancelado = true;
+    await assert.rejects(completo, erro => erro.cancelado === true);
+    assert.ok(!etapas.includes('Relatório gerado.'));
+
+    const porEmpresa = model.gerarRelatoriosPorEmpresa(SETEMBRO, null, false, null, cancelamento);
+    await assert.rejects(porEmpresa, erro => erro.cancelado === true);
+});
@@ -0,0 +1,35 @@
+/**
+ * Ponte com o Web Worker (models/DataService.js), com um Worker simulado que só registra as mensagens
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('./apoio.js');
+const DataService = require('../models/DataService.js');
+
+/**
+ * DataService ligado a um Worker simulado
+ * @returns {Object} - {servico, enviadas: mensagens postadas ao Worker}
+ */
+function criarServico() {
+    const enviadas = [];
+    const servico = new DataService(new DataModel());
+    servico.worker = { postMessage: msg => enviadas.push(msg), terminate() {} };
+    servico.pronto = Promise.resolve(true);
+    return { servico, enviadas };
+}
+
+test('cancelar: interrompe a carga em andamento, não a consulta do painel enviada depois', async () => {
+    const { servico, enviadas } = criarServico();
+    const carga = servico.carregarCSV({ name: 'a.csv' }, null);
+    const painel = servico.gerarPainel({}, null);
+    await new Promise(resolve => setImmediate(resolve));
+    const [idCarga, idPainel] = enviadas.map(msg => msg.id);
+
+    servico.cancelar();
+    await assert.rejects(carga, erro => erro.cancelado === true);
+    assert.deepEqual(enviadas[2], { tipo: 'cancelar', id: idCarga });
+
+    servico.onMensagem({ tipo: 'resultado', id: idPainel, resultado: { registros: 3 } });
+    assert.deepEqual(await painel, { registros: 3 });
+});
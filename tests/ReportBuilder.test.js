@@ -0,0 +1,133 @@
+/**
+ * Regras de contagem do relatório (models/ReportBuilder.js): faltas justificadas, não justificadas,
+ * parciais, atrasos, totais do período e de cada mês
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const ReportBuilder = require('../models/ReportBuilder.js');
+const { PERFIL_PADRAO } = require('../models/DataModel.js');
+
+const perfil = alteracoes => Object.assign({}, PERFIL_PADRAO, alteracoes);
+
+/**
+ * Registro de entrada do construtor, com os campos do dia informados
+ */
+function registro(dia) {
+    return Object.assign({
+        ra: '1001', aluno: 'ANA', empresa: 'ACME', curso: 'CURSO', turma: 'APR-1',
+        data: '01/09/2025', mesAno: '09/2025', status: 'MATRICULADO',
+        faltas: 0, frequencia: 0, justificada: ''
+    }, dia);
+}
+
+test('classificarFalta: dia inteiro com rótulo do perfil é justificada; sem rótulo, não justificada', () => {
+    const construtor = new ReportBuilder(PERFIL_PADRAO);
+    assert.equal(construtor.classificarFalta(4, 'FALTA JUSTIFICADA'), 'justificada');
+    assert.equal(construtor.classificarFalta(4, ''), 'nao-justificada');
+    assert.equal(construtor.classificarFalta(0, ''), null);
+    // Acima das horas do dia: valor inválido, não contabiliza
+    assert.equal(construtor.classificarFalta(5, ''), null);
+});
+
+test('classificarFalta: rótulo desconhecido só conta como não justificada quando o perfil define', () => {
+    assert.equal(new ReportBuilder(PERFIL_PADRAO).classificarFalta(4, 'ATESTADO'), null);
+    assert.equal(new ReportBuilder(perfil({ outrosRotulosNaoJustificada: true })).classificarFalta(4, 'ATESTADO'), 'nao-justificada');
+});
+
+test('classificarFalta: rótulos do perfil são comparados em maiúsculas e sem espaços nas pontas', () => {
+    const construtor = new ReportBuilder(perfil({ rotulosJustificativa: [' atestado medico '] }));
+    assert.equal(construtor.classificarFalta(4, 'ATESTADO MEDICO'), 'justificada');
+    assert.equal(construtor.classificarFalta(4, 'FALTA JUSTIFICADA'), null);
+});
+
+test('classificarFalta: faltas parciais conforme o perfil (ignorar, horas, dia)', () => {
+    assert.equal(new ReportBuilder(PERFIL_PADRAO).classificarFalta(2, ''), null);
+    assert.equal(new ReportBuilder(perfil({ faltaParcial: 'horas' })).classificarFalta(2, ''), 'parcial');
+    assert.equal(new ReportBuilder(perfil({ faltaParcial: 'dia' })).classificarFalta(2, ''), 'nao-justificada');
+    assert.equal(new ReportBuilder(perfil({ faltaParcial: 'dia' })).classificarFalta(2, 'FALTA JUSTIFICADA'), 'justificada');
+});
+
+test('horasAtrasoPorFrequencia: FREQUENCIA 1, 2 e 3 valem 3, 2 e 1 hora no perfil padrão', () => {
+    const construtor = new ReportBuilder(PERFIL_PADRAO);
+    assert.deepEqual([0, 1, 2, 3, 4].map(f => construtor.horasAtrasoPorFrequencia(f)), [0, 3, 2, 1, 0]);
+    assert.equal(new ReportBuilder(perfil({ horasAtraso: { 1: 0.5 } })).horasAtrasoPorFrequencia(1), 0.5);
+});
+
+test('getCodigoGrade: um código por tipo de dia', () => {
+    const construtor = new ReportBuilder(PERFIL_PADRAO);
+    const codigo = dia => construtor.getCodigoGrade(registro(dia));
+    assert.equal(codigo({}), 'P');
+    assert.equal(codigo({ faltas: 4, justificada: 'FALTA JUSTIFICADA' }), 'FJ');
+    assert.equal(codigo({ faltas: 4 }), 'F');
+    assert.equal(codigo({ faltas: 2 }), 'FP2');
+    assert.equal(codigo({ frequencia: 1 }), 'A3');
+    assert.equal(codigo({ faltas: 4, justificada: 'ATESTADO' }), '?');
+});
+
+test('getHorasAusencia: faltas em horas do dia (ou horas parciais) e atrasos em separado', () => {
+    const construtor = new ReportBuilder(perfil({ faltaParcial: 'horas' }));
+    assert.deepEqual(construtor.getHorasAusencia(registro({ faltas: 4 })), { horasFaltas: 4, horasAtraso: 0 });
+    assert.deepEqual(construtor.getHorasAusencia(registro({ faltas: 3 })), { horasFaltas: 3, horasAtraso: 0 });
+    assert.deepEqual(construtor.getHorasAusencia(registro({ frequencia: 2 })), { horasFaltas: 0, horasAtraso: 2 });
+});
+
+test('getLinhas: totais, dias e status mais frequente de um mês', () => {
+    const construtor = new ReportBuilder(PERFIL_PADRAO, ['09/2025']);
+    construtor.adicionar(registro({ data: '01/09/2025', faltas: 4, justificada: 'FALTA JUSTIFICADA' }));
+    construtor.adicionar(registro({ data: '02/09/2025', faltas: 4 }));
+    construtor.adicionar(registro({ data: '03/09/2025', frequencia: 1, status: 'TRANCADO' }));
+    construtor.adicionar(registro({ data: '04/09/2025', frequencia: 3 }));
+    construtor.adicionar(registro({ data: '05/09/2025', faltas: 2 }));
+    // Sem RA: fora do relatório
+    construtor.adicionar(registro({ ra: '', faltas: 4 }));
+
+    const [linha] = construtor.getLinhas('09', '2025');
+    assert.equal(construtor.getLinhas().length, 1);
+    assert.equal(linha.MES, '09');
+    assert.equal(linha.ANO, '2025');
+    assert.equal(linha.STATUS, 'MATRICULADO');
+    assert.equal(linha.FALTAS_JUSTIFICADAS_DIAS, '01');
+    assert.equal(linha.NUM_FALTAS_JUSTIFICADAS, 1);
+    assert.equal(linha.FALTAS_NAO_JUSTIFICADAS_DIAS, '02');
+    assert.equal(linha.NUM_FALTAS_NAO_JUSTIFICADAS, 1);
+    assert.equal(linha.ATRASOS_DIAS, '03, 04');
+    assert.equal(linha.NUM_HORAS_ATRASO, 4);
+    // 2 faltas x 4h + 4h de atraso; a falta parcial é ignorada no perfil padrão
+    assert.equal(linha.TOTAL_HORAS_AUSENCIA, 12);
+    assert.deepEqual(linha.POR_MES['09/2025'], {
+        NUM_FALTAS_JUSTIFICADAS: 1, NUM_FALTAS_NAO_JUSTIFICADAS: 1, NUM_HORAS_ATRASO: 4, TOTAL_HORAS_AUSENCIA: 12
+    });
+});
+
+test('getLinhas: faltas parciais somadas em horas quando o perfil as contabiliza', () => {
+    const construtor = new ReportBuilder(perfil({ faltaParcial: 'horas' }), ['09/2025']);
+    construtor.adicionar(registro({ faltas: 2 }));
+    construtor.adicionar(registro({ data: '02/09/2025', faltas: 1 }));
+    const [linha] = construtor.getLinhas();
+    assert.equal(linha.NUM_FALTAS_NAO_JUSTIFICADAS, 0);
+    assert.equal(linha.TOTAL_HORAS_AUSENCIA, 3);
+});
+
+test('getLinhas: períodos de vários meses usam DD/MM e detalham cada mês, inclusive os sem registros', () => {
+    const construtor = new ReportBuilder(PERFIL_PADRAO, ['08/2025', '09/2025', '10/2025']);
+    construtor.adicionar(registro({ data: '28/08/2025', mesAno: '08/2025', faltas: 4 }));
+    construtor.adicionar(registro({ data: '02/09/2025', mesAno: '09/2025', frequencia: 2 }));
+
+    const [linha] = construtor.getLinhas();
+    assert.equal(linha.FALTAS_NAO_JUSTIFICADAS_DIAS, '28/08');
+    assert.equal(linha.ATRASOS_DIAS, '02/09');
+    assert.equal(linha.TOTAL_HORAS_AUSENCIA, 6);
+    assert.deepEqual(Object.keys(linha.POR_MES), ['08/2025', '09/2025', '10/2025']);
+    assert.equal(linha.POR_MES['08/2025'].TOTAL_HORAS_AUSENCIA, 4);
+    assert.equal(linha.POR_MES['09/2025'].TOTAL_HORAS_AUSENCIA, 2);
+    assert.equal(linha.POR_MES['10/2025'].TOTAL_HORAS_AUSENCIA, 0);
+});
+
+test('getLinhas: ordenadas por turma e, na mesma turma, por empresa', () => {
+    const construtor = new ReportBuilder(PERFIL_PADRAO, ['09/2025']);
+    construtor.adicionar(registro({ ra: '1', turma: 'APR-2', empresa: 'ACME' }));
+    construtor.adicionar(registro({ ra: '2', turma: 'APR-1', empresa: 'BETA' }));
+    construtor.adicionar(registro({ ra: '3', turma: 'APR-1', empresa: 'ACME' }));
+    assert.deepEqual(construtor.getLinhas().map(l => l.RA), ['3', '2', '1']);
+});
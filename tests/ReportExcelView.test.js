@@ -0,0 +1,83 @@
+/**
+ * Layout do Excel (views/ReportExcelView.js): títulos, cabeçalho, larguras, mesclagens, listras, bordas e abas
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { carregarFixtures } = require('./apoio.js');
+const ReportExcelView = require('../views/ReportExcelView.js');
+
+/**
+ * Workbook do relatório gerado a partir das fixtures, como na página e na linha de comando
+ */
+async function montarWorkbook(filtros, abasPorMes = false, periodoComparacao = null) {
+    const model = await carregarFixtures('frequencia_ago_set.csv');
+    const { resultado, relatoriosMensais, grade, comparacao } = await model.gerarRelatorioCompleto(filtros, null, abasPorMes, periodoComparacao);
+    return new ReportExcelView(model).montarWorkbook(resultado, relatoriosMensais, grade, comparacao);
+}
+
+test('aba principal: três linhas de título mescladas e cabeçalho na linha 5', async () => {
+    const wb = await montarWorkbook({ dataInicio: '01/09/2025', dataFim: '30/09/2025' });
+    assert.deepEqual(wb.SheetNames, ['Relatório de Frequência', 'Grade Diária', 'Resumo por Turma', 'Empresas x Turmas']);
+
+    const ws = wb.Sheets['Relatório de Frequência'];
+    assert.equal(ws.A1.v, ReportExcelView.CABECALHO_RELATORIO[0]);
+    assert.equal(ws.A2.v, ReportExcelView.CABECALHO_RELATORIO[1]);
+    assert.match(ws.A3.v, /09\/2025/);
+    assert.equal(ws.A1.s.font.sz, 14);
+
+    const cabecalho = XLSX.utils.sheet_to_json(ws, { header: 1, range: 4 })[0];
+    assert.deepEqual(cabecalho.slice(0, 7), ['TURMA', 'ALUNO', 'STATUS', 'EMPRESA', 'CURSO', 'MES', 'ANO']);
+    assert.equal(cabecalho[cabecalho.length - 1], 'TOTAL HORAS DE AUSÊNCIA NO CURSO');
+    assert.equal(ws.A5.s.fill.fgColor.rgb, 'FFE6F2FF');
+    assert.equal(ws.A5.s.font.bold, true);
+
+    assert.equal(ws['!merges'].length, 3);
+    ws['!merges'].forEach((mescla, linha) => {
+        assert.deepEqual(mescla, { s: { r: linha, c: 0 }, e: { r: linha, c: cabecalho.length - 1 } });
+    });
+    assert.equal(ws['!cols'].length, cabecalho.length);
+    assert.equal(ws['!cols'][1].wch, 38);
+});
+
+test('aba principal: uma linha por aluno, com listras alternadas e bordas finas', async () => {
+    const wb = await montarWorkbook({ dataInicio: '01/09/2025', dataFim: '30/09/2025' });
+    const ws = wb.Sheets['Relatório de Frequência'];
+    const linhas = XLSX.utils.sheet_to_json(ws, { range: 4 });
+    assert.deepEqual(linhas.map(l => l.ALUNO), ['ANA SOUZA', 'BRUNO LIMA', 'CARLA DIAS', 'ELISA MOURA']);
+    assert.equal(linhas[0]['TOTAL HORAS DE AUSÊNCIA NO CURSO'], 11);
+
+    assert.equal(ws.A6.s.fill.fgColor.rgb, 'FFF5FAFF');
+    assert.equal(ws.A7.s.fill.fgColor.rgb, 'FFFFFFFF');
+    assert.equal(ws.A6.s.border.top.style, 'thin');
+});
+
+test('vários meses: coluna PERÍODO e horas de cada mês, ou uma aba por mês', async () => {
+    const filtros = { dataInicio: '01/08/2025', dataFim: '30/09/2025' };
+    const colunas = await montarWorkbook(filtros);
+    assert.equal(colunas.SheetNames[0], 'Total do Período');
+    const [bruno] = XLSX.utils.sheet_to_json(colunas.Sheets['Total do Período'], { range: 4 }).filter(l => l.ALUNO === 'BRUNO LIMA');
+    assert.equal(bruno['PERÍODO'], '08/2025 a 09/2025');
+    assert.equal(bruno['HORAS DE AUSÊNCIA 08/2025'], 4);
+    assert.equal(bruno['HORAS DE AUSÊNCIA 09/2025'], 3);
+
+    const abas = await montarWorkbook(filtros, true);
+    assert.deepEqual(abas.SheetNames.slice(0, 3), ['Total do Período', '08-2025', '09-2025']);
+});
+
+test('comparação de períodos: abas por aluno e por empresa', async () => {
+    const wb = await montarWorkbook({ dataInicio: '01/09/2025', dataFim: '30/09/2025' }, false, { inicio: '01/08/2025', fim: '31/08/2025' });
+    assert.ok(wb.SheetNames.includes('Comparação por Aluno'));
+    assert.ok(wb.SheetNames.includes('Comparação por Empresa'));
+    // O workbook é gravável pelo xlsx-js-style
+    assert.ok(XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' }).length > 0);
+});
+
+test('nomes de arquivo: empresa sem acentos nem símbolos e período em AAAA-MM (página e linha de comando)', () => {
+    const excel = new ReportExcelView(null);
+    assert.equal(excel.nomeParaArquivo('Indústria & Comércio São José Ltda.'), 'INDUSTRIA_COMERCIO_SAO_JOSE_LTDA');
+    assert.equal(excel.nomeParaArquivo('  ***  '), 'EMPRESA');
+    assert.equal(excel.getPeriodoArquivo(['08/2025']), '2025-08');
+    assert.equal(excel.getPeriodoArquivo(['08/2025', '09/2025', '10/2025']), '2025-08_a_2025-10');
+    assert.equal(excel.getPeriodoArquivo([]), 'periodo');
+});
@@ -0,0 +1,37 @@
+/**
+ * apoio.js - Preparação comum dos testes automatizados (node --test)
+ * Deixa globais as bibliotecas e classes que a página carrega por <script> e lê os CSVs de tests/fixtures
+ * com a mesma leitura da página (DataModel.loadCSV, inclusive o fallback de encoding).
+ * Requer as bibliotecas do package.json (npm install); rode com npm test
+ */
+const fs = require('fs');
+const path = require('path');
+
+global.Papa = require('papaparse');
+global.XLSX = require('xlsx-js-style');
+global.ReportBuilder = require('../models/ReportBuilder.js');
+global.DataModel = require('../models/DataModel.js');
+
+const PASTA_FIXTURES = path.join(__dirname, 'fixtures');
+
+/**
+ * Cria um DataModel com os arquivos de tests/fixtures informados
+ * @param {...string} nomes - Nomes dos arquivos CSV
+ * @returns {Promise<DataModel>}
+ */
+async function carregarFixtures(...nomes) {
+    const model = new DataModel();
+    for (const nome of nomes) {
+        await model.loadCSV(new File([fs.readFileSync(path.join(PASTA_FIXTURES, nome))], nome));
+    }
+    return model;
+}
+
+/**
+ * Linha do relatório de um aluno, pelo RA
+ */
+function linhaDoAluno(relatorio, ra) {
+    return relatorio.find(linha => String(linha.RA) === String(ra));
+}
+
+module.exports = { carregarFixtures, linhaDoAluno, PASTA_FIXTURES };
@@ -0,0 +1,76 @@
+/**
+ * Web Worker (js/dataWorker.js) executado em um contexto isolado, com as mensagens trocadas com a página
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { PASTA_FIXTURES } = require('./apoio.js');
+
+const PASTA_JS = path.join(__dirname, '..', 'js');
+
+/**
+ * Carrega o Worker como o navegador faria (importScripts relativo a js/)
+ * @returns {Object} - {enviar(operacao, args): Promise da resposta final (resultado ou erro), cancelar(id), mensagens};
+ *          as requisições recebem os ids 1, 2, 3... na ordem de envio
+ */
+function iniciarWorker() {
+    const mensagens = [];
+    const aguardando = new Map();
+    const self = {
+        postMessage: (msg) => {
+            mensagens.push(msg);
+            if ((msg.tipo === 'resultado' || msg.tipo === 'erro') && aguardando.has(msg.id)) aguardando.get(msg.id)(msg);
+        }
+    };
+    const contexto = vm.createContext({ self, console, setTimeout, TextDecoder, File });
+    contexto.importScripts = (...arquivos) => arquivos.forEach(arquivo => {
+        const caminho = path.join(PASTA_JS, arquivo);
+        vm.runInContext(fs.readFileSync(caminho, 'utf8'), contexto, { filename: caminho });
+    });
+    vm.runInContext(fs.readFileSync(path.join(PASTA_JS, 'dataWorker.js'), 'utf8'), contexto);
+
+    let proximoId = 1;
+    const enviar = (operacao, args) => new Promise(resolve => {
+        const id = proximoId++;
+        aguardando.set(id, resolve);
+        self.onmessage({ data: { tipo: 'executar', id, operacao, args } });
+    });
+    const cancelar = id => self.onmessage({ data: { tipo: 'cancelar', id } });
+    return { enviar, cancelar, mensagens };
+}
+
+test('índices acompanham só as operações que alteram o dataset', async () => {
+    const { enviar } = iniciarWorker();
+    const nome = 'frequencia_ago_set.csv';
+    const file = new File([fs.readFileSync(path.join(PASTA_FIXTURES, nome))], nome);
+
+    const carga = await enviar('loadCSV', [file, undefined, false]);
+    assert.equal(carga.tipo, 'resultado');
+    assert.ok(carga.indices.totalRegistros > 0);
+
+    const painel = await enviar('gerarPainel', [{}, null]);
+    assert.equal(painel.tipo, 'resultado');
+    assert.ok(painel.resultado.registros > 0);
+    assert.equal(painel.indices, null);
+
+    assert.equal((await enviar('buscarAlunos', ['ANA'])).indices, null);
+    // Trocar o perfil refaz as inconsistências: o resumo dos arquivos volta para a página
+    const perfil = await enviar('definirPerfilValidacao', [{ horasPorDia: 5, statusAceitos: ['MATRICULADO'] }]);
+    assert.equal(perfil.indices.arquivos[0].nome, nome);
+    assert.equal((await enviar('clear', [])).indices.totalRegistros, 0);
+});
+
+test('cancelar: a geração do relatório no Worker é interrompida', async () => {
+    const { enviar, cancelar } = iniciarWorker();
+    const nome = 'frequencia_ago_set.csv';
+    await enviar('loadCSV', [new File([fs.readFileSync(path.join(PASTA_FIXTURES, nome))], nome), undefined, false]);
+
+    const relatorio = enviar('gerarRelatorioCompleto', [{}, null, false, null]);
+    cancelar(2);
+    const resposta = await relatorio;
+    assert.equal(resposta.tipo, 'erro');
+    assert.equal(resposta.cancelado, true);
+});
@@ -0,0 +1,46 @@
+/**
+ * Linha de comando (cli/gerar-relatorio.js): executada como o usuário faria, com as fixtures de tests/fixtures
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const { PASTA_FIXTURES } = require('./apoio.js');
+
+const SCRIPT = path.join(__dirname, '..', 'cli', 'gerar-relatorio.js');
+
+/**
+ * Executa a linha de comando em uma pasta temporária
+ * @returns {Object} - {status, saida, erro, pasta}
+ */
+function executar(argumentos) {
+    const pasta = fs.mkdtempSync(path.join(os.tmpdir(), 'frequencia-cli-'));
+    const resultado = spawnSync(process.execPath, [SCRIPT, ...argumentos, '--saida', pasta], { encoding: 'utf8' });
+    return { status: resultado.status, saida: resultado.stdout, erro: resultado.stderr, pasta };
+}
+
+test('arquivo sem inconsistências: grava o Excel sem aviso', () => {
+    const { status, saida, pasta } = executar([path.join(PASTA_FIXTURES, 'frequencia_ago_set.csv'), '--mes', '09/2025']);
+    assert.equal(status, 0);
+    assert.match(saida, /frequencia_ago_set\.csv: \d+ registros adicionados\n/);
+    assert.doesNotMatch(saida, /inconsistências/);
+    assert.equal(fs.readdirSync(pasta).filter(nome => nome.endsWith('.xlsx')).length, 1);
+    fs.rmSync(pasta, { recursive: true, force: true });
+});
+
+test('arquivo com inconsistências: avisa a quantidade', () => {
+    const pasta = fs.mkdtempSync(path.join(os.tmpdir(), 'frequencia-csv-'));
+    const csv = path.join(pasta, 'com_erros.csv');
+    const fixture = fs.readFileSync(path.join(PASTA_FIXTURES, 'frequencia_ago_set.csv'), 'utf8');
+    // Status vazio e FALTAS não numérico na mesma linha
+    fs.writeFileSync(csv, fixture.trimEnd() +
+        '\nAPR-2025-01;11.222.333/0001-81;ACME INDUSTRIA LTDA;1006;FABIO REIS;APRENDIZAGEM INDUSTRIAL;08/09/2025;;X;0;\n');
+
+    const resultado = executar([csv, '--mes', '09/2025']);
+    assert.equal(resultado.status, 0);
+    assert.match(resultado.saida, /com_erros\.csv: \d+ registros adicionados \(2 inconsistências; confira o arquivo na página\)/);
+    [pasta, resultado.pasta].forEach(p => fs.rmSync(p, { recursive: true, force: true }));
+});
@@ -0,0 +1,172 @@
+/**
+ * AttendanceGridView - View da grade diária de frequência
+ * Responsável por: exibir uma linha por aluno e uma coluna por dia de aula com os códigos
+ * P, F, FJ, FP<horas>, A<horas> e ? (cores por tipo), com legenda e filtro de texto
+ */
+class AttendanceGridView {
+    /**
+     * @param {DataModel} dataModel - Códigos da grade (DataModel.CODIGOS_GRADE e getTipoCodigoGrade)
+     */
+    constructor(dataModel) {
+        this.model = dataModel;
+
+        // Elementos DOM
+        this.elements = {
+            panel: document.getElementById('gradePanel'),
+            resumo: document.getElementById('gradeResumo'),
+            filtro: document.getElementById('gradeFiltro'),
+            legenda: document.getElementById('gradeLegenda'),
+            tabela: document.getElementById('gradeTabela'),
+            aviso: document.getElementById('gradeAviso')
+        };
+
+        // Classe CSS de cada tipo de código
+        this.CLASSES = {
+            'F': 'grade-falta',
+            'FJ': 'grade-justificada',
+            'FP': 'grade-parcial',
+            'A': 'grade-atraso',
+            '?': 'grade-nao-contabilizada',
+            'P': 'grade-presente'
+        };
+
+        // Linhas exibidas no máximo (o filtro considera todas)
+        this.LIMITE_LINHAS = 500;
+
+        this.grade = null;
+        this.init();
+    }
+
+    /**
+     * Inicializa os event listeners e a legenda
+     */
+    init() {
+        this.elements.filtro.addEventListener('input', () => this.renderTabela());
+
+        DataModel.CODIGOS_GRADE.forEach(({ codigo, descricao }) => {
+            const item = document.createElement('span');
+            item.className = 'grade-legenda-item';
+            const amostra = document.createElement('span');
+            amostra.className = `grade-codigo ${this.CLASSES[codigo]}`;
+            amostra.textContent = codigo;
+            item.appendChild(amostra);
+            item.appendChild(document.createTextNode(descricao));
+            this.elements.legenda.appendChild(item);
+        });
+    }
+
+    /**
+     * Exibe a grade de um relatório
+     * @param {Object} grade - Retorno de DataModel.gerarGradeDiaria
+     */
+    mostrar(grade) {
+        if (!grade || grade.linhas.length === 0) {
+            this.limpar();
+            return;
+        }
+        this.grade = grade;
+        this.elements.resumo.textContent = `${grade.linhas.length} alunos · ${grade.dias.length} dias de aula`;
+        this.elements.filtro.value = '';
+        this.renderTabela();
+        this.elements.panel.style.display = 'flex';
+    }
+
+    /**
+     * Esconde e descarta a grade
+     */
+    limpar() {
+        this.grade = null;
+        this.elements.tabela.innerHTML = '';
+        this.elements.panel.style.display = 'none';
+    }
+
+    /**
+     * Normaliza texto para o filtro (minúsculas, sem acentos)
+     */
+    normalizarTexto(texto) {
+        return String(texto || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase();
+    }
+
+    /**
+     * Monta cabeçalho e linhas da grade
+     */
+    renderTabela() {
+        if (!this.grade) return;
+        const { dias, linhas } = this.grade;
+        const tabela = this.elements.tabela;
+        tabela.innerHTML = '';
+
+        const termo = this.normalizarTexto(this.elements.filtro.value.trim());
+        const visiveis = termo
+            ? linhas.filter(l => [l.TURMA, l.ALUNO, l.EMPRESA].some(v => this.normalizarTexto(v).includes(termo)))
+            : linhas;
+        const variasEmpresas = new Set(linhas.map(l => l.EMPRESA)).size > 1;
+        // Um só mês: apenas o dia; vários meses: DD/MM
+        const variosMeses = new Set(dias.map(d => d.slice(3))).size > 1;
+
+        // Cabeçalho
+        const thead = document.createElement('thead');
+        const trHead = document.createElement('tr');
+        const titulos = ['Turma', 'Aluno'].concat(variasEmpresas ? ['Empresa'] : []);
+        titulos.forEach(titulo => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.textContent = titulo;
+            trHead.appendChild(th);
+        });
+        dias.forEach(data => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.className = 'grade-dia';
+            th.textContent = variosMeses ? data.slice(0, 5) : data.slice(0, 2);
+            th.title = data;
+            trHead.appendChild(th);
+        });
+        thead.appendChild(trHead);
+        tabela.appendChild(thead);
+
+        // Linhas
+        const tbody = document.createElement('tbody');
+        const fragmento = document.createDocumentFragment();
+        visiveis.slice(0, this.LIMITE_LINHAS).forEach(linha => {
+            const tr = document.createElement('tr');
+            [linha.TURMA, linha.ALUNO].concat(variasEmpresas ? [linha.EMPRESA] : []).forEach(valor => {
+                const td = document.createElement('td');
+                td.textContent = valor || '';
+                tr.appendChild(td);
+            });
+            dias.forEach(data => {
+                const td = document.createElement('td');
+                const codigo = linha.codigos[data];
+                td.className = 'grade-dia';
+                if (codigo) {
+                    td.textContent = codigo;
+                    td.classList.add(this.CLASSES[this.model.getTipoCodigoGrade(codigo)]);
+                    td.title = `${data}: ${this.getDescricao(codigo)}`;
+                }
+                tr.appendChild(td);
+            });
+            fragmento.appendChild(tr);
+        });
+        tbody.appendChild(fragmento);
+        tabela.appendChild(tbody);
+
+        this.elements.aviso.textContent = visiveis.length > this.LIMITE_LINHAS
+            ? `Exibindo ${this.LIMITE_LINHAS} de ${visiveis.length} alunos. Use o filtro para encontrar os demais; o Excel inclui todos.`
+            : '';
+    }
+
+    /**
+     * Descrição de um código (dica ao passar o mouse)
+     */
+    getDescricao(codigo) {
+        const tipo = this.model.getTipoCodigoGrade(codigo);
+        const item = DataModel.CODIGOS_GRADE.find(c => c.codigo === tipo);
+        const horas = codigo.slice(tipo.length);
+        const descricao = item ? item.descricao.replace(/\s*\(.*\)$/, '') : codigo;
+        return horas ? `${descricao} - ${horas} ${Number(horas) === 1 ? 'hora' : 'horas'}` : descricao;
+    }
+}
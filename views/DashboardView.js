@@ -0,0 +1,286 @@
+/**
+ * DashboardView - View do painel de indicadores
+ * Responsável por: alternar entre as abas Relatório, Painel e Aluno e desenhar os gráficos do painel
+ * (horas de ausência por mês e por turma, ranking das empresas e distribuição dos atrasos)
+ * em SVG gerado aqui mesmo, sem bibliotecas externas
+ */
+class DashboardView {
+    constructor() {
+        // Elementos DOM
+        this.elements = {
+            conteudo: document.querySelector('.main-content'),
+            abaRelatorio: document.getElementById('abaRelatorio'),
+            abaPainel: document.getElementById('abaPainel'),
+            abaAluno: document.getElementById('abaAluno'),
+            panel: document.getElementById('painelPanel'),
+            alunoPanel: document.getElementById('alunoPanel'),
+            resumo: document.getElementById('painelResumo'),
+            mensagem: document.getElementById('painelMensagem'),
+            graficos: document.getElementById('painelGraficos'),
+            graficoMeses: document.getElementById('graficoMeses'),
+            graficoTurmas: document.getElementById('graficoTurmas'),
+            graficoEmpresas: document.getElementById('graficoEmpresas'),
+            graficoAtrasos: document.getElementById('graficoAtrasos')
+        };
+
+        // Chamado ao abrir a aba Painel (definido pelo FrequencyController)
+        this.onAbrir = null;
+
+        // Barras exibidas no máximo nos gráficos de turmas e empresas
+        this.LIMITE_BARRAS = 10;
+        this.SVG_NS = 'http://www.w3.org/2000/svg';
+
+        this.init();
+    }
+
+    /**
+     * Inicializa os event listeners das abas
+     */
+    init() {
+        this.elements.abaRelatorio.addEventListener('click', () => this.selecionarAba('relatorio'));
+        this.elements.abaPainel.addEventListener('click', () => this.selecionarAba('painel'));
+        this.elements.abaAluno.addEventListener('click', () => this.selecionarAba('aluno'));
+    }
+
+    /**
+     * Alterna entre a prévia do relatório, o painel e a consulta de aluno
+     * @param {string} aba - 'relatorio', 'painel' ou 'aluno'
+     */
+    selecionarAba(aba) {
+        [
+            [this.elements.abaRelatorio, 'relatorio'],
+            [this.elements.abaPainel, 'painel'],
+            [this.elements.abaAluno, 'aluno']
+        ].forEach(([botao, nome]) => {
+            botao.classList.toggle('ativa', aba === nome);
+            botao.setAttribute('aria-selected', String(aba === nome));
+        });
+        // A prévia e a grade continuam existindo; apenas ficam ocultas enquanto outra aba está aberta
+        this.elements.conteudo.classList.toggle('aba-painel-ativa', aba === 'painel');
+        this.elements.conteudo.classList.toggle('aba-aluno-ativa', aba === 'aluno');
+        this.elements.panel.style.display = aba === 'painel' ? 'flex' : 'none';
+        this.elements.alunoPanel.style.display = aba === 'aluno' ? 'flex' : 'none';
+        if (aba === 'painel' && this.onAbrir) this.onAbrir();
+    }
+
+    /**
+     * Indica se a aba Painel está aberta
+     */
+    isAberto() {
+        return this.elements.abaPainel.classList.contains('ativa');
+    }
+
+    /**
+     * Exibe uma mensagem no lugar dos gráficos (sem dados, calculando, erro)
+     */
+    mostrarMensagem(mensagem) {
+        this.elements.resumo.textContent = '';
+        this.elements.mensagem.textContent = mensagem;
+        this.elements.graficos.style.display = 'none';
+    }
+
+    /**
+     * Exibe os indicadores
+     * @param {Object} painel - Retorno de DataModel.gerarPainel
+     * @param {string} descricaoFiltros - Empresa, turma e período considerados
+     */
+    mostrar(painel, descricaoFiltros) {
+        if (painel.registros === 0) {
+            this.mostrarMensagem(`Nenhum registro encontrado (${descricaoFiltros}).`);
+            return;
+        }
+        this.elements.resumo.textContent = `${descricaoFiltros} · ${painel.registros} ${painel.registros === 1 ? 'registro' : 'registros'} · ` +
+            `${painel.alunos} ${painel.alunos === 1 ? 'aluno' : 'alunos'} · ` +
+            `${this.formatarNumero(painel.horasAusencia)} h de ausência`;
+        this.elements.mensagem.textContent = '';
+        this.elements.graficos.style.display = '';
+
+        this.graficoColunas(this.elements.graficoMeses,
+            painel.porMes.map(m => ({ rotulo: m.mesAno, valores: [m.horasFaltas, m.horasAtraso] })),
+            ['Faltas', 'Atrasos'], 'h');
+        this.graficoBarras(this.elements.graficoTurmas, painel.porTurma.map(t => ({
+            rotulo: t.turma,
+            valor: t.horasAusencia,
+            texto: `${this.formatarNumero(t.horasAusencia)} h · ${this.formatarNumero(t.mediaPorAluno)} h/aluno`
+        })));
+        this.graficoBarras(this.elements.graficoEmpresas, painel.rankingEmpresas.map(e => ({
+            rotulo: e.nome,
+            valor: e.taxaAusencia,
+            texto: `${this.formatarNumero(e.taxaAusencia)}% · ${this.formatarNumero(e.horasAusencia)} h`
+        })));
+        this.graficoColunas(this.elements.graficoAtrasos,
+            painel.atrasos.map(a => ({ rotulo: `${this.formatarNumero(a.horas)} h`, valores: [a.ocorrencias] })),
+            ['Ocorrências'], '');
+    }
+
+    /**
+     * Gráfico de colunas (empilhadas quando há mais de uma série)
+     * @param {HTMLElement} container - Onde o gráfico é desenhado
+     * @param {Array<Object>} itens - [{rotulo, valores}] (um valor por série)
+     * @param {Array<string>} series - Nome de cada série (legenda e dica)
+     * @param {string} unidade - Sufixo dos valores ('h' ou vazio)
+     */
+    graficoColunas(container, itens, series, unidade) {
+        container.innerHTML = '';
+        if (itens.length === 0) {
+            container.appendChild(this.criarVazio());
+            return;
+        }
+
+        const altura = 220;
+        const topo = 20;
+        const base = 24;
+        const larguraColuna = 44;
+        const espaco = 16;
+        const largura = Math.max(320, espaco + itens.length * (larguraColuna + espaco));
+        const area = altura - topo - base;
+        const sufixo = unidade ? ` ${unidade}` : '';
+        const maximo = Math.max(1, ...itens.map(item => item.valores.reduce((soma, v) => soma + v, 0)));
+
+        const svg = this.criarSvg(largura, altura);
+        svg.appendChild(this.criarElemento('line', {
+            x1: 0, y1: altura - base, x2: largura, y2: altura - base, class: 'grafico-eixo'
+        }));
+
+        itens.forEach((item, idx) => {
+            const x = espaco + idx * (larguraColuna + espaco);
+            const centro = x + larguraColuna / 2;
+            let y = altura - base;
+            item.valores.forEach((valor, serie) => {
+                if (valor <= 0) return;
+                const h = (valor / maximo) * area;
+                y -= h;
+                const coluna = this.criarElemento('rect', {
+                    x, y, width: larguraColuna, height: h, class: `grafico-serie-${serie}`
+                });
+                coluna.appendChild(this.criarTitulo(`${item.rotulo} · ${series[serie]}: ${this.formatarNumero(valor)}${sufixo}`));
+                svg.appendChild(coluna);
+            });
+            const total = item.valores.reduce((soma, v) => soma + v, 0);
+            svg.appendChild(this.criarTexto(this.formatarNumero(total), { x: centro, y: y - 4, 'text-anchor': 'middle' }));
+            svg.appendChild(this.criarTexto(item.rotulo, { x: centro, y: altura - 8, 'text-anchor': 'middle' }));
+        });
+
+        container.appendChild(svg);
+        if (series.length > 1) container.appendChild(this.criarLegenda(series));
+    }
+
+    /**
+     * Gráfico de barras horizontais, na ordem recebida (maiores primeiro)
+     * @param {HTMLElement} container - Onde o gráfico é desenhado
+     * @param {Array<Object>} itens - [{rotulo, valor, texto}]
+     */
+    graficoBarras(container, itens) {
+        container.innerHTML = '';
+        if (itens.length === 0) {
+            container.appendChild(this.criarVazio());
+            return;
+        }
+
+        const visiveis = itens.slice(0, this.LIMITE_BARRAS);
+        const alturaLinha = 26;
+        const larguraRotulo = 180;
+        const larguraBarra = 260;
+        const largura = larguraRotulo + larguraBarra + 150;
+        const altura = visiveis.length * alturaLinha + 4;
+        const maximo = Math.max(1, ...visiveis.map(item => item.valor));
+
+        const svg = this.criarSvg(largura, altura);
+        visiveis.forEach((item, idx) => {
+            const y = idx * alturaLinha + 4;
+            const rotulo = item.rotulo.length > 26 ? `${item.rotulo.slice(0, 25)}…` : item.rotulo;
+            const textoRotulo = this.criarTexto(rotulo, { x: larguraRotulo - 8, y: y + 15, 'text-anchor': 'end' });
+            textoRotulo.appendChild(this.criarTitulo(item.rotulo));
+            svg.appendChild(textoRotulo);
+
+            const w = Math.max(item.valor > 0 ? 2 : 0, (item.valor / maximo) * larguraBarra);
+            const barra = this.criarElemento('rect', {
+                x: larguraRotulo, y, width: w, height: alturaLinha - 8, class: 'grafico-serie-0'
+            });
+            barra.appendChild(this.criarTitulo(`${item.rotulo}: ${item.texto}`));
+            svg.appendChild(barra);
+            svg.appendChild(this.criarTexto(item.texto, { x: larguraRotulo + w + 6, y: y + 15 }));
+        });
+
+        container.appendChild(svg);
+        if (itens.length > visiveis.length) {
+            const aviso = document.createElement('small');
+            aviso.className = 'form-help';
+            aviso.textContent = `Exibindo ${visiveis.length} de ${itens.length}.`;
+            container.appendChild(aviso);
+        }
+    }
+
+    /**
+     * Cria o elemento <svg> (largura fixa no viewBox; a largura na tela acompanha o container)
+     */
+    criarSvg(largura, altura) {
+        return this.criarElemento('svg', {
+            viewBox: `0 0 ${largura} ${altura}`,
+            width: largura,
+            class: 'grafico-svg',
+            role: 'img'
+        });
+    }
+
+    /**
+     * Cria um elemento SVG com os atributos informados
+     */
+    criarElemento(tag, atributos = {}) {
+        const elemento = document.createElementNS(this.SVG_NS, tag);
+        Object.entries(atributos).forEach(([nome, valor]) => elemento.setAttribute(nome, valor));
+        return elemento;
+    }
+
+    /**
+     * Cria um texto SVG
+     */
+    criarTexto(texto, atributos) {
+        const elemento = this.criarElemento('text', Object.assign({ class: 'grafico-texto' }, atributos));
+        elemento.textContent = texto;
+        return elemento;
+    }
+
+    /**
+     * Dica exibida ao passar o mouse (<title> do SVG)
+     */
+    criarTitulo(texto) {
+        const titulo = this.criarElemento('title');
+        titulo.textContent = texto;
+        return titulo;
+    }
+
+    /**
+     * Legenda das séries de um gráfico de colunas
+     */
+    criarLegenda(series) {
+        const legenda = document.createElement('div');
+        legenda.className = 'grafico-legenda';
+        series.forEach((nome, idx) => {
+            const item = document.createElement('span');
+            const amostra = document.createElement('span');
+            amostra.className = `grafico-amostra grafico-amostra-${idx}`;
+            item.appendChild(amostra);
+            item.appendChild(document.createTextNode(nome));
+            legenda.appendChild(item);
+        });
+        return legenda;
+    }
+
+    /**
+     * Aviso de gráfico sem dados
+     */
+    criarVazio() {
+        const vazio = document.createElement('small');
+        vazio.className = 'form-help';
+        vazio.textContent = 'Sem ocorrências com os filtros atuais.';
+        return vazio;
+    }
+
+    /**
+     * Formata número no padrão brasileiro (até 2 casas decimais)
+     */
+    formatarNumero(valor) {
+        return (Number(valor) || 0).toLocaleString('pt-BR', { maximumFractionDigits: 2 });
+    }
+}
@@ -0,0 +1,600 @@
+/**
+ * ReportExcelView - View do relatório em Excel (.xlsx)
+ * Responsável por: montar a pasta de trabalho do relatório (títulos, cabeçalho, larguras, mesclagens,
+ * listras, bordas e destaques de cada aba) com o SheetJS (xlsx-js-style) e os trechos dos nomes dos
+ * arquivos gerados. Não acessa a página:
+ * é usada pelo FrequencyController no navegador e pela linha de comando (cli/gerar-relatorio.js) no Node.
+ */
+class ReportExcelView {
+    /**
+     * @param {DataModel} dataModel - Model com as regras de resumo (turmas, empresas × turmas, alunos em risco)
+     */
+    constructor(dataModel) {
+        this.model = dataModel;
+    }
+
+    /**
+     * Título do relatório de frequência de um período
+     * @param {string} rotuloPeriodo - MM/YYYY ou MM/YYYY a MM/YYYY
+     */
+    getTituloRelatorio(rotuloPeriodo) {
+        return `Relatório de Frequência - Aprendizes - ${rotuloPeriodo}`;
+    }
+
+    /**
+     * Retorna o rótulo do período para títulos (MM/YYYY ou MM/YYYY a MM/YYYY)
+     * @param {Array<string>} meses - Meses do relatório (MM/YYYY)
+     */
+    getRotuloPeriodo(meses) {
+        if (meses && meses.length > 1) return `${meses[0]} a ${meses[meses.length - 1]}`;
+        if (meses && meses.length === 1) return meses[0];
+        // Fallback: tentar pegar do intervalo do dataset
+        const datas = this.model.getDatasDisponiveis();
+        return datas && datas.length > 0 ? this.model.getMesAno(datas[0]) : '';
+    }
+
+    /**
+     * Retorna o período para nomes de arquivo (YYYY-MM ou YYYY-MM_a_YYYY-MM)
+     * @param {Array<string>} meses - Meses do relatório (MM/YYYY)
+     */
+    getPeriodoArquivo(meses) {
+        const formatar = mesAno => mesAno.split('/').reverse().join('-');
+        if (!meses || meses.length === 0) return 'periodo';
+        if (meses.length === 1) return formatar(meses[0]);
+        return `${formatar(meses[0])}_a_${formatar(meses[meses.length - 1])}`;
+    }
+
+    /**
+     * Converte um texto em trecho seguro para nome de arquivo (sem acentos, espaços ou símbolos)
+     */
+    nomeParaArquivo(texto) {
+        return String(texto || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/gi, '_')
+            .replace(/^_+|_+$/g, '')
+            .toUpperCase() || 'EMPRESA';
+    }
+
+    /**
+     * Monta a pasta de trabalho do relatório (aba do período, uma aba por mês no layout mensal,
+     * alunos em risco, grade diária, resumo por turma, empresas × turmas e comparação com outro período)
+     * @param {Object} resultado - Retorno de gerarRelatorio
+     * @param {Array|null} relatoriosMensais - [{mesAno, relatorio}] para o layout "uma aba por mês"
+     * @param {Object|null} grade - Grade diária (ver DataModel.gerarGradeDiaria)
+     * @param {Object|null} comparacao - Comparação com outro período (ver DataModel.compararPeriodos)
+     * @returns {Object} - Workbook do SheetJS
+     */
+    montarWorkbook(resultado, relatoriosMensais = null, grade = null, comparacao = null) {
+        const wb = XLSX.utils.book_new();
+        const multiMes = resultado.meses.length > 1;
+        const porMesEmColunas = multiMes && !relatoriosMensais;
+
+        const excelData = this.montarLinhasExcel(resultado.relatorio, multiMes ? resultado.meses : [], porMesEmColunas);
+        const ws = this.criarPlanilhaRelatorio(excelData, this.getRotuloPeriodo(resultado.meses));
+        this.destacarSituacoes(ws, resultado.relatorio);
+        XLSX.utils.book_append_sheet(wb, ws, multiMes ? 'Total do Período' : 'Relatório de Frequência');
+
+        // Uma aba por mês, no layout mensal
+        (relatoriosMensais || []).forEach(({ mesAno, relatorio }) => {
+            const wsMes = this.criarPlanilhaRelatorio(this.montarLinhasExcel(relatorio), mesAno);
+            this.destacarSituacoes(wsMes, relatorio);
+            XLSX.utils.book_append_sheet(wb, wsMes, mesAno.replace('/', '-'));
+        });
+
+        const emRisco = this.model.listarAlunosEmRisco(resultado.relatorio);
+        if (emRisco.length > 0) {
+            XLSX.utils.book_append_sheet(
+                wb,
+                this.criarPlanilhaRelatorio(
+                    this.montarLinhasRisco(emRisco),
+                    this.getRotuloPeriodo(resultado.meses),
+                    `Alunos em Risco por Horas de Ausência - ${this.getRotuloPeriodo(resultado.meses)}`
+                ),
+                'Alunos em Risco'
+            );
+            this.destacarSituacoes(wb.Sheets['Alunos em Risco'], emRisco);
+        }
+
+        if (grade && grade.linhas.length > 0) {
+            this.adicionarAbaGrade(wb, grade, this.getRotuloPeriodo(resultado.meses));
+        }
+        this.adicionarAbasResumo(wb, resultado.relatorio, this.getRotuloPeriodo(resultado.meses));
+        if (comparacao) this.adicionarAbasComparacao(wb, comparacao);
+        return wb;
+    }
+
+    /**
+     * Acrescenta a aba da grade diária: uma linha por aluno, uma coluna por dia de aula (DD/MM),
+     * células coloridas pelo tipo do código e legenda abaixo da tabela
+     * @param {Object} wb - Workbook do SheetJS
+     * @param {Object} grade - Retorno de DataModel.gerarGradeDiaria
+     * @param {string} rotuloPeriodo - Período exibido no título
+     */
+    adicionarAbaGrade(wb, grade, rotuloPeriodo) {
+        const colunasFixas = ['TURMA', 'ALUNO', 'EMPRESA'];
+        const linhas = grade.linhas.map(aluno => {
+            const linha = { 'TURMA': aluno.TURMA, 'ALUNO': aluno.ALUNO, 'EMPRESA': aluno.EMPRESA };
+            grade.dias.forEach(data => {
+                linha[data.slice(0, 5)] = aluno.codigos[data] || '';
+            });
+            return linha;
+        });
+
+        const ws = this.criarPlanilhaRelatorio(linhas, rotuloPeriodo, `Grade Diária de Frequência - ${rotuloPeriodo}`);
+        ws['!cols'] = ws['!cols'].map((col, idx) => (idx < colunasFixas.length ? col : { wch: 7 }));
+
+        // Cor de cada código (linha 6 em diante; linha 5 = cabeçalho)
+        grade.linhas.forEach((aluno, idxLinha) => {
+            grade.dias.forEach((data, idxDia) => {
+                const codigo = aluno.codigos[data];
+                const celula = ws[XLSX.utils.encode_cell({ r: 5 + idxLinha, c: colunasFixas.length + idxDia })];
+                if (!codigo || !celula) return;
+                const cor = ReportExcelView.CORES_GRADE[this.model.getTipoCodigoGrade(codigo)];
+                celula.s = Object.assign({}, celula.s, {
+                    alignment: { horizontal: 'center' },
+                    fill: { patternType: 'solid', fgColor: { rgb: cor } }
+                });
+            });
+        });
+
+        // Legenda dos códigos
+        const legenda = DataModel.CODIGOS_GRADE.map(({ codigo, descricao }) => `${codigo} = ${descricao}`).join('   ');
+        XLSX.utils.sheet_add_aoa(ws, [[`Legenda: ${legenda}`]], { origin: `A${7 + grade.linhas.length}` });
+
+        XLSX.utils.book_append_sheet(wb, ws, 'Grade Diária');
+    }
+
+    /**
+     * Acrescenta as abas de resumo: uma linha por turma e o cruzamento empresas × turmas
+     * @param {Object} wb - Workbook do SheetJS
+     * @param {Array} relatorio - Linhas de gerarRelatorio (total do período)
+     * @param {string} rotuloPeriodo - Período exibido nos títulos
+     */
+    adicionarAbasResumo(wb, relatorio, rotuloPeriodo) {
+        const porTurma = this.model.resumirPorTurma(relatorio);
+        const totalAlunos = porTurma.reduce((soma, r) => soma + r.alunos, 0);
+        const totalHoras = porTurma.reduce((soma, r) => soma + r.totalHorasAusencia, 0);
+        const linhasTurma = porTurma.map(r => ({
+            'TURMA': r.turma,
+            'Nº ALUNOS': r.alunos,
+            'TOTAL HORAS DE AUSÊNCIA': r.totalHorasAusencia,
+            'MÉDIA DE HORAS POR ALUNO': r.mediaPorAluno
+        }));
+        linhasTurma.push({
+            'TURMA': 'TOTAL',
+            'Nº ALUNOS': totalAlunos,
+            'TOTAL HORAS DE AUSÊNCIA': this.model.arredondar(totalHoras),
+            'MÉDIA DE HORAS POR ALUNO': totalAlunos > 0 ? this.model.arredondar(totalHoras / totalAlunos) : 0
+        });
+        XLSX.utils.book_append_sheet(
+            wb,
+            this.criarPlanilhaRelatorio(linhasTurma, rotuloPeriodo, `Resumo por Turma - ${rotuloPeriodo}`),
+            'Resumo por Turma'
+        );
+
+        const cruzamento = this.model.cruzarEmpresasTurmas(relatorio);
+        const linhaCruzada = (empresa, valores, total) => {
+            const linha = { 'EMPRESA': empresa };
+            cruzamento.turmas.forEach(turma => {
+                linha[turma] = valores[turma] !== undefined ? valores[turma] : '';
+            });
+            linha['TOTAL'] = total;
+            return linha;
+        };
+        const linhasEmpresa = cruzamento.linhas.map(l => linhaCruzada(l.empresa, l.porTurma, l.total));
+        linhasEmpresa.push(linhaCruzada('TOTAL', cruzamento.totaisPorTurma, cruzamento.total));
+        XLSX.utils.book_append_sheet(
+            wb,
+            this.criarPlanilhaRelatorio(linhasEmpresa, rotuloPeriodo, `Horas de Ausência por Empresa e Turma - ${rotuloPeriodo}`),
+            'Empresas x Turmas'
+        );
+    }
+
+    /**
+     * Acrescenta as abas da comparação com outro período: uma linha por aluno (da maior piora para a
+     * maior melhora) e uma por empresa, com as variações destacadas
+     * @param {Object} wb - Workbook do SheetJS
+     * @param {Object} comparacao - Retorno de DataModel.compararPeriodos
+     */
+    adicionarAbasComparacao(wb, comparacao) {
+        const rotulo = `${this.getRotuloComparacao(comparacao.periodoAtual)} × ${this.getRotuloComparacao(comparacao.periodoComparacao)}`;
+        const horas = valor => (valor === null ? '' : valor);
+
+        const linhasAluno = comparacao.alunos.map(aluno => {
+            const linha = {
+                'MUDANÇA': DataModel.MUDANCAS_COMPARACAO[aluno.MUDANCA],
+                'TURMA': aluno.TURMA,
+                'ALUNO': aluno.ALUNO,
+                'EMPRESA': aluno.EMPRESA,
+                'HORAS NO PERÍODO DE COMPARAÇÃO': horas(aluno.HORAS_ANTERIOR),
+                'HORAS NO PERÍODO ATUAL': horas(aluno.HORAS_ATUAL),
+                'VARIAÇÃO (HORAS)': horas(aluno.VARIACAO)
+            };
+            if (comparacao.comLimite) {
+                linha['SITUAÇÃO ANTERIOR'] = DataModel.SITUACOES_LIMITE[aluno.SITUACAO_ANTERIOR] || '';
+                linha['SITUAÇÃO ATUAL'] = DataModel.SITUACOES_LIMITE[aluno.SITUACAO_ATUAL] || '';
+            }
+            return linha;
+        });
+        const wsAlunos = this.criarPlanilhaRelatorio(linhasAluno, rotulo, `Comparação de Horas de Ausência por Aluno - ${rotulo}`);
+        this.destacarVariacoes(wsAlunos, comparacao.alunos);
+        XLSX.utils.book_append_sheet(wb, wsAlunos, 'Comparação por Aluno');
+
+        const linhaEmpresa = empresa => {
+            const linha = {
+                'EMPRESA': empresa.EMPRESA,
+                'ALUNOS NO PERÍODO DE COMPARAÇÃO': empresa.ALUNOS_ANTERIOR,
+                'ALUNOS NO PERÍODO ATUAL': empresa.ALUNOS_ATUAL,
+                'HORAS NO PERÍODO DE COMPARAÇÃO': empresa.HORAS_ANTERIOR,
+                'HORAS NO PERÍODO ATUAL': empresa.HORAS_ATUAL,
+                'VARIAÇÃO (HORAS)': empresa.VARIACAO,
+                'VARIAÇÃO (%)': horas(empresa.VARIACAO_PERCENTUAL)
+            };
+            if (comparacao.comLimite) linha['NOVOS EM RISCO'] = empresa.NOVOS_EM_RISCO;
+            linha['PIORARAM'] = empresa.PIORARAM;
+            linha['MELHORARAM'] = empresa.MELHORARAM;
+            return linha;
+        };
+        const empresas = comparacao.empresas.concat(comparacao.totais);
+        const wsEmpresas = this.criarPlanilhaRelatorio(
+            empresas.map(linhaEmpresa),
+            rotulo,
+            `Comparação de Horas de Ausência por Empresa - ${rotulo}`
+        );
+        this.destacarVariacoes(wsEmpresas, empresas);
+        XLSX.utils.book_append_sheet(wb, wsEmpresas, 'Comparação por Empresa');
+    }
+
+    /**
+     * Destaca as variações da comparação: aumento das horas em vermelho, redução em verde e a linha
+     * inteira dos alunos que passaram a ficar em risco
+     * @param {Object} ws - Worksheet de criarPlanilhaRelatorio
+     * @param {Array<Object>} itens - Alunos ou empresas da comparação, na mesma ordem da planilha
+     */
+    destacarVariacoes(ws, itens) {
+        const ultimaColuna = XLSX.utils.decode_range(ws['!ref']).e.c;
+        const colunasVariacao = [];
+        for (let c = 0; c <= ultimaColuna; c++) {
+            const celula = ws[XLSX.utils.encode_cell({ r: 4, c })];
+            if (celula && ['MUDANÇA', 'VARIAÇÃO (HORAS)', 'VARIAÇÃO (%)'].includes(celula.v)) colunasVariacao.push(c);
+        }
+        const preencher = (r, c, cor) => {
+            const celula = ws[XLSX.utils.encode_cell({ r, c })];
+            if (celula) celula.s = Object.assign({}, celula.s, { fill: { patternType: 'solid', fgColor: { rgb: cor } } });
+        };
+
+        itens.forEach((item, idxLinha) => {
+            const r = 5 + idxLinha;
+            if (item.MUDANCA === 'novo-risco') {
+                for (let c = 0; c <= ultimaColuna; c++) preencher(r, c, ReportExcelView.CORES_SITUACAO.risco);
+            }
+            if (item.VARIACAO > 0) {
+                colunasVariacao.forEach(c => preencher(r, c, ReportExcelView.CORES_VARIACAO.piora));
+            } else if (item.VARIACAO < 0) {
+                colunasVariacao.forEach(c => preencher(r, c, ReportExcelView.CORES_VARIACAO.melhora));
+            }
+        });
+    }
+
+    /**
+     * Rótulo de um período da comparação (DD/MM/YYYY a DD/MM/YYYY)
+     * @param {Object} periodo - {inicio, fim}
+     */
+    getRotuloComparacao(periodo) {
+        return `${periodo.inicio} a ${periodo.fim}`;
+    }
+
+    /**
+     * Converte as linhas do relatório para as colunas do Excel
+     * @param {Array} dados - Linhas de gerarRelatorio
+     * @param {Array<string>} meses - Meses do período; com mais de um mês, MES/ANO dão lugar a PERÍODO
+     * @param {boolean} porMesEmColunas - Acrescenta uma coluna de horas de ausência por mês
+     * @returns {Array<Object>} - Linhas com cabeçalhos do Excel (aulas, presenças e % de frequência quando há calendário
+     *          cadastrado; SITUAÇÃO quando o perfil define limite de ausência)
+     */
+    montarLinhasExcel(dados, meses = [], porMesEmColunas = false) {
+        const periodo = meses.length > 1 ? `${meses[0]} a ${meses[meses.length - 1]}` : null;
+        const comFrequencia = dados.some(aluno => aluno.AULAS_NO_PERIODO !== null && aluno.AULAS_NO_PERIODO !== undefined);
+        const comLimite = dados.some(aluno => aluno.PERCENTUAL_DO_LIMITE !== null && aluno.PERCENTUAL_DO_LIMITE !== undefined);
+
+        return dados.map(aluno => {
+            const linha = {
+                'TURMA': aluno.TURMA,
+                'ALUNO': aluno.ALUNO,
+                'STATUS': aluno.STATUS,
+                'EMPRESA': aluno.EMPRESA,
+                'CURSO': aluno.CURSO
+            };
+            if (periodo) {
+                linha['PERÍODO'] = periodo;
+            } else {
+                linha['MES'] = aluno.MES;
+                linha['ANO'] = aluno.ANO;
+            }
+            Object.assign(linha, {
+                'FALTAS JUSTIFICADAS (DIAS)': aluno.FALTAS_JUSTIFICADAS_DIAS,
+                'Nº FALTAS JUSTIFICADAS': aluno.NUM_FALTAS_JUSTIFICADAS,
+                'FALTAS NÃO JUSTIFICADAS (DIAS)': aluno.FALTAS_NAO_JUSTIFICADAS_DIAS,
+                'Nº FALTAS NÃO JUSTIFICADAS': aluno.NUM_FALTAS_NAO_JUSTIFICADAS,
+                'ATRASOS (DIAS)': aluno.ATRASOS_DIAS,
+                'Nº HORAS DE ATRASO': aluno.NUM_HORAS_ATRASO,
+                'TOTAL HORAS DE AUSÊNCIA NO CURSO': aluno.TOTAL_HORAS_AUSENCIA
+            });
+            if (comFrequencia) {
+                // Turmas sem calendário cadastrado ficam em branco
+                const valor = v => (v === null || v === undefined ? '' : v);
+                Object.assign(linha, {
+                    'TOTAL DE AULAS NO PERÍODO': valor(aluno.AULAS_NO_PERIODO),
+                    'TOTAL DE PRESENÇAS': valor(aluno.PRESENCAS),
+                    'HORAS PREVISTAS': valor(aluno.HORAS_PREVISTAS),
+                    'HORAS PRESENTES': valor(aluno.HORAS_PRESENTES),
+                    'PERCENTUAL DE FREQUÊNCIA': valor(aluno.PERCENTUAL_FREQUENCIA)
+                });
+            }
+            if (porMesEmColunas) {
+                meses.forEach(mesAno => {
+                    const totais = (aluno.POR_MES || {})[mesAno];
+                    linha[`HORAS DE AUSÊNCIA ${mesAno}`] = totais ? totais.TOTAL_HORAS_AUSENCIA : 0;
+                });
+            }
+            if (comLimite) {
+                linha['% DO LIMITE'] = aluno.PERCENTUAL_DO_LIMITE;
+                linha['SITUAÇÃO'] = DataModel.SITUACOES_LIMITE[aluno.SITUACAO_LIMITE] || '';
+            }
+            return linha;
+        });
+    }
+
+    /**
+     * Linhas da lista de alunos em risco (aba "Alunos em Risco")
+     * @param {Array} lista - Retorno de DataModel.listarAlunosEmRisco
+     */
+    montarLinhasRisco(lista) {
+        return lista.map(aluno => ({
+            'SITUAÇÃO': DataModel.SITUACOES_LIMITE[aluno.SITUACAO_LIMITE],
+            'TURMA': aluno.TURMA,
+            'ALUNO': aluno.ALUNO,
+            'STATUS': aluno.STATUS,
+            'EMPRESA': aluno.EMPRESA,
+            'Nº FALTAS JUSTIFICADAS': aluno.NUM_FALTAS_JUSTIFICADAS,
+            'Nº FALTAS NÃO JUSTIFICADAS': aluno.NUM_FALTAS_NAO_JUSTIFICADAS,
+            'Nº HORAS DE ATRASO': aluno.NUM_HORAS_ATRASO,
+            'TOTAL HORAS DE AUSÊNCIA NO CURSO': aluno.TOTAL_HORAS_AUSENCIA,
+            'LIMITE DE HORAS': aluno.LIMITE_HORAS_AUSENCIA,
+            '% DO LIMITE': aluno.PERCENTUAL_DO_LIMITE
+        }));
+    }
+
+    /**
+     * Preenche as linhas de alunos em risco/atenção com a cor da situação
+     * @param {Object} ws - Worksheet de criarPlanilhaRelatorio
+     * @param {Array} dados - Linhas do relatório, na mesma ordem da planilha
+     */
+    destacarSituacoes(ws, dados) {
+        const ultimaColuna = XLSX.utils.decode_range(ws['!ref']).e.c;
+        dados.forEach((aluno, idxLinha) => {
+            const cor = ReportExcelView.CORES_SITUACAO[aluno.SITUACAO_LIMITE];
+            if (!cor) return;
+            for (let c = 0; c <= ultimaColuna; c++) {
+                const celula = ws[XLSX.utils.encode_cell({ r: 5 + idxLinha, c })];
+                if (celula) celula.s = Object.assign({}, celula.s, { fill: { patternType: 'solid', fgColor: { rgb: cor } } });
+            }
+        });
+    }
+
+    /**
+     * Cria a planilha formatada do relatório (títulos, cabeçalho, listras, bordas)
+     * @param {Array<Object>} excelData - Linhas de montarLinhasExcel
+     * @param {string} rotuloPeriodo - Período exibido no título (MM/YYYY ou MM/YYYY a MM/YYYY)
+     * @param {string} titulo - Título da terceira linha (padrão: relatório de frequência do período)
+     * @returns {Object} - Worksheet do SheetJS
+     */
+    criarPlanilhaRelatorio(excelData, rotuloPeriodo, titulo = null) {
+        // Utilitário: converte índice de coluna (1-based) para letra Excel
+        const colToLetter = (colNum) => {
+            let letter = '';
+            while (colNum > 0) {
+                const mod = (colNum - 1) % 26;
+                letter = String.fromCharCode(65 + mod) + letter;
+                colNum = Math.floor((colNum - mod) / 26);
+            }
+            return letter;
+        };
+
+        const headers = excelData.length > 0 ? Object.keys(excelData[0]) : [];
+
+        // Criar worksheet em branco
+        const ws = XLSX.utils.aoa_to_sheet([]);
+
+        // Títulos (linhas 1 a 3)
+        const [titulo1, titulo2] = ReportExcelView.CABECALHO_RELATORIO;
+        const titulo3 = titulo || this.getTituloRelatorio(rotuloPeriodo);
+
+        // Escrever títulos
+        XLSX.utils.sheet_add_aoa(ws, [[titulo1]], { origin: 'A1' });
+        XLSX.utils.sheet_add_aoa(ws, [[titulo2]], { origin: 'A2' });
+        XLSX.utils.sheet_add_aoa(ws, [[titulo3]], { origin: 'A3' });
+
+        // Adicionar dados a partir da linha 5 (linha 5 = header)
+        XLSX.utils.sheet_add_json(ws, excelData, { origin: 'A5', skipHeader: false });
+
+        // Ajustar largura das colunas (balanceadas para caber os títulos sem excesso de espaço)
+        const larguras = {
+            'TURMA': 18,
+            'ALUNO': 38,
+            'STATUS': 14,
+            'EMPRESA': 36,
+            'CURSO': 32,
+            'MES': 8,
+            'ANO': 8,
+            'PERÍODO': 20,
+            'FALTAS JUSTIFICADAS (DIAS)': 26,
+            'Nº FALTAS JUSTIFICADAS': 20,
+            'FALTAS NÃO JUSTIFICADAS (DIAS)': 28,
+            'Nº FALTAS NÃO JUSTIFICADAS': 24,
+            'ATRASOS (DIAS)': 18,
+            'Nº HORAS DE ATRASO': 18,
+            'TOTAL HORAS DE AUSÊNCIA NO CURSO': 34,
+            // Abas de resumo
+            'Nº ALUNOS': 12,
+            'TOTAL HORAS DE AUSÊNCIA': 26,
+            'MÉDIA DE HORAS POR ALUNO': 28,
+            'TOTAL': 12,
+            // Frequência pelo calendário cadastrado
+            'TOTAL DE AULAS NO PERÍODO': 26,
+            'TOTAL DE PRESENÇAS': 20,
+            'HORAS PREVISTAS': 17,
+            'HORAS PRESENTES': 17,
+            'PERCENTUAL DE FREQUÊNCIA': 26,
+            // Limites de ausência
+            'SITUAÇÃO': 12,
+            'LIMITE DE HORAS': 16,
+            '% DO LIMITE': 13,
+            // Abas de comparação de períodos
+            'MUDANÇA': 28,
+            'HORAS NO PERÍODO DE COMPARAÇÃO': 32,
+            'HORAS NO PERÍODO ATUAL': 24,
+            'ALUNOS NO PERÍODO DE COMPARAÇÃO': 33,
+            'ALUNOS NO PERÍODO ATUAL': 25,
+            'VARIAÇÃO (HORAS)': 18,
+            'VARIAÇÃO (%)': 14,
+            'SITUAÇÃO ANTERIOR': 20,
+            'SITUAÇÃO ATUAL': 16,
+            'NOVOS EM RISCO': 16,
+            'PIORARAM': 12,
+            'MELHORARAM': 13,
+            // Aba de inconsistências
+            'ARQUIVO': 30,
+            'LINHA': 8,
+            'CAMPO': 16,
+            'VALOR': 22,
+            'PROBLEMA': 24,
+            'DETALHE': 70
+        };
+        ws['!cols'] = headers.map(h => ({ wch: larguras[h] || 24 }));
+
+        // Mesclar células para os títulos (A1:last, A2:last, A3:last)
+        ws['!merges'] = [
+            { s: { r: 0, c: 0 }, e: { r: 0, c: headers.length - 1 } },
+            { s: { r: 1, c: 0 }, e: { r: 1, c: headers.length - 1 } },
+            { s: { r: 2, c: 0 }, e: { r: 2, c: headers.length - 1 } }
+        ];
+
+        // Estilos (requer xlsx-js-style na página)
+        const centerBold = { alignment: { horizontal: 'center' }, font: { bold: true, sz: 12 } };
+        const centerBoldBig = { alignment: { horizontal: 'center' }, font: { bold: true, sz: 14 } };
+        const headerFill = { fill: { patternType: 'solid', fgColor: { rgb: 'FFE6F2FF' } }, font: { bold: true } };
+        const altFill = { fill: { patternType: 'solid', fgColor: { rgb: 'FFF5FAFF' } } };
+        const whiteFill = { fill: { patternType: 'solid', fgColor: { rgb: 'FFFFFFFF' } } };
+
+        // Aplicar estilos títulos
+        ['A1', 'A2', 'A3'].forEach((addr, idx) => {
+            if (!ws[addr]) return;
+            ws[addr].s = Object.assign({}, idx === 0 ? centerBoldBig : centerBold, whiteFill);
+        });
+
+        // Estilizar header (linha 5)
+        for (let c = 1; c <= headers.length; c++) {
+            const cell = `${colToLetter(c)}5`;
+            if (ws[cell]) {
+                ws[cell].s = Object.assign({ alignment: { horizontal: 'center', vertical: 'center' } }, headerFill);
+            }
+        }
+
+        // Listras alternadas nas linhas de dados (a partir da linha 6)
+        const firstDataRow = 6;
+        const lastDataRow = 5 + excelData.length;
+        for (let r = firstDataRow; r <= lastDataRow; r++) {
+            const isAlt = (r - firstDataRow) % 2 === 0;
+            for (let c = 1; c <= headers.length; c++) {
+                const addr = `${colToLetter(c)}${r}`;
+                if (ws[addr]) {
+                    ws[addr].s = Object.assign({}, ws[addr].s || {}, isAlt ? altFill : whiteFill);
+                }
+            }
+        }
+
+        // Aplicar bordas finas em toda a tabela (header + dados)
+        const thinBorder = {
+            border: {
+                top: { style: 'thin', color: { rgb: 'FFB3B3B3' } },
+                bottom: { style: 'thin', color: { rgb: 'FFB3B3B3' } },
+                left: { style: 'thin', color: { rgb: 'FFB3B3B3' } },
+                right: { style: 'thin', color: { rgb: 'FFB3B3B3' } }
+            }
+        };
+        for (let r = 5; r <= lastDataRow; r++) {
+            for (let c = 1; c <= headers.length; c++) {
+                const addr = `${colToLetter(c)}${r}`;
+                if (ws[addr]) {
+                    ws[addr].s = Object.assign({}, ws[addr].s || {}, thinBorder);
+                }
+            }
+        }
+
+        // Desabilitar gridlines (exibição e impressão)
+        ws['!gridlines'] = false; // alguns apps respeitam esta flag
+        ws['!sheetViews'] = [{ showGridLines: false }]; // tentativa adicional para compatibilidade
+        ws['!printOptions'] = Object.assign({}, ws['!printOptions'] || {}, { gridLines: false });
+
+        // Aplicar preenchimento branco em área estendida para ocultar gridlines também fora da tabela
+        const extendToCol = Math.max(13, headers.length); // pelo menos até coluna M
+        const extendToRow = Math.max(lastDataRow + 10, 30); // pelo menos 10 linhas após dados
+        for (let r = 1; r <= extendToRow; r++) {
+            for (let c = 1; c <= extendToCol; c++) {
+                const addr = `${colToLetter(c)}${r}`;
+                if (!ws[addr]) {
+                    ws[addr] = { t: 's', v: '' }; // célula vazia com string
+                }
+                if (!ws[addr].s) {
+                    ws[addr].s = {};
+                }
+                // Se não tem fill definido, aplicar branco
+                if (!ws[addr].s.fill) {
+                    ws[addr].s.fill = { patternType: 'solid', fgColor: { rgb: 'FFFFFFFF' } };
+                }
+            }
+        }
+
+        return ws;
+    }
+}
+
+/**
+ * Linhas fixas do cabeçalho dos relatórios (Excel e PDF)
+ */
+ReportExcelView.CABECALHO_RELATORIO = ['SENAI - MARACANÃ', 'PROGRAMA DE APRENDIZAGEM INDUSTRIAL'];
+
+/**
+ * Cores (ARGB) das linhas de alunos em risco/atenção no Excel (ver DataModel.SITUACOES_LIMITE)
+ */
+ReportExcelView.CORES_SITUACAO = {
+    'risco': 'FFF4CCCC',
+    'atencao': 'FFFCDDC7'
+};
+
+/**
+ * Cores (ARGB) das variações nas abas de comparação de períodos (mais horas de ausência = piora)
+ */
+ReportExcelView.CORES_VARIACAO = {
+    'piora': 'FFF4CCCC',
+    'melhora': 'FFDDF2E0'
+};
+
+/**
+ * Cores (ARGB) dos tipos de código da grade diária no Excel (ver DataModel.CODIGOS_GRADE)
+ */
+ReportExcelView.CORES_GRADE = {
+    'F': 'FFF4CCCC',
+    'FJ': 'FFFFE8B3',
+    'FP': 'FFFCDDC7',
+    'A': 'FFFFF6BF',
+    '?': 'FFE5E7EB',
+    'P': 'FFDDF2E0'
+};
+
+// Node (linha de comando): exportar a classe; no navegador ela fica global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReportExcelView;
+}
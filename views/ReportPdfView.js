@@ -0,0 +1,234 @@
+/**
+ * ReportPdfView - View do relatório em PDF para impressão/arquivamento
+ * Responsável por: montar o documento (cabeçalho, dados do filtro, tabela de alunos com totais,
+ * linhas de assinatura e rodapé paginado) e o histórico de um aluno em uma página, com o jsPDF e o
+ * plugin AutoTable, incluídos em vendor/
+ */
+class ReportPdfView {
+    constructor() {
+        // Cores iguais às do Excel (cabeçalho, listras e bordas)
+        this.COR_CABECALHO = [230, 242, 255];
+        this.COR_LISTRA = [245, 250, 255];
+        this.COR_BORDA = [179, 179, 179];
+
+        // Margem da página (mm) e espaço necessário para o bloco de assinaturas
+        this.MARGEM = 12;
+        this.ALTURA_ASSINATURAS = 42;
+    }
+
+    /**
+     * Indica se as bibliotecas de PDF foram carregadas
+     */
+    disponivel() {
+        return typeof jspdf !== 'undefined' && typeof jspdf.jsPDF === 'function' &&
+            typeof jspdf.jsPDF.API.autoTable === 'function';
+    }
+
+    /**
+     * Monta o PDF do relatório
+     * @param {Object} resultado - Retorno de gerarRelatorio
+     * @param {Object} info - {cabecalho: Array<string>, titulo, empresa, turma, periodo}
+     * @returns {Object} - Documento do jsPDF (doc.save(nome) ou doc.output('arraybuffer'))
+     */
+    gerar(resultado, info) {
+        if (!this.disponivel()) {
+            throw new Error('A biblioteca de PDF (vendor/jspdf) não foi carregada.');
+        }
+
+        const doc = new jspdf.jsPDF({ orientation: 'landscape', unit: 'mm', format: 'a4' });
+        const largura = doc.internal.pageSize.getWidth();
+
+        // Cabeçalho (mesmas linhas de título do Excel)
+        let y = this.MARGEM + 4;
+        doc.setFont('helvetica', 'bold');
+        info.cabecalho.concat(info.titulo).forEach((linha, idx) => {
+            doc.setFontSize(idx === 0 ? 14 : 12);
+            doc.text(linha, largura / 2, y, { align: 'center' });
+            y += 6;
+        });
+
+        // Filtros do relatório
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(9);
+        [
+            `Empresa: ${info.empresa}`,
+            `Turma: ${info.turma}`,
+            `Período: ${info.periodo}`,
+            `Alunos: ${resultado.totalAlunos} · Registros: ${resultado.totalRegistros}`
+        ].forEach(linha => {
+            doc.text(linha, this.MARGEM, y);
+            y += 4.5;
+        });
+
+        // Tabela de alunos; a coluna de empresa só aparece quando há mais de uma
+        const variasEmpresas = new Set(resultado.relatorio.map(l => l.EMPRESA)).size > 1;
+        const colunas = [
+            { titulo: 'Turma', valor: l => l.TURMA },
+            { titulo: 'Aluno', valor: l => l.ALUNO },
+            { titulo: 'Status', valor: l => l.STATUS }
+        ];
+        if (variasEmpresas) colunas.push({ titulo: 'Empresa', valor: l => l.EMPRESA });
+        const colunasTexto = colunas.length;
+        colunas.push(
+            { titulo: 'Faltas just.', valor: l => l.NUM_FALTAS_JUSTIFICADAS, numero: true },
+            { titulo: 'Faltas não just.', valor: l => l.NUM_FALTAS_NAO_JUSTIFICADAS, numero: true },
+            { titulo: 'Horas de atraso', valor: l => l.NUM_HORAS_ATRASO, numero: true },
+            { titulo: 'Total horas de ausência', valor: l => l.TOTAL_HORAS_AUSENCIA, numero: true }
+        );
+
+        const totais = colunas.slice(colunasTexto).map(coluna =>
+            this.formatarNumero(resultado.relatorio.reduce((soma, l) => soma + (Number(coluna.valor(l)) || 0), 0)));
+        const rotuloTotal = `Total (${resultado.totalAlunos} ${resultado.totalAlunos === 1 ? 'aluno' : 'alunos'})`;
+
+        const columnStyles = {};
+        colunas.forEach((coluna, idx) => {
+            if (coluna.numero) columnStyles[idx] = { halign: 'right', cellWidth: 26 };
+        });
+
+        doc.autoTable({
+            startY: y + 2,
+            margin: { left: this.MARGEM, right: this.MARGEM, bottom: this.MARGEM + 6 },
+            theme: 'grid',
+            head: [colunas.map(c => c.titulo)],
+            body: resultado.relatorio.map(linha => colunas.map(c => (c.numero ? this.formatarNumero(c.valor(linha)) : (c.valor(linha) || '')))),
+            foot: [[{ content: rotuloTotal, colSpan: colunasTexto }].concat(totais)],
+            showFoot: 'lastPage',
+            styles: { font: 'helvetica', fontSize: 8, cellPadding: 1.5, lineColor: this.COR_BORDA, lineWidth: 0.1, textColor: 20 },
+            headStyles: { fillColor: this.COR_CABECALHO, textColor: 20, fontStyle: 'bold', halign: 'center' },
+            footStyles: { fillColor: this.COR_CABECALHO, textColor: 20, fontStyle: 'bold', halign: 'right' },
+            alternateRowStyles: { fillColor: this.COR_LISTRA },
+            columnStyles
+        });
+
+        this.desenharAssinaturas(doc, doc.lastAutoTable.finalY + 10);
+        this.desenharRodapes(doc);
+        return doc;
+    }
+
+    /**
+     * Monta o PDF de uma página com o histórico de um aluno (reuniões com a família ou a empresa)
+     * @param {Object} historico - Retorno de DataModel.gerarHistoricoAluno
+     * @param {Object} info - {cabecalho: Array<string>, titulo, resumo, status: Array<string>, formatarCNPJ}
+     * @returns {Object} - Documento do jsPDF
+     */
+    gerarHistoricoAluno(historico, info) {
+        if (!this.disponivel()) {
+            throw new Error('A biblioteca de PDF (vendor/jspdf) não foi carregada.');
+        }
+
+        const doc = new jspdf.jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+        const largura = doc.internal.pageSize.getWidth();
+
+        let y = this.MARGEM + 4;
+        doc.setFont('helvetica', 'bold');
+        info.cabecalho.concat(info.titulo).forEach((linha, idx) => {
+            doc.setFontSize(idx === 0 ? 13 : 11);
+            doc.text(linha, largura / 2, y, { align: 'center' });
+            y += 5.5;
+        });
+
+        // Identificação do aluno e resumo do período
+        doc.setFontSize(10);
+        doc.text(`${historico.aluno} · RA ${historico.ra}`, this.MARGEM, y + 2);
+        y += 7;
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(8.5);
+        doc.splitTextToSize(info.resumo, largura - this.MARGEM * 2).forEach(linha => {
+            doc.text(linha, this.MARGEM, y);
+            y += 4;
+        });
+
+        const estilos = {
+            margin: { left: this.MARGEM, right: this.MARGEM, bottom: this.MARGEM + 6 },
+            theme: 'grid',
+            styles: { font: 'helvetica', fontSize: 7, cellPadding: 0.9, lineColor: this.COR_BORDA, lineWidth: 0.1, textColor: 20 },
+            headStyles: { fillColor: this.COR_CABECALHO, textColor: 20, fontStyle: 'bold' },
+            footStyles: { fillColor: this.COR_CABECALHO, textColor: 20, fontStyle: 'bold' },
+            alternateRowStyles: { fillColor: this.COR_LISTRA }
+        };
+        const tabela = (head, body, extras = {}) => {
+            doc.autoTable(Object.assign({ startY: y + 2, head: [head], body }, estilos, extras));
+            y = doc.lastAutoTable.finalY + 2;
+        };
+
+        tabela(['Turma', 'Curso', 'De', 'Até', 'Registros'],
+            historico.turmas.map(t => [t.turma, t.curso, t.inicio, t.fim, t.registros]));
+        tabela(['Empresa', 'CNPJ', 'De', 'Até', 'Registros'],
+            historico.empresas.map(e => [e.nome, info.formatarCNPJ(e.cnpj), e.inicio, e.fim, e.registros]));
+        tabela(['Status no período'], (info.status.length > 0 ? info.status : ['Sem status informado nos registros.']).map(s => [s]));
+
+        const t = historico.totais;
+        const numeros = {};
+        [1, 2, 3, 4, 5].forEach(idx => { numeros[idx] = { halign: 'right' }; });
+        tabela(['Mês', 'Registros', 'Faltas just.', 'Faltas não just.', 'Horas de atraso', 'Total horas de ausência'],
+            historico.meses.map(m => [m.mesAno, m.registros, m.NUM_FALTAS_JUSTIFICADAS, m.NUM_FALTAS_NAO_JUSTIFICADAS,
+                this.formatarNumero(m.NUM_HORAS_ATRASO), this.formatarNumero(m.TOTAL_HORAS_AUSENCIA)]),
+            {
+                foot: [['Total', historico.registros, t.NUM_FALTAS_JUSTIFICADAS, t.NUM_FALTAS_NAO_JUSTIFICADAS,
+                    this.formatarNumero(t.NUM_HORAS_ATRASO), this.formatarNumero(t.TOTAL_HORAS_AUSENCIA)]],
+                showFoot: 'lastPage',
+                columnStyles: numeros
+            });
+
+        this.desenharAssinaturas(doc, y + 4);
+        this.desenharRodapes(doc);
+        return doc;
+    }
+
+    /**
+     * Linhas de assinatura da coordenação e de data (nova página se não couberem)
+     */
+    desenharAssinaturas(doc, yInicial) {
+        const largura = doc.internal.pageSize.getWidth();
+        const altura = doc.internal.pageSize.getHeight();
+        let y = yInicial;
+        if (y + this.ALTURA_ASSINATURAS > altura - this.MARGEM - 6) {
+            doc.addPage();
+            y = this.MARGEM + 10;
+        }
+
+        // Linhas mais curtas na página em retrato (histórico do aluno)
+        const larguraLinha = Math.min(90, (largura - this.MARGEM * 2 - 60) / 2);
+        const y1 = y + 22;
+        const esquerda = this.MARGEM + 20;
+        const direita = largura - this.MARGEM - 20 - larguraLinha;
+
+        doc.setDrawColor(60);
+        doc.setLineWidth(0.3);
+        doc.line(esquerda, y1, esquerda + larguraLinha, y1);
+        doc.line(direita, y1, direita + larguraLinha, y1);
+
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(9);
+        doc.text('Coordenador(a) do Programa de Aprendizagem', esquerda + larguraLinha / 2, y1 + 5, { align: 'center' });
+        doc.text('Nome e matrícula', esquerda + larguraLinha / 2, y1 + 9.5, { align: 'center' });
+        doc.text('Local e data', direita + larguraLinha / 2, y1 + 5, { align: 'center' });
+    }
+
+    /**
+     * Rodapé de todas as páginas: data de geração e numeração
+     */
+    desenharRodapes(doc) {
+        const largura = doc.internal.pageSize.getWidth();
+        const altura = doc.internal.pageSize.getHeight();
+        const geradoEm = `Gerado em ${new Date().toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' })}`;
+        const totalPaginas = doc.getNumberOfPages();
+
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(7.5);
+        doc.setTextColor(110);
+        for (let pagina = 1; pagina <= totalPaginas; pagina++) {
+            doc.setPage(pagina);
+            doc.text(geradoEm, this.MARGEM, altura - this.MARGEM / 2);
+            doc.text(`Página ${pagina} de ${totalPaginas}`, largura - this.MARGEM, altura - this.MARGEM / 2, { align: 'right' });
+        }
+        doc.setTextColor(0);
+    }
+
+    /**
+     * Formata número para exibição (pt-BR)
+     */
+    formatarNumero(valor) {
+        return (Number(valor) || 0).toLocaleString('pt-BR', { maximumFractionDigits: 2 });
+    }
+}
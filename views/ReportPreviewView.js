@@ -0,0 +1,339 @@
+/**
+ * ReportPreviewView - View da prévia do relatório consolidado
+ * Responsável por: exibir o relatório em tabela na página (ordenação por coluna, filtro de texto,
+ * linha de totais, destaque de valores atípicos e de alunos em risco) antes do download do Excel
+ */
+class ReportPreviewView {
+    constructor() {
+        // Elementos DOM
+        this.elements = {
+            panel: document.getElementById('previewPanel'),
+            titulo: document.getElementById('previewTitulo'),
+            resumo: document.getElementById('previewResumo'),
+            filtro: document.getElementById('previewFiltro'),
+            tabela: document.getElementById('previewTabela'),
+            aviso: document.getElementById('previewAviso'),
+            formato: document.getElementById('previewFormato'),
+            btnBaixar: document.getElementById('btnBaixarRelatorio'),
+            btnBaixarPorEmpresa: document.getElementById('btnBaixarPorEmpresa'),
+            btnFechar: document.getElementById('btnFecharPrevia'),
+            riscoBox: document.getElementById('riscoBox'),
+            riscoResumo: document.getElementById('riscoResumo'),
+            riscoLista: document.getElementById('riscoLista'),
+            btnExportarRisco: document.getElementById('btnExportarRisco')
+        };
+
+        // Chamados com o formato escolhido ('xlsx' ou 'pdf') quando o usuário pede o download
+        // (definidos pelo FrequencyController)
+        this.onDownload = null;
+        this.onDownloadPorEmpresa = null;
+        // Chamado para exportar a lista de alunos em risco
+        this.onExportarRisco = null;
+
+        // Linhas exibidas no máximo (o filtro e os totais consideram todas)
+        this.LIMITE_LINHAS = 500;
+        // Alunos em risco listados no painel (a exportação inclui todos)
+        this.LIMITE_RISCO = 15;
+
+        this.relatorio = [];
+        this.colunas = [];
+        this.ordenacao = { coluna: null, direcao: 1 };
+        this.limiteAtipico = null;
+
+        this.init();
+    }
+
+    /**
+     * Inicializa os event listeners
+     */
+    init() {
+        this.elements.filtro.addEventListener('input', () => this.renderTabela());
+        this.elements.btnBaixar.addEventListener('click', () => {
+            if (this.onDownload) this.onDownload(this.elements.formato.value);
+        });
+        this.elements.btnBaixarPorEmpresa.addEventListener('click', () => {
+            if (this.onDownloadPorEmpresa) this.onDownloadPorEmpresa(this.elements.formato.value);
+        });
+        this.elements.btnFechar.addEventListener('click', () => this.limpar());
+        this.elements.btnExportarRisco.addEventListener('click', () => {
+            if (this.onExportarRisco) this.onExportarRisco();
+        });
+    }
+
+    /**
+     * Colunas da prévia. Os dias de falta/atraso aparecem como dica (title) nas colunas de contagem.
+     * @param {Array<string>} meses - Meses do relatório; com mais de um, acrescenta o total de cada mês
+     * @param {Object} opcoes - {comFrequencia}: acrescenta aulas, presenças e % de frequência (calendário cadastrado);
+     *        {comLimite}: o perfil define limite de ausência, acrescenta situação e % do limite
+     * @returns {Array<Object>} - {titulo, tipo: 'texto'|'numero', valor(linha), dias(linha)?, semTotal?}
+     */
+    montarColunas(meses, { comFrequencia = false, comLimite = false } = {}) {
+        const colunas = [
+            { titulo: 'Turma', tipo: 'texto', valor: l => l.TURMA },
+            { titulo: 'Aluno', tipo: 'texto', valor: l => l.ALUNO },
+            { titulo: 'Status', tipo: 'texto', valor: l => l.STATUS },
+            { titulo: 'Empresa', tipo: 'texto', valor: l => l.EMPRESA },
+            { titulo: 'Faltas just.', tipo: 'numero', valor: l => l.NUM_FALTAS_JUSTIFICADAS, dias: l => l.FALTAS_JUSTIFICADAS_DIAS },
+            { titulo: 'Faltas não just.', tipo: 'numero', valor: l => l.NUM_FALTAS_NAO_JUSTIFICADAS, dias: l => l.FALTAS_NAO_JUSTIFICADAS_DIAS },
+            { titulo: 'Horas de atraso', tipo: 'numero', valor: l => l.NUM_HORAS_ATRASO, dias: l => l.ATRASOS_DIAS },
+            { titulo: 'Total horas de ausência', tipo: 'numero', valor: l => l.TOTAL_HORAS_AUSENCIA, total: true }
+        ];
+        if (comFrequencia) {
+            colunas.push(
+                { titulo: 'Aulas', tipo: 'numero', valor: l => l.AULAS_NO_PERIODO },
+                { titulo: 'Presenças', tipo: 'numero', valor: l => l.PRESENCAS },
+                { titulo: '% frequência', tipo: 'numero', valor: l => l.PERCENTUAL_FREQUENCIA, semTotal: true }
+            );
+        }
+        if (comLimite) {
+            // Texto junto das demais colunas de texto (a linha de totais agrupa as colunas de texto)
+            colunas.splice(4, 0, { titulo: 'Situação', tipo: 'texto', valor: l => DataModel.SITUACOES_LIMITE[l.SITUACAO_LIMITE] || '' });
+            colunas.push({ titulo: '% do limite', tipo: 'numero', valor: l => l.PERCENTUAL_DO_LIMITE, semTotal: true });
+        }
+        if (meses.length > 1) {
+            meses.forEach(mesAno => {
+                colunas.push({
+                    titulo: `Horas ${mesAno}`,
+                    tipo: 'numero',
+                    valor: l => ((l.POR_MES || {})[mesAno] || {}).TOTAL_HORAS_AUSENCIA || 0
+                });
+            });
+        }
+        return colunas;
+    }
+
+    /**
+     * Exibe a prévia de um relatório
+     * @param {Object} resultado - Retorno de gerarRelatorio
+     * @param {string} titulo - Empresa/turma e período do relatório
+     * @param {Object} opcoes - {porEmpresa}: oferece o download de um arquivo por empresa (ZIP);
+     *        {emRisco}: alunos em risco/atenção (ver DataModel.listarAlunosEmRisco)
+     */
+    mostrar(resultado, titulo, opcoes = {}) {
+        const limite = resultado.limiteAusencia || { ativo: false };
+        const frequencia = resultado.frequencia || { comCalendario: 0, turmasSemCalendario: [] };
+        this.relatorio = resultado.relatorio;
+        this.colunas = this.montarColunas(resultado.meses || [], {
+            comFrequencia: frequencia.comCalendario > 0,
+            comLimite: limite.ativo
+        });
+        this.ordenacao = { coluna: null, direcao: 1 };
+        this.limiteAtipico = this.calcularLimiteAtipico(this.relatorio.map(l => l.TOTAL_HORAS_AUSENCIA));
+
+        this.elements.titulo.textContent = titulo;
+        this.elements.resumo.textContent = `${resultado.totalAlunos} alunos · ${resultado.totalRegistros} registros` +
+            (this.limiteAtipico !== null
+                ? ` · em destaque: total de horas acima de ${this.formatarNumero(this.limiteAtipico)} h`
+                : '') +
+            (frequencia.comCalendario > 0 && frequencia.turmasSemCalendario.length > 0
+                ? ` · sem calendário cadastrado (frequência em branco): ${frequencia.turmasSemCalendario.join(', ')}`
+                : '');
+        this.elements.filtro.value = '';
+        this.elements.btnBaixarPorEmpresa.style.display = opcoes.porEmpresa ? '' : 'none';
+        this.renderTabela();
+        this.renderRisco(limite, opcoes.emRisco || []);
+
+        this.elements.panel.style.display = 'flex';
+        this.elements.panel.scrollIntoView({ block: 'start', behavior: 'smooth' });
+    }
+
+    /**
+     * Esconde e descarta a prévia
+     */
+    limpar() {
+        this.relatorio = [];
+        this.elements.tabela.innerHTML = '';
+        this.elements.riscoBox.style.display = 'none';
+        this.elements.panel.style.display = 'none';
+    }
+
+    /**
+     * Lista os alunos em risco ou em atenção
+     * @param {Object} limite - resultado.limiteAusencia ({ativo, limite, limiteAtencao, emRisco, emAtencao})
+     * @param {Array} emRisco - Linhas do relatório, do mais próximo do limite para o menos
+     */
+    renderRisco(limite, emRisco) {
+        const box = this.elements.riscoBox;
+        if (!limite.ativo) {
+            box.style.display = 'none';
+            return;
+        }
+
+        // Limite único ou calculado pela carga horária de cada turma
+        const descricaoLimite = limite.limite !== null
+            ? `limite de ${this.formatarNumero(limite.limite)} h de ausência`
+            : 'limite pela carga horária de cada turma';
+        this.elements.riscoResumo.textContent = emRisco.length === 0
+            ? `nenhum (${descricaoLimite})`
+            : limite.limite !== null
+                ? `${limite.emRisco} em risco (${this.formatarNumero(limite.limite)} h ou mais) · ` +
+                  `${limite.emAtencao} em atenção (a partir de ${this.formatarNumero(limite.limiteAtencao)} h)`
+                : `${limite.emRisco} em risco · ${limite.emAtencao} em atenção (${descricaoLimite})`;
+
+        this.elements.riscoLista.innerHTML = '';
+        emRisco.slice(0, this.LIMITE_RISCO).forEach(linha => {
+            const item = document.createElement('li');
+            item.className = `alerta-${linha.SITUACAO_LIMITE}`;
+            item.textContent = `${DataModel.SITUACOES_LIMITE[linha.SITUACAO_LIMITE]} · ${linha.ALUNO} (${linha.TURMA}) - ` +
+                `${this.formatarNumero(linha.TOTAL_HORAS_AUSENCIA)} h de ${this.formatarNumero(linha.LIMITE_HORAS_AUSENCIA)} h, ` +
+                `${this.formatarNumero(linha.PERCENTUAL_DO_LIMITE)}% do limite`;
+            this.elements.riscoLista.appendChild(item);
+        });
+        if (emRisco.length > this.LIMITE_RISCO) {
+            const mais = document.createElement('li');
+            mais.textContent = `+ ${emRisco.length - this.LIMITE_RISCO} alunos (veja a lista exportada)`;
+            this.elements.riscoLista.appendChild(mais);
+        }
+        this.elements.btnExportarRisco.disabled = emRisco.length === 0;
+        box.style.display = 'flex';
+    }
+
+    /**
+     * Limite acima do qual um total é atípico: terceiro quartil + 1,5 × intervalo interquartil
+     * @param {Array<number>} valores - Totais de horas de ausência
+     * @returns {number|null} - Limite (null quando há poucos alunos ou nenhum total acima dele)
+     */
+    calcularLimiteAtipico(valores) {
+        if (valores.length < 4) return null;
+        const ordenados = valores.slice().sort((a, b) => a - b);
+        const quartil = q => {
+            const pos = (ordenados.length - 1) * q;
+            const base = Math.floor(pos);
+            const proximo = ordenados[Math.min(base + 1, ordenados.length - 1)];
+            return ordenados[base] + (pos - base) * (proximo - ordenados[base]);
+        };
+        const q1 = quartil(0.25);
+        const q3 = quartil(0.75);
+        const limite = q3 + 1.5 * (q3 - q1);
+        return ordenados[ordenados.length - 1] > limite ? limite : null;
+    }
+
+    /**
+     * Normaliza texto para o filtro (minúsculas, sem acentos)
+     */
+    normalizarTexto(texto) {
+        return String(texto || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase();
+    }
+
+    /**
+     * Linhas que passam no filtro de texto, na ordenação escolhida
+     */
+    getLinhasVisiveis() {
+        const termo = this.normalizarTexto(this.elements.filtro.value.trim());
+        let linhas = this.relatorio;
+        if (termo) {
+            linhas = linhas.filter(l => [l.TURMA, l.ALUNO, l.STATUS, l.EMPRESA, l.CURSO]
+                .some(v => this.normalizarTexto(v).includes(termo)));
+        }
+
+        const coluna = this.ordenacao.coluna !== null ? this.colunas[this.ordenacao.coluna] : null;
+        if (coluna) {
+            const direcao = this.ordenacao.direcao;
+            linhas = linhas.slice().sort((a, b) => {
+                const va = coluna.valor(a);
+                const vb = coluna.valor(b);
+                const comparacao = coluna.tipo === 'numero'
+                    ? (Number(va) || 0) - (Number(vb) || 0)
+                    : String(va || '').localeCompare(String(vb || ''), 'pt-BR');
+                return comparacao * direcao;
+            });
+        }
+        return linhas;
+    }
+
+    /**
+     * Ordena pela coluna clicada (clicar de novo inverte a ordem)
+     */
+    ordenarPor(indice) {
+        if (this.ordenacao.coluna === indice) {
+            this.ordenacao.direcao *= -1;
+        } else {
+            this.ordenacao = { coluna: indice, direcao: this.colunas[indice].tipo === 'numero' ? -1 : 1 };
+        }
+        this.renderTabela();
+    }
+
+    /**
+     * Monta cabeçalho, linhas e totais da tabela
+     */
+    renderTabela() {
+        const tabela = this.elements.tabela;
+        const linhas = this.getLinhasVisiveis();
+        tabela.innerHTML = '';
+
+        // Cabeçalho (clicável para ordenar)
+        const thead = document.createElement('thead');
+        const trHead = document.createElement('tr');
+        this.colunas.forEach((coluna, idx) => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.className = coluna.tipo === 'numero' ? 'numeric sortable' : 'sortable';
+            let seta = '';
+            if (this.ordenacao.coluna === idx) seta = this.ordenacao.direcao === 1 ? ' ▲' : ' ▼';
+            th.textContent = coluna.titulo + seta;
+            th.title = 'Clique para ordenar';
+            th.addEventListener('click', () => this.ordenarPor(idx));
+            trHead.appendChild(th);
+        });
+        thead.appendChild(trHead);
+        tabela.appendChild(thead);
+
+        // Linhas
+        const tbody = document.createElement('tbody');
+        const fragmento = document.createDocumentFragment();
+        linhas.slice(0, this.LIMITE_LINHAS).forEach(linha => {
+            const tr = document.createElement('tr');
+            const atipico = this.limiteAtipico !== null && linha.TOTAL_HORAS_AUSENCIA > this.limiteAtipico;
+            if (atipico) tr.classList.add('outlier');
+            if (linha.SITUACAO_LIMITE) tr.classList.add(`alerta-${linha.SITUACAO_LIMITE}`);
+            this.colunas.forEach(coluna => {
+                const td = document.createElement('td');
+                const valor = coluna.valor(linha);
+                if (coluna.tipo === 'numero') {
+                    td.className = coluna.total && atipico ? 'numeric outlier-cell' : 'numeric';
+                    td.textContent = valor === null ? '' : this.formatarNumero(valor);
+                } else {
+                    td.textContent = valor || '';
+                }
+                if (coluna.dias && coluna.dias(linha)) td.title = `Dias: ${coluna.dias(linha)}`;
+                tr.appendChild(td);
+            });
+            fragmento.appendChild(tr);
+        });
+        tbody.appendChild(fragmento);
+        tabela.appendChild(tbody);
+
+        // Totais das linhas filtradas
+        const tfoot = document.createElement('tfoot');
+        const trTotal = document.createElement('tr');
+        const colunasTexto = this.colunas.filter(c => c.tipo !== 'numero').length;
+        const rotulo = document.createElement('td');
+        rotulo.colSpan = colunasTexto;
+        rotulo.textContent = `Total (${linhas.length} ${linhas.length === 1 ? 'aluno' : 'alunos'})`;
+        trTotal.appendChild(rotulo);
+        this.colunas.filter(c => c.tipo === 'numero').forEach(coluna => {
+            const td = document.createElement('td');
+            td.className = 'numeric';
+            td.textContent = coluna.semTotal
+                ? ''
+                : this.formatarNumero(linhas.reduce((soma, l) => soma + (Number(coluna.valor(l)) || 0), 0));
+            trTotal.appendChild(td);
+        });
+        tfoot.appendChild(trTotal);
+        tabela.appendChild(tfoot);
+
+        this.elements.aviso.textContent = linhas.length > this.LIMITE_LINHAS
+            ? `Exibindo ${this.LIMITE_LINHAS} de ${linhas.length} alunos. Use o filtro para encontrar os demais; o download inclui todos.`
+            : '';
+    }
+
+    /**
+     * Formata número para exibição (pt-BR)
+     */
+    formatarNumero(valor) {
+        return (Number(valor) || 0).toLocaleString('pt-BR', { maximumFractionDigits: 2 });
+    }
+}